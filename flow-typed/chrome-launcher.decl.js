@@ -12,7 +12,9 @@ declare module "chrome-launcher" {
 
   declare class Launcher {
     static defaultFlags: () => Array<string>,
+    static getFirstInstallation: () => string | void,
     process: child_process$ChildProcess,
+    port: number,
     kill(): Promise<void>,
   }
 
@@ -0,0 +1,285 @@
+/* @flow */
+import EventEmitter from 'events';
+import http from 'http';
+import path from 'path';
+import {createHash} from 'crypto';
+
+import WebSocket from 'ws';
+
+import {WebExtError} from '../errors';
+import {createLogger} from '../util/logger';
+import type {ExtensionConsoleMessage} from '../firefox/remote';
+import type {ExtensionManifest} from '../util/manifest';
+
+const log = createLogger(__filename);
+
+// The DevTools target types which run the extension scripts.
+const EXTENSION_TARGET_TYPES = [
+  'background_page', 'service_worker', 'page', 'iframe', 'other',
+];
+
+// Map the console API call types to the web-ext console message levels.
+const CONSOLE_API_LEVELS = {
+  assert: 'error',
+  error: 'error',
+  warning: 'warn',
+};
+
+
+/*
+ * Returns the ID assigned by Chromium to an extension loaded from an
+ * unpacked directory: the SHA-256 hash of the manifest key (if any) or
+ * of the absolute extension path, encoded with the 'a'-'p' characters.
+ */
+export function getUnpackedExtensionId(
+  sourceDir: string,
+  manifestData?: ExtensionManifest,
+  {platform = process.platform}: {| platform?: string |} = {}
+): string {
+  let data;
+  if (manifestData && manifestData.key) {
+    data = Buffer.from(manifestData.key, 'base64');
+  } else {
+    const absolutePath = path.resolve(sourceDir);
+    if (platform === 'win32') {
+      // Chromium hashes the wide string representation of the paths,
+      // with an upper case drive letter, on Windows.
+      data = Buffer.from(
+        absolutePath.replace(/^[a-z]:/, (drive) => drive.toUpperCase()),
+        'utf16le'
+      );
+    } else {
+      data = Buffer.from(absolutePath);
+    }
+  }
+
+  const hash = createHash('sha256').update(data).digest('hex').substr(0, 32);
+  return Array.from(hash).map(
+    (digit) => String.fromCharCode(97 + parseInt(digit, 16))
+  ).join('');
+}
+
+
+/*
+ * Returns a readable representation of a DevTools protocol RemoteObject
+ * logged as a console argument.
+ */
+export function formatRemoteObject(remoteObject: Object): string {
+  if (remoteObject.type === 'undefined') {
+    return 'undefined';
+  }
+  if (remoteObject.unserializableValue) {
+    return String(remoteObject.unserializableValue);
+  }
+  if ('value' in remoteObject) {
+    return typeof remoteObject.value === 'string' ?
+      remoteObject.value : JSON.stringify(remoteObject.value);
+  }
+  return String(remoteObject.description || `[${remoteObject.type}]`);
+}
+
+
+function fetchJSON(url: string): Promise<Object> {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new WebExtError(
+            `Unexpected DevTools response from ${url}: ${error}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+
+// ChromiumDevTools types and implementation.
+
+export type ChromiumDevToolsExtension = {|
+  id: string,
+  name: string,
+|};
+
+/*
+ * A connection to the DevTools protocol of the browser target, which
+ * dispatches the protocol events as "event" events (with the method,
+ * the params and the session ID of the attached target, if any).
+ */
+export class ChromiumDevTools extends EventEmitter {
+  ws: WebSocket;
+  lastMessageId: number;
+  pendingRequests: Map<number, {| resolve: Function, reject: Function |}>;
+
+  constructor(ws: WebSocket) {
+    super();
+    this.ws = ws;
+    this.lastMessageId = 0;
+    this.pendingRequests = new Map();
+
+    ws.on('message', (data) => this.handleMessage(data));
+    ws.on('close', () => {
+      for (const {reject} of this.pendingRequests.values()) {
+        reject(new WebExtError('DevTools connection closed'));
+      }
+      this.pendingRequests.clear();
+    });
+    ws.on('error', (error) => {
+      log.debug(`DevTools connection error: ${error}`);
+    });
+  }
+
+  send(
+    method: string, params?: Object = {}, sessionId?: string
+  ): Promise<Object> {
+    const id = ++this.lastMessageId;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, {resolve, reject});
+      this.ws.send(JSON.stringify({id, method, params, sessionId}));
+    });
+  }
+
+  close() {
+    this.ws.close();
+  }
+
+  /*
+   * Call onConsoleMessage with the console messages logged and the
+   * exceptions raised by the given extensions (from their background
+   * pages, service workers and extension pages).
+   */
+  async forwardExtensionConsole(
+    extensions: Array<ChromiumDevToolsExtension>,
+    onConsoleMessage: (
+      message: ExtensionConsoleMessage, extension: ChromiumDevToolsExtension
+    ) => void
+  ): Promise<void> {
+    const extensionsById = new Map(
+      extensions.map((extension) => [extension.id, extension])
+    );
+    // Map the attached target sessions to their extension.
+    const sessions = new Map();
+
+    this.on('event', (method, params, sessionId) => {
+      if (method === 'Target.targetCreated') {
+        const {targetId, type, url} = params.targetInfo;
+        const match = /^chrome-extension:\/\/([a-p]{32})\//.exec(url);
+        const extension = match && extensionsById.get(match[1]);
+        if (!extension || !EXTENSION_TARGET_TYPES.includes(type)) {
+          return;
+        }
+
+        log.debug(`Attaching to the DevTools target ${type} ${url}`);
+        this.send('Target.attachToTarget', {targetId, flatten: true})
+          .then(({sessionId: targetSessionId}) => {
+            sessions.set(targetSessionId, extension);
+            return this.send('Runtime.enable', {}, targetSessionId);
+          })
+          .catch((error) => {
+            log.debug(`Unable to attach to the target ${url}: ${error}`);
+          });
+      } else if (method === 'Target.detachedFromTarget') {
+        sessions.delete(params.sessionId);
+      } else if (method === 'Runtime.consoleAPICalled') {
+        const extension = sessions.get(sessionId);
+        if (!extension) {
+          return;
+        }
+        const callFrame = params.stackTrace?.callFrames[0];
+        onConsoleMessage({
+          addonId: extension.id,
+          level: CONSOLE_API_LEVELS[params.type] || params.type,
+          message: params.args.map(formatRemoteObject).join(' '),
+          filename: callFrame?.url,
+          // The DevTools protocol line numbers are 0-based.
+          lineNumber: callFrame ? callFrame.lineNumber + 1 : undefined,
+          timeStamp: params.timestamp,
+        }, extension);
+      } else if (method === 'Runtime.exceptionThrown') {
+        const extension = sessions.get(sessionId);
+        if (!extension) {
+          return;
+        }
+        const {exceptionDetails} = params;
+        onConsoleMessage({
+          addonId: extension.id,
+          level: 'error',
+          message: exceptionDetails.exception?.description ||
+            exceptionDetails.text,
+          filename: exceptionDetails.url,
+          lineNumber: exceptionDetails.lineNumber + 1,
+          timeStamp: params.timestamp,
+        }, extension);
+      }
+    });
+
+    // Emits a Target.targetCreated event for the existing targets too.
+    await this.send('Target.setDiscoverTargets', {discover: true});
+  }
+
+  // Private helper methods.
+
+  handleMessage(data: string) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      log.debug(`Ignored invalid DevTools message: ${error}`);
+      return;
+    }
+
+    const pendingRequest = message.id && this.pendingRequests.get(message.id);
+    if (pendingRequest) {
+      this.pendingRequests.delete(message.id);
+      if (message.error) {
+        pendingRequest.reject(new WebExtError(
+          `DevTools error: ${message.error.message}`));
+      } else {
+        pendingRequest.resolve(message.result || {});
+      }
+    } else if (message.method) {
+      this.emit('event', message.method, message.params, message.sessionId);
+    }
+  }
+}
+
+
+// connectToChromiumDevTools types and implementation.
+
+export type ConnectToChromiumDevToolsOptions = {|
+  fetchJSON?: typeof fetchJSON,
+  createWebSocket?: (url: string) => WebSocket,
+|};
+
+/*
+ * Connect to the browser target of the DevTools protocol exposed by
+ * a Chromium instance on the given remote debugging port.
+ */
+export async function connectToChromiumDevTools(
+  port: number,
+  {
+    fetchJSON: fetchVersionInfo = fetchJSON,
+    createWebSocket = (url) => new WebSocket(url),
+  }: ConnectToChromiumDevToolsOptions = {}
+): Promise<ChromiumDevTools> {
+  const {webSocketDebuggerUrl} = await fetchVersionInfo(
+    `http://127.0.0.1:${port}/json/version`
+  );
+  if (!webSocketDebuggerUrl) {
+    throw new WebExtError(
+      `Unable to find the DevTools browser target on port ${port}`);
+  }
+
+  log.debug(`Connecting to the DevTools protocol: ${webSocketDebuggerUrl}`);
+  const ws = createWebSocket(webSocketDebuggerUrl);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  return new ChromiumDevTools(ws);
+}
@@ -0,0 +1,73 @@
+/* @flow */
+import path from 'path';
+import {execFile as defaultExecFile} from 'child_process';
+
+import {fs} from 'mz';
+import {Launcher as ChromeLauncher} from 'chrome-launcher';
+
+import {createLogger} from '../util/logger';
+
+const log = createLogger(__filename);
+
+const VERSION_RE = /\b(\d+)\.\d+\.\d+(?:\.\d+)?\b/;
+
+
+export type GetChromiumVersionOptions = {|
+  execFile?: typeof defaultExecFile,
+  getFirstInstallation?: () => string | void,
+  platform?: string,
+|};
+
+/*
+ * Returns the major version of a Chromium binary (or of the first
+ * Chromium installation found when no binary is given), or undefined
+ * when it can't be detected.
+ */
+export async function getChromiumVersion(
+  chromiumBinary?: string,
+  {
+    execFile = defaultExecFile,
+    getFirstInstallation = () => ChromeLauncher.getFirstInstallation(),
+    platform = process.platform,
+  }: GetChromiumVersionOptions = {}
+): Promise<number | void> {
+  const binaryPath = chromiumBinary || getFirstInstallation();
+  if (!binaryPath) {
+    return undefined;
+  }
+
+  let version;
+  if (platform === 'win32') {
+    // chrome.exe --version starts the browser on Windows, the version is
+    // the name of a directory next to the binary instead.
+    try {
+      const fileNames = await fs.readdir(path.dirname(binaryPath));
+      version = fileNames.find((fileName) => /^\d+\.\d+\.\d+\.\d+$/.test(
+        fileName
+      ));
+    } catch (error) {
+      log.debug(`Unable to list the Chromium directory: ${error}`);
+    }
+  } else {
+    version = await new Promise((resolve) => {
+      const execOptions = {timeout: 10000};
+      execFile(binaryPath, ['--version'], execOptions, (error, stdout) => {
+        if (error) {
+          log.debug(`Unable to run ${binaryPath} --version: ${error.message}`);
+          resolve();
+        } else {
+          resolve(String(stdout));
+        }
+      });
+    });
+  }
+
+  const match = version && VERSION_RE.exec(version);
+  if (!match) {
+    log.debug(`Unable to detect the version of ${binaryPath}`);
+    return undefined;
+  }
+
+  log.debug(`Detected Chromium version ${match[0]} (${binaryPath})`);
+  return parseInt(match[1], 10);
+}
@@ -1,5 +1,6 @@
 /* @flow */
 import path from 'path';
+import {createHash} from 'crypto';
 import {createWriteStream} from 'fs';
 
 import {fs} from 'mz';
@@ -9,8 +10,12 @@ import stripJsonComments from 'strip-json-comments';
 import defaultEventToPromise from 'event-to-promise';
 
 import defaultSourceWatcher from '../watcher';
-import {zipDir} from '../util/zip-dir';
-import getValidatedManifest, {getManifestId} from '../util/manifest';
+import {zipDir, ZipDirIndex} from '../util/zip-dir';
+import getValidatedManifest, {
+  getManifestId,
+  getTargetManifest,
+  isManifestOverlay,
+} from '../util/manifest';
 import {prepareArtifactsDir} from '../util/artifacts';
 import {createLogger} from '../util/logger';
 import {UsageError, isErrorWithCode} from '../errors';
@@ -20,11 +25,16 @@ import {
 } from '../util/file-filter';
 // Import flow types.
 import type {OnSourceChangeFn} from '../watcher';
-import type {ExtensionManifest} from '../util/manifest';
+import type {ExtensionManifest, ManifestTarget} from '../util/manifest';
 import type {FileFilterCreatorFn} from '../util/file-filter';
 
 const log = createLogger(__filename);
 const DEFAULT_FILENAME_TEMPLATE = '{name}-{version}.zip';
+// The date used for all the files of a reproducible package when
+// SOURCE_DATE_EPOCH is not set (the first date supported by zip files).
+const DEFAULT_REPRODUCIBLE_DATE = new Date(Date.UTC(1980, 0, 1));
+// The permissions used for all the files of a reproducible package.
+const REPRODUCIBLE_FILE_MODE = 0o100644;
 
 
 export function safeFileName(name: string): string {
@@ -32,6 +42,29 @@ export function safeFileName(name: string): string {
 }
 
 
+/*
+ * Returns the date to use for the files of a reproducible package,
+ * as defined by https://reproducible-builds.org/specs/source-date-epoch/
+ */
+export function getReproducibleDate(
+  env: typeof process.env = process.env
+): Date {
+  const sourceDateEpoch = env.SOURCE_DATE_EPOCH;
+  if (!sourceDateEpoch) {
+    return DEFAULT_REPRODUCIBLE_DATE;
+  }
+
+  if (!/^[0-9]+$/.test(sourceDateEpoch)) {
+    throw new UsageError(
+      `Invalid SOURCE_DATE_EPOCH value: "${sourceDateEpoch}" ` +
+      '(expected the number of seconds since the Unix epoch)'
+    );
+  }
+
+  return new Date(parseInt(sourceDateEpoch, 10) * 1000);
+}
+
+
 // defaultPackageCreator types and implementation.
 
 export type ExtensionBuildResult = {|
@@ -46,6 +79,10 @@ export type PackageCreatorParams = {|
   overwriteDest: boolean,
   showReadyMessage: boolean,
   filename?: string,
+  zipDirIndex?: ZipDirIndex,
+  changedFiles?: Array<string>,
+  reproducible?: boolean,
+  target?: ManifestTarget,
 |};
 
 export type LocalizedNameParams = {|
@@ -167,6 +204,10 @@ export async function defaultPackageCreator(
     overwriteDest,
     showReadyMessage,
     filename = DEFAULT_FILENAME_TEMPLATE,
+    zipDirIndex,
+    changedFiles,
+    reproducible = false,
+    target,
   }: PackageCreatorParams,
   {
     eventToPromise = defaultEventToPromise,
@@ -180,9 +221,24 @@ export async function defaultPackageCreator(
     manifestData = await getValidatedManifest(sourceDir);
   }
 
-  const buffer = await zipDir(sourceDir, {
-    filter: (...args) => fileFilter.wantFile(...args),
-  });
+  const replacedFiles = new Map();
+  if (target) {
+    log.debug(`Adjusting manifest.json for the ${target} target`);
+    manifestData = await getTargetManifest({sourceDir, target, manifestData});
+    replacedFiles.set(
+      'manifest.json', Buffer.from(JSON.stringify(manifestData, null, 2))
+    );
+  }
+
+  let buffer;
+  if (zipDirIndex) {
+    // Only compress the files changed since the previous package.
+    buffer = await zipDirIndex.zip(changedFiles, replacedFiles);
+  } else {
+    buffer = await zipDir(sourceDir, {
+      filter: (...args) => fileFilter.wantFile(...args),
+    });
+  }
 
   let filenameTemplate = filename;
 
@@ -235,6 +291,10 @@ export async function defaultPackageCreator(
   if (showReadyMessage) {
     log.info(`Your web extension is ready: ${extensionPath}`);
   }
+  if (reproducible) {
+    const sha256 = createHash('sha256').update(buffer).digest('hex');
+    log.info(`SHA-256 of ${packageName}: ${sha256}`);
+  }
   return {extensionPath};
 }
 
@@ -248,6 +308,8 @@ export type BuildCmdParams = {|
   overwriteDest?: boolean,
   ignoreFiles?: Array<string>,
   filename?: string,
+  reproducible?: boolean,
+  target?: ManifestTarget,
 |};
 
 export type BuildCmdOptions = {|
@@ -268,6 +330,8 @@ export default async function build(
     overwriteDest = false,
     ignoreFiles = [],
     filename = DEFAULT_FILENAME_TEMPLATE,
+    reproducible = false,
+    target,
   }: BuildCmdParams,
   {
     manifestData,
@@ -286,7 +350,28 @@ export default async function build(
   const rebuildAsNeeded = asNeeded; // alias for `build --as-needed`
   log.info(`Building web extension from ${sourceDir}`);
 
-  const createPackage = () => packageCreator({
+  // When rebuilding as needed, keep an index of the compressed files
+  // to avoid compressing the entire source directory on every change.
+  // The index is also used to create reproducible packages, by adding the
+  // files in a sorted order and with normalized timestamps and permissions,
+  // and to replace the manifest.json file when building for a target.
+  let zipDirIndex;
+  if (rebuildAsNeeded || reproducible || target) {
+    zipDirIndex = new ZipDirIndex({
+      sourceDir,
+      filter: (filePath) => {
+        // The manifest overlays are already merged into the target manifest.
+        if (target && isManifestOverlay(sourceDir, filePath)) {
+          return false;
+        }
+        return fileFilter.wantFile(filePath);
+      },
+      fixedDate: reproducible ? getReproducibleDate() : undefined,
+      fixedMode: reproducible ? REPRODUCIBLE_FILE_MODE : undefined,
+    });
+  }
+
+  const createPackage = (changedFiles) => packageCreator({
     manifestData,
     sourceDir,
     fileFilter,
@@ -294,6 +379,10 @@ export default async function build(
     overwriteDest,
     showReadyMessage,
     filename,
+    zipDirIndex,
+    changedFiles,
+    reproducible,
+    target,
   });
 
   await prepareArtifactsDir(artifactsDir);
@@ -304,8 +393,8 @@ export default async function build(
     onSourceChange({
       sourceDir,
       artifactsDir,
-      onChange: () => {
-        return createPackage().catch((error) => {
+      onChange: (changedFiles) => {
+        return createPackage(changedFiles).catch((error) => {
           log.error(error.stack);
           throw error;
         });
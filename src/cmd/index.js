@@ -8,6 +8,8 @@ import type {CmdRunParams, CmdRunOptions} from './run';
 import type {MultiExtensionRunner} from '../extension-runners';
 import type {SignParams, SignOptions, SignResult} from './sign';
 import type {DocsParams, DocsOptions} from './docs';
+import type {ServeAmoMockParams, ServeAmoMockOptions} from './serve-amo-mock';
+import type {AmoMockServer} from '../util/amo-mock-server';
 
 // This module exports entry points for all supported commands. For performance
 // reasons (faster start-up), the implementations are not statically imported
@@ -54,4 +56,14 @@ async function docs(
   return runCommand(params, options);
 }
 
-export default {build, lint, run, sign, docs};
+async function serveAmoMock(
+  params: ServeAmoMockParams, options: ServeAmoMockOptions
+): Promise<AmoMockServer> {
+  // TODO: use async import instead of require - https://github.com/mozilla/web-ext/issues/1306
+  const {default: runCommand} = require('./serve-amo-mock');
+  return runCommand(params, options);
+}
+
+export default {
+  build, lint, run, sign, docs, 'serve-amo-mock': serveAmoMock,
+};
@@ -1,4 +1,6 @@
 /* @flow */
+import path from 'path';
+
 import { fs } from 'mz';
 
 import defaultBuildExtension from './build';
@@ -9,7 +11,12 @@ import * as defaultFirefoxApp from '../firefox';
 import {
   connectWithMaxRetries as defaultFirefoxClient,
 } from '../firefox/remote';
-import {createLogger} from '../util/logger';
+import {prepareArtifactsDir} from '../util/artifacts';
+import {ExtensionConsoleLogger} from '../util/extension-console';
+import {
+  createLogger,
+  consoleStream as defaultLogStream,
+} from '../util/logger';
 import defaultGetValidatedManifest from '../util/manifest';
 import {UsageError} from '../../src/errors';
 import {
@@ -18,7 +25,9 @@ import {
   MultiExtensionRunner as DefaultMultiExtensionRunner,
 } from '../extension-runners';
 // Import objects that are only used as Flow types.
+import type {KeypressCommands} from '../extension-runners';
 import type {FirefoxPreferences} from '../firefox/preferences';
+import type {LintCmdParams} from './lint';
 
 const log = createLogger(__filename);
 
@@ -28,6 +37,8 @@ const log = createLogger(__filename);
 export type CmdRunParams = {|
   artifactsDir: string,
   browserConsole: boolean,
+  logExtensionConsole?: boolean,
+  logExtensionConsoleFile?: string,
   pref?: FirefoxPreferences,
   firefox: string,
   firefoxProfile?: string,
@@ -36,8 +47,10 @@ export type CmdRunParams = {|
   keepProfileChanges: boolean,
   noInput?: boolean,
   noReload: boolean,
+  // With 'json', the reload results are written as JSON objects.
+  output?: 'text' | 'json',
   preInstall: boolean,
-  sourceDir: string,
+  sourceDir: string | Array<string>,
   watchFile?: string,
   startUrl?: Array<string>,
   target?: Array<string>,
@@ -47,11 +60,20 @@ export type CmdRunParams = {|
   adbBin?: string,
   adbHost?: string,
   adbPort?: string,
-  adbDevice?: string,
+  // One or more device ids, or "all" to run on all the attached devices.
+  adbDevice?: string | Array<string>,
+  adbConnect?: string,
+  adbPair?: string,
+  adbPairCode?: string,
   adbDiscoveryTimeout?: number,
   adbRemoveOldArtifacts?: boolean,
   firefoxApk?: string,
   firefoxApkComponent?: string,
+  firefoxApkFile?: string,
+  androidAttach?: boolean,
+  androidRecord?: boolean,
+  androidEmulatorAvd?: string,
+  androidApkFile?: string,
 
   // Chromium Desktop CLI options.
   chromiumBinary?: string,
@@ -67,12 +89,40 @@ export type CmdRunOptions = {|
   shouldExitProgram?: boolean,
   MultiExtensionRunner?: typeof DefaultMultiExtensionRunner,
   getValidatedManifest?: typeof defaultGetValidatedManifest,
+  discoverAndroidDevices?: typeof defaultDiscoverAndroidDevices,
+  lintExtension?: typeof defaultLintExtension,
+  logStream?: typeof defaultLogStream,
+  // Additional commands run when their key is pressed in the terminal.
+  keypressCommands?: KeypressCommands,
+  // Called with the MultiExtensionRunner before it is started, e.g. to
+  // subscribe to its events.
+  onExtensionRunnerCreated?: (
+    extensionRunner: DefaultMultiExtensionRunner
+  ) => void,
 |};
 
+async function defaultDiscoverAndroidDevices(
+  {adbBin, adbHost, adbPort}: {|
+    adbBin?: string, adbHost?: string, adbPort?: string,
+  |}
+): Promise<Array<string>> {
+  // TODO: use async import instead of require - https://github.com/mozilla/web-ext/issues/1306
+  const {default: ADBUtils} = require('../util/adb');
+  return new ADBUtils({adbBin, adbHost, adbPort}).discoverDevices();
+}
+
+async function defaultLintExtension(params: LintCmdParams): Promise<void> {
+  // TODO: use async import instead of require - https://github.com/mozilla/web-ext/issues/1306
+  const {default: lint} = require('./lint');
+  return lint(params, {shouldExitProgram: false});
+}
+
 export default async function run(
   {
     artifactsDir,
     browserConsole = false,
+    logExtensionConsole = false,
+    logExtensionConsoleFile,
     pref,
     firefox,
     firefoxProfile,
@@ -81,6 +131,7 @@ export default async function run(
     ignoreFiles,
     noInput = false,
     noReload = false,
+    output = 'text',
     preInstall = false,
     sourceDir,
     watchFile,
@@ -92,10 +143,18 @@ export default async function run(
     adbHost,
     adbPort,
     adbDevice,
+    adbConnect,
+    adbPair,
+    adbPairCode,
     adbDiscoveryTimeout,
     adbRemoveOldArtifacts,
     firefoxApk,
     firefoxApkComponent,
+    firefoxApkFile,
+    androidAttach,
+    androidRecord,
+    androidEmulatorAvd,
+    androidApkFile,
     // Chromium CLI options.
     chromiumBinary,
     chromiumProfile,
@@ -108,9 +167,19 @@ export default async function run(
     reloadStrategy = defaultReloadStrategy,
     MultiExtensionRunner = DefaultMultiExtensionRunner,
     getValidatedManifest = defaultGetValidatedManifest,
+    discoverAndroidDevices = defaultDiscoverAndroidDevices,
+    lintExtension = defaultLintExtension,
+    logStream = defaultLogStream,
+    keypressCommands,
+    onExtensionRunnerCreated,
   }: CmdRunOptions = {}): Promise<DefaultMultiExtensionRunner> {
 
-  log.info(`Running web extension from ${sourceDir}`);
+  const sourceDirs = Array.isArray(sourceDir) ? sourceDir : [sourceDir];
+
+  for (const extensionSourceDir of sourceDirs) {
+    log.info(`Running web extension from ${extensionSourceDir}`);
+  }
+
   if (preInstall) {
     log.info('Disabled auto-reloading because it\'s not possible with ' +
              '--pre-install');
@@ -120,7 +189,12 @@ export default async function run(
   // Create an alias for --pref since it has been transformed into an
   // object containing one or more preferences.
   const customPrefs = pref;
-  const manifestData = await getValidatedManifest(sourceDir);
+
+  const extensions = [];
+  for (const extensionSourceDir of sourceDirs) {
+    const manifestData = await getValidatedManifest(extensionSourceDir);
+    extensions.push({sourceDir: extensionSourceDir, manifestData});
+  }
 
   const profileDir = firefoxProfile || chromiumProfile;
 
@@ -140,11 +214,23 @@ export default async function run(
     }
   }
 
+  let extensionConsoleLogger;
+  if (logExtensionConsole || logExtensionConsoleFile) {
+    let logFile;
+    if (logExtensionConsoleFile) {
+      await prepareArtifactsDir(artifactsDir);
+      logFile = path.resolve(artifactsDir, logExtensionConsoleFile);
+    }
+    extensionConsoleLogger = new ExtensionConsoleLogger({logFile});
+  }
+  const onExtensionConsoleMessage = extensionConsoleLogger ?
+    extensionConsoleLogger.logMessage.bind(extensionConsoleLogger) : undefined;
+
   const runners = [];
 
   const commonRunnerParams = {
     // Common options.
-    extensions: [{sourceDir, manifestData}],
+    extensions,
     keepProfileChanges,
     startUrl,
     args,
@@ -161,6 +247,7 @@ export default async function run(
       customPrefs,
       browserConsole,
       preInstall,
+      onExtensionConsoleMessage,
 
       // Firefox runner injected dependencies.
       firefoxApp,
@@ -174,7 +261,7 @@ export default async function run(
     runners.push(firefoxDesktopRunner);
   }
 
-  if (target && target.includes('firefox-android')) {
+  const createFirefoxAndroidRunner = async (selectedAdbDevice?: string) => {
     const firefoxAndroidRunnerParams = {
       ...commonRunnerParams,
 
@@ -183,9 +270,18 @@ export default async function run(
       customPrefs,
       browserConsole,
       preInstall,
+      artifactsDir,
       firefoxApk,
       firefoxApkComponent,
-      adbDevice,
+      firefoxApkFile,
+      androidAttach,
+      androidRecord,
+      androidEmulatorAvd,
+      androidApkFile,
+      adbDevice: selectedAdbDevice,
+      adbConnect,
+      adbPair,
+      adbPairCode,
       adbHost,
       adbPort,
       adbBin,
@@ -216,6 +312,30 @@ export default async function run(
       params: firefoxAndroidRunnerParams,
     });
     runners.push(firefoxAndroidRunner);
+  };
+
+  if (target && target.includes('firefox-android')) {
+    let adbDevices = [].concat(adbDevice || []);
+    if (adbDevices.includes('all')) {
+      adbDevices = await discoverAndroidDevices({adbBin, adbHost, adbPort});
+      log.info(`Running on all the Android devices: ${adbDevices.join(', ')}`);
+    }
+
+    if (adbDevices.length > 1 &&
+        (androidEmulatorAvd || adbConnect || adbPair)) {
+      throw new UsageError(
+        '--android-emulator-avd, --adb-connect and --adb-pair ' +
+        'can not be used with multiple Android devices'
+      );
+    }
+
+    if (adbDevices.length === 0) {
+      // The runner reports the missing device selection.
+      await createFirefoxAndroidRunner();
+    }
+    for (const selectedAdbDevice of adbDevices) {
+      await createFirefoxAndroidRunner(selectedAdbDevice);
+    }
   }
 
   if (target && target.includes('chromium')) {
@@ -237,6 +357,28 @@ export default async function run(
     runners,
   });
 
+  if (onExtensionRunnerCreated) {
+    onExtensionRunnerCreated(extensionRunner);
+  }
+
+  if (output === 'json') {
+    const writeReloadResult = (result) => {
+      const {reloadError} = result;
+      logStream.writeResult('run', {
+        runnerName: result.runnerName,
+        sourceDir: result.sourceDir,
+        reloadError: reloadError ? reloadError.message : undefined,
+      });
+    };
+    extensionRunner.on('reload-success', writeReloadResult);
+    extensionRunner.on('reload-error', writeReloadResult);
+  }
+
+  if (extensionConsoleLogger) {
+    const logger = extensionConsoleLogger;
+    extensionRunner.registerCleanup(() => logger.close());
+  }
+
   await extensionRunner.run();
 
   if (noReload) {
@@ -251,6 +393,19 @@ export default async function run(
       artifactsDir,
       ignoreFiles,
       noInput,
+      keypressCommands: Object.assign({
+        l: {
+          description: 'Lint the extension source',
+          run: async () => {
+            for (const extensionSourceDir of sourceDirs) {
+              log.info(`Linting ${extensionSourceDir}`);
+              await lintExtension({
+                sourceDir: extensionSourceDir, artifactsDir, ignoreFiles,
+              });
+            }
+          },
+        },
+      }, keypressCommands),
     });
   }
 
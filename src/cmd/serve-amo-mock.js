@@ -0,0 +1,35 @@
+/* @flow */
+import {AmoMockServer} from '../util/amo-mock-server';
+import {createLogger} from '../util/logger';
+import type {AmoMockServerParams} from '../util/amo-mock-server';
+
+const log = createLogger(__filename);
+
+export type ServeAmoMockParams = {
+  port: number,
+  host: string,
+};
+
+export type ServeAmoMockOptions = {
+  createAmoMockServer?: (params: AmoMockServerParams) => AmoMockServer,
+  shouldExitProgram?: boolean,
+};
+
+export default async function serveAmoMock(
+  {port, host}: ServeAmoMockParams,
+  {
+    createAmoMockServer = (params) => new AmoMockServer(params),
+  }: ServeAmoMockOptions = {}
+): Promise<AmoMockServer> {
+  const amoMockServer = createAmoMockServer({port, host});
+  const apiUrlPrefix = await amoMockServer.start();
+
+  log.info(
+    'Sign your extension against the AMO mock server with:\n' +
+    `  web-ext sign --api-url-prefix=${apiUrlPrefix} ` +
+    '--api-key=mock --api-secret=mock'
+  );
+  log.info('Press Ctrl-C to stop the server');
+
+  return amoMockServer;
+}
@@ -4,12 +4,21 @@ import path from 'path';
 import {fs} from 'mz';
 import {signAddon as defaultAddonSigner} from 'sign-addon';
 
-import defaultBuilder from './build';
+import defaultBuilder, {safeFileName} from './build';
 import getValidatedManifest, {getManifestId} from '../util/manifest';
 import {withTempDir} from '../util/temp-dir';
 import {isErrorWithCode, UsageError, WebExtError} from '../errors';
 import {prepareArtifactsDir} from '../util/artifacts';
-import {createLogger} from '../util/logger';
+import {AmoMockServer, isAmoMockUrlPrefix} from '../util/amo-mock-server';
+import {
+  createSourceCodeArchive as defaultSourceCodeArchiveCreator,
+  getSourceCodeApiUrlPrefix,
+  uploadSourceCode as defaultSourceCodeUploader,
+} from '../util/source-code';
+import {
+  updateUpdateManifest as defaultUpdateManifestUpdater,
+} from '../util/update-manifest';
+import {createLogger, logStdoutLines} from '../util/logger';
 import type {ExtensionManifest} from '../util/manifest';
 
 
@@ -24,16 +33,21 @@ export const extensionIdFile = '.web-extension-id';
 
 export type SignParams = {|
   apiKey: string,
-  apiProxy: string,
+  apiProxy?: string,
   apiSecret: string,
   apiUrlPrefix: string,
   artifactsDir: string,
   id?: string,
   ignoreFiles?: Array<string>,
+  output?: 'text' | 'json',
   sourceDir: string,
   timeout: number,
   verbose?: boolean,
   channel?: string,
+  reproducible?: boolean,
+  uploadSourceCode?: boolean,
+  updateLink?: string,
+  updateManifest?: string,
 |};
 
 export type SignOptions = {
@@ -41,12 +55,19 @@ export type SignOptions = {
   signAddon?: typeof defaultAddonSigner,
   preValidatedManifest?: ExtensionManifest,
   shouldExitProgram?: boolean,
+  createSourceCodeArchive?: typeof defaultSourceCodeArchiveCreator,
+  sourceCodeUploader?: typeof defaultSourceCodeUploader,
+  createAmoMockServer?: () => AmoMockServer,
+  updateManifestUpdater?: typeof defaultUpdateManifestUpdater,
 };
 
 export type SignResult = {|
   success: boolean,
   id: string,
   downloadedFiles: Array<string>,
+  errorCode?: string,
+  sourceCodePath?: string,
+  updateManifestPath?: string,
 |};
 
 export default function sign(
@@ -58,15 +79,24 @@ export default function sign(
     artifactsDir,
     id,
     ignoreFiles = [],
+    output = 'text',
     sourceDir,
     timeout,
     verbose,
     channel,
+    reproducible = false,
+    uploadSourceCode = false,
+    updateLink,
+    updateManifest,
   }: SignParams,
   {
     build = defaultBuilder,
     preValidatedManifest,
     signAddon = defaultAddonSigner,
+    createSourceCodeArchive = defaultSourceCodeArchiveCreator,
+    sourceCodeUploader = defaultSourceCodeUploader,
+    createAmoMockServer = () => new AmoMockServer(),
+    updateManifestUpdater = defaultUpdateManifestUpdater,
   }: SignOptions = {}
 ): Promise<SignResult> {
   return withTempDir(
@@ -82,11 +112,28 @@ export default function sign(
       }
 
       const [buildResult, idFromSourceDir] = await Promise.all([
-        build({sourceDir, ignoreFiles, artifactsDir: tmpDir.path()},
-              {manifestData, showReadyMessage: false}),
+        build({
+          sourceDir, ignoreFiles, reproducible, artifactsDir: tmpDir.path(),
+        }, {manifestData, showReadyMessage: false}),
         getIdFromSourceDir(sourceDir),
       ]);
 
+      let sourceCodePath;
+      if (uploadSourceCode) {
+        // Fail before signing if the source code could not be uploaded.
+        if (!isAmoMockUrlPrefix(apiUrlPrefix)) {
+          getSourceCodeApiUrlPrefix(apiUrlPrefix);
+        }
+        sourceCodePath = await createSourceCodeArchive({
+          sourceDir,
+          artifactsDir,
+          ignoreFiles,
+          destPath: path.join(artifactsDir, safeFileName(
+            `${manifestData.name}-${manifestData.version}-source.zip`
+          )),
+        });
+      }
+
       const manifestId = getManifestId(manifestData);
 
       if (id && manifestId) {
@@ -112,22 +159,75 @@ export default function sign(
         log.warn('No extension ID specified (it will be auto-generated)');
       }
 
-      const signingResult = await signAddon({
-        apiKey,
-        apiSecret,
-        apiUrlPrefix,
-        apiProxy,
-        timeout,
-        verbose,
-        id,
-        xpiPath: buildResult.extensionPath,
-        version: manifestData.version,
-        downloadDir: artifactsDir,
-        channel,
-      });
-
-      if (signingResult.id) {
-        await saveIdToSourceDir(sourceDir, signingResult.id);
+      if (updateLink) {
+        const {gecko} = manifestData.browser_specific_settings ||
+          manifestData.applications || {};
+        if (!gecko?.update_url) {
+          log.warn('The manifest.json file does not declare a ' +
+                   'gecko.update_url, Firefox will not check the ' +
+                   'generated update manifest');
+        }
+      }
+
+      let amoMockServer;
+      if (isAmoMockUrlPrefix(apiUrlPrefix)) {
+        log.info('Signing with a local AMO mock server, the extension ' +
+                 'will not be submitted to addons.mozilla.org');
+        amoMockServer = createAmoMockServer();
+        apiUrlPrefix = await amoMockServer.start();
+        // The mock server is only reachable directly.
+        apiProxy = undefined;
+      }
+
+      let signingResult;
+      let awaitingReview = false;
+      let addonId;
+      // sign-addon prints its progress and the downloaded files on stdout.
+      const stopLoggingStdout = output === 'json' ?
+        logStdoutLines(log) : () => {};
+      try {
+        signingResult = await signAddon({
+          apiKey,
+          apiSecret,
+          apiUrlPrefix,
+          apiProxy,
+          timeout,
+          verbose,
+          id,
+          xpiPath: buildResult.extensionPath,
+          version: manifestData.version,
+          downloadDir: artifactsDir,
+          channel,
+        });
+
+        if (signingResult.id) {
+          await saveIdToSourceDir(sourceDir, signingResult.id);
+        }
+
+        // The listed versions are created but not signed until they
+        // have been reviewed, which is when the source code is needed.
+        awaitingReview = signingResult.errorCode === 'ADDON_NOT_AUTO_SIGNED';
+        addonId = signingResult.id || id;
+
+        // The source code can only be attached to a version which has
+        // been created by the signing API.
+        if (sourceCodePath && addonId &&
+            (signingResult.success || awaitingReview)) {
+          await sourceCodeUploader({
+            apiKey,
+            apiSecret,
+            apiUrlPrefix,
+            apiProxy,
+            id: addonId,
+            version: manifestData.version,
+            sourceCodePath,
+          });
+        }
+      } finally {
+        stopLoggingStdout();
+        if (amoMockServer) {
+          await amoMockServer.stop();
+        }
       }
 
       // All information about the downloaded files would have
@@ -135,13 +235,41 @@ export default function sign(
       if (signingResult.success) {
         log.info(`Extension ID: ${signingResult.id}`);
         log.info('SUCCESS');
+      } else if (awaitingReview) {
+        log.info(`Extension ID: ${addonId || ''}`);
+        log.info('The extension has been submitted for review, it will be ' +
+                 'signed once approved');
       } else {
         log.info('FAIL');
         throw new WebExtError(
           'The extension could not be signed');
       }
 
-      return signingResult;
+      // Only the signed files of unlisted add-ons are downloaded, and
+      // can be distributed using a self-hosted update manifest.
+      let updateManifestPath;
+      if (updateLink && signingResult.downloadedFiles?.length) {
+        updateManifestPath = await updateManifestUpdater({
+          updateManifestPath:
+            updateManifest || path.join(artifactsDir, 'updates.json'),
+          updateLinkTemplate: updateLink,
+          id: signingResult.id,
+          xpiPath: signingResult.downloadedFiles[0],
+          manifestData,
+        });
+      }
+
+      const result: SignResult = {...signingResult};
+      if (awaitingReview && addonId) {
+        result.id = addonId;
+      }
+      if (sourceCodePath) {
+        result.sourceCodePath = sourceCodePath;
+      }
+      if (updateManifestPath) {
+        result.updateManifestPath = updateManifestPath;
+      }
+      return result;
     }
   );
 }
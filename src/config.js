@@ -1,17 +1,46 @@
 /* @flow */
 import os from 'os';
 import path from 'path';
+import {pathToFileURL} from 'url';
 
+import {fs} from 'mz';
 import importFresh from 'import-fresh';
 import camelCase from 'camelcase';
 import decamelize from 'decamelize';
 
 import fileExists from './util/file-exists';
+import {isSubPath} from './util/file-filter';
 import {createLogger} from './util/logger';
-import {UsageError, WebExtError} from './errors';
+import {isErrorWithCode, UsageError, WebExtError} from './errors';
 
 const log = createLogger(__filename);
 
+// The names of the config files discovered in a directory (prefixed with
+// a dot in the home directory). Only one of them can exist in the same
+// directory.
+const CONFIG_FILE_NAMES = [
+  'web-ext-config.mjs',
+  'web-ext-config.cjs',
+  'web-ext-config.js',
+  'web-ext-config.json',
+];
+
+// The files or directories marking the root of a VCS repository, where
+// the discovery of the config files in the parent directories stops.
+const VCS_ROOT_MARKERS = ['.git', '.hg'];
+
+// Babel and webpack would both turn an import() expression into a require()
+// call, which can't load an ES module, hide it from them in a function body.
+const dynamicImport: Function = new Function('url', 'return import(url)');
+
+function defaultImportModule(url: string): Promise<Object> {
+  return dynamicImport(url);
+}
+
+// The number of ES module config files imported, used to give a new URL to
+// each import of a config file.
+let esModuleImportCount = 0;
+
 type ApplyConfigToArgvParams = {|
   // This is the argv object which will get updated by each
   // config applied.
@@ -21,16 +50,191 @@ type ApplyConfigToArgvParams = {|
   configObject: Object,
   options: Object,
   configFileName: string,
+  // The name of the profile (defined in the profiles object of the config)
+  // to apply on top of the other options of the config.
+  configProfile?: string,
+|};
+
+type ApplyConfigObjectParams = {|
+  argv: Object,
+  argvFromCLI: Object,
+  configObject: Object,
+  options: Object,
+  configFileName: string,
 |};
 
+/*
+ * Returns true for the config file of the home directory, which isn't
+ * related to a project: its relative paths are resolved from the current
+ * directory, as the ones set on the command line.
+ */
+function isHomeConfigFile(configFileName: string): boolean {
+  const resolvedFileName = path.resolve(configFileName);
+  return path.dirname(resolvedFileName) === path.resolve(os.homedir()) &&
+    path.basename(resolvedFileName).startsWith('.');
+}
+
+/*
+ * Resolve a relative path set in a config file relative to the directory
+ * of the config file, preserving the leading "!" of the negated ignore
+ * patterns.
+ */
+function resolveConfigFilePath(
+  filePath: string, configFileName: string
+): string {
+  if (isHomeConfigFile(configFileName)) {
+    return filePath;
+  }
+
+  const configDir = path.dirname(path.resolve(configFileName));
+  if (filePath.startsWith('!')) {
+    return `!${path.resolve(configDir, filePath.substr(1))}`;
+  }
+  return path.resolve(configDir, filePath);
+}
+
+function resolveConfigPath(
+  value: string | Array<string>, configFileName: string
+): string | Array<string> {
+  if (Array.isArray(value)) {
+    return value.map(
+      (filePath) => resolveConfigFilePath(filePath, configFileName)
+    );
+  }
+  return resolveConfigFilePath(value, configFileName);
+}
+
+/*
+ * Resolve the ignoreFiles patterns of a config file like the other paths,
+ * except the ones which can't match any file of the source directories
+ * once resolved from the config file directory: these patterns are still
+ * relative to the source directories, as in the previous versions.
+ */
+function resolveConfigIgnoreFiles(
+  patterns: Array<string>,
+  configFileName: string,
+  sourceDir: string | Array<string> | void
+): Array<string> {
+  if (isHomeConfigFile(configFileName)) {
+    return patterns;
+  }
+  const sourceDirs = [].concat(sourceDir || []).map(
+    (dir) => path.resolve(dir)
+  );
+
+  return patterns.map((pattern) => {
+    const resolvedPattern = resolveConfigFilePath(pattern, configFileName);
+    if (sourceDirs.length === 0 || path.isAbsolute(pattern.replace(/^!/, ''))) {
+      return resolvedPattern;
+    }
+
+    // The directory (or the file) which contains all the files matched
+    // by the pattern.
+    const segments = resolvedPattern.replace(/^!/, '').split(path.sep);
+    const globIndex = segments.findIndex(
+      (segment) => /[*?[\]{}()!+@]/.test(segment)
+    );
+    const baseDir = (
+      globIndex === -1 ? segments : segments.slice(0, globIndex)
+    ).join(path.sep) || path.sep;
+
+    const canMatchSourceDir = sourceDirs.some((dir) => {
+      return dir === baseDir || isSubPath(dir, baseDir) ||
+        isSubPath(baseDir, dir);
+    });
+    if (canMatchSourceDir) {
+      return resolvedPattern;
+    }
+
+    log.warn(
+      `The ignoreFiles pattern "${pattern}" of ${configFileName} is ` +
+      'resolved relative to the source directory. This is deprecated: ' +
+      'the relative paths of the config files are resolved from the ' +
+      'config file directory.'
+    );
+    return pattern;
+  });
+}
+
+function getConfigValueType(value: mixed): string {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/*
+ * Returns true if the config object (loaded from a config file) defines
+ * the given profile.
+ */
+export function hasConfigProfile(
+  configObject: Object, configProfile: string
+): boolean {
+  const {profiles} = configObject;
+  return getConfigValueType(profiles) === 'object' &&
+    Object.prototype.hasOwnProperty.call(profiles, configProfile);
+}
+
 export function applyConfigToArgv({
   argv,
   argvFromCLI,
   configObject,
   options,
   configFileName,
+  configProfile,
 }: ApplyConfigToArgvParams): Object {
+  const {profiles, ...baseConfigObject} = configObject;
+
+  let newArgv = applyConfigObject({
+    argv,
+    argvFromCLI,
+    configObject: baseConfigObject,
+    options,
+    configFileName,
+  });
+
+  if (profiles === undefined) {
+    return newArgv;
+  }
+  if (getConfigValueType(profiles) !== 'object') {
+    throw new UsageError(`The config file at ${configFileName} specified ` +
+      'the type of "profiles" incorrectly as ' +
+      `"${getConfigValueType(profiles)}" (expected type "object")`);
+  }
+
+  if (configProfile && hasConfigProfile(configObject, configProfile)) {
+    const profileObject = profiles[configProfile];
+    if (getConfigValueType(profileObject) !== 'object') {
+      throw new UsageError(`The config file at ${configFileName} specified ` +
+        `the type of the "${configProfile}" profile incorrectly as ` +
+        `"${getConfigValueType(profileObject)}" (expected type "object")`);
+    }
+
+    log.debug(
+      `Applying the "${configProfile}" profile of ${configFileName}`);
+    // The profile options override the other options of the config file,
+    // and they are validated in the same way.
+    newArgv = applyConfigObject({
+      argv: newArgv,
+      argvFromCLI,
+      configObject: profileObject,
+      options,
+      configFileName,
+    });
+  }
+
+  return newArgv;
+}
+
+function applyConfigObject({
+  argv,
+  argvFromCLI,
+  configObject,
+  options,
+  configFileName,
+}: ApplyConfigObjectParams): Object {
   let newArgv = {...argv};
+  let configIgnoreFiles;
 
   for (const option of Object.keys(configObject)) {
     if (camelCase(option) !== option) {
@@ -45,7 +249,7 @@ export function applyConfigToArgv({
       typeof options[option] === 'object' &&
       typeof configObject[option] === 'object') {
       // Descend into the nested configuration for a sub-command.
-      newArgv = applyConfigToArgv({
+      newArgv = applyConfigObject({
         argv: newArgv,
         argvFromCLI,
         configObject: configObject[option],
@@ -74,7 +278,14 @@ export function applyConfigToArgv({
         'array' : typeof configObject[option]
     );
 
-    if (optionType !== expectedType) {
+    // Options that can be repeated on the command line (e.g. sourceDir)
+    // are also allowed to be configured as an array of values.
+    const isMultipleValue = (
+      optionType === 'array' && options[decamelizedOptName].multiple &&
+      configObject[option].every((value) => typeof value === expectedType)
+    );
+
+    if (optionType !== expectedType && !isMultipleValue) {
       throw new UsageError(`The config file at ${configFileName} specified ` +
         `the type of "${option}" incorrectly as "${optionType}"` +
         ` (expected type "${expectedType}")`);
@@ -107,6 +318,14 @@ export function applyConfigToArgv({
 
     newArgv[option] = configObject[option];
 
+    if (options[decamelizedOptName].isPath && option === 'ignoreFiles') {
+      configIgnoreFiles = configObject[option];
+    } else if (options[decamelizedOptName].isPath) {
+      newArgv[option] = resolveConfigPath(
+        configObject[option], configFileName
+      );
+    }
+
     const coerce = options[decamelizedOptName].coerce;
     if (coerce) {
       log.debug(
@@ -116,69 +335,190 @@ export function applyConfigToArgv({
 
     newArgv[decamelizedOptName] = newArgv[option];
   }
+
+  // The ignoreFiles patterns are resolved once the source directories
+  // of the config file are known.
+  if (configIgnoreFiles) {
+    newArgv.ignoreFiles = newArgv['ignore-files'] = resolveConfigIgnoreFiles(
+      configIgnoreFiles, configFileName, newArgv.sourceDir
+    );
+  }
+
   return newArgv;
 }
 
-export function loadJSConfigFile(filePath: string): Object {
+export type LoadJSConfigFileOptions = {|
+  importModule?: (url: string) => Promise<Object>,
+|};
+
+/*
+ * Load a config file, which can be a CommonJS module (.js or .cjs), an ES
+ * module (.mjs, or .js in a package with "type": "module") exporting the
+ * config object as its default export, or a JSON file (the options are read
+ * from the webExt key of the package.json files).
+ */
+export async function loadJSConfigFile(
+  filePath: string,
+  {importModule = defaultImportModule}: LoadJSConfigFileOptions = {}
+): Promise<Object> {
   const resolvedFilePath = path.resolve(filePath);
   log.debug(
     `Loading JS config file: "${filePath}" ` +
     `(resolved to "${resolvedFilePath}")`);
+
+  const importESModule = async () => {
+    // Like import-fresh, make sure the config file is loaded again if it
+    // has already been imported.
+    esModuleImportCount++;
+    const url = `${String(pathToFileURL(resolvedFilePath))}` +
+      `?t=${esModuleImportCount}`;
+    return importModule(url);
+  };
+
   let configObject;
   try {
-    configObject = importFresh(resolvedFilePath);
+    if (resolvedFilePath.endsWith('.json')) {
+      configObject = JSON.parse(await fs.readFile(resolvedFilePath, 'utf8'));
+    } else if (resolvedFilePath.endsWith('.mjs')) {
+      configObject = await importESModule();
+    } else {
+      try {
+        configObject = importFresh(resolvedFilePath);
+      } catch (error) {
+        if (error.code !== 'ERR_REQUIRE_ESM' &&
+            error.code !== 'ERR_REQUIRE_ASYNC_MODULE') {
+          throw error;
+        }
+        log.debug(`Loading ${resolvedFilePath} as an ES module`);
+        configObject = await importESModule();
+      }
+    }
   } catch (error) {
     log.debug('Handling error:', error);
     throw new UsageError(
       `Cannot read config file: ${resolvedFilePath}\n` +
       `Error: ${error.message}`);
   }
+  if (configObject && configObject[Symbol.toStringTag] === 'Module') {
+    configObject = configObject.default || {};
+  }
   if (filePath.endsWith('package.json')) {
     log.debug('Looking for webExt key inside package.json file');
     configObject = configObject.webExt || {};
   }
   if (Object.keys(configObject).length === 0) {
     log.debug(`Config file ${resolvedFilePath} did not define any options. ` +
-      'Did you set module.exports = {...}?');
+      'Did you set module.exports = {...} or export default {...}?');
   }
   return configObject;
 }
 
 type DiscoverConfigFilesParams = {|
-  getHomeDir: () => string,
+  getHomeDir?: () => string,
+  // The directories to look for config files in (and in their parent
+  // directories), in addition to the current working directory.
+  sourceDirs?: Array<string>,
 |};
 
+async function isVCSRoot(dir: string): Promise<boolean> {
+  for (const marker of VCS_ROOT_MARKERS) {
+    try {
+      await fs.stat(path.join(dir, marker));
+      return true;
+    } catch (error) {
+      if (!isErrorWithCode(['ENOENT', 'ENOTDIR', 'EACCES'], error)) {
+        throw error;
+      }
+    }
+  }
+  return false;
+}
+
+/*
+ * Returns the given directory and its parent directories, up to the
+ * filesystem root, the home directory or the nearest VCS root.
+ */
+async function getConfigDirs(
+  dir: string, homeDir: string
+): Promise<Array<string>> {
+  let currentDir = path.resolve(dir);
+  const dirs = [currentDir];
+  while (path.dirname(currentDir) !== currentDir &&
+         currentDir !== homeDir &&
+         !(await isVCSRoot(currentDir))) {
+    currentDir = path.dirname(currentDir);
+    dirs.push(currentDir);
+  }
+  return dirs;
+}
+
+/*
+ * Returns the config file of a directory, if any, or throws a UsageError
+ * when the directory contains more than one of them.
+ */
+async function findConfigFile(
+  dir: string, fileNames: Array<string>
+): Promise<string | void> {
+  const configs = [];
+  for (const fileName of fileNames) {
+    const resolvedFileName = path.resolve(dir, fileName);
+    if (await fileExists(resolvedFileName)) {
+      configs.push(resolvedFileName);
+    } else {
+      log.debug(
+        `Discovered config "${resolvedFileName}" does not ` +
+        'exist or is not readable');
+    }
+  }
+
+  if (configs.length > 1) {
+    throw new UsageError(
+      `Found more than one config file in ${path.resolve(dir)}: ` +
+      `${configs.map((f) => path.basename(f)).join(', ')}. ` +
+      'Remove all but one of them.');
+  }
+  return configs[0];
+}
+
 export async function discoverConfigFiles(
-  {getHomeDir = os.homedir}: DiscoverConfigFilesParams = {}
+  {
+    getHomeDir = os.homedir,
+    sourceDirs = [],
+  }: DiscoverConfigFilesParams = {}
 ): Promise<Array<string>> {
-  const magicConfigName = 'web-ext-config.js';
+  const homeDir = path.resolve(getHomeDir());
+  const configDirs = new Set();
+  for (const dir of [process.cwd(), ...sourceDirs]) {
+    for (const configDir of await getConfigDirs(dir, homeDir)) {
+      configDirs.add(configDir);
+    }
+  }
+  // Apply the configs of the outermost directories first, so that the
+  // configs of the innermost directories override them.
+  const getDepth = (dir) => dir.split(path.sep).filter(Boolean).length;
+  const sortedConfigDirs = Array.from(configDirs).sort(
+    (a, b) => getDepth(a) - getDepth(b)
+  );
 
-  // Config files will be loaded in this order.
+  // Config files will be loaded in this order, the options of each config
+  // file overriding the ones of the previous config files.
   const possibleConfigs = [
     // Look for a magic hidden config (preceded by dot) in home dir.
-    path.join(getHomeDir(), `.${magicConfigName}`),
-    // Look for webExt key inside package.json file
-    path.join(process.cwd(), 'package.json'),
-    // Look for a magic config in the current working directory.
-    path.join(process.cwd(), magicConfigName),
+    findConfigFile(
+      homeDir, CONFIG_FILE_NAMES.map((fileName) => `.${fileName}`)
+    ),
   ];
-
-  const configs = await Promise.all(possibleConfigs.map(
-    async (fileName) => {
-      const resolvedFileName = path.resolve(fileName);
-      if (await fileExists(resolvedFileName)) {
-        return resolvedFileName;
-      } else {
-        log.debug(
-          `Discovered config "${resolvedFileName}" does not ` +
-          'exist or is not readable');
-        return undefined;
-      }
-    }
-  ));
+  for (const dir of sortedConfigDirs) {
+    possibleConfigs.push(
+      // Look for webExt key inside package.json file
+      findConfigFile(dir, ['package.json']),
+      // Look for a magic config in the directory.
+      findConfigFile(dir, CONFIG_FILE_NAMES),
+    );
+  }
 
   const existingConfigs = [];
-  configs.forEach((f) => {
+  (await Promise.all(possibleConfigs)).forEach((f) => {
     if (typeof f === 'string') {
       existingConfigs.push(f);
     }
@@ -37,4 +37,15 @@ export interface IExtensionRunner {
   ): Promise<Array<ExtensionRunnerReloadResult>>,
   registerCleanup(fn: Function): void,
   exit(): Promise<void>,
+  // Optionally implemented by the runners which can rebuild and reinstall
+  // the extensions (the others reload them instead).
+  +reinstallAllExtensions?: () => Promise<Array<ExtensionRunnerReloadResult>>,
+  // Optionally implemented by the runners which can open the start URLs
+  // again in the running browser.
+  +openStartUrls?: () => Promise<void>,
+  // Optionally implemented by the runners which can save a screenshot
+  // of the browser (resolves to the saved files).
+  +takeScreenshots?: () => Promise<Array<string>>,
+  // Optionally implemented by the runners which manage other runners.
+  +canTakeScreenshots?: () => boolean,
 }
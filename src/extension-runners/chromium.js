@@ -15,8 +15,18 @@ import {
 } from 'chrome-launcher';
 import WebSocket from 'ws';
 
-import {createLogger} from '../util/logger';
+import {
+  connectToChromiumDevTools as defaultConnectToDevTools,
+  getUnpackedExtensionId,
+} from '../chromium/devtools';
+import {
+  getChromiumVersion as defaultGetChromiumVersion,
+} from '../chromium/version';
+import {MultiExtensionsReloadError, WebExtError} from '../errors';
+import {printExtensionConsoleMessage} from '../util/extension-console';
+import {consoleStream, createLogger} from '../util/logger';
 import {TempDir} from '../util/temp-dir';
+import type {ChromiumDevTools} from '../chromium/devtools';
 import type {
   ExtensionRunnerParams,
   ExtensionRunnerReloadResult,
@@ -28,6 +38,8 @@ type ChromiumSpecificRunnerParams = {|
    chromiumBinary?: string,
    chromiumProfile?: string,
    chromiumLaunch?: typeof defaultChromiumLaunch,
+   connectToDevTools?: typeof defaultConnectToDevTools,
+   getChromiumVersion?: typeof defaultGetChromiumVersion,
 |};
 
 export type ChromiumExtensionRunnerParams = {|
@@ -43,6 +55,10 @@ const EXCLUDED_CHROME_FLAGS = [
   '--mute-audio',
 ];
 
+// The first Chromium version which keeps an extension service worker alive
+// while it exchanges WebSocket messages, needed by the MV3 reload manager.
+export const CHROMIUM_MV3_RELOAD_MANAGER_MIN_VERSION = 116;
+
 export const DEFAULT_CHROME_FLAGS: Array<string> = ChromeLauncher.defaultFlags()
   .filter((flag) => !EXCLUDED_CHROME_FLAGS.includes(flag));
 
@@ -54,6 +70,9 @@ export class ChromiumExtensionRunner {
   params: ChromiumExtensionRunnerParams;
   chromiumInstance: ?ChromeLauncher;
   chromiumLaunch: typeof defaultChromiumLaunch;
+  devTools: ?ChromiumDevTools;
+  // Map extensions sourceDir to the extension ids assigned by Chromium.
+  extensionIds: Map<string, string>;
   reloadManagerExtension: string;
   wss: ?WebSocket.Server;
   exiting: boolean;
@@ -66,6 +85,7 @@ export class ChromiumExtensionRunner {
     this.params = params;
     this.chromiumLaunch = chromiumLaunch;
     this.cleanupCallbacks = new Set();
+    this.extensionIds = new Map();
   }
 
   // Method exported from the IExtensionRunner interface.
@@ -150,8 +170,28 @@ export class ChromiumExtensionRunner {
       });
     });
 
-    // Create the extension that will manage the addon reloads
-    this.reloadManagerExtension = await this.createReloadManagerExtension();
+    // Create the extension that will manage the addon reloads, using
+    // the manifest version supported by the Chromium instance (newer
+    // versions don't support Manifest V2 extensions anymore).
+    const {
+      getChromiumVersion = defaultGetChromiumVersion,
+    } = this.params;
+    const chromiumVersion = await getChromiumVersion(
+      this.params.chromiumBinary
+    );
+    const useMV2 = chromiumVersion !== undefined &&
+      chromiumVersion < CHROMIUM_MV3_RELOAD_MANAGER_MIN_VERSION;
+    this.reloadManagerExtension = await this.createReloadManagerExtension(
+      useMV2 ? 2 : 3
+    );
+
+    for (const {sourceDir, manifestData} of this.params.extensions) {
+      // Chromium assigns the extension ID from the resolved path.
+      const realSourceDir = await fs.realpath(sourceDir).catch(() => sourceDir);
+      this.extensionIds.set(
+        sourceDir, getUnpackedExtensionId(realSourceDir, manifestData)
+      );
+    }
 
     // Start chrome pointing it to a given profile dir
     const extensions = [this.reloadManagerExtension].concat(
@@ -215,13 +255,14 @@ export class ChromiumExtensionRunner {
 
     let startingUrl;
     if (this.params.startUrl) {
+      // Copy the start URLs, they are opened again by openStartUrls.
       const startingUrls = Array.isArray(this.params.startUrl) ?
-        this.params.startUrl : [this.params.startUrl];
+        [...this.params.startUrl] : [this.params.startUrl];
       startingUrl = startingUrls.shift();
       chromeFlags.push(...startingUrls);
     }
 
-    this.chromiumInstance = await this.chromiumLaunch({
+    const chromiumInstance = this.chromiumInstance = await this.chromiumLaunch({
       enableExtensions: true,
       chromePath: chromiumBinary,
       chromeFlags,
@@ -231,7 +272,7 @@ export class ChromiumExtensionRunner {
       ignoreDefaultFlags: true,
     });
 
-    this.chromiumInstance.process.once('close', () => {
+    chromiumInstance.process.once('close', () => {
       this.chromiumInstance = null;
 
       if (!this.exiting) {
@@ -239,9 +280,111 @@ export class ChromiumExtensionRunner {
         this.exit();
       }
     });
+
+    if (chromiumInstance.port) {
+      // The extension console output is useful but not required to run
+      // the extensions.
+      await this.forwardExtensionConsole(chromiumInstance.port)
+        .catch((error) => {
+          log.warn(`Unable to forward the extension console: ${error}`);
+        });
+    }
+  }
+
+  async forwardExtensionConsole(port: number): Promise<void> {
+    const {
+      connectToDevTools = defaultConnectToDevTools,
+      extensions,
+    } = this.params;
+
+    const devToolsExtensions = [];
+    for (const {sourceDir, manifestData} of extensions) {
+      const id = this.extensionIds.get(sourceDir);
+      if (id) {
+        devToolsExtensions.push({id, name: manifestData.name});
+      }
+    }
+
+    const devTools = this.devTools = await connectToDevTools(port);
+    await devTools.forwardExtensionConsole(
+      devToolsExtensions, (message, extension) => {
+        printExtensionConsoleMessage(message, `[${extension.name}]`);
+      }
+    );
   }
 
-  async wssBroadcast(data: Object): Promise<void> {
+  /**
+   * Asks the reload manager extension to reload the extensions loaded
+   * from the given source directories, and resolves to a map of the
+   * reload errors by source directory.
+   */
+  async reloadExtensionsBySourceDirs(
+    sourceDirs: Array<string>
+  ): Promise<Map<string, Error>> {
+    const reloadErrors = new Map();
+    const sourceDirsById = new Map();
+    const extensions = [];
+
+    for (const sourceDir of sourceDirs) {
+      const extensionId = this.extensionIds.get(sourceDir);
+      const extension = this.params.extensions.find(
+        (ext) => ext.sourceDir === sourceDir
+      );
+      if (extensionId && extension) {
+        sourceDirsById.set(extensionId, sourceDir);
+        // The manifest name and version are used by the reload manager
+        // to find the extension when its id doesn't match the one
+        // computed from the source dir.
+        extensions.push({
+          extensionId,
+          name: extension.manifestData.name,
+          version: extension.manifestData.version,
+        });
+      } else {
+        reloadErrors.set(sourceDir, new WebExtError(
+          'Extension not reloadable: ' +
+          `no extension id has been mapped to "${sourceDir}"`
+        ));
+      }
+    }
+
+    if (sourceDirsById.size > 0) {
+      const response = await this.wssBroadcast({
+        type: 'webExtReloadExtensions',
+        extensions,
+      });
+
+      const results = new Map();
+      for (const result of response?.results || []) {
+        results.set(result.extensionId, result);
+      }
+
+      for (const [extensionId, sourceDir] of sourceDirsById) {
+        const result = results.get(extensionId);
+        if (!response) {
+          reloadErrors.set(sourceDir, new WebExtError(
+            'Extension not reloaded: ' +
+            'the reload manager extension is not connected'
+          ));
+        } else if (!result) {
+          reloadErrors.set(sourceDir, new WebExtError(
+            `Extension not reloaded: no reload result for ${extensionId}`
+          ));
+        } else if (result.error) {
+          reloadErrors.set(sourceDir, new WebExtError(result.error));
+        } else if (result.reloadedId && result.reloadedId !== extensionId) {
+          log.debug(
+            `Extension ${sourceDir} has been loaded as ${result.reloadedId}`
+          );
+          this.extensionIds.set(sourceDir, result.reloadedId);
+        }
+      }
+    }
+
+    return reloadErrors;
+  }
+
+  async wssBroadcast(data: Object): Promise<?Object> {
     return new Promise((resolve) => {
       const clients = this.wss ? new Set(this.wss.clients) : new Set();
 
@@ -259,7 +402,7 @@ export class ChromiumExtensionRunner {
           for (const client of clients) {
             cleanWebExtReloadComplete.call(client);
           }
-          resolve();
+          resolve(msg);
         }
       };
 
@@ -280,7 +423,9 @@ export class ChromiumExtensionRunner {
     });
   }
 
-  async createReloadManagerExtension(): Promise<string> {
+  async createReloadManagerExtension(
+    manifestVersion: number = 2
+  ): Promise<string> {
     const tmpDir = new TempDir();
     await tmpDir.create();
     this.registerCleanup(() => tmpDir.remove());
@@ -290,13 +435,23 @@ export class ChromiumExtensionRunner {
       `reload-manager-extension-${Date.now()}`
     );
 
-    log.debug(`Creating reload-manager-extension in ${extPath}`);
+    log.debug(
+      `Creating MV${manifestVersion} reload-manager-extension in ${extPath}`
+    );
 
     await asyncMkdirp(extPath);
 
     await fs.writeFile(
       path.join(extPath, 'manifest.json'),
-      JSON.stringify({
+      JSON.stringify(manifestVersion === 3 ? {
+        manifest_version: 3,
+        name: 'web-ext Reload Manager Extension',
+        version: '1.0',
+        permissions: ['management', 'tabs', 'alarms'],
+        background: {
+          service_worker: 'bg.js',
+        },
+      } : {
         manifest_version: 2,
         name: 'web-ext Reload Manager Extension',
         version: '1.0',
@@ -310,7 +465,9 @@ export class ChromiumExtensionRunner {
     // $FlowIgnore: this method is only called right after creating the server and so wss should be defined.
     const wssInfo = this.wss.address();
 
-    const bgPage = `(function bgPage() {
+    // The reload logic shared by the MV2 background page and the MV3
+    // background service worker.
+    const reloadManager = `
       async function getAllDevExtensions() {
         const allExtensions = await new Promise(
           r => chrome.management.getAll(r));
@@ -324,25 +481,128 @@ export class ChromiumExtensionRunner {
       const setEnabled = (extensionId, value) =>
         chrome.runtime.id == extensionId ?
         new Promise.resolve() :
-        new Promise(r => chrome.management.setEnabled(extensionId, value, r));
+        new Promise((resolve, reject) => {
+          chrome.management.setEnabled(extensionId, value, () => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve();
+            }
+          });
+        });
 
       async function reloadExtension(extensionId) {
         await setEnabled(extensionId, false);
         await setEnabled(extensionId, true);
       }
 
-      const ws = new window.WebSocket(
-        "ws://${wssInfo.address}:${wssInfo.port}");
+      // Reload the given extensions and collect the errors by extension id.
+      async function reloadExtensions(extensions) {
+        const devExtensions = await getAllDevExtensions();
+        const devExtensionIds = devExtensions.map(ext => ext.id);
+        const requestedIds = extensions.map(ext => ext.extensionId);
+
+        return Promise.all(extensions.map(async (extension) => {
+          const {extensionId} = extension;
+          let reloadedId = extensionId;
+
+          if (!devExtensionIds.includes(extensionId)) {
+            // The id computed from the source dir doesn't match when the
+            // install path differs (e.g. symlinks or path normalization),
+            // and chrome.management doesn't expose the install path: fall
+            // back to the single other development extension with the same
+            // manifest name and version.
+            const matches = devExtensions.filter((ext) => {
+              return !requestedIds.includes(ext.id) &&
+                ext.name === extension.name &&
+                ext.version === extension.version;
+            });
+            if (matches.length !== 1) {
+              return {
+                extensionId,
+                error: "No development extension found with id " + extensionId,
+              };
+            }
+            reloadedId = matches[0].id;
+          }
+
+          try {
+            await reloadExtension(reloadedId);
+            return reloadedId === extensionId ?
+              {extensionId} : {extensionId, reloadedId};
+          } catch (error) {
+            return {extensionId, error: String(error.message || error)};
+          }
+        }));
+      }
 
-      ws.onmessage = async (evt) => {
+      async function handleMessage(ws, evt) {
         const msg = JSON.parse(evt.data);
-        if (msg.type === 'webExtReloadAllExtensions') {
-          const devExtensions = await getAllDevExtensions();
-          await Promise.all(devExtensions.map(ext => reloadExtension(ext.id)));
-          ws.send(JSON.stringify({ type: 'webExtReloadExtensionComplete' }));
+        if (msg.type === 'webExtReloadExtensions') {
+          const results = await reloadExtensions(msg.extensions);
+          ws.send(JSON.stringify({
+            type: 'webExtReloadExtensionComplete',
+            results,
+          }));
         }
-      };
-    })()`;
+      }
+
+      const wsURL = "ws://${wssInfo.address}:${wssInfo.port}";
+    `;
+
+    let bgPage;
+    if (manifestVersion === 3) {
+      bgPage = `(function bgServiceWorker() {
+        ${reloadManager}
+
+        // The service worker can be suspended when idle: the messages sent
+        // on the WebSocket keep it alive (Chromium 116 and later), and an
+        // alarm restarts it and reconnects the WebSocket otherwise.
+        const KEEP_ALIVE_INTERVAL = 20000;
+        const RECONNECT_DELAY = 1000;
+        let ws;
+        let keepAliveTimer;
+
+        function connect() {
+          if (ws && ws.readyState <= WebSocket.OPEN) {
+            return;
+          }
+
+          ws = new WebSocket(wsURL);
+          const currentWs = ws;
+
+          ws.onopen = () => {
+            clearInterval(keepAliveTimer);
+            keepAliveTimer = setInterval(() => {
+              if (currentWs.readyState === WebSocket.OPEN) {
+                currentWs.send(JSON.stringify({type: 'webExtKeepAlive'}));
+              }
+            }, KEEP_ALIVE_INTERVAL);
+          };
+          ws.onmessage = (evt) => handleMessage(currentWs, evt);
+          ws.onclose = () => {
+            clearInterval(keepAliveTimer);
+            if (ws === currentWs) {
+              ws = null;
+              setTimeout(connect, RECONNECT_DELAY);
+            }
+          };
+        }
+
+        chrome.alarms.onAlarm.addListener(connect);
+        chrome.alarms.create('webExtKeepAlive', {periodInMinutes: 0.5});
+
+        connect();
+      })()`;
+    } else {
+      bgPage = `(function bgPage() {
+        ${reloadManager}
+
+        const ws = new window.WebSocket(wsURL);
+
+        ws.onmessage = (evt) => handleMessage(ws, evt);
+      })()`;
+    }
 
     await fs.writeFile(path.join(extPath, 'bg.js'), bgPage);
     return extPath;
@@ -355,14 +615,21 @@ export class ChromiumExtensionRunner {
   async reloadAllExtensions(): Promise<Array<ExtensionRunnerReloadResult>> {
     const runnerName = this.getName();
 
-    await this.wssBroadcast({
-      type: 'webExtReloadAllExtensions',
-    });
+    const reloadErrors = await this.reloadExtensionsBySourceDirs(
+      this.params.extensions.map(({sourceDir}) => sourceDir)
+    );
 
-    process.stdout.write(
-      `\rLast extension reload: ${(new Date()).toTimeString()}`);
+    consoleStream.writeStatus(
+      `Last extension reload: ${(new Date()).toTimeString()}`);
     log.debug('\n');
 
+    if (reloadErrors.size > 0) {
+      return [{
+        runnerName,
+        reloadError: new MultiExtensionsReloadError(reloadErrors),
+      }];
+    }
+
     return [{runnerName}];
   }
 
@@ -371,12 +638,41 @@ export class ChromiumExtensionRunner {
    * an array composed by a single ExtensionRunnerReloadResult object.
    */
   async reloadExtensionBySourceDir(
-    extensionSourceDir: string // eslint-disable-line no-unused-vars
+    extensionSourceDir: string
   ): Promise<Array<ExtensionRunnerReloadResult>> {
-    // TODO(rpl): detect the extension ids assigned to the
-    // target extensions and map it to the extensions source dir
-    // (https://github.com/mozilla/web-ext/issues/1687).
-    return this.reloadAllExtensions();
+    const runnerName = this.getName();
+
+    const reloadErrors = await this.reloadExtensionsBySourceDirs(
+      [extensionSourceDir]
+    );
+    const reloadError = reloadErrors.get(extensionSourceDir);
+
+    if (reloadError) {
+      return [{runnerName, reloadError, sourceDir: extensionSourceDir}];
+    }
+
+    return [{runnerName, sourceDir: extensionSourceDir}];
+  }
+
+  /**
+   * Opens the start URLs again in new tabs.
+   */
+  async openStartUrls(): Promise<void> {
+    const {devTools, params: {startUrl}} = this;
+    if (!startUrl || startUrl.length === 0) {
+      log.info(`No start URL to open in ${this.getName()}`);
+      return;
+    }
+
+    if (!devTools) {
+      throw new WebExtError(
+        'Unable to open the start URLs: DevTools is not connected'
+      );
+    }
+
+    for (const url of Array.isArray(startUrl) ? startUrl : [startUrl]) {
+      await devTools.send('Target.createTarget', {url});
+    }
   }
 
   /**
@@ -403,6 +699,11 @@ export class ChromiumExtensionRunner {
       });
     }
 
+    if (this.devTools) {
+      this.devTools.close();
+      this.devTools = null;
+    }
+
     if (this.chromiumInstance) {
       await this.chromiumInstance.kill();
       this.chromiumInstance = null;
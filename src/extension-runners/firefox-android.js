@@ -5,11 +5,18 @@
  * in a Firefox for Android instance.
  */
 
+import {createWriteStream} from 'fs';
 import path from 'path';
 import readline from 'readline';
 
 import {withTempDir} from '../util/temp-dir';
-import DefaultADBUtils from '../util/adb';
+import DefaultADBUtils, {
+  formatLogcatEntry,
+  getAPKPackageName as defaultGetAPKPackageName,
+  isExtensionLogcatEntry,
+  printLogcatEntry,
+} from '../util/adb';
+import {prepareArtifactsDir} from '../util/artifacts';
 import {
   showDesktopNotification as defaultDesktopNotifications,
 } from '../util/desktop-notifier';
@@ -61,6 +68,9 @@ export type FirefoxAndroidExtensionRunnerParams = {|
   // Firefox specific.
   customPrefs?: FirefoxPreferences,
 
+  // The directory where the device Logcat is saved.
+  artifactsDir?: string,
+
   // Not supported (currently ignored with logged warning).
   preInstall?: boolean,
   browserConsole?: boolean,
@@ -70,15 +80,24 @@ export type FirefoxAndroidExtensionRunnerParams = {|
   adbHost?: string,
   adbPort?: string,
   adbDevice?: string,
+  adbConnect?: string,
+  adbPair?: string,
+  adbPairCode?: string,
   adbDiscoveryTimeout?: number,
   adbRemoveOldArtifacts?: boolean,
   firefoxApk?: string,
   firefoxApkComponent?: string,
+  firefoxApkFile?: string,
+  androidAttach?: boolean,
+  androidRecord?: boolean,
+  androidEmulatorAvd?: string,
+  androidApkFile?: string,
 
   // Injected Dependencies.
   firefoxApp: typeof defaultFirefoxApp,
   firefoxClient: typeof defaultFirefoxConnector,
   ADBUtils?: typeof DefaultADBUtils,
+  getAPKPackageName?: typeof defaultGetAPKPackageName,
   buildSourceDir: (string, string) => Promise<ExtensionBuildResult>,
   desktopNotifications: typeof defaultDesktopNotifications,
   stdin?: stream$Readable,
@@ -92,10 +111,24 @@ export class FirefoxAndroidExtensionRunner {
   static unixSocketDiscoveryRetryInterval: number = 3 * 1000;
   // Wait for at most 3 minutes before giving up.
   static unixSocketDiscoveryMaxTime: number = 3 * 60 * 1000;
+  // Wait 3s before checking again if the emulator has completed its boot.
+  static emulatorBootRetryInterval: number = 3 * 1000;
+  // Wait for at most 5 minutes before giving up.
+  static emulatorBootMaxTime: number = 5 * 60 * 1000;
 
   params: FirefoxAndroidExtensionRunnerParams;
   adbUtils: DefaultADBUtils;
+  // True when the extensions are installed in an already running
+  // Firefox for Android instance (--android-attach).
+  attachedToRunningPackage: boolean;
   exiting: boolean;
+  // The adb device id of the emulator started by this runner, if any
+  // (--android-emulator-avd).
+  startedEmulatorDevice: string | void;
+  // The device connected over Wi-Fi by this runner, if any (--adb-connect).
+  connectedAdbDevice: string | void;
+  // The package installed from --firefox-apk-file, if any.
+  installedFirefoxApk: string | void;
   selectedAdbDevice: string;
   selectedFirefoxApk: string;
   selectedArtifactsDir: string;
@@ -105,12 +138,20 @@ export class FirefoxAndroidExtensionRunner {
   adbExtensionsPathBySourceDir: Map<string, string>;
   reloadableExtensions: Map<string, string>;
   remoteFirefox: RemoteFirefox;
+  logcatReader: any;
+  logcatFile: string | void;
+  logcatFileStream: stream$Writable | void;
+  // The screen recording files on the device (a new file is started each
+  // time screenrecord reaches its time limit).
+  recordingDevicePaths: Array<string>;
+  recordingPromise: Promise<void> | void;
 
   constructor(params: FirefoxAndroidExtensionRunnerParams) {
     this.params = params;
     this.cleanupCallbacks = new Set();
     this.adbExtensionsPathBySourceDir = new Map();
     this.reloadableExtensions = new Map();
+    this.recordingDevicePaths = [];
 
     // Print warning for not currently supported options (e.g. preInstall,
     // cloned profiles, browser console).
@@ -129,9 +170,45 @@ export class FirefoxAndroidExtensionRunner {
       adbBin, adbHost, adbPort,
     });
 
+    if (this.params.adbPair || this.params.adbConnect) {
+      await this.adbConnectWirelessDevice();
+    }
+
+    if (this.params.androidEmulatorAvd) {
+      await this.adbStartEmulator();
+    }
+
     await this.adbDevicesDiscoveryAndSelect();
+
+    if (this.params.androidApkFile) {
+      await this.adbInstallAPKFile();
+    }
+
+    if (this.params.firefoxApkFile) {
+      await this.adbInstallFirefoxAPKFile();
+    }
+
     await this.apkPackagesDiscoveryAndSelect();
     await this.adbCheckRuntimePermissions();
+
+    if (this.params.androidAttach) {
+      this.attachedToRunningPackage = await this.adbAttachRunningPackage();
+    }
+
+    if (this.attachedToRunningPackage) {
+      // Reuse the running instance (and its profile) as is, the extensions
+      // only need to be pushed to the device before being installed.
+      this.selectedArtifactsDir = await this.adbUtils.getOrCreateArtifactsDir(
+        this.selectedAdbDevice
+      );
+      await this.buildAndPushExtensions();
+      await this.adbForwardRDPUnixSocket();
+      await this.rdpInstallExtensions();
+      await this.adbStartLogcat();
+      this.adbStartScreenRecording();
+      return;
+    }
+
     await this.adbForceStopSelectedPackage();
 
     // Create profile prefs (with enabled remote RDP server), prepare the
@@ -161,15 +238,24 @@ export class FirefoxAndroidExtensionRunner {
     // Connect to RDP socket on the local tcp server, install all the pushed extension
     // and keep track of the built and installed extension by extension sourceDir.
     await this.rdpInstallExtensions();
+
+    // Stream the extensions related Logcat entries and save the full
+    // Logcat in the artifacts dir.
+    await this.adbStartLogcat();
+
+    // Record the device screen until exit (--android-record).
+    this.adbStartScreenRecording();
   }
 
   // Method exported from the IExtensionRunner interface.
 
   /**
-   * Returns the runner name.
+   * Returns the runner name (labelled with the device id once known, to
+   * tell apart the runners started on multiple devices).
    */
   getName(): string {
-    return 'Firefox Android';
+    const adbDevice = this.selectedAdbDevice || this.params.adbDevice;
+    return adbDevice ? `Firefox Android (${adbDevice})` : 'Firefox Android';
   }
 
   /**
@@ -232,6 +318,34 @@ export class FirefoxAndroidExtensionRunner {
     return [{runnerName, sourceDir: extensionSourceDir}];
   }
 
+  /**
+   * Saves a screenshot of the device screen in the artifacts dir and
+   * resolves to an array composed by the saved file.
+   */
+  async takeScreenshots(): Promise<Array<string>> {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+      selectedArtifactsDir,
+    } = this;
+
+    if (!selectedArtifactsDir) {
+      throw new WebExtError(
+        `${this.getName()} is not ready to take a screenshot`
+      );
+    }
+
+    const screenshotFile = await this.getArtifactFilePath('screenshot', 'png');
+    const devicePath = `${selectedArtifactsDir}/screenshot.png`;
+
+    await adbUtils.screencap(selectedAdbDevice, devicePath);
+    await adbUtils.pullFile(selectedAdbDevice, devicePath, screenshotFile);
+
+    log.info(`Saved a screenshot of ${selectedAdbDevice} to ${screenshotFile}`);
+
+    return [screenshotFile];
+  }
+
   /**
    * Register a callback to be called when the runner has been exited
    * (e.g. the Firefox instance exits or the user has requested web-ext
@@ -253,15 +367,29 @@ export class FirefoxAndroidExtensionRunner {
 
     this.exiting = true;
 
+    await this.adbStopLogcat();
+    await this.adbStopScreenRecording();
+
     // If a Firefox for Android instance has been started,
-    // we should ensure that it has been stopped when we exit.
-    await this.adbForceStopSelectedPackage();
+    // we should ensure that it has been stopped when we exit
+    // (an instance we have attached to is left running).
+    if (!this.attachedToRunningPackage) {
+      await this.adbForceStopSelectedPackage();
+    }
 
     if (selectedArtifactsDir) {
       log.debug('Cleaning up artifacts directory on the Android device...');
       await adbUtils.clearArtifactsDir(selectedAdbDevice);
     }
 
+    if (this.startedEmulatorDevice) {
+      await adbUtils.stopAndroidEmulator(this.startedEmulatorDevice);
+    }
+
+    if (this.connectedAdbDevice) {
+      await adbUtils.disconnectDevice(this.connectedAdbDevice);
+    }
+
     // Call all the registered cleanup callbacks.
     for (const fn of this.cleanupCallbacks) {
       try {
@@ -288,9 +416,140 @@ export class FirefoxAndroidExtensionRunner {
     });
   }
 
+  async adbConnectWirelessDevice() {
+    const {
+      adbUtils,
+      params: {
+        adbConnect,
+        adbPair,
+        adbPairCode,
+      },
+    } = this;
+
+    for (const [option, hostPort] of [
+      ['--adb-pair', adbPair], ['--adb-connect', adbConnect],
+    ]) {
+      // The IPv6 addresses are enclosed in brackets, e.g. "[fe80::1]:5555".
+      if (hostPort && !/^([^:\s[\]]+|\[[^\s[\]]+\]):\d+$/.test(hostPort)) {
+        throw new UsageError(
+          `Invalid ${option} value "${hostPort}", expected host:port`
+        );
+      }
+    }
+
+    if (adbPair) {
+      if (!adbPairCode) {
+        throw new UsageError('--adb-pair requires --adb-pair-code');
+      }
+      log.info(`Pairing with the Android device at ${adbPair}...`);
+      await adbUtils.pairDevice(adbPair, adbPairCode);
+    }
+
+    if (adbConnect) {
+      log.info(`Connecting to the Android device at ${adbConnect}...`);
+      this.connectedAdbDevice = await adbUtils.connectDevice(adbConnect);
+    }
+  }
+
+  async adbStartEmulator() {
+    const {
+      adbUtils,
+      params: {
+        adbDevice,
+        androidEmulatorAvd,
+      },
+    } = this;
+
+    if (!androidEmulatorAvd) {
+      return;
+    }
+
+    if (adbDevice) {
+      log.warn('--adb-device is ignored when --android-emulator-avd ' +
+               'is specified');
+    }
+
+    const {
+      emulatorBootMaxTime,
+      emulatorBootRetryInterval,
+    } = FirefoxAndroidExtensionRunner;
+
+    this.startedEmulatorDevice = await adbUtils.startAndroidEmulator(
+      androidEmulatorAvd, {
+        maxDiscoveryTime: emulatorBootMaxTime,
+        retryInterval: emulatorBootRetryInterval,
+      }
+    );
+  }
+
+  async adbInstallAPKFile() {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+      params: {
+        androidApkFile,
+      },
+    } = this;
+
+    if (!androidApkFile) {
+      return;
+    }
+
+    log.info(`Installing ${androidApkFile} on ${selectedAdbDevice}...`);
+    await adbUtils.installAPK(selectedAdbDevice, androidApkFile);
+  }
+
+  async adbInstallFirefoxAPKFile() {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+      params: {
+        firefoxApk,
+        firefoxApkFile,
+        getAPKPackageName = defaultGetAPKPackageName,
+      },
+    } = this;
+
+    if (!firefoxApkFile) {
+      return;
+    }
+
+    let packageName = await getAPKPackageName(firefoxApkFile);
+
+    log.info(`Installing ${firefoxApkFile} on ${selectedAdbDevice}...`);
+    await adbUtils.installAPK(selectedAdbDevice, firefoxApkFile);
+
+    if (!packageName) {
+      // Fallback to the most recently installed Firefox package when
+      // aapt is not available.
+      log.debug(`Unable to read the package name of ${firefoxApkFile}`);
+      packageName = await adbUtils.getLastUpdatedPackage(
+        selectedAdbDevice,
+        await adbUtils.discoverInstalledFirefoxAPKs(selectedAdbDevice)
+      );
+    }
+
+    if (!packageName) {
+      throw new UsageError(
+        `Unable to detect the package name of ${firefoxApkFile}. ` +
+        'Select the installed package using --firefox-apk'
+      );
+    }
+
+    if (firefoxApk && firefoxApk !== packageName) {
+      log.warn(`--firefox-apk ${firefoxApk} is ignored, ${firefoxApkFile} ` +
+               `has been installed as ${packageName}`);
+    }
+
+    this.installedFirefoxApk = packageName;
+    log.info(`Installed Firefox for Android APK: ${packageName}`);
+  }
+
   async adbDevicesDiscoveryAndSelect() {
     const {adbUtils} = this;
-    const {adbDevice} = this.params;
+    // Select the started emulator or the connected device, if any.
+    const adbDevice = this.startedEmulatorDevice || this.params.adbDevice ||
+      this.connectedAdbDevice;
     let devices = [];
 
     log.debug('Listing android devices');
@@ -307,7 +566,8 @@ export class FirefoxAndroidExtensionRunner {
       const devicesMsg = devices.map((dev) => ` - ${dev}`).join('\n');
       log.info(`\nAndroid devices found:\n${devicesMsg}`);
       throw new UsageError(
-        'Select an android device using --android-device=<name>');
+        'Select an android device using --android-device=<name> ' +
+        '(or --android-device=all to run on all of them)');
     }
 
     const foundDevices = devices.filter((device) => {
@@ -328,10 +588,9 @@ export class FirefoxAndroidExtensionRunner {
     const {
       adbUtils,
       selectedAdbDevice,
-      params: {
-        firefoxApk,
-      },
     } = this;
+    // Select the package installed from --firefox-apk-file, if any.
+    const firefoxApk = this.installedFirefoxApk || this.params.firefoxApk;
     // Discovery and select a Firefox for Android version.
     const packages = await adbUtils.discoverInstalledFirefoxAPKs(
       selectedAdbDevice,
@@ -374,6 +633,32 @@ export class FirefoxAndroidExtensionRunner {
     log.debug(`Selected Firefox for Android APK: ${this.selectedFirefoxApk}`);
   }
 
+  /**
+   * Looks for the RDP unix socket of an already running instance of the
+   * selected package, and resolves to true if it has been found.
+   */
+  async adbAttachRunningPackage(): Promise<boolean> {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+      selectedFirefoxApk,
+    } = this;
+
+    const rdpSocketFile = await adbUtils.findRDPUnixSocket(
+      selectedAdbDevice, selectedFirefoxApk
+    );
+
+    if (!rdpSocketFile) {
+      log.info(`No running instance of ${selectedFirefoxApk} to attach to, ` +
+               'starting a new one...');
+      return false;
+    }
+
+    this.selectedRDPSocketFile = rdpSocketFile;
+    log.info(`Attaching to the running instance of ${selectedFirefoxApk}`);
+    return true;
+  }
+
   async adbForceStopSelectedPackage() {
     const {
       adbUtils,
@@ -597,6 +882,15 @@ export class FirefoxAndroidExtensionRunner {
       }
     }
 
+    await this.adbForwardRDPUnixSocket();
+  }
+
+  async adbForwardRDPUnixSocket() {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+    } = this;
+
     log.debug(`RDP Socket File selected: ${this.selectedRDPSocketFile}`);
 
     const tcpPort = await findFreeTcpPort();
@@ -618,6 +912,159 @@ export class FirefoxAndroidExtensionRunner {
     this.selectedTCPPort = tcpPort;
   }
 
+  // Returns the path of a new file in the artifacts dir, named after
+  // the selected device (e.g. logcat-emulator-5554-1606126351000.log).
+  async getArtifactFilePath(
+    prefix: string, extension: string
+  ): Promise<string> {
+    const {selectedAdbDevice, params: {artifactsDir}} = this;
+
+    if (!artifactsDir) {
+      throw new WebExtError('No artifacts directory to save the files into');
+    }
+
+    await prepareArtifactsDir(artifactsDir);
+
+    // The device id may be an ip:port pair.
+    const deviceName = selectedAdbDevice.replace(/[^\w.-]/g, '_');
+    return path.join(
+      artifactsDir, `${prefix}-${deviceName}-${Date.now()}.${extension}`
+    );
+  }
+
+  async adbStartLogcat() {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+      selectedFirefoxApk,
+      params: {
+        artifactsDir,
+      },
+    } = this;
+
+    try {
+      const pids = await adbUtils.getPackagePids(
+        selectedAdbDevice, selectedFirefoxApk
+      );
+      log.debug(`${selectedFirefoxApk} pids: ${JSON.stringify(pids)}`);
+
+      if (artifactsDir) {
+        const logcatFile = await this.getArtifactFilePath('logcat', 'log');
+        this.logcatFile = logcatFile;
+        const logcatFileStream = createWriteStream(logcatFile);
+        logcatFileStream.on('error', (error) => {
+          log.warn(`Unable to save the Logcat to ${logcatFile}: ${error}`);
+          if (this.logcatFileStream === logcatFileStream) {
+            this.logcatFileStream = undefined;
+            this.logcatFile = undefined;
+          }
+        });
+        this.logcatFileStream = logcatFileStream;
+      }
+
+      const logcatReader = this.logcatReader = await adbUtils.openLogcat(
+        selectedAdbDevice
+      );
+      logcatReader.on('entry', (entry) => {
+        if (this.logcatFileStream) {
+          this.logcatFileStream.write(`${formatLogcatEntry(entry)}\n`);
+        }
+        if (isExtensionLogcatEntry(entry, pids)) {
+          printLogcatEntry(entry);
+        }
+      });
+      logcatReader.on('error', (error) => {
+        log.debug(`Error while reading the Logcat: ${error}`);
+      });
+    } catch (error) {
+      log.warn(`Unable to read the Logcat of ${selectedAdbDevice}: ${error}`);
+    }
+  }
+
+  async adbStopLogcat() {
+    const {logcatReader, logcatFile, logcatFileStream} = this;
+
+    if (logcatReader) {
+      this.logcatReader = undefined;
+      logcatReader.end();
+    }
+
+    if (logcatFileStream && logcatFile) {
+      this.logcatFileStream = undefined;
+      await new Promise((resolve) => logcatFileStream.end(resolve));
+      log.info(`The Android device Logcat has been saved to ${logcatFile}`);
+    }
+  }
+
+  adbStartScreenRecording() {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+      selectedArtifactsDir,
+      params: {
+        androidRecord,
+      },
+    } = this;
+
+    if (!androidRecord) {
+      return;
+    }
+
+    log.info(`Recording the screen of ${selectedAdbDevice}...`);
+
+    const recordScreen = async () => {
+      while (!this.exiting) {
+        const devicePath = `${selectedArtifactsDir}/recording-` +
+          `${this.recordingDevicePaths.length + 1}.mp4`;
+        this.recordingDevicePaths.push(devicePath);
+
+        const startedAt = Date.now();
+        const output = await adbUtils.screenrecord(
+          selectedAdbDevice, devicePath
+        );
+        // screenrecord exits right away when it fails to record.
+        if (!this.exiting && Date.now() - startedAt < 1000) {
+          this.recordingDevicePaths.pop();
+          throw new WebExtError(output.trim());
+        }
+      }
+    };
+
+    this.recordingPromise = recordScreen().catch((error) => {
+      log.warn(`Unable to record the screen of ${selectedAdbDevice}: ${error}`);
+    });
+  }
+
+  async adbStopScreenRecording() {
+    const {
+      adbUtils,
+      selectedAdbDevice,
+      recordingPromise,
+    } = this;
+
+    if (!recordingPromise) {
+      return;
+    }
+
+    this.recordingPromise = undefined;
+
+    try {
+      await adbUtils.stopScreenRecording(selectedAdbDevice);
+      await recordingPromise;
+
+      for (const devicePath of this.recordingDevicePaths) {
+        const recordingFile = await this.getArtifactFilePath(
+          path.basename(devicePath, '.mp4'), 'mp4'
+        );
+        await adbUtils.pullFile(selectedAdbDevice, devicePath, recordingFile);
+        log.info(`Saved the screen recording to ${recordingFile}`);
+      }
+    } catch (error) {
+      log.warn(`Unable to save the screen recording of ${selectedAdbDevice}: ` +
+               `${error}`);
+    }
+  }
+
   async rdpInstallExtensions() {
     const {
       selectedTCPPort,
@@ -20,6 +20,7 @@ import {
 import {createLogger} from '../util/logger';
 // Import flow types from project files.
 import type {
+  ExtensionConsoleMessageHandler,
   FirefoxRDPResponseAddon,
   RemoteFirefox,
 } from '../firefox/remote';
@@ -35,6 +36,8 @@ type FirefoxDesktopSpecificRunnerParams = {|
   browserConsole: boolean,
   firefoxBinary: string,
   preInstall: boolean,
+  // Called with the console messages of the installed extensions.
+  onExtensionConsoleMessage?: ExtensionConsoleMessageHandler,
 
   // Firefox desktop injected dependencies.
   firefoxApp: typeof defaultFirefoxApp,
@@ -150,6 +153,81 @@ export class FirefoxDesktopExtensionRunner {
     return [{runnerName, sourceDir: extensionSourceDir}];
   }
 
+  /**
+   * Reinstalls all the extensions as new temporary add-ons (e.g. to run
+   * their install listeners again), collect any reinstall error and
+   * resolves to an array composed by a single ExtensionRunnerReloadResult
+   * object.
+   */
+  async reinstallAllExtensions(
+  ): Promise<Array<ExtensionRunnerReloadResult>> {
+    const runnerName = this.getName();
+    const {remoteFirefox} = this;
+    const reinstallErrors = new Map();
+
+    for (const {sourceDir} of this.params.extensions) {
+      if (!remoteFirefox) {
+        reinstallErrors.set(sourceDir, new WebExtError(
+          'Extension not reinstallable: Firefox is not connected ' +
+          '(the extensions may have been pre-installed)'
+        ));
+        continue;
+      }
+
+      let addon;
+      try {
+        ({addon} = await remoteFirefox.installTemporaryAddon(sourceDir));
+      } catch (error) {
+        reinstallErrors.set(sourceDir, error);
+        continue;
+      }
+
+      const previousAddonId = this.reloadableExtensions.get(sourceDir);
+      this.reloadableExtensions.set(sourceDir, addon.id);
+
+      // The extensions without an explicit id get a new one.
+      const {onExtensionConsoleMessage} = this.params;
+      if (onExtensionConsoleMessage && addon.id !== previousAddonId) {
+        await remoteFirefox.listenForConsoleMessages(
+          addon.id, onExtensionConsoleMessage
+        ).catch((consoleError) => {
+          log.warn('Unable to log the console messages of ' +
+                   `${addon.id}: ${consoleError}`);
+        });
+      }
+    }
+
+    if (reinstallErrors.size > 0) {
+      return [{
+        runnerName,
+        reloadError: new MultiExtensionsReloadError(reinstallErrors),
+      }];
+    }
+
+    return [{runnerName}];
+  }
+
+  /**
+   * Opens the start URLs again in new tabs.
+   */
+  async openStartUrls(): Promise<void> {
+    const {startUrl} = this.params;
+    if (!startUrl || startUrl.length === 0) {
+      log.info(`No start URL to open in ${this.getName()}`);
+      return;
+    }
+
+    if (!this.remoteFirefox) {
+      throw new WebExtError(
+        'Unable to open the start URLs: Firefox is not connected'
+      );
+    }
+
+    await this.remoteFirefox.openTabs(
+      Array.isArray(startUrl) ? startUrl : [startUrl]
+    );
+  }
+
   /**
    * Register a callback to be called when the runner has been exited
    * (e.g. the Firefox instance exits or the user has requested web-ext
@@ -218,6 +296,7 @@ export class FirefoxDesktopExtensionRunner {
       firefoxApp,
       firefoxClient,
       args,
+      onExtensionConsoleMessage,
     } = this.params;
 
     const binaryArgs = [];
@@ -250,6 +329,11 @@ export class FirefoxDesktopExtensionRunner {
       }
     });
 
+    if (preInstall && onExtensionConsoleMessage) {
+      log.warn('The extension console messages can\'t be logged ' +
+               'with --pre-install');
+    }
+
     if (!preInstall) {
       const remoteFirefox = this.remoteFirefox = await firefoxClient({
         port: this.runningInfo.debuggerPort,
@@ -272,6 +356,15 @@ export class FirefoxDesktopExtensionRunner {
           }
 
           this.reloadableExtensions.set(extension.sourceDir, addonId);
+
+          if (onExtensionConsoleMessage) {
+            await remoteFirefox.listenForConsoleMessages(
+              addonId, onExtensionConsoleMessage
+            ).catch((consoleError) => {
+              log.warn('Unable to log the console messages of ' +
+                       `${addonId}: ${consoleError}`);
+            });
+          }
         } catch (error) {
           if (error instanceof RemoteTempInstallNotSupported) {
             log.debug(`Caught: ${error}`);
@@ -1,5 +1,6 @@
 /* @flow */
 
+import EventEmitter from 'events';
 import readline from 'readline';
 
 import type Watchpack from 'watchpack';
@@ -40,6 +41,11 @@ export type ExtensionRunnerConfig = {|
   params: ChromiumExtensionRunnerParams,
 |};
 
+// The payload of the installed and browser-exit events.
+export type ExtensionRunnerEvent = {|
+  runnerName: string,
+|};
+
 export type MultiExtensionRunnerParams = {|
   runners: Array<IExtensionRunner>,
   desktopNotifications: typeof defaultDesktopNotifications,
@@ -73,12 +79,26 @@ export async function createExtensionRunner(
  * Implements an IExtensionRunner which allow the caller to
  * manage multiple extension runners at the same time (e.g. by running
  * a Firefox Desktop instance alongside to a Firefox for Android instance).
+ *
+ * The following events are emitted for each one of the managed runners:
+ *
+ * - installed (ExtensionRunnerEvent): the runner has been started and
+ *   the extensions have been installed
+ * - reload-start (ExtensionRunnerReloadResult without a reloadError):
+ *   the runner is going to reload the extensions
+ * - reload-success (ExtensionRunnerReloadResult): the extensions have
+ *   been reloaded
+ * - reload-error (ExtensionRunnerReloadResult): the extensions could not
+ *   be reloaded, the error is in its reloadError property
+ * - browser-exit (ExtensionRunnerEvent): the runner has been exited
+ *   (e.g. the browser has been closed)
  */
-export class MultiExtensionRunner {
+export class MultiExtensionRunner extends EventEmitter {
   extensionRunners: Array<IExtensionRunner>;
   desktopNotifications: typeof defaultDesktopNotifications;
 
   constructor(params: MultiExtensionRunnerParams) {
+    super();
     this.extensionRunners = params.runners;
     this.desktopNotifications = params.desktopNotifications;
   }
@@ -99,7 +119,13 @@ export class MultiExtensionRunner {
   async run(): Promise<void> {
     const promises = [];
     for (const runner of this.extensionRunners) {
-      promises.push(runner.run());
+      const runnerName = runner.getName();
+      promises.push(runner.run().then(() => {
+        runner.registerCleanup(() => {
+          this.emit('browser-exit', {runnerName});
+        });
+        this.emit('installed', {runnerName});
+      }));
     }
 
     await Promise.all(promises);
@@ -118,25 +144,14 @@ export class MultiExtensionRunner {
 
     const promises = [];
     for (const runner of this.extensionRunners) {
-      const reloadPromise = runner.reloadAllExtensions().then(
-        () => {
-          return {runnerName: runner.getName()};
-        },
-        (error) => {
-          return {
-            runnerName: runner.getName(),
-            reloadError: error,
-          };
-        }
-      );
-
-      promises.push(reloadPromise);
+      const runnerName = runner.getName();
+      this.emit('reload-start', {runnerName});
+      promises.push(this.getReloadResults(
+        runnerName, runner.reloadAllExtensions()
+      ));
     }
 
-    return await Promise.all(promises).then((results) => {
-      this.handleReloadResults(results);
-      return results;
-    });
+    return this.handleReloadResults([].concat(...await Promise.all(promises)));
   }
 
   /**
@@ -154,27 +169,88 @@ export class MultiExtensionRunner {
 
     const promises = [];
     for (const runner of this.extensionRunners) {
-      const reloadPromise = runner.reloadExtensionBySourceDir(sourceDir).then(
-        () => {
-          return {runnerName: runner.getName(), sourceDir};
-        },
-        (error) => {
-          return {
-            runnerName: runner.getName(),
-            reloadError: error,
-            sourceDir,
-          };
-        }
-      );
+      const runnerName = runner.getName();
+      this.emit('reload-start', {runnerName, sourceDir});
+      promises.push(this.getReloadResults(
+        runnerName, runner.reloadExtensionBySourceDir(sourceDir), sourceDir
+      ));
+    }
 
-      promises.push(reloadPromise);
+    return this.handleReloadResults([].concat(...await Promise.all(promises)));
+  }
+
+  /**
+   * Rebuilds and reinstalls all the extensions on all the managed extension
+   * runners (or reloads them on the runners which can't reinstall them),
+   * and resolves to an array composed by a ExtensionRunnerReloadResult
+   * object per managed runner.
+   *
+   * Any detected error is also logged on the terminal and shows as a
+   * desktop notification.
+   */
+  async reinstallAllExtensions(
+  ): Promise<Array<ExtensionRunnerReloadResult>> {
+    log.debug('Reinstalling all the add-ons');
+
+    const promises = [];
+    for (const runner of this.extensionRunners) {
+      const runnerName = runner.getName();
+      this.emit('reload-start', {runnerName});
+      const reinstallPromise = runner.reinstallAllExtensions ?
+        runner.reinstallAllExtensions() : runner.reloadAllExtensions();
+      promises.push(this.getReloadResults(runnerName, reinstallPromise));
     }
 
-    // $FlowFixMe: When upgrading to Flow 0.61.0, it could not follow the type of sourceDir in the array of promises.
-    return await Promise.all(promises).then((results) => {
-      this.handleReloadResults(results);
-      return results;
-    });
+    return this.handleReloadResults([].concat(...await Promise.all(promises)));
+  }
+
+  /**
+   * Opens the start URLs again on all the managed runners which support it.
+   */
+  async openStartUrls(): Promise<void> {
+    const promises = [];
+    for (const runner of this.extensionRunners) {
+      if (runner.openStartUrls) {
+        promises.push(runner.openStartUrls().catch((error) => {
+          log.warn(`Unable to open the start URLs on "${runner.getName()}": ` +
+                   `${error}`);
+        }));
+      } else {
+        log.debug('Opening the start URLs is not supported on ' +
+                  `"${runner.getName()}"`);
+      }
+    }
+
+    await Promise.all(promises);
+  }
+
+  /**
+   * Returns true if any of the managed runners can take screenshots.
+   */
+  canTakeScreenshots(): boolean {
+    return this.extensionRunners.some(
+      (runner) => typeof runner.takeScreenshots === 'function'
+    );
+  }
+
+  /**
+   * Takes a screenshot on all the managed runners which support it,
+   * and resolves to the saved files.
+   */
+  async takeScreenshots(): Promise<Array<string>> {
+    const promises = [];
+    for (const runner of this.extensionRunners) {
+      if (runner.takeScreenshots) {
+        promises.push(runner.takeScreenshots().catch((error) => {
+          log.warn(`Unable to take a screenshot on "${runner.getName()}": ` +
+                   `${error}`);
+          return [];
+        }));
+      }
+    }
+
+    const results = await Promise.all(promises);
+    return [].concat(...results);
   }
 
   /**
@@ -212,8 +288,47 @@ export class MultiExtensionRunner {
 
   // Private helper methods.
 
-  handleReloadResults(results: Array<ExtensionRunnerReloadResult>): void {
-    for (const {runnerName, reloadError, sourceDir} of results) {
+  /*
+   * Resolves to the ExtensionRunnerReloadResult objects of a runner:
+   * the runners report the reload errors in the array of results they
+   * resolve to, or by rejecting.
+   */
+  async getReloadResults(
+    runnerName: string,
+    reloadPromise: Promise<Array<ExtensionRunnerReloadResult> | void>,
+    sourceDir?: string
+  ): Promise<Array<ExtensionRunnerReloadResult>> {
+    const createResult = (reloadError, resultSourceDir) => {
+      const result: ExtensionRunnerReloadResult = {runnerName};
+      if (resultSourceDir || sourceDir) {
+        result.sourceDir = resultSourceDir || sourceDir;
+      }
+      if (reloadError) {
+        result.reloadError = reloadError;
+      }
+      return result;
+    };
+
+    let runnerResults;
+    try {
+      runnerResults = await reloadPromise;
+    } catch (error) {
+      return [createResult(error)];
+    }
+
+    if (!Array.isArray(runnerResults) || runnerResults.length === 0) {
+      return [createResult()];
+    }
+    return runnerResults.map(
+      (result) => createResult(result.reloadError, result.sourceDir)
+    );
+  }
+
+  handleReloadResults(
+    results: Array<ExtensionRunnerReloadResult>
+  ): Array<ExtensionRunnerReloadResult> {
+    for (const result of results) {
+      const {runnerName, reloadError, sourceDir} = result;
       if (reloadError instanceof Error) {
         let message = 'Error occurred while reloading';
         if (sourceDir) {
@@ -229,8 +344,14 @@ export class MultiExtensionRunner {
           title: 'web-ext run: extension reload error',
           message,
         });
+
+        this.emit('reload-error', result);
+      } else {
+        this.emit('reload-success', result);
       }
     }
+
+    return results;
   }
 }
 
@@ -270,18 +391,32 @@ export function defaultWatcherCreator(
 
 // defaultReloadStrategy types and implementation.
 
+// A command run when its key is pressed in the terminal, the keys are
+// matched by their name (e.g. "l" for both l and L).
+export type KeypressCommand = {|
+  // Listed by the help command (H).
+  description: string,
+  run: () => mixed,
+|};
+
+export type KeypressCommands = {[key: string]: KeypressCommand};
+
 export type ReloadStrategyParams = {|
   extensionRunner: IExtensionRunner,
-  sourceDir: string,
+  sourceDir: string | Array<string>,
   watchFile?: string,
   artifactsDir: string,
   ignoreFiles?: Array<string>,
   noInput?: boolean,
+  // Additional keypress commands (which can also replace the default ones,
+  // except Ctrl-C and Ctrl-Z).
+  keypressCommands?: KeypressCommands,
 |};
 
 export type ReloadStrategyOptions = {|
   createWatcher?: WatcherCreatorFn,
   stdin?: stream$Readable,
+  stdout?: stream$Writable,
   kill?: typeof process.kill,
 |};
 
@@ -290,6 +425,7 @@ export function defaultReloadStrategy(
     artifactsDir,
     extensionRunner,
     ignoreFiles,
+    keypressCommands = {},
     noInput = false,
     sourceDir,
     watchFile,
@@ -297,6 +433,7 @@ export function defaultReloadStrategy(
   {
     createWatcher = defaultWatcherCreator,
     stdin = process.stdin,
+    stdout = process.stdout,
     kill = process.kill,
   }: ReloadStrategyOptions = {}
 ): void {
@@ -305,18 +442,33 @@ export function defaultReloadStrategy(
     log.debug('Input has been disabled because of noInput==true');
   }
 
-  const watcher: Watchpack = createWatcher({
-    reloadExtension: (watchedSourceDir) => {
-      extensionRunner.reloadExtensionBySourceDir(watchedSourceDir);
-    },
-    sourceDir,
-    watchFile,
-    artifactsDir,
-    ignoreFiles,
-  });
+  const sourceDirs = Array.isArray(sourceDir) ? sourceDir : [sourceDir];
+
+  // The changes are ignored while the watchers are paused (P).
+  let watchersPaused = false;
+
+  // Create a separate watcher for each extension source dir, so that
+  // a change only reloads the extension it belongs to.
+  const watchers: Array<Watchpack> = sourceDirs.map(
+    (extensionSourceDir) => createWatcher({
+      reloadExtension: (watchedSourceDir) => {
+        if (watchersPaused) {
+          log.debug(`Ignored changes in ${watchedSourceDir} (paused)`);
+          return;
+        }
+        extensionRunner.reloadExtensionBySourceDir(watchedSourceDir);
+      },
+      sourceDir: extensionSourceDir,
+      watchFile,
+      artifactsDir,
+      ignoreFiles,
+    })
+  );
 
   extensionRunner.registerCleanup(() => {
-    watcher.close();
+    for (const watcher of watchers) {
+      watcher.close();
+    }
     if (allowInput) {
       stdin.pause();
     }
@@ -326,7 +478,96 @@ export function defaultReloadStrategy(
     readline.emitKeypressEvents(stdin);
     setRawMode(stdin, true);
 
-    const keypressUsageInfo = 'Press R to reload (and Ctrl-C to quit)';
+    const keypressUsageInfo =
+      'Press R to reload, H to list the other commands (and Ctrl-C to quit)';
+
+    let userExit = false;
+
+    const commands: KeypressCommands = {
+      h: {
+        description: 'Show the available commands',
+        run: () => {
+          const lines = Object.keys(commands).map(
+            (key) => `  ${key.toUpperCase().padEnd(8)}` +
+              `${commands[key].description}`
+          );
+          lines.push(
+            `  ${'Ctrl-Z'.padEnd(8)}Suspend web-ext`,
+            `  ${'Ctrl-C'.padEnd(8)}Quit`
+          );
+          log.info(`\nAvailable commands:\n${lines.join('\n')}`);
+        },
+      },
+      r: {
+        description: 'Reload the extensions',
+        run: async () => {
+          log.debug('Reloading installed extensions on user request');
+          await extensionRunner.reloadAllExtensions().catch((err) => {
+            log.warn(`\nError reloading extension: ${err}`);
+            log.debug(`Reloading extension error stack: ${err.stack}`);
+          });
+        },
+      },
+      b: {
+        description: 'Rebuild and reinstall the extensions',
+        run: async () => {
+          log.debug('Reinstalling the extensions on user request');
+          if (extensionRunner.reinstallAllExtensions) {
+            await extensionRunner.reinstallAllExtensions();
+          } else {
+            await extensionRunner.reloadAllExtensions();
+          }
+        },
+      },
+      o: {
+        description: 'Open the start URLs again',
+        run: async () => {
+          if (extensionRunner.openStartUrls) {
+            await extensionRunner.openStartUrls();
+          } else {
+            log.info('Opening the start URLs is not supported');
+          }
+        },
+      },
+      c: {
+        description: 'Clear the screen',
+        run: () => {
+          readline.cursorTo(stdout, 0, 0);
+          readline.clearScreenDown(stdout);
+        },
+      },
+      p: {
+        description: 'Pause or resume the extension source watcher',
+        run: () => {
+          watchersPaused = !watchersPaused;
+          log.info(watchersPaused ?
+            'The source changes will be ignored (press P to resume)' :
+            'The source changes will reload the extensions again');
+        },
+      },
+      q: {
+        description: 'Quit',
+        run: () => {
+          userExit = true;
+        },
+      },
+    };
+
+    const canTakeScreenshots = extensionRunner.canTakeScreenshots ?
+      extensionRunner.canTakeScreenshots() : false;
+    if (canTakeScreenshots) {
+      commands.s = {
+        description: 'Take a screenshot',
+        run: async () => {
+          log.debug('Taking a screenshot on user request');
+          if (extensionRunner.takeScreenshots) {
+            await extensionRunner.takeScreenshots();
+          }
+        },
+      };
+    }
+
+    Object.assign(commands, keypressCommands);
 
     // NOTE: this `Promise.resolve().then(...)` is basically used to spawn a "co-routine"
     // that is executed before the callback attached to the Promise returned by this function
@@ -334,8 +575,6 @@ export function defaultReloadStrategy(
     Promise.resolve().then(async function() {
       log.info(keypressUsageInfo);
 
-      let userExit = false;
-
       while (!userExit) {
         const keyPressed = await new Promise((resolve) => {
           stdin.once('keypress', (str, key) => resolve(key));
@@ -359,12 +598,15 @@ export function defaultReloadStrategy(
 
           // Switch the raw mode on on resume.
           setRawMode(stdin, true);
-        } else if (keyPressed.name === 'r') {
-          log.debug('Reloading installed extensions on user request');
-          await extensionRunner.reloadAllExtensions().catch((err) => {
-            log.warn(`\nError reloading extension: ${err}`);
-            log.debug(`Reloading extension error stack: ${err.stack}`);
-          });
+        } else if (!keyPressed.ctrl && keyPressed.name &&
+                   commands[keyPressed.name]) {
+          const key = keyPressed.name.toUpperCase();
+          try {
+            await commands[keyPressed.name].run();
+          } catch (error) {
+            log.warn(`\nError running the ${key} command: ${error}`);
+            log.debug(`${key} command error stack: ${error.stack}`);
+          }
         }
       }
 
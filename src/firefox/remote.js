@@ -5,7 +5,7 @@ import defaultFirefoxConnector from '@cliqz-oss/node-firefox-connect';
 // RemoteFirefox types and implementation
 import type FirefoxClient from '@cliqz-oss/firefox-client';
 
-import {createLogger} from '../util/logger';
+import {consoleStream, createLogger} from '../util/logger';
 import {
   isErrorWithCode,
   RemoteTempInstallNotSupported,
@@ -21,6 +21,7 @@ export type FirefoxConnectorFn =
 export type FirefoxRDPAddonActor = {|
   id: string,
   actor: string,
+  manifestURL?: string,
 |};
 
 export type FirefoxRDPResponseError = {|
@@ -43,13 +44,96 @@ export type FirefoxRDPResponseAny = Object;
 export type FirefoxRDPResponseMaybe =
   FirefoxRDPResponseRequestTypes | FirefoxRDPResponseAny;
 
+export type ExtensionConsoleMessage = {|
+  addonId: string,
+  level: string,
+  message: string,
+  filename?: string,
+  lineNumber?: number,
+  timeStamp?: number,
+|};
+
+export type ExtensionConsoleMessageHandler =
+  (message: ExtensionConsoleMessage) => void;
+
+// The console message types sent by the parent process console actor.
+const CONSOLE_LISTENERS = ['ConsoleAPI', 'PageError', 'ContentProcessMessages'];
+
+// The packets which are never the reply to a request. firefox-client only
+// knows a few event types, and takes any other packet received while a
+// request to the same actor is pending as the reply to that request.
+const UNSOLICITED_PACKET_TYPES = [
+  'consoleAPICall', 'pageError', 'evaluationResult',
+];
+
+type ConsoleMessageListener = {|
+  // The add-on base URL, used to attribute the errors which are not
+  // tagged with an add-on ID.
+  baseURL?: string,
+  onConsoleMessage: ExtensionConsoleMessageHandler,
+|};
+
+
+/*
+ * Returns a readable representation of a console message argument,
+ * which is either a primitive value or a remote debugging protocol grip.
+ */
+export function formatConsoleArgument(grip: mixed): string {
+  if (grip === null || typeof grip !== 'object') {
+    return String(grip);
+  }
+
+  switch (grip.type) {
+    case 'undefined':
+    case 'null':
+    case 'NaN':
+    case 'Infinity':
+    case '-Infinity':
+    case '-0':
+      return grip.type;
+    case 'longString':
+      return String(grip.initial);
+    case 'symbol':
+      return `Symbol(${grip.name ? String(grip.name) : ''})`;
+    case 'object': {
+      const className = String(grip.class);
+      const preview = grip.preview;
+      if (preview && typeof preview === 'object' &&
+          typeof preview.message === 'string') {
+        // Error objects (and their subclasses).
+        const name = preview.name ? String(preview.name) : className;
+        return `${name}: ${preview.message}`;
+      }
+      return `[object ${className}]`;
+    }
+    default:
+      return JSON.stringify(grip) || '';
+  }
+}
+
 export class RemoteFirefox {
   client: Object;
   checkedForAddonReloading: boolean;
+  // Map<addonId -> listener> of the add-ons whose console messages
+  // are passed on.
+  consoleMessageListeners: Map<string, ConsoleMessageListener>;
+  consoleListenersStarted: Promise<void> | void;
 
   constructor(client: FirefoxClient) {
     this.client = client;
     this.checkedForAddonReloading = false;
+    this.consoleMessageListeners = new Map();
+
+    const {handleMessage} = client.client;
+    if (typeof handleMessage === 'function') {
+      client.client.handleMessage = function(packet) {
+        if (UNSOLICITED_PACKET_TYPES.includes(packet.type)) {
+          this.emit('message', packet);
+          return;
+        }
+        handleMessage.call(this, packet);
+      };
+    }
 
     client.client.on('disconnect', () => {
       log.debug('Received "disconnect" from Firefox client');
@@ -199,10 +283,219 @@ export class RemoteFirefox {
     const addon = await this.getInstalledAddon(addonId);
     await this.checkForAddonReloading(addon);
     await this.addonRequest(addon, 'reload');
-    process.stdout.write(
-      `\rLast extension reload: ${(new Date()).toTimeString()}`);
+    consoleStream.writeStatus(
+      `Last extension reload: ${(new Date()).toTimeString()}`);
     log.debug('\n');
   }
+
+  rdpRequest(request: Object): Promise<FirefoxRDPResponseAny> {
+    return new Promise((resolve, reject) => {
+      this.client.client.makeRequest(request, (response) => {
+        if (response.error) {
+          reject(new WebExtError(
+            `Remote Firefox: ${request.type}() error: ` +
+            `${response.error}: ${response.message}`));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  async getParentProcessConsoleActor(): Promise<string> {
+    const response = await this.rdpRequest({
+      to: 'root', type: 'getProcess', id: 0,
+    });
+
+    // Firefox 75 and later return a process descriptor (bug 1618219).
+    if (response.processDescriptor) {
+      const targetResponse = await this.rdpRequest({
+        to: response.processDescriptor.actor, type: 'getTarget',
+      });
+      if (targetResponse.process?.consoleActor) {
+        return targetResponse.process.consoleActor;
+      }
+    } else if (response.form?.consoleActor) {
+      return response.form.consoleActor;
+    }
+
+    throw new WebExtError(
+      'Remote Firefox: unable to find the parent process console actor');
+  }
+
+  /*
+   * Open the given URLs in new tabs of the most recent browser window
+   * (the code runs in the parent process, as in the Browser Console).
+   */
+  async openTabs(urls: Array<string>): Promise<void> {
+    const consoleActor = await this.getParentProcessConsoleActor();
+    const {client} = this.client;
+
+    // The evaluation result is sent in a separate packet, which may be
+    // received right after the evaluateJSAsync response.
+    const evaluationResults = [];
+    let onEvaluationResult = () => {};
+    const onMessage = (packet) => {
+      if (packet.from === consoleActor && packet.type === 'evaluationResult') {
+        evaluationResults.push(packet);
+        onEvaluationResult();
+      }
+    };
+    client.on('message', onMessage);
+
+    try {
+      const {resultID} = await this.rdpRequest({
+        to: consoleActor,
+        type: 'evaluateJSAsync',
+        text: [
+          '(() => {',
+          '  const win = Services.wm.getMostRecentWindow("navigator:browser");',
+          `  for (const url of ${JSON.stringify(urls)}) {`,
+          '    win.openTrustedLinkIn(url, "tab");',
+          '  }',
+          '})()',
+        ].join('\n'),
+      });
+
+      let result;
+      while (!(result = evaluationResults.find(
+        (packet) => packet.resultID === resultID
+      ))) {
+        await new Promise((resolve) => {
+          onEvaluationResult = resolve;
+        });
+      }
+
+      if (result.exception) {
+        const message = result.exceptionMessage ||
+          formatConsoleArgument(result.exception);
+        throw new WebExtError(
+          `Remote Firefox: unable to open the tabs: ${message}`
+        );
+      }
+    } finally {
+      client.removeListener('message', onMessage);
+    }
+  }
+
+  /*
+   * Call onConsoleMessage with the messages logged by the given add-on
+   * in the remote Firefox (from its background and extension pages as
+   * well as its content scripts), and the errors raised by its scripts.
+   */
+  async listenForConsoleMessages(
+    addonId: string,
+    onConsoleMessage: ExtensionConsoleMessageHandler
+  ): Promise<void> {
+    const addon = await this.getInstalledAddon(addonId);
+    this.consoleMessageListeners.set(addonId, {
+      baseURL: addon.manifestURL ?
+        addon.manifestURL.replace(/manifest\.json$/, '') : undefined,
+      onConsoleMessage,
+    });
+
+    try {
+      await this.startConsoleListeners();
+    } catch (error) {
+      this.consoleMessageListeners.delete(addonId);
+      throw error;
+    }
+    log.debug(`Listening for console messages from ${addonId}`);
+  }
+
+  /*
+   * Start the parent process console listeners once, and pass on their
+   * messages to the listener of the add-on they come from.
+   */
+  startConsoleListeners(): Promise<void> {
+    let started = this.consoleListenersStarted;
+    if (!started) {
+      started = this.consoleListenersStarted = (async () => {
+        const consoleActor = await this.getParentProcessConsoleActor();
+        const onMessage = (packet) => {
+          if (packet.from === consoleActor) {
+            this.handleConsolePacket(packet);
+          }
+        };
+        this.client.client.on('message', onMessage);
+
+        try {
+          await this.rdpRequest({
+            to: consoleActor,
+            type: 'startListeners',
+            listeners: CONSOLE_LISTENERS,
+          });
+        } catch (error) {
+          this.client.client.removeListener('message', onMessage);
+          throw error;
+        }
+      })();
+
+      started.catch(() => {
+        this.consoleListenersStarted = undefined;
+      });
+    }
+
+    return started;
+  }
+
+  /*
+   * Returns the ID of the add-on a console message comes from, given the
+   * add-on ID the message is tagged with and its source file.
+   */
+  findConsoleMessageAddonId(addonId: mixed, filename: mixed): string | void {
+    if (typeof addonId === 'string' &&
+        this.consoleMessageListeners.has(addonId)) {
+      return addonId;
+    }
+    for (const [id, {baseURL}] of this.consoleMessageListeners) {
+      if (baseURL && typeof filename === 'string' &&
+          filename.startsWith(baseURL)) {
+        return id;
+      }
+    }
+    return undefined;
+  }
+
+  handleConsolePacket(packet: Object) {
+    if (packet.type === 'consoleAPICall' && packet.message) {
+      const {message} = packet;
+      const addonId = this.findConsoleMessageAddonId(
+        message.addonId, message.filename
+      );
+      const listener = addonId && this.consoleMessageListeners.get(addonId);
+      if (!addonId || !listener) {
+        return;
+      }
+      listener.onConsoleMessage({
+        addonId,
+        level: message.level || 'log',
+        message: (message.arguments || []).map(formatConsoleArgument)
+          .join(' '),
+        filename: message.filename,
+        lineNumber: message.lineNumber,
+        timeStamp: message.timeStamp,
+      });
+    } else if (packet.type === 'pageError' && packet.pageError) {
+      const {pageError} = packet;
+      // The errors are not tagged with an add-on ID.
+      const addonId = this.findConsoleMessageAddonId(
+        undefined, pageError.sourceName
+      );
+      const listener = addonId && this.consoleMessageListeners.get(addonId);
+      if (!addonId || !listener) {
+        return;
+      }
+      listener.onConsoleMessage({
+        addonId,
+        level: pageError.warning ? 'warn' : 'error',
+        message: formatConsoleArgument(pageError.errorMessage),
+        filename: pageError.sourceName,
+        lineNumber: pageError.lineNumber,
+        timeStamp: pageError.timeStamp,
+      });
+    }
+  }
 }
 
 
@@ -10,18 +10,33 @@ import { Parser as yargsParser } from 'yargs/yargs';
 
 import defaultCommands from './cmd';
 import {UsageError} from './errors';
-import {createLogger, consoleStream as defaultLogStream} from './util/logger';
+import {
+  createLogger,
+  consoleStream as defaultLogStream,
+  logFileStream as defaultLogFileStream,
+} from './util/logger';
 import {coerceCLICustomPreference} from './firefox/preferences';
 import {checkForUpdates as defaultUpdateChecker} from './util/updates';
 import {
   discoverConfigFiles as defaultConfigDiscovery,
   loadJSConfigFile as defaultLoadJSConfigFile,
   applyConfigToArgv as defaultApplyConfigToArgv,
+  hasConfigProfile,
 } from './config';
 
 const log = createLogger(__filename);
 const envPrefix = 'WEB_EXT';
 
+// The commands which write their result in the JSON output mode (the run
+// command writes the reload results on its own, as they happen).
+const JSON_RESULT_COMMANDS = ['build', 'sign'];
+
+// The lint command has its own --output option, for the format of
+// the linter report.
+function isJSONOutput(cmd: string, argv: Object): boolean {
+  return cmd !== 'lint' && argv.output === 'json';
+}
+
 
 type ProgramOptions = {|
   absolutePackageDir?: string,
@@ -35,6 +50,7 @@ type ExecuteOptions = {
   checkForUpdates?: Function,
   systemProcess?: typeof process,
   logStream?: typeof defaultLogStream,
+  logFileStream?: typeof defaultLogFileStream,
   getVersion?: VersionGetterFn,
   applyConfigToArgv?: typeof defaultApplyConfigToArgv,
   discoverConfigFiles?: typeof defaultConfigDiscovery,
@@ -149,6 +165,42 @@ export class Program {
     this.verboseEnabled = true;
   }
 
+  enableLogFile(
+    logFileStream: typeof defaultLogFileStream,
+    {logFile, logFileMaxSize, logFileMaxFiles}: Object
+  ): void {
+    if (!logFile) {
+      return;
+    }
+
+    if (logFileMaxSize !== undefined && !(logFileMaxSize > 0)) {
+      throw new UsageError(
+        `Invalid --log-file-max-size value: ${logFileMaxSize}`
+      );
+    }
+    if (logFileMaxFiles !== undefined &&
+        !(Number.isInteger(logFileMaxFiles) && logFileMaxFiles > 0)) {
+      throw new UsageError(
+        `Invalid --log-file-max-files value: ${logFileMaxFiles}`
+      );
+    }
+
+    const filePath = path.resolve(logFile);
+    try {
+      logFileStream.open({
+        filePath,
+        maxSize: logFileMaxSize,
+        maxFiles: logFileMaxFiles,
+      });
+    } catch (error) {
+      throw new UsageError(
+        `Unable to open the log file ${filePath}: ${error.message}`
+      );
+    }
+
+    log.debug(`Recording all the log messages in ${filePath}`);
+  }
+
   // Retrieve the yargs argv object and apply any further fix needed
   // on the output of the yargs options parsing.
   getArguments(): Object {
@@ -223,7 +275,9 @@ export class Program {
         .forEach((k) => {
           const optKey = toOptionKey(k);
           const globalOpt = this.options[optKey];
-          const cmdOpt = this.options[cmd] && this.options[cmd][optKey];
+          // The command options are stored by camel cased command name.
+          const cmdOptions = this.options[camelCase(cmd)];
+          const cmdOpt = cmdOptions && cmdOptions[optKey];
 
           if (!globalOpt && !cmdOpt) {
             log.debug(`Environment ${k} not supported by web-ext ${cmd}`);
@@ -238,6 +292,7 @@ export class Program {
       checkForUpdates = defaultUpdateChecker,
       systemProcess = process,
       logStream = defaultLogStream,
+      logFileStream = defaultLogFileStream,
       getVersion = defaultVersionGetter,
       applyConfigToArgv = defaultApplyConfigToArgv,
       discoverConfigFiles = defaultConfigDiscovery,
@@ -257,6 +312,10 @@ export class Program {
     const version = getVersion(this.absolutePackageDir);
     const runCommand = this.commands[cmd];
 
+    if (isJSONOutput(cmd, argv)) {
+      logStream.makeJSON();
+    }
+
     if (argv.verbose) {
       this.enableVerboseMode(logStream, version);
     }
@@ -280,7 +339,9 @@ export class Program {
         log.debug(
           'Discovering config files. ' +
           'Set --no-config-discovery to disable');
-        const discoveredConfigs = await discoverConfigFiles();
+        const discoveredConfigs = await discoverConfigFiles({
+          sourceDirs: [].concat(argv.sourceDir),
+        });
         configFiles.push(...discoveredConfigs);
       } else {
         log.debug('Not discovering config files');
@@ -301,25 +362,59 @@ export class Program {
           `${niceFileList}`);
       }
 
-      configFiles.forEach((configFileName) => {
-        const configObject = loadJSConfigFile(configFileName);
+      const {configProfile} = argv;
+      let isConfigProfileDefined = false;
+
+      for (const configFileName of configFiles) {
+        const configObject = await loadJSConfigFile(configFileName);
+        if (configProfile && hasConfigProfile(configObject, configProfile)) {
+          isConfigProfileDefined = true;
+        }
         adjustedArgv = applyConfigToArgv({
           argv: adjustedArgv,
           argvFromCLI: argv,
           configFileName,
           configObject,
+          configProfile,
           options: this.options,
         });
-      });
+      }
+
+      if (configProfile && !isConfigProfileDefined) {
+        throw new UsageError(
+          `The config profile "${configProfile}" is not defined in any ` +
+          'config file');
+      }
+
+      // The log file options can also be set in the config files.
+      this.enableLogFile(logFileStream, adjustedArgv);
+
+      if (isJSONOutput(cmd, adjustedArgv)) {
+        // Ensure that the JSON output is enabled when specified in a config
+        // file.
+        logStream.makeJSON();
+      }
 
       if (adjustedArgv.verbose) {
         // Ensure that the verbose is enabled when specified in a config file.
         this.enableVerboseMode(logStream, version);
       }
 
+      // Only the run command is able to handle more than one extension
+      // source directory at the same time.
+      if (Array.isArray(adjustedArgv.sourceDir) && cmd !== 'run') {
+        throw new UsageError(
+          `Multiple --source-dir/-s options are not allowed by web-ext ${cmd}`
+        );
+      }
+
       this.checkRequiredArguments(adjustedArgv);
 
-      await runCommand(adjustedArgv, {shouldExitProgram});
+      const result = await runCommand(adjustedArgv, {shouldExitProgram});
+
+      if (JSON_RESULT_COMMANDS.includes(cmd)) {
+        logStream.writeResult(cmd, result);
+      }
 
     } catch (error) {
       if (!(error instanceof UsageError) || adjustedArgv.verbose) {
@@ -388,6 +483,15 @@ export function throwUsageErrorIfArray(errorMessage: string): any {
   };
 }
 
+export function coerceSourceDir(
+  value: string | Array<string>
+): string | Array<string> {
+  if (Array.isArray(value)) {
+    return value.map((sourceDir) => path.resolve(sourceDir));
+  }
+  return path.resolve(value);
+}
+
 export function main(
   absolutePackageDir: string,
   {
@@ -422,11 +526,17 @@ Example: $0 --help run.
   program.setGlobalOptions({
     'source-dir': {
       alias: 's',
-      describe: 'Web extension source directory.',
+      describe: 'Web extension source directory. The run command accepts ' +
+                'this option multiple times to run more than one extension.',
       default: process.cwd(),
       requiresArg: true,
       type: 'string',
-      coerce: path.resolve,
+      // Allows an array of directories in config files.
+      multiple: true,
+      coerce: coerceSourceDir,
+      // Relative paths in config files are resolved from the directory of
+      // the config file.
+      isPath: true,
     },
     'artifacts-dir': {
       alias: 'a',
@@ -435,6 +545,7 @@ Example: $0 --help run.
       normalize: true,
       requiresArg: true,
       type: 'string',
+      isPath: true,
     },
     'verbose': {
       alias: 'v',
@@ -442,6 +553,36 @@ Example: $0 --help run.
       type: 'boolean',
       demandOption: false,
     },
+    'output': {
+      describe: 'The output format: json prints one JSON object per line ' +
+                'for each log message and for the command result (the ' +
+                'lint command uses this option for the linter report)',
+      default: 'text',
+      demandOption: false,
+      requiresArg: true,
+      type: 'string',
+      choices: ['text', 'json'],
+    },
+    'log-file': {
+      describe: 'Record all the log messages (including the verbose ones) ' +
+                'in the given file',
+      demandOption: false,
+      requiresArg: true,
+      type: 'string',
+      isPath: true,
+    },
+    'log-file-max-size': {
+      describe: 'Rotate the --log-file once it reaches this size (in bytes)',
+      demandOption: false,
+      requiresArg: true,
+      type: 'number',
+    },
+    'log-file-max-files': {
+      describe: 'The number of rotated log files to keep (default: 1)',
+      demandOption: false,
+      requiresArg: true,
+      type: 'number',
+    },
     'ignore-files': {
       alias: 'i',
       describe: 'A list of glob patterns to define which files should be ' +
@@ -453,6 +594,7 @@ Example: $0 --help run.
       // Upstream bug: https://github.com/yargs/yargs/issues/1098
       // requiresArg: true,
       type: 'array',
+      isPath: true,
     },
     'no-input': {
       describe: 'Disable all features that require standard input',
@@ -468,20 +610,29 @@ Example: $0 --help run.
     },
     'config': {
       alias: 'c',
-      describe: 'Path to a CommonJS config file to set ' +
-        'option defaults',
+      describe: 'Path to a config file (a CommonJS or ES module, or a ' +
+        'JSON file) to set option defaults',
       default: undefined,
       demandOption: false,
       requiresArg: true,
       type: 'string',
     },
     'config-discovery': {
-      describe: 'Discover config files in home directory and ' +
-        'working directory. Disable with --no-config-discovery.',
+      describe: 'Discover config files in home directory, working ' +
+        'directory and source directories (and their parent directories ' +
+        'up to the repository root). Disable with --no-config-discovery.',
       demandOption: false,
       default: true,
       type: 'boolean',
     },
+    'config-profile': {
+      describe: 'Apply the options of this named profile (defined in the ' +
+        '"profiles" object of the config files) on top of the other ' +
+        'configured options',
+      demandOption: false,
+      requiresArg: true,
+      type: 'string',
+    },
     'filename': {
       alias: 'n',
       describe: 'Name of the created extension package file.',
@@ -510,6 +661,26 @@ Example: $0 --help run.
           describe: 'Overwrite destination package if it exists.',
           type: 'boolean',
         },
+        'reproducible': {
+          describe: 'Create a byte-identical package for the same ' +
+                    'sources, using the timestamp from SOURCE_DATE_EPOCH ' +
+                    'and printing its SHA-256 checksum',
+          type: 'boolean',
+        },
+        'target': {
+          alias: 't',
+          describe: 'The browser to build the extension package for, ' +
+                    'the packaged manifest.json is adjusted for the target ' +
+                    'and merged with the manifest.<target>.json file ' +
+                    'if any',
+          demandOption: false,
+          requiresArg: true,
+          type: 'string',
+          choices: ['firefox-desktop', 'firefox-android', 'chromium'],
+          coerce: throwUsageErrorIfArray(
+            'Multiple --target/-t options are not allowed by web-ext build'
+          ),
+        },
       })
     .command(
       'sign',
@@ -526,7 +697,9 @@ Example: $0 --help run.
           type: 'string',
         },
         'api-url-prefix': {
-          describe: 'Signing API URL prefix',
+          describe: 'Signing API URL prefix, use "mock:" to sign against ' +
+                    'a temporary local AMO mock server (see ' +
+                    'serve-amo-mock)',
           default: 'https://addons.mozilla.org/api/v3',
           demandOption: true,
           type: 'string',
@@ -554,6 +727,40 @@ Example: $0 --help run.
           '\'listed\' or \'unlisted\'',
           type: 'string',
         },
+        'reproducible': {
+          describe: 'Build a byte-identical package for the same ' +
+                    'sources before signing it (see build --reproducible)',
+          type: 'boolean',
+        },
+        'upload-source-code': {
+          describe: 'Create an archive of the repository which contains ' +
+                    'the extension (excluding the files ignored by ' +
+                    '--ignore-files and the .gitignore file of the ' +
+                    'repository root, the nested .gitignore files are ' +
+                    'not supported) and upload it with the signed ' +
+                    'version using the AMO API v5',
+          type: 'boolean',
+        },
+        'update-link': {
+          describe: 'The URL of the signed XPI file once hosted, used to ' +
+                    'add the signed version to a self-hosted update ' +
+                    'manifest. {id}, {version} and {filename} are ' +
+                    'replaced by the extension ID, its version and the ' +
+                    'signed file name',
+          demandOption: false,
+          requiresArg: true,
+          type: 'string',
+        },
+        'update-manifest': {
+          describe: 'The update manifest file to create or append to ' +
+                    'when --update-link is set (defaults to updates.json ' +
+                    'in the artifacts directory)',
+          demandOption: false,
+          requiresArg: true,
+          normalize: true,
+          type: 'string',
+          isPath: true,
+        },
       })
     .command('run', 'Run the extension', commands.run, {
       'target': {
@@ -595,6 +802,7 @@ Example: $0 --help run.
         describe: 'Path to a custom Chromium profile',
         demandOption: false,
         type: 'string',
+        isPath: true,
       },
       'profile-create-if-missing': {
         describe: 'Create the profile directory if it does not already exist',
@@ -620,6 +828,7 @@ Example: $0 --help run.
                   ' build process for your extension',
         demandOption: false,
         type: 'string',
+        isPath: true,
       },
       'pre-install': {
         describe: 'Pre-install the extension into the profile before ' +
@@ -650,6 +859,20 @@ Example: $0 --help run.
         demandOption: false,
         type: 'boolean',
       },
+      'log-extension-console': {
+        describe: 'Print the console messages logged by the extension ' +
+                  '(and the errors raised by its scripts) to the terminal',
+        demandOption: false,
+        type: 'boolean',
+      },
+      'log-extension-console-file': {
+        describe: 'Also write the extension console messages to this ' +
+                  'JSONL file, relative to the artifacts directory. ' +
+                  'Implies --log-extension-console',
+        demandOption: false,
+        type: 'string',
+        requiresArg: true,
+      },
       'args': {
         alias: ['arg'],
         describe: 'Additional CLI options passed to the Browser binary',
@@ -662,6 +885,7 @@ Example: $0 --help run.
         demandOption: false,
         type: 'string',
         requiresArg: true,
+        isPath: true,
       },
       'adb-host': {
         describe: 'Connect to adb on the specified host',
@@ -677,7 +901,31 @@ Example: $0 --help run.
       },
       'adb-device': {
         alias: ['android-device'],
-        describe: 'Connect to the specified adb device name',
+        describe: 'Connect to the specified adb device name (repeat it to ' +
+                  'run on multiple devices, or use "all" to run on all ' +
+                  'the attached devices)',
+        demandOption: false,
+        type: 'string',
+        requiresArg: true,
+        // Allows an array of devices in config files.
+        multiple: true,
+      },
+      'adb-connect': {
+        describe: 'Connect to an Android device over Wi-Fi (host:port), ' +
+                  'and disconnect from it on exit',
+        demandOption: false,
+        type: 'string',
+        requiresArg: true,
+      },
+      'adb-pair': {
+        describe: 'Pair with an Android device with wireless debugging ' +
+                  'enabled (host:port) before connecting to it',
+        demandOption: false,
+        type: 'string',
+        requiresArg: true,
+      },
+      'adb-pair-code': {
+        describe: 'The pairing code shown on the device (used by --adb-pair)',
         demandOption: false,
         type: 'string',
         requiresArg: true,
@@ -709,6 +957,42 @@ Example: $0 --help run.
         type: 'string',
         requiresArg: true,
       },
+      'firefox-apk-file': {
+        describe: 'Install the specified Firefox for Android APK file ' +
+                  '(replacing the installed package if any) and run it',
+        demandOption: false,
+        type: 'string',
+        requiresArg: true,
+        isPath: true,
+      },
+      'android-attach': {
+        describe: 'Install the extensions in the Firefox for Android ' +
+                  'instance already running on the device (if any), ' +
+                  'without restarting it or resetting its profile',
+        demandOption: false,
+        type: 'boolean',
+      },
+      'android-record': {
+        describe: 'Record the screen of the Android device until exit ' +
+                  '(saved in the artifacts directory)',
+        demandOption: false,
+        type: 'boolean',
+      },
+      'android-emulator-avd': {
+        describe: 'Start the specified Android Virtual Device in a headless ' +
+                  'emulator (shut down on exit) and run the extensions on it',
+        demandOption: false,
+        type: 'string',
+        requiresArg: true,
+      },
+      'android-apk-file': {
+        describe: 'Install the specified APK file on the Android device ' +
+                  'before running the extensions',
+        demandOption: false,
+        type: 'string',
+        requiresArg: true,
+        isPath: true,
+      },
     })
     .command('lint', 'Validate the extension source', commands.lint, {
       'output': {
@@ -748,7 +1032,27 @@ Example: $0 --help run.
       },
     })
     .command('docs', 'Open the web-ext documentation in a browser',
-             commands.docs, {});
+             commands.docs, {})
+    .command(
+      'serve-amo-mock',
+      'Start a local mock of the addons.mozilla.org signing API, ' +
+      'to test the sign command without network access',
+      commands['serve-amo-mock'], {
+        port: {
+          describe: 'The port the mock server listens on',
+          default: 8989,
+          demandOption: false,
+          requiresArg: true,
+          type: 'number',
+        },
+        host: {
+          describe: 'The host the mock server listens on',
+          default: '127.0.0.1',
+          demandOption: false,
+          requiresArg: true,
+          type: 'string',
+        },
+      });
 
   return program.execute({getVersion, ...runOptions});
 }
@@ -1,5 +1,13 @@
 /* @flow */
+import path from 'path';
+import {
+  execFile as defaultExecFile,
+  spawn as defaultSpawn,
+} from 'child_process';
+import {createWriteStream} from 'fs';
+
 import defaultADB from '@devicefarmer/adbkit';
+import {fs} from 'mz';
 
 import {
   isErrorWithCode,
@@ -14,6 +22,31 @@ import packageIdentifiers, {
 export const DEVICE_DIR_BASE = '/sdcard/';
 export const ARTIFACTS_DIR_PREFIX = 'web-ext-artifacts-';
 
+// The range of console ports that can be used by the Android emulators
+// (the emulator device is named emulator-<console port>).
+const EMULATOR_MIN_CONSOLE_PORT = 5554;
+const EMULATOR_MAX_CONSOLE_PORT = 5584;
+// The time to wait for the emulator to shut down before killing it.
+const EMULATOR_STOP_TIMEOUT = 20000;
+
+// Logcat entries priority letters (indexed by the adbkit-logcat priority).
+const LOGCAT_PRIORITY_LETTERS = '??VDIWEFS';
+const LOGCAT_PRIORITY_WARN = 5;
+const LOGCAT_PRIORITY_ERROR = 6;
+
+// The tags of the Logcat entries related to the extensions (GeckoConsole
+// collects the console messages logged by the extensions scripts).
+const LOGCAT_EXTENSION_TAGS_RE = /^GeckoConsole$|WebExtension/i;
+
+export type LogcatEntry = {
+  date: Date,
+  pid: number,
+  tid: number,
+  priority: number,
+  tag: string,
+  message: string,
+};
+
 const log = createLogger(__filename);
 
 export type ADBUtilsParams = {|
@@ -23,6 +56,11 @@ export type ADBUtilsParams = {|
   adbHost?: string,
   adbPort?: string,
   adbDevice?: string,
+  // Android emulator configs.
+  emulatorBin?: string,
+  emulatorStopTimeout?: number,
+  execFile?: typeof defaultExecFile,
+  spawn?: typeof defaultSpawn,
 |};
 
 export type DiscoveryParams = {|
@@ -47,16 +85,125 @@ async function wrapADBCall(asyncFn: (...any) => Promise<any>): Promise<any> {
   }
 }
 
+// Returns the emulator binary of the Android SDK (if configured in the
+// environment), or the one found in the PATH.
+export function getEmulatorBin(env: Object = process.env): string {
+  const sdkDir = env.ANDROID_SDK_ROOT || env.ANDROID_HOME;
+  if (sdkDir) {
+    return path.join(sdkDir, 'emulator', 'emulator');
+  }
+  return 'emulator';
+}
+
+// Returns the aapt binary of the most recent Android SDK build tools (if
+// the Android SDK is configured in the environment), or the one found in
+// the PATH.
+export async function getAaptBin(env: Object = process.env): Promise<string> {
+  const sdkDir = env.ANDROID_SDK_ROOT || env.ANDROID_HOME;
+  if (sdkDir) {
+    const buildToolsDir = path.join(sdkDir, 'build-tools');
+    try {
+      const versions = (await fs.readdir(buildToolsDir)).sort(
+        (a, b) => b.localeCompare(a, undefined, {numeric: true})
+      );
+      if (versions.length > 0) {
+        return path.join(buildToolsDir, versions[0], 'aapt');
+      }
+    } catch (error) {
+      log.debug(`Unable to list the Android SDK build tools: ${error}`);
+    }
+  }
+  return 'aapt';
+}
+
+export type GetAPKPackageNameOptions = {|
+  execFile?: typeof defaultExecFile,
+  env?: Object,
+|};
+
+/*
+ * Returns the package name of an APK file (read from its manifest using
+ * aapt), or undefined when it can't be detected.
+ */
+export async function getAPKPackageName(
+  apkFile: string,
+  {
+    execFile = defaultExecFile,
+    env = process.env,
+  }: GetAPKPackageNameOptions = {}
+): Promise<string | void> {
+  const aaptBin = await getAaptBin(env);
+
+  const badging = await new Promise((resolve) => {
+    const execOptions = {timeout: 30000, maxBuffer: 10 * 1024 * 1024};
+    execFile(
+      aaptBin, ['dump', 'badging', apkFile], execOptions,
+      (error, stdout) => {
+        if (error) {
+          log.debug(`Unable to run ${aaptBin} on ${apkFile}: ${error.message}`);
+          resolve('');
+        } else {
+          resolve(String(stdout));
+        }
+      }
+    );
+  });
+
+  const match = /^package: name='([^']+)'/m.exec(badging);
+  return match ? match[1] : undefined;
+}
+
+// Returns a Logcat entry formatted as a line of the "adb logcat" output.
+export function formatLogcatEntry(
+  {date, pid, tid, priority, tag, message}: LogcatEntry
+): string {
+  const priorityLetter = LOGCAT_PRIORITY_LETTERS[priority] || '?';
+  return `${date.toISOString()} ${pid} ${tid} ${priorityLetter} ` +
+    `${tag}: ${message}`;
+}
+
+// Returns true if the Logcat entry has been logged by one of the given
+// processes and is related to the extensions.
+export function isExtensionLogcatEntry(
+  {pid, tag, message}: LogcatEntry, pids: Array<number>
+): boolean {
+  if (pids.length > 0 && !pids.includes(pid)) {
+    return false;
+  }
+  return LOGCAT_EXTENSION_TAGS_RE.test(tag) ||
+    message.includes('moz-extension://');
+}
+
+// Print a Logcat entry with the logger level matching its priority.
+export function printLogcatEntry(entry: LogcatEntry) {
+  const formattedMessage = `[android] ${entry.tag}: ${entry.message.trim()}`;
+
+  if (entry.priority >= LOGCAT_PRIORITY_ERROR) {
+    log.error(formattedMessage);
+  } else if (entry.priority === LOGCAT_PRIORITY_WARN) {
+    log.warn(formattedMessage);
+  } else {
+    log.info(formattedMessage);
+  }
+}
+
 export default class ADBUtils {
   params: ADBUtilsParams;
   adb: typeof defaultADB;
   adbClient: any; // TODO: better flow typing here.
+  execFile: typeof defaultExecFile;
+  spawn: typeof defaultSpawn;
 
   // Map<deviceId -> artifactsDir>
   artifactsDirMap: Map<string, string>;
   // Toggled when the user wants to abort the RDP Unix Socket discovery loop
   // while it is still executing.
   userAbortDiscovery: boolean;
+  // Map<deviceId -> emulator process> of the started Android emulators.
+  emulatorProcesses: Map<string, child_process$ChildProcess>;
+  // Map<deviceId -> promise resolved to the pid> of the running
+  // screenrecord processes.
+  screenRecordingPids: Map<string, Promise<number | void>>;
 
   constructor(params: ADBUtilsParams) {
     this.params = params;
@@ -69,6 +216,8 @@ export default class ADBUtils {
     } = params;
 
     this.adb = adb || defaultADB;
+    this.execFile = params.execFile || defaultExecFile;
+    this.spawn = params.spawn || defaultSpawn;
 
     this.adbClient = this.adb.createClient({
       bin: adbBin,
@@ -79,6 +228,10 @@ export default class ADBUtils {
     this.artifactsDirMap = new Map();
 
     this.userAbortDiscovery = false;
+
+    this.emulatorProcesses = new Map();
+
+    this.screenRecordingPids = new Map();
   }
 
   runShellCommand(
@@ -104,6 +257,71 @@ export default class ADBUtils {
     return devices.map((dev) => dev.id);
   }
 
+  // Runs an adb command which isn't supported by adbkit, and resolves
+  // to its output.
+  runADBCommand(args: Array<string>): Promise<string> {
+    const {execFile} = this;
+    const {adbBin = 'adb', adbHost, adbPort} = this.params;
+
+    const adbArgs = [];
+    if (adbHost) {
+      adbArgs.push('-H', adbHost);
+    }
+    if (adbPort) {
+      adbArgs.push('-P', adbPort);
+    }
+    adbArgs.push(...args);
+
+    return wrapADBCall(() => new Promise((resolve, reject) => {
+      execFile(adbBin, adbArgs, {timeout: 30000}, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(String(stdout));
+        }
+      });
+    }));
+  }
+
+  // Pair with a device with wireless debugging enabled (Android 11+),
+  // using the pairing code shown on the device.
+  async pairDevice(hostPort: string, pairingCode: string): Promise<void> {
+    log.debug(`Pairing with ${hostPort}`);
+
+    const output = await this.runADBCommand(['pair', hostPort, pairingCode]);
+
+    // adb pair exits with a zero exit code on failures.
+    if (!output.includes('Successfully paired')) {
+      throw new WebExtError(
+        `Unable to pair with ${hostPort}: ${output.trim()}`
+      );
+    }
+  }
+
+  // Connect to a device with wireless debugging enabled, and resolves
+  // to its device id. adbkit is not used because it does not support
+  // the IPv6 addresses (e.g. "[fe80::1]:5555").
+  async connectDevice(hostPort: string): Promise<string> {
+    log.debug(`Connecting to ${hostPort}`);
+
+    const output = await this.runADBCommand(['connect', hostPort]);
+
+    // adb connect exits with a zero exit code on failures.
+    if (!/\bconnected to\b/.test(output)) {
+      throw new WebExtError(
+        `Unable to connect to ${hostPort}: ${output.trim()}`
+      );
+    }
+
+    return hostPort;
+  }
+
+  async disconnectDevice(hostPort: string): Promise<void> {
+    log.debug(`Disconnecting from ${hostPort}`);
+
+    await this.runADBCommand(['disconnect', hostPort]);
+  }
+
   async discoverInstalledFirefoxAPKs(
     deviceId: string,
     firefoxApk?: string
@@ -293,6 +511,84 @@ export default class ADBUtils {
     });
   }
 
+  async pullFile(
+    deviceId: string, devicePath: string, localPath: string
+  ): Promise<void> {
+    const {adbClient} = this;
+
+    log.debug(`Pulling ${devicePath} from ${deviceId} to ${localPath}`);
+
+    await wrapADBCall(async () => {
+      const transfer = await adbClient.pull(deviceId, devicePath);
+      await new Promise((resolve, reject) => {
+        const output = createWriteStream(localPath);
+        output.on('finish', resolve);
+        output.on('error', reject);
+        transfer.on('error', reject);
+        transfer.pipe(output);
+      });
+    });
+  }
+
+  async screencap(deviceId: string, devicePath: string): Promise<void> {
+    await this.runShellCommand(deviceId, ['screencap', '-p', devicePath]);
+  }
+
+  // Resolves to the screenrecord output when the recording has been
+  // stopped (screenrecord stops by itself after 3 minutes).
+  async screenrecord(deviceId: string, devicePath: string): Promise<string> {
+    const {adbClient} = this;
+
+    log.debug(`Recording the screen of ${deviceId} to ${devicePath}`);
+
+    let resolvePid: (pid: number | void) => void = () => {};
+    const pidPromise = new Promise((resolve) => {
+      resolvePid = resolve;
+    });
+    this.screenRecordingPids.set(deviceId, pidPromise);
+
+    try {
+      // The shell prints its pid before being replaced by screenrecord,
+      // to be able to stop this recording only.
+      const stream = await wrapADBCall(async () => adbClient.shell(
+        deviceId, `echo $$; exec screenrecord '${devicePath}'`
+      ));
+
+      return await new Promise((resolve, reject) => {
+        let output = '';
+        let pidReceived = false;
+        stream.on('data', (data) => {
+          output += String(data);
+          const lineEnd = output.indexOf('\n');
+          if (!pidReceived && lineEnd !== -1) {
+            pidReceived = true;
+            const pid = parseInt(output.substr(0, lineEnd), 10);
+            resolvePid(Number.isNaN(pid) ? undefined : pid);
+            output = output.substr(lineEnd + 1);
+          }
+        });
+        stream.on('end', () => resolve(output));
+        stream.on('error', reject);
+      });
+    } finally {
+      resolvePid(undefined);
+      if (this.screenRecordingPids.get(deviceId) === pidPromise) {
+        this.screenRecordingPids.delete(deviceId);
+      }
+    }
+  }
+
+  async stopScreenRecording(deviceId: string): Promise<void> {
+    const pidPromise = this.screenRecordingPids.get(deviceId);
+    const pid = pidPromise && await pidPromise;
+    if (!pid) {
+      return;
+    }
+
+    // screenrecord completes the video file when interrupted.
+    await this.runShellCommand(deviceId, ['kill', '-INT', String(pid)]);
+  }
+
   async startFirefoxAPK(
     deviceId: string,
     apk: string,
@@ -351,11 +647,40 @@ export default class ADBUtils {
     this.userAbortDiscovery = value;
   }
 
+  /**
+   * Looks for the RDP unix socket of the given package only once, and
+   * resolves to undefined if the package is not running or its
+   * Remote Debugging Server is not enabled.
+   */
+  async findRDPUnixSocket(
+    deviceId: string, apk: string
+  ): Promise<string | void> {
+    const rdpUnixSockets = (await this.runShellCommand(deviceId, [
+      'cat', '/proc/net/unix',
+    ])).split('\n').filter((line) => {
+      // The RDP unix socket is expected to be a path in the form:
+      //   /data/data/org.mozilla.fennec_rpl/firefox-debugger-socket
+      return line.trim().endsWith(`${apk}/firefox-debugger-socket`);
+    }).map((line) => {
+      // Convert into an array of unix socket filenames.
+      return line.trim().split(/\s/).pop();
+    });
+
+    if (rdpUnixSockets.length > 1) {
+      throw new WebExtError(
+        'Unexpected multiple RDP sockets: ' +
+        `${JSON.stringify(rdpUnixSockets)}`
+      );
+    }
+
+    return rdpUnixSockets[0];
+  }
+
   async discoverRDPUnixSocket(
     deviceId: string, apk: string,
     {maxDiscoveryTime, retryInterval}: DiscoveryParams = {}
   ): Promise<string> {
-    let rdpUnixSockets = [];
+    let rdpUnixSocket;
 
     const discoveryStartedAt = Date.now();
     const msg = (
@@ -364,7 +689,7 @@ export default class ADBUtils {
       'from Settings -> Developer Tools if it is not yet enabled.'
     );
 
-    while (rdpUnixSockets.length === 0) {
+    while (!rdpUnixSocket) {
       log.info(msg);
       if (this.userAbortDiscovery) {
         throw new UsageError(
@@ -378,32 +703,14 @@ export default class ADBUtils {
         );
       }
 
-      rdpUnixSockets = (await this.runShellCommand(deviceId, [
-        'cat', '/proc/net/unix',
-      ])).split('\n').filter((line) => {
-        // The RDP unix socket is expected to be a path in the form:
-        //   /data/data/org.mozilla.fennec_rpl/firefox-debugger-socket
-        return line.trim().endsWith(`${apk}/firefox-debugger-socket`);
-      });
+      rdpUnixSocket = await this.findRDPUnixSocket(deviceId, apk);
 
-      if (rdpUnixSockets.length === 0) {
+      if (!rdpUnixSocket) {
         await new Promise((resolve) => setTimeout(resolve, retryInterval));
       }
     }
 
-    // Convert into an array of unix socket filenames.
-    rdpUnixSockets = rdpUnixSockets.map((line) => {
-      return line.trim().split(/\s/).pop();
-    });
-
-    if (rdpUnixSockets.length > 1) {
-      throw new WebExtError(
-        'Unexpected multiple RDP sockets: ' +
-        `${JSON.stringify(rdpUnixSockets)}`
-      );
-    }
-
-    return rdpUnixSockets[0];
+    return rdpUnixSocket;
   }
 
   async setupForward(deviceId: string, remote: string, local: string) {
@@ -417,4 +724,228 @@ export default class ADBUtils {
       await adbClient.forward(deviceId, local, remote);
     });
   }
+
+  async installAPK(deviceId: string, apkFile: string): Promise<void> {
+    const {adbClient} = this;
+
+    log.debug(`Installing ${apkFile} on ${deviceId}`);
+
+    await wrapADBCall(async () => {
+      await adbClient.install(deviceId, apkFile);
+    });
+  }
+
+  // Resolves to the pids of the given package, including its child
+  // processes (e.g. "org.mozilla.fenix:tab12" and "org.mozilla.fenix:gpu").
+  async getPackagePids(
+    deviceId: string, apk: string
+  ): Promise<Array<number>> {
+    const psOutput = await this.runShellCommand(deviceId, [
+      'ps', '-A', '-o', 'PID,NAME',
+    ]);
+
+    const pids = [];
+    for (const line of psOutput.split('\n')) {
+      const [pid, name] = line.trim().split(/\s+/);
+      if (name === apk || (name && name.startsWith(`${apk}:`))) {
+        pids.push(parseInt(pid, 10));
+      }
+    }
+
+    return pids.filter((pid) => !isNaN(pid));
+  }
+
+  // Resolves to an adbkit-logcat Reader, which emits an "entry" event for
+  // each Logcat entry (starting from the ones already in the log buffer).
+  async openLogcat(deviceId: string): Promise<any> {
+    const {adbClient} = this;
+
+    log.debug(`Reading the Logcat of ${deviceId}`);
+
+    return wrapADBCall(async () => adbClient.openLogcat(deviceId));
+  }
+
+  // Resolves to the most recently installed or updated of the given
+  // packages (based on the lastUpdateTime reported by dumpsys).
+  async getLastUpdatedPackage(
+    deviceId: string, packages: Array<string>
+  ): Promise<string | void> {
+    let lastUpdatedPackage;
+    let lastUpdateTime = '';
+
+    for (const pkg of packages) {
+      const dumpsys = await this.runShellCommand(deviceId, [
+        'dumpsys', 'package', pkg,
+      ]);
+      // e.g. "lastUpdateTime=2020-11-23 10:12:31"
+      const match = /lastUpdateTime=(.+)/.exec(dumpsys);
+      if (match && match[1].trim() > lastUpdateTime) {
+        lastUpdateTime = match[1].trim();
+        lastUpdatedPackage = pkg;
+      }
+    }
+
+    return lastUpdatedPackage;
+  }
+
+  async waitForBootCompleted(
+    deviceId: string,
+    {maxDiscoveryTime, retryInterval}: DiscoveryParams,
+    // Stops waiting when it returns true (e.g. the emulator has exited).
+    isCancelled?: () => boolean = () => false
+  ): Promise<void> {
+    const startedAt = Date.now();
+    let bootCompleted = '';
+
+    while (bootCompleted !== '1' && !isCancelled()) {
+      if (this.userAbortDiscovery) {
+        throw new UsageError(
+          'Exiting Android emulator boot on user request'
+        );
+      }
+
+      if (Date.now() - startedAt > maxDiscoveryTime) {
+        throw new WebExtError(
+          `Timeout while waiting for ${deviceId} to complete its boot`
+        );
+      }
+
+      try {
+        bootCompleted = (await this.runShellCommand(deviceId, [
+          'getprop', 'sys.boot_completed',
+        ])).trim();
+      } catch (error) {
+        if (error instanceof UsageError) {
+          throw error;
+        }
+        // The device is not listed by adb until the emulator is ready
+        // to accept connections.
+        log.debug(`${deviceId} is not ready yet: ${error}`);
+      }
+
+      if (bootCompleted !== '1') {
+        await new Promise((resolve) => setTimeout(resolve, retryInterval));
+      }
+    }
+  }
+
+  /**
+   * Starts the given Android Virtual Device in a headless emulator and
+   * resolves to its adb device id once its boot has been completed.
+   */
+  async startAndroidEmulator(
+    avdName: string, discoveryParams: DiscoveryParams
+  ): Promise<string> {
+    const {spawn} = this;
+    const emulatorBin = this.params.emulatorBin || getEmulatorBin();
+
+    // Use the first console port not used by a running emulator, to know
+    // the name of the emulator device in advance.
+    const devices = await this.discoverDevices();
+    let consolePort = EMULATOR_MIN_CONSOLE_PORT;
+    while (devices.includes(`emulator-${consolePort}`)) {
+      consolePort += 2;
+      if (consolePort > EMULATOR_MAX_CONSOLE_PORT) {
+        throw new WebExtError(
+          'Unable to find a free console port for the Android emulator'
+        );
+      }
+    }
+    const deviceId = `emulator-${consolePort}`;
+
+    log.info(`Starting Android emulator ${avdName} (${deviceId})...`);
+
+    const emulatorProcess = spawn(emulatorBin, [
+      '-avd', avdName,
+      '-port', String(consolePort),
+      '-no-window',
+      '-no-audio',
+      '-no-boot-anim',
+      '-no-snapshot-save',
+    ], {stdio: ['ignore', 'pipe', 'pipe']});
+    this.emulatorProcesses.set(deviceId, emulatorProcess);
+
+    for (const output of [emulatorProcess.stdout, emulatorProcess.stderr]) {
+      if (output) {
+        output.on('data', (data) => {
+          log.debug(`[${deviceId}] ${String(data).trim()}`);
+        });
+      }
+    }
+
+    const emulatorExited = new Promise((resolve, reject) => {
+      emulatorProcess.on('error', (error) => {
+        this.emulatorProcesses.delete(deviceId);
+        if (isErrorWithCode('ENOENT', error)) {
+          reject(new UsageError(
+            `No Android emulator executable has been found (${emulatorBin}). ` +
+            'Make sure that the ANDROID_SDK_ROOT environment variable ' +
+            'is set to the Android SDK directory.'
+          ));
+        } else {
+          reject(error);
+        }
+      });
+      emulatorProcess.on('exit', (code) => {
+        this.emulatorProcesses.delete(deviceId);
+        reject(new WebExtError(
+          `Android emulator ${avdName} exited unexpectedly (code: ${code})`
+        ));
+      });
+    });
+
+    try {
+      await Promise.race([
+        emulatorExited,
+        this.waitForBootCompleted(
+          deviceId, discoveryParams,
+          () => !this.emulatorProcesses.has(deviceId)
+        ),
+      ]);
+    } catch (error) {
+      await this.stopAndroidEmulator(deviceId);
+      throw error;
+    }
+
+    log.info(`Android emulator ${deviceId} has completed its boot`);
+
+    return deviceId;
+  }
+
+  async stopAndroidEmulator(deviceId: string): Promise<void> {
+    const emulatorProcess = this.emulatorProcesses.get(deviceId);
+
+    if (!emulatorProcess) {
+      // nothing to do here.
+      return;
+    }
+
+    this.emulatorProcesses.delete(deviceId);
+
+    log.info(`Shutting down Android emulator ${deviceId}...`);
+
+    const {emulatorStopTimeout = EMULATOR_STOP_TIMEOUT} = this.params;
+    let stopTimeout;
+    const emulatorStopped = new Promise((resolve) => {
+      emulatorProcess.once('exit', () => resolve(true));
+      stopTimeout = setTimeout(() => resolve(false), emulatorStopTimeout);
+    });
+
+    // Killing the emulator launcher process doesn't stop the emulator
+    // itself, ask the emulator to shut down from its console instead.
+    try {
+      await this.runADBCommand(['-s', deviceId, 'emu', 'kill']);
+    } catch (error) {
+      log.debug(`Unable to shut down ${deviceId} using adb: ${error}`);
+    }
+
+    if (!(await emulatorStopped)) {
+      log.debug(`Killing the Android emulator ${deviceId}`);
+      await new Promise((resolve) => {
+        emulatorProcess.once('exit', resolve);
+        emulatorProcess.kill();
+      });
+    }
+    clearTimeout(stopTimeout);
+  }
 }
@@ -0,0 +1,262 @@
+/* @flow */
+import http from 'http';
+import {randomBytes} from 'crypto';
+
+import {createLogger} from './logger';
+
+const log = createLogger(__filename);
+
+// The apiUrlPrefix value which makes the sign command use a temporary
+// AmoMockServer instead of addons.mozilla.org.
+export const AMO_MOCK_URL_PREFIX = 'mock:';
+
+export function isAmoMockUrlPrefix(apiUrlPrefix: string): boolean {
+  return apiUrlPrefix.startsWith(AMO_MOCK_URL_PREFIX);
+}
+
+
+/*
+ * Returns the fields of a multipart/form-data request body, mapped by
+ * their name.
+ */
+export function parseMultipartFormData(
+  body: Buffer, contentType: string
+): Map<string, Buffer> {
+  const fields = new Map();
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!boundaryMatch) {
+    return fields;
+  }
+
+  const delimiter = Buffer.from(
+    `--${boundaryMatch[1] || boundaryMatch[2]}`
+  );
+  let partStart = body.indexOf(delimiter);
+
+  while (partStart !== -1) {
+    const headersStart = partStart + delimiter.length + 2;
+    const partEnd = body.indexOf(delimiter, headersStart);
+    if (partEnd === -1) {
+      break;
+    }
+
+    const headersEnd = body.indexOf('\r\n\r\n', headersStart);
+    if (headersEnd !== -1 && headersEnd < partEnd) {
+      const headers = body.slice(headersStart, headersEnd).toString();
+      const nameMatch = /name="([^"]*)"/i.exec(headers);
+      if (nameMatch) {
+        // The part content is followed by a CRLF before the next delimiter.
+        fields.set(nameMatch[1], body.slice(headersEnd + 4, partEnd - 2));
+      }
+    }
+
+    partStart = partEnd;
+  }
+
+  return fields;
+}
+
+
+function generateAddonId(): string {
+  const hex = randomBytes(16).toString('hex');
+  return `{${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-` +
+    `${hex.substr(16, 4)}-${hex.substr(20)}}`;
+}
+
+
+// AmoMockServer types and implementation.
+
+type AmoMockUpload = {|
+  guid: string,
+  version: string,
+  xpi: Buffer,
+|};
+
+export type AmoMockServerParams = {|
+  port?: number,
+  host?: string,
+|};
+
+/*
+ * A local server implementing the parts of the addons.mozilla.org signing
+ * API used by the sign command (upload, validation polling and download
+ * of the signed files), to be able to test the signing flow without
+ * network access or real API credentials.
+ *
+ * Every upload is immediately reported as validated and signed, and the
+ * "signed" XPI is the uploaded file itself.
+ */
+export class AmoMockServer {
+  port: number;
+  host: string;
+  server: http.Server | void;
+  uploads: Map<string, AmoMockUpload>;
+  sourceCodeUploads: Map<string, Buffer>;
+
+  constructor({port = 0, host = '127.0.0.1'}: AmoMockServerParams = {}) {
+    this.port = port;
+    this.host = host;
+    this.uploads = new Map();
+    this.sourceCodeUploads = new Map();
+  }
+
+  get apiUrlPrefix(): string {
+    return `http://${this.host}:${this.port}/api/v4`;
+  }
+
+  async start(): Promise<string> {
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        this.handleRequest(req, Buffer.concat(chunks), res);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.server = server;
+    // Get the actual port when a random one has been requested.
+    this.port = server.address().port;
+    log.info(`AMO mock server listening on ${this.apiUrlPrefix}`);
+
+    return this.apiUrlPrefix;
+  }
+
+  async stop(): Promise<void> {
+    const {server} = this;
+    if (!server) {
+      return;
+    }
+    this.server = undefined;
+    await new Promise((resolve) => server.close(resolve));
+    log.debug('AMO mock server stopped');
+  }
+
+  // Private helper methods.
+
+  handleRequest(req: http.IncomingMessage, body: Buffer, res: Object) {
+    const url = req.url.replace(/^\/api\/v[0-9]+/, '');
+    log.debug(`AMO mock server request: ${req.method} ${url}`);
+
+    const sendJSON = (statusCode, data) => {
+      res.writeHead(statusCode, {'content-type': 'application/json'});
+      res.end(JSON.stringify(data));
+    };
+
+    if (!/^JWT /.test(req.headers.authorization || '')) {
+      sendJSON(401, {detail: 'Authentication credentials were not provided.'});
+      return;
+    }
+
+    // The path parts are decoded below, which throws on malformed
+    // percent-escapes (and would crash the server).
+    try {
+      decodeURIComponent(url);
+    } catch (error) {
+      sendJSON(400, {detail: 'Malformed URL.'});
+      return;
+    }
+
+    let match;
+
+    if (req.method === 'POST' && url === '/addons/') {
+      const fields = parseMultipartFormData(
+        body, req.headers['content-type'] || ''
+      );
+      const version = fields.get('version');
+      this.handleUpload({
+        guid: generateAddonId(),
+        version: version ? version.toString() : '',
+        xpi: fields.get('upload'),
+      }, sendJSON);
+    } else if (req.method === 'PUT' &&
+        (match = /^\/addons\/([^/]+)\/versions\/([^/]+)\/$/.exec(url))) {
+      const fields = parseMultipartFormData(
+        body, req.headers['content-type'] || ''
+      );
+      this.handleUpload({
+        guid: decodeURIComponent(match[1]),
+        version: decodeURIComponent(match[2]),
+        xpi: fields.get('upload'),
+      }, sendJSON);
+    } else if (req.method === 'GET' &&
+        (match = /^\/uploads\/([^/]+)\/$/.exec(url))) {
+      const uploadId = match[1];
+      const upload = this.uploads.get(uploadId);
+      if (!upload) {
+        sendJSON(404, {detail: 'Not found.'});
+        return;
+      }
+      const fileName = `${upload.guid.replace(/[^a-z0-9.-]+/gi, '_')}-` +
+        `${upload.version}.xpi`;
+      sendJSON(200, {
+        guid: upload.guid,
+        active: true,
+        processed: true,
+        valid: true,
+        reviewed: true,
+        automated_signing: true,
+        validation_url: `${this.apiUrlPrefix}/uploads/${uploadId}/validation/`,
+        files: [{
+          signed: true,
+          download_url:
+            `${this.apiUrlPrefix}/downloads/${uploadId}/${fileName}`,
+        }],
+      });
+    } else if (req.method === 'GET' &&
+        (match = /^\/downloads\/([^/]+)\/[^/]+$/.exec(url))) {
+      const upload = this.uploads.get(match[1]);
+      if (!upload) {
+        sendJSON(404, {detail: 'Not found.'});
+        return;
+      }
+      res.writeHead(200, {
+        'content-type': 'application/x-xpinstall',
+        'content-length': upload.xpi.length,
+      });
+      res.end(upload.xpi);
+    } else if (req.method === 'PATCH' && (match = (
+      /^\/addons\/addon\/([^/]+)\/versions\/v([^/]+)\/$/
+    ).exec(url))) {
+      const source = parseMultipartFormData(
+        body, req.headers['content-type'] || ''
+      ).get('source');
+      if (!source) {
+        sendJSON(400, {source: ['No file was submitted.']});
+        return;
+      }
+      const guid = decodeURIComponent(match[1]);
+      const version = decodeURIComponent(match[2]);
+      this.sourceCodeUploads.set(`${guid}/${version}`, source);
+      sendJSON(200, {version, source: 'source.zip'});
+    } else {
+      sendJSON(404, {detail: 'Not found.'});
+    }
+  }
+
+  handleUpload(
+    {guid, version, xpi}: {| guid: string, version: string, xpi: ?Buffer |},
+    sendJSON: (statusCode: number, data: Object) => void
+  ) {
+    if (!xpi || !version) {
+      sendJSON(400, {error: 'Missing the upload file or the version.'});
+      return;
+    }
+
+    const uploadId = randomBytes(8).toString('hex');
+    this.uploads.set(uploadId, {guid, version, xpi});
+    log.debug(`AMO mock server received ${guid} version ${version}`);
+
+    sendJSON(202, {
+      guid,
+      url: `${this.apiUrlPrefix}/uploads/${uploadId}/`,
+    });
+  }
+}
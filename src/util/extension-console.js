@@ -0,0 +1,101 @@
+/* @flow */
+import {createWriteStream} from 'fs';
+
+import {createLogger} from './logger';
+import type {ExtensionConsoleMessage} from '../firefox/remote';
+
+const log = createLogger(__filename);
+
+
+/*
+ * Returns the terminal representation of an extension console message,
+ * e.g. "[console.warn] background.js:12 some message".
+ */
+export function formatExtensionConsoleMessage(
+  {level, message, filename, lineNumber}: ExtensionConsoleMessage
+): string {
+  let source = '';
+  if (filename) {
+    // Strip the moz-extension://<uuid>/ prefix of the extension files.
+    source = filename.replace(/^[a-z-]+-extension:\/\/[^/]+\//, '');
+    if (lineNumber) {
+      source = `${source}:${lineNumber}`;
+    }
+    source = `${source} `;
+  }
+
+  return `[console.${level}] ${source}${message}`;
+}
+
+
+/*
+ * Print an extension console message to the terminal, with the logger
+ * level matching the console message level.
+ */
+export function printExtensionConsoleMessage(
+  message: ExtensionConsoleMessage, prefix?: string
+) {
+  const formattedMessage = prefix ?
+    `${prefix} ${formatExtensionConsoleMessage(message)}` :
+    formatExtensionConsoleMessage(message);
+
+  if (message.level === 'error') {
+    log.error(formattedMessage);
+  } else if (message.level === 'warn') {
+    log.warn(formattedMessage);
+  } else {
+    log.info(formattedMessage);
+  }
+}
+
+
+// ExtensionConsoleLogger types and implementation.
+
+export type ExtensionConsoleLoggerParams = {|
+  logFile?: string,
+|};
+
+/*
+ * Prints the console messages of the running extensions to the terminal
+ * and optionally appends them to a JSONL file (one JSON object per line).
+ */
+export class ExtensionConsoleLogger {
+  logFile: string | void;
+  logFileStream: stream$Writable | void;
+
+  constructor({logFile}: ExtensionConsoleLoggerParams = {}) {
+    this.logFile = logFile;
+  }
+
+  logMessage(message: ExtensionConsoleMessage) {
+    printExtensionConsoleMessage(message);
+
+    const {logFile} = this;
+    if (logFile) {
+      if (!this.logFileStream) {
+        log.debug(`Writing extension console messages to ${logFile}`);
+        const logFileStream = createWriteStream(logFile, {flags: 'a'});
+        logFileStream.on('error', (error) => {
+          log.warn(
+            `Unable to write the extension console messages to ${logFile}: ` +
+            `${error}`
+          );
+          // Keep printing the messages to the terminal only.
+          this.logFile = undefined;
+          this.logFileStream = undefined;
+        });
+        this.logFileStream = logFileStream;
+      }
+      this.logFileStream.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  close(): Promise<void> {
+    const {logFileStream} = this;
+    if (!logFileStream) {
+      return Promise.resolve();
+    }
+    this.logFileStream = undefined;
+    return new Promise((resolve) => logFileStream.end(resolve));
+  }
+}
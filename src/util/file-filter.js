@@ -3,7 +3,7 @@ import path from 'path';
 
 import multimatch from 'multimatch';
 
-import {createLogger} from './logger';
+import {createLogger, logFileStream} from './logger';
 
 const log = createLogger(__filename);
 
@@ -27,6 +27,8 @@ export type FileFilterOptions = {|
   ignoreFiles?: Array<string>,
   sourceDir: string,
   artifactsDir?: string,
+  // The file recording the log messages (see --log-file), if any.
+  logFile?: string,
 |};
 
 /*
@@ -48,6 +50,7 @@ export class FileFilter {
     ignoreFiles = [],
     sourceDir,
     artifactsDir,
+    logFile = logFileStream.filePath,
   }: FileFilterOptions = {}) {
     sourceDir = path.resolve(sourceDir);
 
@@ -69,6 +72,13 @@ export class FileFilter {
         path.join(artifactsDir, '**', '*'),
       ]);
     }
+    if (logFile && isSubPath(sourceDir, logFile)) {
+      logFile = path.resolve(logFile);
+      log.debug(`Ignoring log file "${logFile}" and its rotated files`);
+      // Otherwise each log message would trigger an extension reload,
+      // logging more messages.
+      this.addToIgnoreList([logFile, `${logFile}.+([0-9])`]);
+    }
   }
 
   /**
@@ -1,4 +1,14 @@
 /* @flow */
+import {
+  closeSync,
+  existsSync,
+  fstatSync,
+  openSync,
+  renameSync,
+  unlinkSync,
+  writeSync,
+} from 'fs';
+
 import bunyan, {nameFromLevel, createLogger as defaultLogCreator}
   from 'bunyan';
 
@@ -19,6 +29,7 @@ export type BunyanLogEntry = {|
   name: string,
   msg: string,
   level: BunyanLogLevel,
+  time?: Date,
 |};
 
 export type Logger = {
@@ -33,6 +44,7 @@ export type Logger = {
 
 export type ConsoleStreamParams = {|
   verbose?: boolean,
+  json?: boolean,
 |};
 
 export type ConsoleOptions = {|
@@ -41,16 +53,29 @@ export type ConsoleOptions = {|
 
 export class ConsoleStream {
   verbose: boolean;
+  // Write one JSON object per line instead of the human readable messages.
+  json: boolean;
   isCapturing: boolean;
   capturedMessages: Array<string>;
 
-  constructor({verbose = false}: ConsoleStreamParams = {}) {
+  constructor({verbose = false, json = false}: ConsoleStreamParams = {}) {
     this.verbose = verbose;
+    this.json = json;
     this.isCapturing = false;
     this.capturedMessages = [];
   }
 
-  format({name, msg, level}: BunyanLogEntry): string {
+  format({name, msg, level, time = new Date()}: BunyanLogEntry): string {
+    if (this.json) {
+      return `${JSON.stringify({
+        type: 'log',
+        level: nameFromLevel[level],
+        name,
+        message: msg,
+        timestamp: time.toISOString(),
+      })}\n`;
+    }
+
     const prefix = this.verbose ? `[${name}][${nameFromLevel[level]}] ` : '';
     return `${prefix}${msg}\n`;
   }
@@ -59,18 +84,63 @@ export class ConsoleStream {
     this.verbose = true;
   }
 
+  makeJSON() {
+    this.json = true;
+  }
+
   write(
     packet: BunyanLogEntry,
     {localProcess = process}: ConsoleOptions = {}
   ): void {
     const thisLevel: BunyanLogLevel = this.verbose ? bunyan.TRACE : bunyan.INFO;
     if (packet.level >= thisLevel) {
-      const msg = this.format(packet);
-      if (this.isCapturing) {
-        this.capturedMessages.push(msg);
-      } else {
-        localProcess.stdout.write(msg);
-      }
+      this.writeMessage(this.format(packet), {localProcess});
+    }
+  }
+
+  /*
+   * Write the final result of a command (e.g. an ExtensionBuildResult),
+   * only in the JSON output mode.
+   */
+  writeResult(
+    command: string,
+    result: mixed,
+    {localProcess = process}: ConsoleOptions = {}
+  ): void {
+    if (!this.json) {
+      return;
+    }
+
+    const msg = `${JSON.stringify({
+      type: 'result',
+      command,
+      result,
+      timestamp: new Date().toISOString(),
+    })}\n`;
+    this.writeMessage(msg, {localProcess});
+  }
+
+  /*
+   * Write a status line which is overwritten by the next one (e.g. the
+   * time of the last extension reload), only in the text output mode.
+   */
+  writeStatus(
+    msg: string,
+    {localProcess = process}: ConsoleOptions = {}
+  ): void {
+    if (!this.json) {
+      localProcess.stdout.write(`\r${msg}`);
+    }
+  }
+
+  writeMessage(
+    msg: string,
+    {localProcess = process}: ConsoleOptions = {}
+  ): void {
+    if (this.isCapturing) {
+      this.capturedMessages.push(msg);
+    } else {
+      localProcess.stdout.write(msg);
     }
   }
 
@@ -93,12 +163,204 @@ export class ConsoleStream {
 
 export const consoleStream: ConsoleStream = new ConsoleStream();
 
+/*
+ * Log the lines written on stdout by third-party modules (e.g. the progress
+ * and the results printed by sign-addon) as info messages until the
+ * returned function is called, so that the JSON output mode only writes
+ * JSON objects on stdout.
+ */
+export function logStdoutLines(
+  logger: Logger,
+  {localProcess = process}: ConsoleOptions = {}
+): () => void {
+  const {stdout} = localProcess;
+  const originalWrite = stdout.write;
+  let pendingOutput = '';
+  let isLogging = false;
+
+  const logLine = (line) => {
+    // Only keep the final state of the lines redrawn using a carriage
+    // return (e.g. the progress bars).
+    const text = line.substr(line.lastIndexOf('\r') + 1).trim();
+    if (text) {
+      isLogging = true;
+      try {
+        logger.info(text);
+      } finally {
+        isLogging = false;
+      }
+    }
+  };
+
+  // $FlowIgnore: replace the stdout write method to intercept the output.
+  stdout.write = function(chunk, ...args) {
+    if (isLogging) {
+      // The log messages written by the logger itself.
+      return originalWrite.call(stdout, chunk, ...args);
+    }
+    const lines = `${pendingOutput}${String(chunk)}`.split('\n');
+    pendingOutput = lines.pop();
+    lines.forEach(logLine);
+    return true;
+  };
+
+  return () => {
+    // $FlowIgnore: restore the stdout write method.
+    stdout.write = originalWrite;
+    logLine(pendingOutput);
+    pendingOutput = '';
+  };
+}
+
+
+// LogFileStream types and implementation.
+
+export type LogFileStreamOpenParams = {|
+  filePath: string,
+  // Rotate the log file once it would grow over this size (in bytes).
+  maxSize?: number,
+  // The number of rotated files to keep (e.g. web-ext.log.1 and
+  // web-ext.log.2 for 2).
+  maxFiles?: number,
+|};
+
+/*
+ * Records all the log entries (at any level) in a file, once opened.
+ *
+ * The entries are written synchronously, so that the trace up to an
+ * unexpected exit is not lost.
+ */
+export class LogFileStream {
+  filePath: string | void;
+  maxSize: number | void;
+  maxFiles: number;
+  fd: number | void;
+  size: number;
+
+  constructor() {
+    this.maxFiles = 1;
+    this.size = 0;
+  }
+
+  open({filePath, maxSize, maxFiles = 1}: LogFileStreamOpenParams) {
+    this.close();
+    this.filePath = filePath;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this.openFile();
+  }
+
+  close() {
+    const {fd} = this;
+    if (fd !== undefined) {
+      this.fd = undefined;
+      closeSync(fd);
+    }
+  }
+
+  format({name, msg, level, time = new Date()}: BunyanLogEntry): string {
+    return `${time.toISOString()} [${name}][${nameFromLevel[level]}] ${msg}\n`;
+  }
+
+  write(packet: BunyanLogEntry): void {
+    if (this.fd === undefined) {
+      return;
+    }
+
+    const data = Buffer.from(this.format(packet));
+    try {
+      if (this.maxSize && this.size > 0 &&
+          this.size + data.length > this.maxSize) {
+        this.rotate();
+      }
+      this.writeData(data);
+    } catch (error) {
+      // The log file may have been moved or deleted during a long run,
+      // the log calls must not throw: start a new log file instead.
+      this.reopen(data);
+    }
+  }
+
+  // Private helper methods.
+
+  writeData(data: Buffer) {
+    if (this.fd !== undefined) {
+      writeSync(this.fd, data);
+      this.size += data.length;
+    }
+  }
+
+  reopen(data: Buffer) {
+    try {
+      this.close();
+    } catch (error) {
+      // The file descriptor is already unusable.
+    }
+
+    try {
+      this.openFile();
+      this.writeData(data);
+    } catch (error) {
+      try {
+        this.close();
+      } catch (closeError) {
+        // The file descriptor is already unusable.
+      }
+      // The log file is closed, so this warning is only written on the
+      // console.
+      createLogger(__filename).warn(
+        `Unable to write the log file ${String(this.filePath)}, ` +
+        `the log messages are no longer recorded: ${error}`
+      );
+    }
+  }
+
+  openFile() {
+    const {filePath} = this;
+    if (!filePath) {
+      return;
+    }
+    const fd = this.fd = openSync(filePath, 'a');
+    this.size = fstatSync(fd).size;
+  }
+
+  // Shift the rotated files (web-ext.log.1 to web-ext.log.2 and so on,
+  // dropping the oldest one) and start a new log file.
+  rotate() {
+    const {filePath, maxFiles} = this;
+    if (!filePath) {
+      return;
+    }
+
+    this.close();
+
+    const oldestFile = `${filePath}.${maxFiles}`;
+    if (existsSync(oldestFile)) {
+      unlinkSync(oldestFile);
+    }
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (existsSync(`${filePath}.${index}`)) {
+        renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+      }
+    }
+    if (maxFiles > 0) {
+      renameSync(filePath, `${filePath}.1`);
+    } else {
+      unlinkSync(filePath);
+    }
+
+    this.openFile();
+  }
+}
+
+export const logFileStream: LogFileStream = new LogFileStream();
+
 
 // createLogger types and implementation.
 
 export type BunyanStreamConfig = {|
   type: string,
-  stream: ConsoleStream,
+  stream: ConsoleStream | LogFileStream,
 |};
 
 export type CreateBunyanLogParams = {|
@@ -126,6 +388,9 @@ export function createLogger(
     streams: [{
       type: 'raw',
       stream: consoleStream,
+    }, {
+      type: 'raw',
+      stream: logFileStream,
     }],
   });
 }
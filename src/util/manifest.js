@@ -7,6 +7,7 @@ import stripBom from 'strip-bom';
 import stripJsonComments from 'strip-json-comments';
 
 import {InvalidManifest} from '../errors';
+import fileExists from './file-exists';
 import {createLogger} from './logger';
 
 const log = createLogger(__filename);
@@ -30,33 +31,43 @@ export type ExtensionManifest = {|
   applications?: ExtensionManifestApplications,
   browser_specific_settings?: ExtensionManifestApplications,
   permissions?: Array<string>,
+  key?: string,
 |};
 
-export default async function getValidatedManifest(
-  sourceDir: string
-): Promise<ExtensionManifest> {
-  const manifestFile = path.join(sourceDir, 'manifest.json');
-  log.debug(`Validating manifest at ${manifestFile}`);
+export const MANIFEST_TARGETS = [
+  'firefox-desktop', 'firefox-android', 'chromium',
+];
+
+export type ManifestTarget = 'firefox-desktop' | 'firefox-android' | 'chromium';
 
+async function readManifestFile(manifestFile: string): Promise<Object> {
+  const fileName = path.basename(manifestFile);
   let manifestContents;
 
   try {
     manifestContents = await fs.readFile(manifestFile, {encoding: 'utf-8'});
   } catch (error) {
     throw new InvalidManifest(
-      `Could not read manifest.json file at ${manifestFile}: ${error}`);
+      `Could not read ${fileName} file at ${manifestFile}: ${error}`);
   }
 
   manifestContents = stripBom(manifestContents);
 
-  let manifestData;
-
   try {
-    manifestData = parseJSON(stripJsonComments(manifestContents));
+    return parseJSON(stripJsonComments(manifestContents));
   } catch (error) {
     throw new InvalidManifest(
-      `Error parsing manifest.json file at ${manifestFile}: ${error}`);
+      `Error parsing ${fileName} file at ${manifestFile}: ${error}`);
   }
+}
+
+export default async function getValidatedManifest(
+  sourceDir: string
+): Promise<ExtensionManifest> {
+  const manifestFile = path.join(sourceDir, 'manifest.json');
+  log.debug(`Validating manifest at ${manifestFile}`);
+
+  const manifestData = await readManifestFile(manifestFile);
 
   const errors = [];
   // This is just some basic validation of what web-ext needs, not
@@ -102,3 +113,119 @@ export function getManifestId(manifestData: ExtensionManifest): string | void {
 
   return undefined;
 }
+
+
+// getTargetManifest helper types and implementation
+
+export type GetTargetManifestParams = {|
+  sourceDir: string,
+  target: ManifestTarget,
+  manifestData: ExtensionManifest,
+|};
+
+function isPlainObject(value: mixed): boolean %checks {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/*
+ * Deep merge the overlay properties into a copy of the base manifest.
+ *
+ * Objects are merged recursively, any other value (arrays included)
+ * replaces the base one and a null value removes the property.
+ */
+export function mergeManifestOverlay(base: Object, overlay: Object): Object {
+  const result = {...base};
+
+  for (const key of Object.keys(overlay)) {
+    const value = overlay[key];
+    if (value === null) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeManifestOverlay(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/*
+ * Return a copy of the manifest adjusted for the given target browser.
+ *
+ * Chromium doesn't support the Firefox specific manifest keys, which are
+ * removed. For Firefox the deprecated "applications" key is merged into
+ * "browser_specific_settings" and a background service worker is converted
+ * into the equivalent background script.
+ */
+export function transformManifestForTarget(
+  manifestData: Object, target: ManifestTarget
+): Object {
+  const result = {...manifestData};
+
+  if (target === 'chromium') {
+    delete result.browser_specific_settings;
+    delete result.applications;
+    return result;
+  }
+
+  if (result.applications) {
+    // The browser_specific_settings values are preferred by Firefox.
+    result.browser_specific_settings = mergeManifestOverlay(
+      result.applications, result.browser_specific_settings || {}
+    );
+    delete result.applications;
+  }
+
+  const {background} = result;
+  if (background && background.service_worker && !background.scripts) {
+    const {service_worker, ...otherProps} = background;
+    result.background = {...otherProps, scripts: [service_worker]};
+  }
+
+  return result;
+}
+
+/*
+ * Returns the manifest to package for a given target browser, the
+ * transformed manifest is merged with the optional manifest.<target>.json
+ * overlay file found in the source directory.
+ */
+export async function getTargetManifest(
+  {sourceDir, target, manifestData}: GetTargetManifestParams
+): Promise<ExtensionManifest> {
+  let targetManifest = transformManifestForTarget(manifestData, target);
+
+  const overlayFile = path.join(sourceDir, getManifestOverlayName(target));
+  if (await fileExists(overlayFile)) {
+    log.debug(`Merging the ${target} manifest overlay ${overlayFile}`);
+    const overlayData = await readManifestFile(overlayFile);
+    if (!isPlainObject(overlayData)) {
+      throw new InvalidManifest(
+        `Manifest overlay at ${overlayFile} is invalid: expected an object`);
+    }
+    targetManifest = mergeManifestOverlay(targetManifest, overlayData);
+  }
+
+  return targetManifest;
+}
+
+
+export function getManifestOverlayName(target: ManifestTarget): string {
+  return `manifest.${target}.json`;
+}
+
+
+/*
+ * Returns true if the file is one of the manifest.<target>.json overlays
+ * located in the root of the source directory.
+ */
+export function isManifestOverlay(
+  sourceDir: string, filePath: string
+): boolean {
+  const resolvedPath = path.resolve(filePath);
+  return path.dirname(resolvedPath) === path.resolve(sourceDir) &&
+    MANIFEST_TARGETS.some(
+      (target) => path.basename(resolvedPath) === getManifestOverlayName(target)
+    );
+}
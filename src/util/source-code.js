@@ -0,0 +1,252 @@
+/* @flow */
+import path from 'path';
+import {createReadStream} from 'fs';
+
+import {fs} from 'mz';
+import defaultJwt from 'jsonwebtoken';
+import defaultRequest from 'request';
+
+import {isErrorWithCode, UsageError, WebExtError} from '../errors';
+import {createLogger} from './logger';
+import {FileFilter} from './file-filter';
+import {ZipDirIndex} from './zip-dir';
+
+const log = createLogger(__filename);
+
+// The files never included in a source code archive.
+const SOURCE_CODE_IGNORED_PATTERNS = [
+  '**/*.xpi',
+  '**/*.zip',
+  '**/.git',
+  '**/.git/**/*',
+  '**/.hg',
+  '**/.hg/**/*',
+  '**/node_modules',
+  '**/node_modules/**/*',
+];
+
+
+/*
+ * Returns the root of the repository which contains the source directory
+ * (the nearest parent directory with a .git or .hg directory), or the
+ * source directory itself when it isn't part of a repository.
+ */
+export async function findRepositoryRoot(sourceDir: string): Promise<string> {
+  let dirPath;
+  let parentDir = path.resolve(sourceDir);
+
+  do {
+    dirPath = parentDir;
+    for (const vcsDir of ['.git', '.hg']) {
+      try {
+        await fs.stat(path.join(dirPath, vcsDir));
+        return dirPath;
+      } catch (error) {
+        if (!isErrorWithCode('ENOENT', error)) {
+          throw error;
+        }
+      }
+    }
+    parentDir = path.dirname(dirPath);
+  } while (parentDir !== dirPath);
+
+  return path.resolve(sourceDir);
+}
+
+
+/*
+ * Convert the content of a .gitignore file into the glob patterns
+ * understood by FileFilter, relative to the .gitignore directory.
+ */
+export function parseGitignore(contents: string): Array<string> {
+  const patterns = [];
+
+  for (let line of contents.split(/\r?\n/)) {
+    line = line.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let prefix = '';
+    if (line.startsWith('!')) {
+      prefix = '!';
+      line = line.substr(1);
+    }
+
+    // A trailing slash only matches directories, which are ignored
+    // together with their content anyway.
+    line = line.replace(/\/+$/, '');
+    if (!line) {
+      continue;
+    }
+
+    // A pattern which contains a slash is relative to the .gitignore
+    // directory, otherwise it matches at any level.
+    const pattern = line.includes('/') ?
+      line.replace(/^\/+/, '') : `**/${line}`;
+
+    patterns.push(`${prefix}${pattern}`, `${prefix}${pattern}/**/*`);
+  }
+
+  return patterns;
+}
+
+
+// createSourceCodeArchive types and implementation.
+
+export type SourceCodeArchiveParams = {|
+  sourceDir: string,
+  artifactsDir: string,
+  ignoreFiles?: Array<string>,
+  destPath: string,
+|};
+
+/*
+ * Create a zip archive of the repository which contains the extension
+ * source directory, e.g. to let the AMO reviewers check the original
+ * sources of a bundled extension.
+ *
+ * The files ignored by the .gitignore file of the repository root and the
+ * --ignore-files patterns (relative to the extension source directory) are
+ * not included. The .gitignore files of the subdirectories are not
+ * supported: their patterns have to be added to --ignore-files.
+ */
+export async function createSourceCodeArchive(
+  {sourceDir, artifactsDir, ignoreFiles = [], destPath}: SourceCodeArchiveParams
+): Promise<string> {
+  const repositoryRoot = await findRepositoryRoot(sourceDir);
+  log.info(`Creating source code archive from ${repositoryRoot}`);
+
+  let gitignorePatterns = [];
+  try {
+    gitignorePatterns = parseGitignore(
+      await fs.readFile(path.join(repositoryRoot, '.gitignore'), 'utf-8')
+    );
+  } catch (error) {
+    if (!isErrorWithCode('ENOENT', error)) {
+      throw error;
+    }
+    log.debug(`No .gitignore file found in ${repositoryRoot}`);
+  }
+
+  const fileFilter = new FileFilter({
+    sourceDir: repositoryRoot,
+    artifactsDir,
+    baseIgnoredPatterns: SOURCE_CODE_IGNORED_PATTERNS,
+    ignoreFiles: [
+      ...gitignorePatterns,
+      // The --ignore-files patterns are relative to the extension directory.
+      ...ignoreFiles.map((pattern) => {
+        if (pattern.startsWith('!')) {
+          return `!${path.resolve(sourceDir, pattern.substr(1))}`;
+        }
+        return path.resolve(sourceDir, pattern);
+      }),
+    ],
+  });
+
+  const zipDirIndex = new ZipDirIndex({
+    sourceDir: repositoryRoot,
+    filter: (filePath) => fileFilter.wantFile(filePath),
+  });
+
+  await fs.writeFile(destPath, await zipDirIndex.zip());
+  log.info(`Source code archive created: ${destPath}`);
+
+  return destPath;
+}
+
+
+// uploadSourceCode types and implementation.
+
+/*
+ * The version edit API endpoint is only available in the AMO API v5,
+ * returns the v5 URL prefix which corresponds to the given one
+ * (e.g. https://addons.mozilla.org/api/v5 for the default
+ * https://addons.mozilla.org/api/v3).
+ */
+export function getSourceCodeApiUrlPrefix(apiUrlPrefix: string): string {
+  const match = /^(.*\/api\/)v[0-9]+\/?$/.exec(apiUrlPrefix);
+  if (!match) {
+    throw new UsageError(
+      `Unable to upload the source code using ${apiUrlPrefix}: ` +
+      'the API URL prefix is expected to end with /api/v5'
+    );
+  }
+  return `${match[1]}v5`;
+}
+
+export type UploadSourceCodeParams = {|
+  apiKey: string,
+  apiSecret: string,
+  apiUrlPrefix: string,
+  apiProxy?: string,
+  id: string,
+  version: string,
+  sourceCodePath: string,
+|};
+
+export type UploadSourceCodeOptions = {|
+  request?: typeof defaultRequest,
+  jwt?: typeof defaultJwt,
+|};
+
+/*
+ * Attach a source code archive to an add-on version already submitted
+ * to addons.mozilla.org, using the version edit API v5 endpoint.
+ */
+export async function uploadSourceCode(
+  {
+    apiKey,
+    apiSecret,
+    apiUrlPrefix,
+    apiProxy,
+    id,
+    version,
+    sourceCodePath,
+  }: UploadSourceCodeParams,
+  {
+    request = defaultRequest,
+    jwt = defaultJwt,
+  }: UploadSourceCodeOptions = {}
+): Promise<void> {
+  const url = `${getSourceCodeApiUrlPrefix(apiUrlPrefix)}/addons/addon/` +
+    `${encodeURIComponent(id)}` +
+    `/versions/v${encodeURIComponent(version)}/`;
+  const token = jwt.sign({iss: apiKey}, apiSecret, {
+    algorithm: 'HS256',
+    expiresIn: 300,
+  });
+
+  log.info(`Uploading source code archive ${sourceCodePath}`);
+  log.debug(`Uploading source code to ${url}`);
+
+  const [response, body] = await new Promise((resolve, reject) => {
+    request.patch({
+      url,
+      proxy: apiProxy,
+      headers: {
+        Authorization: `JWT ${token}`,
+        Accept: 'application/json',
+      },
+      formData: {
+        source: createReadStream(sourceCodePath),
+      },
+    }, (error, res, resBody) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve([res, resBody]);
+      }
+    });
+  });
+
+  if (response.statusCode < 200 || response.statusCode > 299) {
+    throw new WebExtError(
+      `Could not upload the source code archive ${sourceCodePath} ` +
+      `(status: ${response.statusCode}): ${body}`
+    );
+  }
+
+  log.info('Source code archive uploaded');
+}
@@ -0,0 +1,132 @@
+/* @flow */
+import path from 'path';
+import {createHash} from 'crypto';
+
+import {fs} from 'mz';
+import parseJSON from 'parse-json';
+
+import {isErrorWithCode, UsageError} from '../errors';
+import {createLogger} from './logger';
+import type {
+  ExtensionManifest,
+  ExtensionManifestApplications,
+} from './manifest';
+
+const log = createLogger(__filename);
+
+
+/*
+ * Returns the URL of a signed XPI file from an update link template,
+ * where {id}, {version} and {filename} are replaced by the extension ID,
+ * its version and the name of the signed XPI file.
+ */
+export function getUpdateLink(
+  template: string,
+  values: {| id: string, version: string, filename: string |}
+): string {
+  return template.replace(
+    /{(id|version|filename)}/g,
+    (match, name) => encodeURIComponent(values[name])
+  );
+}
+
+
+/*
+ * Returns the gecko strict_min_version declared by the manifest, if any
+ * (browser_specific_settings is preferred to applications as Firefox does).
+ */
+export function getStrictMinVersion(
+  manifestData: ExtensionManifest
+): string | void {
+  const manifestApps: Array<?ExtensionManifestApplications> = [
+    manifestData.browser_specific_settings,
+    manifestData.applications,
+  ];
+  for (const apps of manifestApps) {
+    if (apps?.gecko) {
+      return apps.gecko.strict_min_version;
+    }
+  }
+
+  return undefined;
+}
+
+
+// updateUpdateManifest types and implementation.
+
+export type UpdateManifestParams = {|
+  updateManifestPath: string,
+  updateLinkTemplate: string,
+  id: string,
+  xpiPath: string,
+  manifestData: ExtensionManifest,
+|};
+
+/*
+ * Create or append to a self-hosted updates.json file, see:
+ * https://extensionworkshop.com/documentation/manage/updating-your-extension/
+ *
+ * An existing update for the same version is replaced.
+ */
+export async function updateUpdateManifest(
+  {
+    updateManifestPath,
+    updateLinkTemplate,
+    id,
+    xpiPath,
+    manifestData,
+  }: UpdateManifestParams
+): Promise<string> {
+  let updateManifest = {addons: {}};
+
+  try {
+    const contents = await fs.readFile(updateManifestPath, 'utf-8');
+    try {
+      updateManifest = parseJSON(contents);
+    } catch (error) {
+      throw new UsageError(
+        `Error parsing update manifest at ${updateManifestPath}: ${error}`);
+    }
+  } catch (error) {
+    if (!isErrorWithCode('ENOENT', error)) {
+      throw error;
+    }
+    log.debug(`Creating a new update manifest at ${updateManifestPath}`);
+  }
+
+  if (!updateManifest.addons || typeof updateManifest.addons !== 'object') {
+    throw new UsageError(
+      `Update manifest at ${updateManifestPath} is invalid: ` +
+      'missing "addons" property');
+  }
+
+  const {version} = manifestData;
+  const xpiData = await fs.readFile(xpiPath);
+  const update: Object = {
+    version,
+    update_link: getUpdateLink(updateLinkTemplate, {
+      id, version, filename: path.basename(xpiPath),
+    }),
+    update_hash: `sha256:${createHash('sha256').update(xpiData).digest('hex')}`,
+  };
+
+  const strictMinVersion = getStrictMinVersion(manifestData);
+  if (strictMinVersion) {
+    update.applications = {gecko: {strict_min_version: strictMinVersion}};
+  }
+
+  const addon = updateManifest.addons[id] || {};
+  const updates = (addon.updates || []).filter(
+    (existingUpdate) => existingUpdate.version !== version
+  );
+  updates.push(update);
+  updateManifest.addons[id] = {...addon, updates};
+
+  await fs.writeFile(
+    updateManifestPath, `${JSON.stringify(updateManifest, null, 2)}\n`
+  );
+  log.info(`Added version ${version} to the update manifest: ` +
+           `${updateManifestPath}`);
+
+  return updateManifestPath;
+}
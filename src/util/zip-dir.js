@@ -1,9 +1,144 @@
 /* @flow */
+import path from 'path';
 import {promisify} from 'util';
+import type {Stats} from 'fs';
 
+import {fs} from 'mz';
 import zipDirModule from 'zip-dir';
 
+import {createLogger} from './logger';
+import {createZipBuffer, createZipEntry} from './zip-writer';
+import type {ZipEntry} from './zip-writer';
+
+const log = createLogger(__filename);
+
 type PromisedZipDir =
   (sourceDir: string, { filter(...any): boolean }) => Promise<Buffer>;
 
 export const zipDir: PromisedZipDir = promisify(zipDirModule);
+
+
+// ZipDirIndex types and implementation.
+
+export type ZipDirIndexParams = {|
+  sourceDir: string,
+  filter: (filePath: string) => boolean,
+  // Used in place of the mtime and mode of every file when defined
+  // (e.g. to create reproducible archives).
+  fixedDate?: Date,
+  fixedMode?: number,
+|};
+
+type IndexedFile = {|
+  mtimeMs: number,
+  size: number,
+  entry: ZipEntry,
+|};
+
+/*
+ * Zips a directory, keeping an in-memory index of the compressed files
+ * so that the next archives only need to compress again the files that
+ * have been changed in the meantime.
+ */
+export class ZipDirIndex {
+  sourceDir: string;
+  filter: (filePath: string) => boolean;
+  fixedDate: ?Date;
+  fixedMode: ?number;
+  // Map the absolute file paths to their last compressed zip entry.
+  indexedFiles: Map<string, IndexedFile>;
+
+  constructor({sourceDir, filter, fixedDate, fixedMode}: ZipDirIndexParams) {
+    this.sourceDir = path.resolve(sourceDir);
+    this.filter = filter;
+    this.fixedDate = fixedDate;
+    this.fixedMode = fixedMode;
+    this.indexedFiles = new Map();
+  }
+
+  /*
+   * Create a new zip archive of the source directory, the files
+   * are always added in the same (sorted) order.
+   *
+   * The files listed in changedFiles (e.g. as reported by the file watcher)
+   * are always compressed again, any other file is only compressed again
+   * if it is new or its mtime or size doesn't match the indexed one.
+   *
+   * The files listed in replacedFiles (mapped by their zip entry name) are
+   * added with the given content instead of the one found on disk, and
+   * they are never kept in the index.
+   */
+  async zip(
+    changedFiles?: Array<string> = [],
+    replacedFiles?: Map<string, Buffer> = new Map()
+  ): Promise<Buffer> {
+    const changedFilesSet = new Set(
+      changedFiles.map((filePath) => path.resolve(filePath))
+    );
+    const indexedFiles = new Map();
+    const entries = [];
+
+    for (const {filePath, stat} of await this.listFiles(this.sourceDir)) {
+      // Zip entry names always use forward slashes as separators.
+      const entryName = path.relative(this.sourceDir, filePath)
+        .split(path.sep).join('/');
+      const replacedData = replacedFiles.get(entryName);
+      const indexedFile = this.indexedFiles.get(filePath);
+
+      if (!replacedData && indexedFile && !changedFilesSet.has(filePath) &&
+          indexedFile.mtimeMs === stat.mtimeMs &&
+          indexedFile.size === stat.size) {
+        indexedFiles.set(filePath, indexedFile);
+        entries.push(indexedFile.entry);
+        continue;
+      }
+
+      log.debug(`Compressing ${filePath}`);
+      const entry = await createZipEntry({
+        name: entryName,
+        data: replacedData || await fs.readFile(filePath),
+        date: this.fixedDate || stat.mtime,
+        mode: this.fixedMode || stat.mode,
+      });
+      entries.push(entry);
+
+      if (!replacedData) {
+        indexedFiles.set(filePath, {
+          mtimeMs: stat.mtimeMs,
+          size: stat.size,
+          entry,
+        });
+      }
+    }
+
+    // Replacing the index also drops the files removed from the directory.
+    this.indexedFiles = indexedFiles;
+
+    return createZipBuffer(entries);
+  }
+
+  // Private helper methods.
+
+  async listFiles(
+    dirPath: string
+  ): Promise<Array<{| filePath: string, stat: Stats |}>> {
+    const files = [];
+    const fileNames = (await fs.readdir(dirPath)).sort();
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(dirPath, fileName);
+      if (!this.filter(filePath)) {
+        continue;
+      }
+
+      const stat = await fs.stat(filePath);
+      if (stat.isDirectory()) {
+        files.push(...await this.listFiles(filePath));
+      } else {
+        files.push({filePath, stat});
+      }
+    }
+
+    return files;
+  }
+}
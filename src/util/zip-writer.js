@@ -0,0 +1,161 @@
+/* @flow */
+import zlib from 'zlib';
+import {promisify} from 'util';
+
+import crc32 from 'buffer-crc32';
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const LOCAL_FILE_HEADER_SIZE = 30;
+const CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+
+// Version 2.0 of the zip specification (needed for deflate).
+const ZIP_VERSION = 20;
+// Version made by "UNIX" (3) in the high byte, needed to let the unix file
+// permissions in the external attributes to be honored on extraction.
+const ZIP_VERSION_MADE_BY = 3 * 256 + ZIP_VERSION;
+// General purpose flag which marks the entry names as UTF-8 encoded.
+const UTF8_NAMES_FLAG = 0x0800;
+
+export const COMPRESSION_STORE = 0;
+export const COMPRESSION_DEFLATE = 8;
+
+
+// ZipEntry types and implementation.
+
+export type ZipEntry = {|
+  name: string,
+  date: Date,
+  mode: number,
+  crc32: number,
+  size: number,
+  compressionMethod: number,
+  compressedData: Buffer,
+|};
+
+export type CreateZipEntryParams = {|
+  name: string,
+  data: Buffer,
+  date: Date,
+  mode: number,
+|};
+
+/*
+ * Compress the data of a single file into a zip entry, which can be
+ * cached and written into more than one archive by createZipBuffer.
+ */
+export async function createZipEntry(
+  {name, data, date, mode}: CreateZipEntryParams
+): Promise<ZipEntry> {
+  const deflated = await deflateRaw(data);
+  // Files which are already compressed (e.g. images, fonts or wasm)
+  // are stored as they are if deflating doesn't make them any smaller.
+  const useDeflate = deflated.length < data.length;
+
+  return {
+    name,
+    date,
+    mode,
+    crc32: crc32.unsigned(data),
+    size: data.length,
+    compressionMethod: useDeflate ? COMPRESSION_DEFLATE : COMPRESSION_STORE,
+    compressedData: useDeflate ? deflated : data,
+  };
+}
+
+
+// The range of the dates which can be represented in the MS-DOS format.
+const DOS_DATE_MIN = Date.UTC(1980, 0, 1);
+const DOS_DATE_MAX = Date.UTC(2107, 11, 31, 23, 59, 58);
+
+/*
+ * Convert a date into the MS-DOS time and date format used in zip files.
+ *
+ * The UTC date is used to produce the same values regardless of the
+ * local timezone, and it is clamped to the range of the MS-DOS format.
+ */
+export function toDosDateTime(
+  fromDate: Date
+): {| time: number, date: number |} {
+  const date = new Date(
+    Math.min(Math.max(fromDate.getTime(), DOS_DATE_MIN), DOS_DATE_MAX)
+  );
+
+  return {
+    time: date.getUTCHours() * 2048 + date.getUTCMinutes() * 32 +
+      Math.floor(date.getUTCSeconds() / 2),
+    date: (date.getUTCFullYear() - 1980) * 512 +
+      (date.getUTCMonth() + 1) * 32 + date.getUTCDate(),
+  };
+}
+
+
+/*
+ * Create a zip archive from an array of zip entries, the entries are
+ * written in the same order they have been passed.
+ */
+export function createZipBuffer(entries: Array<ZipEntry>): Buffer {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const dosDateTime = toDosDateTime(entry.date);
+
+    const localHeader = Buffer.alloc(LOCAL_FILE_HEADER_SIZE);
+    localHeader.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+    localHeader.writeUInt16LE(ZIP_VERSION, 4);
+    localHeader.writeUInt16LE(UTF8_NAMES_FLAG, 6);
+    localHeader.writeUInt16LE(entry.compressionMethod, 8);
+    localHeader.writeUInt16LE(dosDateTime.time, 10);
+    localHeader.writeUInt16LE(dosDateTime.date, 12);
+    localHeader.writeUInt32LE(entry.crc32, 14);
+    localHeader.writeUInt32LE(entry.compressedData.length, 18);
+    localHeader.writeUInt32LE(entry.size, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28);
+
+    const centralHeader = Buffer.alloc(CENTRAL_DIRECTORY_HEADER_SIZE);
+    centralHeader.writeUInt32LE(CENTRAL_DIRECTORY_HEADER_SIGNATURE, 0);
+    centralHeader.writeUInt16LE(ZIP_VERSION_MADE_BY, 4);
+    centralHeader.writeUInt16LE(ZIP_VERSION, 6);
+    centralHeader.writeUInt16LE(UTF8_NAMES_FLAG, 8);
+    centralHeader.writeUInt16LE(entry.compressionMethod, 10);
+    centralHeader.writeUInt16LE(dosDateTime.time, 12);
+    centralHeader.writeUInt16LE(dosDateTime.date, 14);
+    centralHeader.writeUInt32LE(entry.crc32, 16);
+    centralHeader.writeUInt32LE(entry.compressedData.length, 20);
+    centralHeader.writeUInt32LE(entry.size, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    // Extra field length, file comment length, disk number
+    // and internal file attributes are all left to 0.
+    // The unix file mode is stored in the high 16 bits of the external
+    // file attributes.
+    centralHeader.writeUInt32LE(entry.mode * 65536, 38);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, name, entry.compressedData);
+    centralParts.push(centralHeader, name);
+
+    offset += localHeader.length + name.length + entry.compressedData.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const endOfCentralDirectory = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+  endOfCentralDirectory.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  endOfCentralDirectory.writeUInt16LE(entries.length, 8);
+  endOfCentralDirectory.writeUInt16LE(entries.length, 10);
+  endOfCentralDirectory.writeUInt32LE(centralDirectory.length, 12);
+  endOfCentralDirectory.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([
+    ...localParts, centralDirectory, endOfCentralDirectory,
+  ]);
+}
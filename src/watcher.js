@@ -14,7 +14,7 @@ const log = createLogger(__filename);
 
 export type ShouldWatchFn = (filePath: string) => boolean;
 
-export type OnChangeFn = () => any;
+export type OnChangeFn = (changedFiles: Array<string>) => any;
 
 export type OnSourceChangeParams = {|
   sourceDir: string,
@@ -44,11 +44,27 @@ export default function onSourceChange(
   // TODO: For network disks, we would need to add {poll: true}.
   const watcher = new Watchpack();
 
+  // Collect the files changed since the last onChange call, so that
+  // the callback can process only the files that have been changed.
+  const changedFiles = new Set();
+
   const executeImmediately = true;
-  onChange = debounce(onChange, 1000, executeImmediately);
+  const debouncedOnChange = debounce(() => {
+    const files = Array.from(changedFiles);
+    changedFiles.clear();
+    return onChange(files);
+  }, 1000, executeImmediately);
 
   watcher.on('change', (filePath) => {
-    proxyFileChanges({artifactsDir, onChange, filePath, shouldWatchFile});
+    proxyFileChanges({
+      artifactsDir,
+      onChange: () => {
+        changedFiles.add(filePath);
+        debouncedOnChange();
+      },
+      filePath,
+      shouldWatchFile,
+    });
   });
 
   log.debug(`Watching for file changes in ${watchFile || sourceDir}`);
@@ -80,7 +96,7 @@ export default function onSourceChange(
 
 export type ProxyFileChangesParams = {|
   artifactsDir: string,
-  onChange: OnChangeFn,
+  onChange: () => any,
   filePath: string,
   shouldWatchFile: ShouldWatchFn,
 |};
@@ -100,6 +100,41 @@ export class ZipFile {
 }
 
 
+/*
+ * Read all the entries of a zip buffer, resolves to an array of objects
+ * with the yauzl Entry object and the uncompressed entry data.
+ */
+export async function readZipEntries(
+  buffer: Buffer
+): Promise<Array<{entry: Object, data: Buffer}>> {
+  const zip = await promisify(yauzl.fromBuffer)(buffer, {lazyEntries: true});
+  const openReadStream = promisify(zip.openReadStream.bind(zip));
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+
+    zip.once('error', reject);
+    zip.once('end', () => resolve(entries));
+    zip.on('entry', async (entry) => {
+      try {
+        const readStream = await openReadStream(entry);
+        const chunks = [];
+        readStream.on('data', (chunk) => chunks.push(chunk));
+        readStream.once('error', reject);
+        readStream.once('end', () => {
+          entries.push({entry, data: Buffer.concat(chunks)});
+          zip.readEntry();
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    zip.readEntry();
+  });
+}
+
+
 /*
  * Returns a path to a test fixture file. Invoke it the same as path.join().
  */
@@ -0,0 +1,281 @@
+/* @flow */
+import EventEmitter from 'events';
+
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import sinon from 'sinon';
+
+import {WebExtError} from '../../../src/errors';
+import {
+  ChromiumDevTools,
+  connectToChromiumDevTools,
+  formatRemoteObject,
+  getUnpackedExtensionId,
+} from '../../../src/chromium/devtools';
+import {basicManifest} from '../helpers';
+
+const extensionId = 'oejijhpodnhigfmninpknaklamkabdom';
+
+function createFakeWebSocket() {
+  const ws: any = new EventEmitter();
+  ws.send = sinon.spy(() => {});
+  ws.close = sinon.spy(() => {});
+  return ws;
+}
+
+// Reply to the DevTools requests sent on a fake WebSocket.
+function replyToRequests(ws, getResult: (method: string) => Object) {
+  ws.send = sinon.spy((data) => {
+    const {id, method} = JSON.parse(data);
+    process.nextTick(() => {
+      ws.emit('message', JSON.stringify({id, result: getResult(method)}));
+    });
+  });
+}
+
+describe('chromium/devtools', () => {
+
+  describe('getUnpackedExtensionId', () => {
+
+    it('computes the ID from the extension path', () => {
+      assert.equal(getUnpackedExtensionId('/fake/sourceDir'), extensionId);
+    });
+
+    it('computes the ID from the manifest key', () => {
+      const key = Buffer.from('some public key').toString('base64');
+      const id = getUnpackedExtensionId('/fake/sourceDir', {
+        ...basicManifest, key,
+      });
+      assert.match(id, /^[a-p]{32}$/);
+      assert.notEqual(id, extensionId);
+      assert.equal(
+        getUnpackedExtensionId('/other/sourceDir', {...basicManifest, key}), id
+      );
+    });
+
+    it('hashes the wide string path on Windows', () => {
+      const id = getUnpackedExtensionId(
+        '/fake/sourceDir', undefined, {platform: 'win32'}
+      );
+      assert.match(id, /^[a-p]{32}$/);
+      assert.notEqual(id, extensionId);
+    });
+
+  });
+
+  describe('formatRemoteObject', () => {
+
+    it('formats the console arguments', () => {
+      assert.equal(formatRemoteObject({type: 'string', value: 'text'}), 'text');
+      assert.equal(formatRemoteObject({type: 'number', value: 42}), '42');
+      assert.equal(formatRemoteObject({type: 'undefined'}), 'undefined');
+      assert.equal(
+        formatRemoteObject({type: 'number', unserializableValue: 'NaN'}), 'NaN'
+      );
+      assert.equal(
+        formatRemoteObject({type: 'object', description: 'Array(2)'}),
+        'Array(2)'
+      );
+    });
+
+  });
+
+  describe('ChromiumDevTools', () => {
+
+    it('resolves the requests with their result', async () => {
+      const ws = createFakeWebSocket();
+      replyToRequests(ws, (method) => ({method}));
+      const devTools = new ChromiumDevTools(ws);
+
+      const result = await devTools.send('Target.getTargets', {}, 'session1');
+
+      assert.deepEqual(result, {method: 'Target.getTargets'});
+      assert.deepEqual(JSON.parse(ws.send.firstCall.args[0]), {
+        id: 1, method: 'Target.getTargets', params: {}, sessionId: 'session1',
+      });
+    });
+
+    it('rejects the failed requests', async () => {
+      const ws = createFakeWebSocket();
+      const devTools = new ChromiumDevTools(ws);
+
+      const promise = devTools.send('Unknown.method');
+      ws.emit('message', JSON.stringify({
+        id: 1, error: {message: 'method not found'},
+      }));
+
+      await assert.isRejected(promise, WebExtError);
+      await assert.isRejected(promise, /method not found/);
+    });
+
+    it('rejects the pending requests on close', async () => {
+      const ws = createFakeWebSocket();
+      const devTools = new ChromiumDevTools(ws);
+
+      const promise = devTools.send('Target.getTargets');
+      ws.emit('close');
+
+      await assert.isRejected(promise, /DevTools connection closed/);
+    });
+
+    describe('forwardExtensionConsole', () => {
+
+      const extension = {id: extensionId, name: 'the extension'};
+
+      async function prepareForwarding() {
+        const ws = createFakeWebSocket();
+        let lastSessionId = 0;
+        replyToRequests(ws, (method) => {
+          if (method === 'Target.attachToTarget') {
+            return {sessionId: `session${++lastSessionId}`};
+          }
+          return {};
+        });
+        const devTools = new ChromiumDevTools(ws);
+        const onConsoleMessage = sinon.spy(() => {});
+        await devTools.forwardExtensionConsole([extension], onConsoleMessage);
+
+        const emitEvent = (method, params, sessionId) => {
+          ws.emit('message', JSON.stringify({method, params, sessionId}));
+        };
+        const sentRequests = () => ws.send.getCalls().map(
+          (call) => JSON.parse(call.args[0])
+        );
+
+        return {emitEvent, onConsoleMessage, sentRequests};
+      }
+
+      function waitForRequests() {
+        return new Promise((resolve) => setTimeout(resolve, 1));
+      }
+
+      it('attaches to the extension targets', async () => {
+        const {emitEvent, sentRequests} = await prepareForwarding();
+
+        emitEvent('Target.targetCreated', {targetInfo: {
+          targetId: 'target1',
+          type: 'service_worker',
+          url: `chrome-extension://${extensionId}/background.js`,
+        }});
+        emitEvent('Target.targetCreated', {targetInfo: {
+          targetId: 'target2',
+          type: 'page',
+          url: 'https://example.com/',
+        }});
+        emitEvent('Target.targetCreated', {targetInfo: {
+          targetId: 'target3',
+          type: 'background_page',
+          url: `chrome-extension://${'a'.repeat(32)}/background.html`,
+        }});
+        await waitForRequests();
+
+        assert.deepEqual(
+          sentRequests().map(({method, params, sessionId}) => {
+            return {method, params, sessionId};
+          }),
+          [
+            {
+              method: 'Target.setDiscoverTargets',
+              params: {discover: true},
+              sessionId: undefined,
+            },
+            {
+              method: 'Target.attachToTarget',
+              params: {targetId: 'target1', flatten: true},
+              sessionId: undefined,
+            },
+            {method: 'Runtime.enable', params: {}, sessionId: 'session1'},
+          ]
+        );
+      });
+
+      it('forwards the console messages and exceptions', async () => {
+        const {emitEvent, onConsoleMessage} = await prepareForwarding();
+
+        emitEvent('Target.targetCreated', {targetInfo: {
+          targetId: 'target1',
+          type: 'background_page',
+          url: `chrome-extension://${extensionId}/background.html`,
+        }});
+        await waitForRequests();
+
+        emitEvent('Runtime.consoleAPICalled', {
+          type: 'warning',
+          args: [{type: 'string', value: 'some message'}, {
+            type: 'number', value: 42,
+          }],
+          stackTrace: {callFrames: [{
+            url: `chrome-extension://${extensionId}/background.js`,
+            lineNumber: 11,
+          }]},
+          timestamp: 1600000000000,
+        }, 'session1');
+        emitEvent('Runtime.exceptionThrown', {
+          exceptionDetails: {
+            text: 'Uncaught',
+            exception: {description: 'ReferenceError: foo is not defined'},
+            url: `chrome-extension://${extensionId}/background.js`,
+            lineNumber: 2,
+          },
+          timestamp: 1600000000001,
+        }, 'session1');
+        emitEvent('Runtime.consoleAPICalled', {
+          type: 'log', args: [{type: 'string', value: 'other session'}],
+        }, 'session2');
+
+        sinon.assert.calledTwice(onConsoleMessage);
+        assert.deepEqual(onConsoleMessage.firstCall.args, [{
+          addonId: extensionId,
+          level: 'warn',
+          message: 'some message 42',
+          filename: `chrome-extension://${extensionId}/background.js`,
+          lineNumber: 12,
+          timeStamp: 1600000000000,
+        }, extension]);
+        assert.deepEqual(onConsoleMessage.secondCall.args, [{
+          addonId: extensionId,
+          level: 'error',
+          message: 'ReferenceError: foo is not defined',
+          filename: `chrome-extension://${extensionId}/background.js`,
+          lineNumber: 3,
+          timeStamp: 1600000000001,
+        }, extension]);
+      });
+
+    });
+
+  });
+
+  describe('connectToChromiumDevTools', () => {
+
+    it('connects to the browser target', async () => {
+      const ws = createFakeWebSocket();
+      const fetchJSON = sinon.spy(async () => ({
+        webSocketDebuggerUrl: 'ws://127.0.0.1:9222/devtools/browser/1234',
+      }));
+      const createWebSocket = sinon.spy(() => {
+        process.nextTick(() => ws.emit('open'));
+        return ws;
+      });
+
+      const devTools = await connectToChromiumDevTools(
+        9222, {fetchJSON, createWebSocket}
+      );
+
+      assert.instanceOf(devTools, ChromiumDevTools);
+      sinon.assert.calledWith(fetchJSON, 'http://127.0.0.1:9222/json/version');
+      sinon.assert.calledWith(
+        createWebSocket, 'ws://127.0.0.1:9222/devtools/browser/1234'
+      );
+    });
+
+    it('throws when the browser target is missing', async () => {
+      await assert.isRejected(
+        connectToChromiumDevTools(9222, {fetchJSON: async () => ({})}),
+        /Unable to find the DevTools browser target on port 9222/
+      );
+    });
+
+  });
+
+});
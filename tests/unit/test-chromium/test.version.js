@@ -0,0 +1,83 @@
+/* @flow */
+import path from 'path';
+
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import {fs} from 'mz';
+import sinon from 'sinon';
+
+import {getChromiumVersion} from '../../../src/chromium/version';
+import {withTempDir} from '../../../src/util/temp-dir';
+
+describe('chromium/version', () => {
+
+  function createFakeExecFile(error, stdout = '') {
+    return sinon.spy((file, args, options, callback) => {
+      callback(error, stdout, '');
+    });
+  }
+
+  it('parses the --version output of the binary', async () => {
+    const execFile = createFakeExecFile(
+      null, 'Google Chrome 120.0.6099.129 \n'
+    );
+
+    const version = await getChromiumVersion('/path/to/chrome', {
+      execFile, platform: 'linux',
+    });
+
+    assert.equal(version, 120);
+    sinon.assert.calledWith(execFile, '/path/to/chrome', ['--version']);
+  });
+
+  it('uses the first Chromium installation by default', async () => {
+    const execFile = createFakeExecFile(null, 'Chromium 99.0.4844.51');
+
+    const version = await getChromiumVersion(undefined, {
+      execFile,
+      getFirstInstallation: () => '/usr/bin/chromium',
+      platform: 'linux',
+    });
+
+    assert.equal(version, 99);
+    sinon.assert.calledWith(execFile, '/usr/bin/chromium');
+  });
+
+  it('resolves to undefined without a Chromium installation', async () => {
+    const execFile = createFakeExecFile(null);
+    const version = await getChromiumVersion(undefined, {
+      execFile, getFirstInstallation: () => undefined,
+    });
+
+    assert.isUndefined(version);
+    sinon.assert.notCalled(execFile);
+  });
+
+  it('resolves to undefined when the binary fails', async () => {
+    const version = await getChromiumVersion('/path/to/chrome', {
+      execFile: createFakeExecFile(new Error('ENOENT')),
+      platform: 'linux',
+    });
+
+    assert.isUndefined(version);
+  });
+
+  it('reads the version directory on Windows', () => withTempDir(
+    async (tmpDir) => {
+      const binaryPath = path.join(tmpDir.path(), 'chrome.exe');
+      await fs.writeFile(binaryPath, '');
+      await fs.mkdir(path.join(tmpDir.path(), 'Locales'));
+      await fs.mkdir(path.join(tmpDir.path(), '118.0.5993.89'));
+      const execFile = createFakeExecFile(null);
+
+      const version = await getChromiumVersion(binaryPath, {
+        execFile, platform: 'win32',
+      });
+
+      assert.equal(version, 118);
+      // Running chrome.exe --version would start the browser.
+      sinon.assert.notCalled(execFile);
+    }
+  ));
+
+});
@@ -1,5 +1,6 @@
 /* @flow */
 import path from 'path';
+import {createHash} from 'crypto';
 
 import {fs} from 'mz';
 import {it, describe} from 'mocha';
@@ -11,19 +12,25 @@ import build, {
   safeFileName,
   getDefaultLocalizedName,
   getStringPropertyValue,
+  getReproducibleDate,
   defaultPackageCreator,
 } from '../../../src/cmd/build';
 import {FileFilter} from '../../../src/util/file-filter';
+import {ZipDirIndex} from '../../../src/util/zip-dir';
 import {withTempDir} from '../../../src/util/temp-dir';
 import {
   basicManifest,
   fixturePath,
   makeSureItFails,
   manifestWithoutApps,
+  readZipEntries,
   ZipFile,
 } from '../helpers';
 import {UsageError} from '../../../src/errors';
-import {createLogger} from '../../../src/util/logger';
+import {
+  consoleStream, // instance is imported to inspect logged messages
+  createLogger,
+} from '../../../src/util/logger';
 
 const log = createLogger(__filename);
 
@@ -433,6 +440,65 @@ describe('build', () => {
     }
   ));
 
+  it('only compresses the changed files when rebuilding', () => withTempDir(
+    async (tmpDir) => {
+      const packageCreator = sinon.spy(
+        () => Promise.resolve({extensionPath: 'fake.zip'})
+      );
+      const onSourceChange = sinon.spy(() => {});
+      await build({
+        sourceDir: fixturePath('minimal-web-ext'),
+        artifactsDir: tmpDir.path(),
+        asNeeded: true,
+      }, {
+        manifestData: basicManifest, onSourceChange, packageCreator,
+      });
+
+      const {zipDirIndex} = packageCreator.firstCall.args[0];
+      assert.instanceOf(zipDirIndex, ZipDirIndex);
+
+      const changedFiles = [fixturePath('minimal-web-ext', 'manifest.json')];
+      const {onChange} = onSourceChange.firstCall.args[0];
+      await onChange(changedFiles);
+
+      sinon.assert.calledTwice(packageCreator);
+      sinon.assert.calledWithMatch(packageCreator, {
+        zipDirIndex, changedFiles,
+      });
+    }
+  ));
+
+  it('zips a package from an index of compressed files', () => withTempDir(
+    async (tmpDir) => {
+      const sourceDir = fixturePath('minimal-web-ext');
+      const fileFilter = new FileFilter({sourceDir});
+      const zipDirIndex = new ZipDirIndex({
+        sourceDir,
+        filter: (filePath) => fileFilter.wantFile(filePath),
+      });
+      sinon.spy(zipDirIndex, 'zip');
+      const changedFiles = [path.join(sourceDir, 'manifest.json')];
+
+      const zipFile = new ZipFile();
+      const {extensionPath} = await defaultPackageCreator({
+        manifestData: basicManifest,
+        sourceDir,
+        fileFilter,
+        artifactsDir: tmpDir.path(),
+        overwriteDest: false,
+        showReadyMessage: false,
+        zipDirIndex,
+        changedFiles,
+      });
+
+      sinon.assert.calledWith(zipDirIndex.zip, changedFiles);
+      await zipFile.open(extensionPath);
+      const fileNames = await zipFile.extractFilenames();
+      assert.deepEqual(fileNames, ['background-script.js', 'manifest.json']);
+      await zipFile.close();
+    }
+  ));
+
   it('throws errors when rebuilding in source watcher', () => withTempDir(
     (tmpDir) => {
       var packageResult = Promise.resolve({});
@@ -535,6 +601,145 @@ describe('build', () => {
     );
   });
 
+  it('creates reproducible packages', () => withTempDir(
+    async (tmpDir) => {
+      const sourceDir = path.join(tmpDir.path(), 'source');
+      await fs.mkdir(sourceDir);
+      for (const fileName of ['manifest.json', 'background-script.js']) {
+        await fs.writeFile(
+          path.join(sourceDir, fileName),
+          await fs.readFile(fixturePath('minimal-web-ext', fileName))
+        );
+      }
+
+      const buildPackage = async (artifactsDir) => {
+        const {extensionPath} = await build({
+          sourceDir,
+          artifactsDir: path.join(tmpDir.path(), artifactsDir),
+          reproducible: true,
+        });
+        return fs.readFile(extensionPath);
+      };
+
+      const firstPackage = await buildPackage('first');
+
+      // Change the timestamps and permissions of a source file.
+      const backgroundScript = path.join(sourceDir, 'background-script.js');
+      await fs.utimes(backgroundScript, 1000, 1000);
+      await fs.chmod(backgroundScript, 0o755);
+
+      const secondPackage = await buildPackage('second');
+
+      assert.deepEqual(secondPackage, firstPackage);
+
+      const entries = await readZipEntries(firstPackage);
+      assert.deepEqual(
+        entries.map(({entry}) => entry.fileName),
+        ['background-script.js', 'manifest.json']
+      );
+      for (const {entry} of entries) {
+        assert.equal(entry.externalFileAttributes / 65536, 0o100644);
+      }
+    }
+  ));
+
+  it('logs the SHA-256 of reproducible packages', () => withTempDir(
+    async (tmpDir) => {
+      const sourceDir = fixturePath('minimal-web-ext');
+      const artifactsDir = tmpDir.path();
+      const fileFilter = new FileFilter({sourceDir, artifactsDir});
+      const zipDirIndex = new ZipDirIndex({
+        sourceDir,
+        filter: (filePath) => fileFilter.wantFile(filePath),
+      });
+
+      consoleStream.startCapturing();
+      try {
+        const {extensionPath} = await defaultPackageCreator({
+          manifestData: basicManifest,
+          sourceDir,
+          fileFilter,
+          artifactsDir,
+          overwriteDest: false,
+          showReadyMessage: false,
+          zipDirIndex,
+          reproducible: true,
+        });
+
+        const sha256 = createHash('sha256')
+          .update(await fs.readFile(extensionPath))
+          .digest('hex');
+        assert.include(
+          consoleStream.capturedMessages.join(''),
+          `SHA-256 of the_extension-0.0.1.zip: ${sha256}`
+        );
+      } finally {
+        consoleStream.stopCapturing();
+      }
+    }
+  ));
+
+  it('packages the manifest adjusted for the target', () => withTempDir(
+    async (tmpDir) => {
+      const sourceDir = path.join(tmpDir.path(), 'source');
+      await fs.mkdir(sourceDir);
+      await fs.writeFile(
+        path.join(sourceDir, 'manifest.json'), JSON.stringify(basicManifest)
+      );
+      await fs.writeFile(
+        path.join(sourceDir, 'manifest.chromium.json'),
+        JSON.stringify({minimum_chrome_version: '88'})
+      );
+      await fs.writeFile(
+        path.join(sourceDir, 'manifest.firefox-desktop.json'), '{}'
+      );
+
+      const {extensionPath} = await build({
+        sourceDir,
+        artifactsDir: path.join(tmpDir.path(), 'artifacts'),
+        target: 'chromium',
+      });
+
+      const entries = await readZipEntries(await fs.readFile(extensionPath));
+      assert.deepEqual(
+        entries.map(({entry}) => entry.fileName), ['manifest.json']
+      );
+      assert.deepEqual(JSON.parse(entries[0].data.toString()), {
+        ...manifestWithoutApps,
+        minimum_chrome_version: '88',
+      });
+      // The source manifest is left untouched.
+      assert.deepEqual(
+        JSON.parse(await fs.readFile(path.join(sourceDir, 'manifest.json'))),
+        basicManifest
+      );
+    }
+  ));
+
+  describe('getReproducibleDate', () => {
+
+    it('defaults to the first date supported by zip files', () => {
+      assert.equal(
+        getReproducibleDate({}).toISOString(), '1980-01-01T00:00:00.000Z'
+      );
+    });
+
+    it('uses the SOURCE_DATE_EPOCH environment variable', () => {
+      assert.equal(
+        getReproducibleDate({SOURCE_DATE_EPOCH: '1605868242'}).toISOString(),
+        '2020-11-20T10:30:42.000Z'
+      );
+    });
+
+    it('throws an error on an invalid SOURCE_DATE_EPOCH', () => {
+      assert.throws(
+        () => getReproducibleDate({SOURCE_DATE_EPOCH: 'yesterday'}),
+        UsageError, /Invalid SOURCE_DATE_EPOCH value: "yesterday"/
+      );
+    });
+
+  });
+
   describe('safeFileName', () => {
 
     it('makes names safe for writing to a file system', () => {
@@ -1,4 +1,5 @@
 /* @flow */
+import EventEmitter from 'events';
 import path from 'path';
 
 import { fs } from 'mz';
@@ -9,12 +10,14 @@ import sinon from 'sinon';
 import run from '../../../src/cmd/run';
 import {UsageError} from '../../../src/errors';
 import {
+  fake,
   fixturePath,
   FakeExtensionRunner,
   getFakeFirefox,
   getFakeRemoteFirefox,
 } from '../helpers';
-import {createLogger} from '../../../src/util/logger';
+import {ConsoleStream, createLogger} from '../../../src/util/logger';
+import {withTempDir} from '../../../src/util/temp-dir';
 
 const log = createLogger(__filename);
 // Fake result for client.installTemporaryAddon().then(installResult => ...)
@@ -96,6 +99,59 @@ describe('run', () => {
     sinon.assert.calledWithMatch(desktopRunnerStub, {firefoxBinary: firefox});
   });
 
+  it('passes the extension runner to onExtensionRunnerCreated', async () => {
+    const cmd = prepareRun();
+    const runnerRun = sinon.spy(FakeExtensionRunner.prototype, 'run');
+    try {
+      const onExtensionRunnerCreated = sinon.spy((extensionRunner) => {
+        // The extension runner has not been started yet.
+        sinon.assert.notCalled(runnerRun);
+        assert.instanceOf(extensionRunner, FakeExtensionRunner);
+      });
+
+      const extensionRunner = await cmd.run({}, {onExtensionRunnerCreated});
+
+      sinon.assert.calledOnce(onExtensionRunnerCreated);
+      sinon.assert.calledWith(onExtensionRunnerCreated, extensionRunner);
+      sinon.assert.calledOnce(runnerRun);
+    } finally {
+      runnerRun.restore();
+    }
+  });
+
+  it('writes the reload results in the JSON output mode', async () => {
+    const cmd = prepareRun();
+    const extensionRunner = new EventEmitter();
+    const logStream = fake(new ConsoleStream());
+
+    await cmd.run({output: 'json'}, {
+      logStream,
+      onExtensionRunnerCreated: (runner) => {
+        // $FlowIgnore: forward the events of a fake runner for testing purpose.
+        runner.on = extensionRunner.on.bind(extensionRunner);
+      },
+    });
+
+    extensionRunner.emit('reload-success', {
+      runnerName: 'Firefox Desktop', sourceDir: '/fake/sourceDir',
+    });
+    extensionRunner.emit('reload-error', {
+      runnerName: 'Firefox Desktop', reloadError: new Error('fake error'),
+    });
+
+    sinon.assert.calledTwice(logStream.writeResult);
+    sinon.assert.calledWith(logStream.writeResult, 'run', {
+      runnerName: 'Firefox Desktop',
+      sourceDir: '/fake/sourceDir',
+      reloadError: undefined,
+    });
+    sinon.assert.calledWith(logStream.writeResult, 'run', {
+      runnerName: 'Firefox Desktop',
+      sourceDir: undefined,
+      reloadError: 'fake error',
+    });
+  });
+
   it('passes startUrl parameter to Firefox when specified', async () => {
     const cmd = prepareRun();
     const expectedStartUrls = ['www.example.com'];
@@ -148,6 +204,55 @@ describe('run', () => {
     assert.equal(runnerParams.extensions[0].sourceDir, cmd.argv.sourceDir);
   });
 
+  it('does not log the extension console messages by default', async () => {
+    const cmd = prepareRun();
+    await cmd.run();
+
+    const runnerParams = desktopRunnerStub.firstCall.args[0];
+    assert.isUndefined(runnerParams.onExtensionConsoleMessage);
+  });
+
+  it('logs the extension console messages when requested', async () => {
+    const cmd = prepareRun();
+    await cmd.run({logExtensionConsole: true});
+
+    const runnerParams = desktopRunnerStub.firstCall.args[0];
+    assert.isFunction(runnerParams.onExtensionConsoleMessage);
+  });
+
+  it('logs the extension console messages to a file', () => withTempDir(
+    async (tmpDir) => {
+      const cmd = prepareRun();
+      const artifactsDir = path.join(tmpDir.path(), 'artifacts');
+      await cmd.run({
+        artifactsDir,
+        logExtensionConsoleFile: 'console.jsonl',
+      });
+
+      const runnerParams = desktopRunnerStub.firstCall.args[0];
+      assert.isFunction(runnerParams.onExtensionConsoleMessage);
+      // The artifacts directory has been created for the log file.
+      assert.isTrue((await fs.stat(artifactsDir)).isDirectory());
+    }
+  ));
+
+  it('passes multiple extensions to the extension runner', async () => {
+    const cmd = prepareRun();
+    const sourceDirs = [
+      fixturePath('minimal-web-ext'),
+      fixturePath('minimal-localizable-web-ext'),
+    ];
+
+    await cmd.run({sourceDir: sourceDirs});
+
+    sinon.assert.calledOnce(desktopRunnerStub);
+    const {extensions} = desktopRunnerStub.firstCall.args[0];
+    assert.deepEqual(
+      extensions.map((extension) => extension.sourceDir), sourceDirs
+    );
+    assert.equal(extensions[0].manifestData.name, 'Minimal Extension');
+  });
+
   it('passes the expected dependencies to the extension runner', async () => {
     const cmd = prepareRun();
     const {firefoxApp, firefoxClient} = cmd.options;
@@ -176,6 +281,51 @@ describe('run', () => {
     assert.equal(args.watchFile, watchFile);
   });
 
+  it('watches all the extension source dirs', async () => {
+    const cmd = prepareRun();
+    const {reloadStrategy} = cmd.options;
+    const sourceDirs = [
+      fixturePath('minimal-web-ext'),
+      fixturePath('minimal-localizable-web-ext'),
+    ];
+
+    await cmd.run({noReload: false, sourceDir: sourceDirs});
+    sinon.assert.calledWithMatch(reloadStrategy, {sourceDir: sourceDirs});
+  });
+
+  it('adds a lint keypress command to the reload strategy', async () => {
+    const cmd = prepareRun();
+    const {sourceDir, artifactsDir} = cmd.argv;
+    const {reloadStrategy} = cmd.options;
+    const lintExtension = sinon.spy(() => Promise.resolve());
+
+    await cmd.run({noReload: false}, {lintExtension});
+
+    const {keypressCommands} = reloadStrategy.firstCall.args[0];
+    await keypressCommands.l.run();
+    sinon.assert.calledWith(lintExtension, {
+      sourceDir, artifactsDir, ignoreFiles: undefined,
+    });
+  });
+
+  it('passes the custom keypress commands to the reload strategy',
+     async () => {
+       const cmd = prepareRun();
+       const {reloadStrategy} = cmd.options;
+       const customCommand = {
+         description: 'Custom command',
+         run: sinon.spy(() => {}),
+       };
+
+       await cmd.run({noReload: false}, {
+         keypressCommands: {x: customCommand},
+       });
+
+       const {keypressCommands} = reloadStrategy.firstCall.args[0];
+       assert.deepEqual(Object.keys(keypressCommands), ['l', 'x']);
+       assert.equal(keypressCommands.x, customCommand);
+     });
+
   it('can disable input in the reload strategy', async () => {
     const cmd = prepareRun();
     const {reloadStrategy} = cmd.options;
@@ -237,14 +387,68 @@ describe('run', () => {
        await cmd.run({
          target: ['firefox-android'],
          firefoxApkComponent: 'CustomView',
+         androidAttach: true,
        });
 
        sinon.assert.calledOnce(androidRunnerStub);
        const options = androidRunnerStub.firstCall.args[0];
        assert.equal(options.firefoxApkComponent, 'CustomView');
+       assert.equal(options.androidAttach, true);
        sinon.assert.notCalled(desktopRunnerStub);
      });
 
+  it('creates a Firefox Android runner for each selected device',
+     async () => {
+       const cmd = prepareRun();
+       await cmd.run({
+         target: ['firefox-android'],
+         adbDevice: ['emulator-1', 'device2'],
+       });
+
+       sinon.assert.calledTwice(androidRunnerStub);
+       assert.deepEqual(
+         androidRunnerStub.getCalls().map((call) => call.args[0].adbDevice),
+         ['emulator-1', 'device2']
+       );
+     });
+
+  it('creates a Firefox Android runner for all the attached devices',
+     async () => {
+       const cmd = prepareRun();
+       const discoverAndroidDevices = sinon.spy(
+         () => Promise.resolve(['emulator-1', 'device2', 'device3'])
+       );
+       await cmd.run({
+         target: ['firefox-android'],
+         adbDevice: ['all'],
+         adbBin: '/fake/adb',
+       }, {discoverAndroidDevices});
+
+       sinon.assert.calledWithMatch(discoverAndroidDevices, {
+         adbBin: '/fake/adb',
+       });
+       assert.deepEqual(
+         androidRunnerStub.getCalls().map((call) => call.args[0].adbDevice),
+         ['emulator-1', 'device2', 'device3']
+       );
+     });
+
+  it('does not start an emulator on multiple Android devices',
+     async () => {
+       const cmd = prepareRun();
+       const promise = cmd.run({
+         target: ['firefox-android'],
+         adbDevice: ['emulator-1', 'device2'],
+         androidEmulatorAvd: 'Pixel_API_30',
+       });
+
+       await assert.isRejected(promise, UsageError);
+       await assert.isRejected(
+         promise, /can not be used with multiple Android devices/
+       );
+       sinon.assert.notCalled(androidRunnerStub);
+     });
+
   it('creates a Chromium runner if "chromium" is in target',
      async () => {
        const cmd = prepareRun();
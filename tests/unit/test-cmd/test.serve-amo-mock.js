@@ -0,0 +1,27 @@
+/* @flow */
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import sinon from 'sinon';
+
+import serveAmoMock from '../../../src/cmd/serve-amo-mock';
+
+describe('serve-amo-mock', () => {
+
+  it('starts an AMO mock server', async () => {
+    const fakeServer = {
+      start: sinon.spy(() => Promise.resolve('http://127.0.0.1:8989/api/v4')),
+    };
+    const createAmoMockServer = sinon.spy(() => fakeServer);
+
+    const result = await serveAmoMock(
+      {port: 8989, host: '127.0.0.1'}, {createAmoMockServer}
+    );
+
+    sinon.assert.calledWith(
+      createAmoMockServer, {port: 8989, host: '127.0.0.1'}
+    );
+    sinon.assert.calledOnce(fakeServer.start);
+    assert.equal(result, fakeServer);
+  });
+
+});
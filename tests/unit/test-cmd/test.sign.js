@@ -11,6 +11,9 @@ import sinon from 'sinon';
 import {onlyInstancesOf, UsageError, WebExtError} from '../../../src/errors';
 import {getManifestId} from '../../../src/util/manifest';
 import {withTempDir} from '../../../src/util/temp-dir';
+import {
+  consoleStream, // instance is imported to inspect logged messages
+} from '../../../src/util/logger';
 import completeSignCommand, {
   extensionIdFile, getIdFromSourceDir, saveIdToSourceDir,
 } from '../../../src/cmd/sign';
@@ -299,6 +302,25 @@ describe('sign', () => {
     }
   ));
 
+  it('logs the output of the signer in the JSON output mode', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      const signAddon = sinon.spy(async () => {
+        process.stdout.write('Downloaded:\n');
+        return stubs.signingResult;
+      });
+
+      await sign(tmpDir, {...stubs, signAddon}, {
+        extraArgs: {output: 'json'},
+      });
+
+      sinon.assert.called(signAddon);
+      assert.ok(consoleStream.capturedMessages.find(
+        (message) => message.includes('Downloaded:')
+      ));
+    }
+  ));
+
   it('passes the verbose flag to the signer', () => withTempDir(
     (tmpDir) => {
       const stubs = getStubs();
@@ -322,6 +344,254 @@ describe('sign', () => {
     }
   ));
 
+  it('passes the reproducible flag to the builder', () => withTempDir(
+    (tmpDir) => {
+      const stubs = getStubs();
+      return sign(tmpDir, stubs, {extraArgs: {reproducible: true}})
+        .then(() => {
+          sinon.assert.called(stubs.signAddon);
+          sinon.assert.calledWithMatch(stubs.build, {reproducible: true});
+        });
+    }
+  ));
+
+  it('uploads a source code archive when requested', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      const ignoreFiles = ['*.log'];
+      const artifactsDir = path.join(tmpDir.path(), 'artifacts-dir');
+      const sourceCodePath = path.join(
+        artifactsDir, 'the_extension-0.0.1-source.zip'
+      );
+      const createSourceCodeArchive = sinon.spy(
+        () => Promise.resolve(sourceCodePath)
+      );
+      const sourceCodeUploader = sinon.spy(() => Promise.resolve());
+
+      const result = await sign(tmpDir, stubs, {
+        extraArgs: {uploadSourceCode: true, ignoreFiles, artifactsDir},
+        extraOptions: {createSourceCodeArchive, sourceCodeUploader},
+      });
+
+      sinon.assert.calledWithMatch(createSourceCodeArchive, {
+        sourceDir: tmpDir.path(),
+        artifactsDir,
+        ignoreFiles,
+        destPath: sourceCodePath,
+      });
+      sinon.assert.calledWithMatch(sourceCodeUploader, {
+        apiKey: stubs.signingConfig.apiKey,
+        apiSecret: stubs.signingConfig.apiSecret,
+        apiUrlPrefix: stubs.signingConfig.apiUrlPrefix,
+        apiProxy: stubs.signingConfig.apiProxy,
+        id: stubs.signingResult.id,
+        version: basicManifest.version,
+        sourceCodePath,
+      });
+      assert.equal(result.sourceCodePath, sourceCodePath);
+    }
+  ));
+
+  it('does not upload the source code if the signing failed', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      const signingResult = {...stubs.signingResult, success: false};
+      const sourceCodeUploader = sinon.spy(() => Promise.resolve());
+
+      await assert.isRejected(sign(tmpDir, stubs, {
+        extraArgs: {uploadSourceCode: true},
+        extraOptions: {
+          createSourceCodeArchive: () => Promise.resolve('/fake/source.zip'),
+          signAddon: () => Promise.resolve(signingResult),
+          sourceCodeUploader,
+        },
+      }), /The extension could not be signed/);
+
+      sinon.assert.notCalled(sourceCodeUploader);
+    }
+  ));
+
+  it('uploads the source code of the listed versions awaiting review',
+     () => withTempDir(
+       async (tmpDir) => {
+         const stubs = getStubs();
+         const sourceCodeUploader = sinon.spy(() => Promise.resolve());
+         // The result of sign-addon for the listed versions.
+         const signAddon = sinon.spy(() => Promise.resolve({
+           success: false,
+           id: null,
+           downloadedFiles: null,
+           errorCode: 'ADDON_NOT_AUTO_SIGNED',
+           errorDetails: null,
+         }));
+
+         const result = await sign(tmpDir, stubs, {
+           extraArgs: {
+             uploadSourceCode: true,
+             channel: 'listed',
+             id: 'some-listed-id',
+           },
+           extraOptions: {
+             createSourceCodeArchive: () => Promise.resolve('/fake/source.zip'),
+             preValidatedManifest: manifestWithoutApps,
+             signAddon,
+             sourceCodeUploader,
+           },
+         });
+
+         sinon.assert.calledWithMatch(signAddon, {
+           id: 'some-listed-id',
+           channel: 'listed',
+         });
+         sinon.assert.calledWithMatch(sourceCodeUploader, {
+           id: 'some-listed-id',
+           version: manifestWithoutApps.version,
+           sourceCodePath: '/fake/source.zip',
+         });
+         assert.equal(result.success, false);
+         assert.equal(result.errorCode, 'ADDON_NOT_AUTO_SIGNED');
+         assert.equal(result.id, 'some-listed-id');
+         assert.equal(result.sourceCodePath, '/fake/source.zip');
+       }
+     ));
+
+  it('does not sign when the source code could not be uploaded',
+     () => withTempDir(
+       async (tmpDir) => {
+         const stubs = getStubs();
+         const createSourceCodeArchive = sinon.spy(() => Promise.resolve());
+
+         await assert.isRejected(sign(tmpDir, stubs, {
+           extraArgs: {
+             uploadSourceCode: true,
+             apiUrlPrefix: 'http://not-the-real-amo.com/signing',
+           },
+           extraOptions: {createSourceCodeArchive},
+         }), UsageError);
+
+         sinon.assert.notCalled(createSourceCodeArchive);
+         sinon.assert.notCalled(stubs.signAddon);
+       }
+     ));
+
+  it('does not upload the source code by default', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      const createSourceCodeArchive = sinon.spy(() => Promise.resolve());
+      const sourceCodeUploader = sinon.spy(() => Promise.resolve());
+
+      const result = await sign(tmpDir, stubs, {
+        extraOptions: {createSourceCodeArchive, sourceCodeUploader},
+      });
+
+      sinon.assert.notCalled(createSourceCodeArchive);
+      sinon.assert.notCalled(sourceCodeUploader);
+      assert.notProperty(result, 'sourceCodePath');
+    }
+  ));
+
+  it('updates the update manifest when requested', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      const artifactsDir = path.join(tmpDir.path(), 'artifacts-dir');
+      const signedFile = path.join(artifactsDir, 'signed-0.0.1.xpi');
+      stubs.signingResult.downloadedFiles = [signedFile];
+      const updateManifestPath = path.join(artifactsDir, 'updates.json');
+      const updateManifestUpdater = sinon.spy(
+        () => Promise.resolve(updateManifestPath)
+      );
+      const updateLink = 'https://example.com/{filename}';
+
+      const result = await sign(tmpDir, stubs, {
+        extraArgs: {updateLink, artifactsDir},
+        extraOptions: {updateManifestUpdater},
+      });
+
+      sinon.assert.calledWithMatch(updateManifestUpdater, {
+        updateManifestPath,
+        updateLinkTemplate: updateLink,
+        id: stubs.signingResult.id,
+        xpiPath: signedFile,
+        manifestData: basicManifest,
+      });
+      assert.equal(result.updateManifestPath, updateManifestPath);
+    }
+  ));
+
+  it('does not update the update manifest by default', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      stubs.signingResult.downloadedFiles = ['/path/to/signed.xpi'];
+      const updateManifestUpdater = sinon.spy(() => Promise.resolve());
+
+      const result = await sign(tmpDir, stubs, {
+        extraOptions: {updateManifestUpdater},
+      });
+
+      sinon.assert.notCalled(updateManifestUpdater);
+      assert.notProperty(result, 'updateManifestPath');
+    }
+  ));
+
+  it('signs against a local AMO mock server', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      const sourceDir = path.join(tmpDir.path(), 'source-dir');
+      const artifactsDir = path.join(tmpDir.path(), 'artifacts');
+      await promisify(copyDir)(fixturePath('minimal-web-ext'), sourceDir);
+      const manifestData = JSON.parse(
+        await fs.readFile(path.join(sourceDir, 'manifest.json'))
+      );
+      delete manifestData.applications;
+
+      const signWithAmoMock = () => completeSignCommand({
+        ...stubs.signingConfig,
+        apiUrlPrefix: 'mock:',
+        sourceDir,
+        artifactsDir,
+      }, {preValidatedManifest: manifestData});
+
+      const result = await signWithAmoMock();
+
+      assert.equal(result.success, true);
+      // The ID generated by the server has been saved in the source dir.
+      assert.equal(await getIdFromSourceDir(sourceDir), result.id);
+      assert.equal(result.downloadedFiles.length, 1);
+      const [signedFile] = result.downloadedFiles;
+      assert.equal(path.dirname(signedFile), artifactsDir);
+      await fs.unlink(signedFile);
+
+      // The saved ID is used to sign the next versions.
+      const nextResult = await signWithAmoMock();
+      assert.equal(nextResult.id, result.id);
+    }
+  ));
+
+  it('stops the AMO mock server when signing fails', () => withTempDir(
+    async (tmpDir) => {
+      const stubs = getStubs();
+      const amoMockServer = {
+        start: sinon.spy(() => Promise.resolve('http://127.0.0.1:1/api/v4')),
+        stop: sinon.spy(() => Promise.resolve()),
+      };
+      stubs.signAddon = sinon.spy(
+        () => Promise.reject(new Error('some signing error'))
+      );
+
+      const promise = sign(tmpDir, stubs, {
+        extraArgs: {apiUrlPrefix: 'mock:'},
+        extraOptions: {createAmoMockServer: () => amoMockServer},
+      });
+
+      await assert.isRejected(promise, /some signing error/);
+      sinon.assert.calledWithMatch(stubs.signAddon, {
+        apiUrlPrefix: 'http://127.0.0.1:1/api/v4',
+        apiProxy: undefined,
+      });
+      sinon.assert.calledOnce(amoMockServer.stop);
+    }
+  ));
+
   it('passes through a signing exception', () => withTempDir(
     (tmpDir) => {
       const stubs = getStubs();
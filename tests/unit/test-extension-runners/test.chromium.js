@@ -2,6 +2,7 @@
 
 import path from 'path';
 import EventEmitter from 'events';
+import vm from 'vm';
 
 import {assert} from 'chai';
 import {describe, it, beforeEach, afterEach} from 'mocha';
@@ -17,11 +18,14 @@ import {
 } from '../helpers';
 import {
   ChromiumExtensionRunner,
+  CHROMIUM_MV3_RELOAD_MANAGER_MIN_VERSION,
   DEFAULT_CHROME_FLAGS,
 } from '../../../src/extension-runners/chromium';
 import type {
   ChromiumExtensionRunnerParams,
 } from '../../../src/extension-runners/chromium';
+import {getUnpackedExtensionId} from '../../../src/chromium/devtools';
+import {MultiExtensionsReloadError, WebExtError} from '../../../src/errors';
 import {
   consoleStream, // instance is imported to inspect logged messages
 } from '../../../src/util/logger';
@@ -29,11 +33,15 @@ import { TempDir, withTempDir } from '../../../src/util/temp-dir';
 import fileExists from '../../../src/util/file-exists';
 import isDirectory from '../../../src/util/is-directory';
 
-function prepareExtensionRunnerParams({params} = {}) {
+function prepareExtensionRunnerParams(
+  {params, port}: {| params?: Object, port?: number |} = {}
+) {
   const fakeChromeInstance = {
     process: new StubChildProcess(),
     kill: sinon.spy(async () => {}),
+    port,
   };
+  // $FlowIgnore: allow overriden params for testing purpose.
   const runnerParams: ChromiumExtensionRunnerParams = {
     extensions: [{
       sourceDir: '/fake/sourceDir',
@@ -45,6 +53,7 @@ function prepareExtensionRunnerParams({params} = {}) {
       return fakeChromeInstance;
     }),
     desktopNotifications: sinon.spy(() => {}),
+    getChromiumVersion: sinon.spy(async () => 115),
     ...(params || {}),
   };
 
@@ -157,19 +166,24 @@ describe('util/extension-runners/chromium', async () => {
       resolve(data);
     };
 
+    const reloadMessage = {
+      type: 'webExtReloadExtensions',
+      extensions: [{
+        extensionId: getUnpackedExtensionId('/fake/sourceDir'),
+        name: 'the extension',
+        version: '0.0.1',
+      }],
+    };
+
     const waitForReloadAll = new Promise((resolve) =>
       wsClient.on('message', (data) => reload(wsClient, resolve, data)));
     await runnerInstance.reloadAllExtensions();
-    assert.deepEqual(JSON.parse(await waitForReloadAll),
-                     {type: 'webExtReloadAllExtensions'});
+    assert.deepEqual(JSON.parse(await waitForReloadAll), reloadMessage);
 
-    // TODO(rpl): change this once we improve the manager extension to be able
-    // to reload a single extension.
     const waitForReloadOne = new Promise((resolve) =>
       wsClient.on('message', (data) => reload(wsClient, resolve, data)));
     await runnerInstance.reloadExtensionBySourceDir('/fake/sourceDir');
-    assert.deepEqual(JSON.parse(await waitForReloadOne),
-                     {type: 'webExtReloadAllExtensions'});
+    assert.deepEqual(JSON.parse(await waitForReloadOne), reloadMessage);
 
     // Verify that if one websocket connection gets closed, a second websocket
     // connection still receives the control messages.
@@ -181,18 +195,128 @@ describe('util/extension-runners/chromium', async () => {
       wsClient2.on('message', (data) => reload(wsClient2, resolve, data)));
 
     await runnerInstance.reloadAllExtensions();
-    assert.deepEqual(JSON.parse(await waitForReloadClient2),
-                     {type: 'webExtReloadAllExtensions'});
+    assert.deepEqual(JSON.parse(await waitForReloadClient2), reloadMessage);
 
     const waitForReloadAllAgain = new Promise((resolve) =>
       wsClient2.on('message', (data) => reload(wsClient2, resolve, data)));
     await runnerInstance.reloadAllExtensions();
-    assert.deepEqual(JSON.parse(await waitForReloadAllAgain),
-                     {type: 'webExtReloadAllExtensions'});
+    assert.deepEqual(JSON.parse(await waitForReloadAllAgain), reloadMessage);
 
     await runnerInstance.exit();
   });
 
+  describe('extension console', () => {
+
+    function createFakeDevTools() {
+      return {
+        forwardExtensionConsole: sinon.spy(async () => {}),
+        close: sinon.spy(() => {}),
+      };
+    }
+
+    it('forwards the extension console messages', async () => {
+      const fakeDevTools = createFakeDevTools();
+      const {params} = prepareExtensionRunnerParams({
+        port: 9222,
+        params: {connectToDevTools: sinon.spy(async () => fakeDevTools)},
+      });
+      const runnerInstance = new ChromiumExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.calledWith(params.connectToDevTools, 9222);
+      sinon.assert.calledOnce(fakeDevTools.forwardExtensionConsole);
+      const [extensions, onConsoleMessage] =
+        fakeDevTools.forwardExtensionConsole.firstCall.args;
+      assert.deepEqual(extensions, [{
+        id: getUnpackedExtensionId('/fake/sourceDir'),
+        name: 'the extension',
+      }]);
+
+      consoleStream.startCapturing();
+      onConsoleMessage({
+        addonId: extensions[0].id,
+        level: 'warn',
+        message: 'some message',
+        filename: `chrome-extension://${extensions[0].id}/background.js`,
+        lineNumber: 12,
+      }, extensions[0]);
+      const {capturedMessages} = consoleStream;
+      consoleStream.stopCapturing();
+
+      assert.ok(capturedMessages.some((message) => message.includes(
+        '[the extension] [console.warn] background.js:12 some message'
+      )));
+
+      await runnerInstance.exit();
+      sinon.assert.calledOnce(fakeDevTools.close);
+    });
+
+    it('keeps running when the DevTools connection fails', async () => {
+      const {params, fakeChromeInstance} = prepareExtensionRunnerParams({
+        port: 9222,
+        params: {
+          connectToDevTools: sinon.spy(async () => {
+            throw new Error('connection refused');
+          }),
+        },
+      });
+      const runnerInstance = new ChromiumExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.calledOnce(params.connectToDevTools);
+      await runnerInstance.exit();
+      sinon.assert.calledOnce(fakeChromeInstance.kill);
+    });
+
+  });
+
+  describe('openStartUrls', () => {
+
+    it('opens the start URLs in new tabs', async () => {
+      const fakeDevTools = {
+        forwardExtensionConsole: sinon.spy(async () => {}),
+        send: sinon.spy(async () => ({})),
+        close: sinon.spy(() => {}),
+      };
+      const {params} = prepareExtensionRunnerParams({
+        port: 9222,
+        params: {
+          startUrl: ['url1', 'url2'],
+          connectToDevTools: sinon.spy(async () => fakeDevTools),
+        },
+      });
+      const runnerInstance = new ChromiumExtensionRunner(params);
+      await runnerInstance.run();
+
+      await runnerInstance.openStartUrls();
+
+      sinon.assert.calledTwice(fakeDevTools.send);
+      sinon.assert.calledWith(
+        fakeDevTools.send, 'Target.createTarget', {url: 'url1'}
+      );
+      sinon.assert.calledWith(
+        fakeDevTools.send, 'Target.createTarget', {url: 'url2'}
+      );
+
+      await runnerInstance.exit();
+    });
+
+    it('throws without a DevTools connection', async () => {
+      const {params} = prepareExtensionRunnerParams({
+        params: {startUrl: 'url1'},
+      });
+      const runnerInstance = new ChromiumExtensionRunner(params);
+      await runnerInstance.run();
+
+      await assert.isRejected(
+        runnerInstance.openStartUrls(), /DevTools is not connected/
+      );
+
+      await runnerInstance.exit();
+    });
+
+  });
+
   it('exits if the chrome instance is shutting down', async () => {
     const {params, fakeChromeInstance} = prepareExtensionRunnerParams();
     const runnerInstance = new ChromiumExtensionRunner(params);
@@ -651,7 +775,7 @@ describe('util/extension-runners/chromium', async () => {
       wsClient.on('message', (message) => {
         const msg = JSON.parse(message);
 
-        if (msg.type === 'webExtReloadAllExtensions') {
+        if (msg.type === 'webExtReloadExtensions') {
           assert.equal(reloadMessage, false);
 
           setTimeout(() => {
@@ -692,5 +816,396 @@ describe('util/extension-runners/chromium', async () => {
     it('resolve when not client connected', async () => {
       await runnerInstance.reloadAllExtensions();
     });
+
+    it('reports the extensions as not reloaded when no client is connected',
+       async () => {
+         const [result] = await runnerInstance.reloadExtensionBySourceDir(
+           '/fake/sourceDir'
+         );
+
+         assert.instanceOf(result.reloadError, WebExtError);
+         assert.match(
+           String(result.reloadError),
+           /the reload manager extension is not connected/
+         );
+       });
+
+    it('reports the extensions without a reload result', async () => {
+      await connectClient();
+      wsClient.on('message', () => {
+        wsClient.send(JSON.stringify({
+          type: 'webExtReloadExtensionComplete',
+          results: [],
+        }));
+      });
+
+      const [result] = await runnerInstance.reloadExtensionBySourceDir(
+        '/fake/sourceDir'
+      );
+
+      assert.instanceOf(result.reloadError, WebExtError);
+      assert.match(String(result.reloadError), /no reload result/);
+    });
+
+    it('uses the extension id the reload manager has found', async () => {
+      await connectClient();
+      const messages = [];
+      wsClient.on('message', (message) => {
+        const {extensions} = JSON.parse(message);
+        messages.push(extensions);
+        wsClient.send(JSON.stringify({
+          type: 'webExtReloadExtensionComplete',
+          results: extensions.map(({extensionId}) => {
+            return {extensionId, reloadedId: 'actual-id'};
+          }),
+        }));
+      });
+
+      const [result] = await runnerInstance.reloadExtensionBySourceDir(
+        '/fake/sourceDir'
+      );
+      assert.equal(result.reloadError, undefined);
+      assert.equal(
+        runnerInstance.extensionIds.get('/fake/sourceDir'), 'actual-id'
+      );
+
+      await runnerInstance.reloadExtensionBySourceDir('/fake/sourceDir');
+      assert.equal(messages[1][0].extensionId, 'actual-id');
+    });
+
+    it('collects the reload errors by extension', async () => {
+      await connectClient();
+      wsClient.on('message', (message) => {
+        const {extensions} = JSON.parse(message);
+        wsClient.send(JSON.stringify({
+          type: 'webExtReloadExtensionComplete',
+          results: extensions.map(({extensionId}) => {
+            return {extensionId, error: 'fake reload error'};
+          }),
+        }));
+      });
+
+      const [allResult] = await runnerInstance.reloadAllExtensions();
+      assert.instanceOf(allResult.reloadError, MultiExtensionsReloadError);
+      const {errorsBySourceDir} = (allResult.reloadError: any);
+      assert.deepEqual(Array.from(errorsBySourceDir.keys()),
+                       ['/fake/sourceDir']);
+      assert.match(String(errorsBySourceDir.get('/fake/sourceDir')),
+                   /fake reload error/);
+
+      const [result] = await runnerInstance.reloadExtensionBySourceDir(
+        '/fake/sourceDir'
+      );
+      assert.equal(result.sourceDir, '/fake/sourceDir');
+      assert.instanceOf(result.reloadError, WebExtError);
+      assert.match(String(result.reloadError), /fake reload error/);
+    });
+
+    it('does not reload an unknown source dir', async () => {
+      await connectClient();
+      const onMessage = sinon.spy(() => {});
+      wsClient.on('message', onMessage);
+
+      const [result] = await runnerInstance.reloadExtensionBySourceDir(
+        '/unknown/sourceDir'
+      );
+
+      assert.instanceOf(result.reloadError, WebExtError);
+      assert.match(String(result.reloadError), /Extension not reloadable/);
+      sinon.assert.notCalled(onMessage);
+    });
+  });
+
+  describe('reload manager extension', () => {
+
+    async function getReloadManagerManifest(chromiumVersion) {
+      const {params} = prepareExtensionRunnerParams({
+        params: {
+          chromiumBinary: '/path/to/chrome',
+          getChromiumVersion: sinon.spy(async () => chromiumVersion),
+        },
+      });
+      const runnerInstance = new ChromiumExtensionRunner(params);
+      await runnerInstance.run();
+      sinon.assert.calledWith(params.getChromiumVersion, '/path/to/chrome');
+
+      const manifestData = await fs.readJSON(
+        path.join(runnerInstance.reloadManagerExtension, 'manifest.json')
+      );
+      await runnerInstance.exit();
+      return manifestData;
+    }
+
+    it('uses Manifest V2 on older Chromium versions', async () => {
+      const manifestData = await getReloadManagerManifest(115);
+      assert.equal(manifestData.manifest_version, 2);
+      assert.deepEqual(manifestData.background, {scripts: ['bg.js']});
+    });
+
+    it('uses Manifest V3 on newer Chromium versions', async () => {
+      const manifestData = await getReloadManagerManifest(
+        CHROMIUM_MV3_RELOAD_MANAGER_MIN_VERSION
+      );
+      assert.equal(manifestData.manifest_version, 3);
+      assert.deepEqual(manifestData.background, {service_worker: 'bg.js'});
+      assert.include(manifestData.permissions, 'alarms');
+    });
+
+    it('uses Manifest V3 when the version is unknown', async () => {
+      const manifestData = await getReloadManagerManifest(undefined);
+      assert.equal(manifestData.manifest_version, 3);
+    });
+
+    async function runReloadManager(fakeChrome) {
+      const {params} = prepareExtensionRunnerParams();
+      const runnerInstance = new ChromiumExtensionRunner(params);
+      await runnerInstance.run();
+      const bgScript = await fs.readFile(
+        path.join(runnerInstance.reloadManagerExtension, 'bg.js'), 'utf-8'
+      );
+      await runnerInstance.exit();
+
+      const fakeWebSocket = {onmessage: null, send: sinon.spy(() => {})};
+      const window = {WebSocket: sinon.stub().returns(fakeWebSocket)};
+      vm.runInNewContext(bgScript, {chrome: fakeChrome, window});
+
+      return fakeWebSocket;
+    }
+
+    it('reloads the requested extensions only', async () => {
+      const fakeChrome = {
+        runtime: {id: 'reload-manager', lastError: undefined},
+        management: {
+          getAll: (callback) => callback([
+            {id: 'ext1', installType: 'development'},
+            {id: 'ext2', installType: 'development'},
+          ]),
+          setEnabled: sinon.spy((id, value, callback) => {
+            fakeChrome.runtime.lastError = id === 'ext2' ?
+              {message: 'fake setEnabled error'} : undefined;
+            callback();
+            fakeChrome.runtime.lastError = undefined;
+          }),
+        },
+      };
+      const fakeWebSocket = await runReloadManager(fakeChrome);
+
+      const onceResponse = new Promise((resolve) => {
+        fakeWebSocket.send = resolve;
+      });
+      // $FlowIgnore: onmessage is set by the reload manager script.
+      fakeWebSocket.onmessage({data: JSON.stringify({
+        type: 'webExtReloadExtensions',
+        extensions: [
+          {extensionId: 'ext1'}, {extensionId: 'ext2'}, {extensionId: 'ext3'},
+        ],
+      })});
+
+      assert.deepEqual(JSON.parse(await onceResponse), {
+        type: 'webExtReloadExtensionComplete',
+        results: [
+          {extensionId: 'ext1'},
+          {extensionId: 'ext2', error: 'fake setEnabled error'},
+          {
+            extensionId: 'ext3',
+            error: 'No development extension found with id ext3',
+          },
+        ],
+      });
+      assert.deepEqual(
+        fakeChrome.management.setEnabled.getCalls().map((call) => {
+          return call.args.slice(0, 2);
+        }),
+        [['ext1', false], ['ext2', false], ['ext1', true]]
+      );
+    });
+
+    it('finds the extensions by manifest name and version', async () => {
+      const fakeChrome = {
+        runtime: {id: 'reload-manager', lastError: undefined},
+        management: {
+          getAll: (callback) => callback([
+            {id: 'ext1', installType: 'development', name: 'a', version: '1'},
+            {id: 'ext2', installType: 'development', name: 'b', version: '1'},
+            {id: 'ext3', installType: 'development', name: 'c', version: '1'},
+            {id: 'ext4', installType: 'development', name: 'c', version: '1'},
+          ]),
+          setEnabled: sinon.spy((id, value, callback) => callback()),
+        },
+      };
+      const fakeWebSocket = await runReloadManager(fakeChrome);
+
+      const onceResponse = new Promise((resolve) => {
+        fakeWebSocket.send = resolve;
+      });
+      // $FlowIgnore: onmessage is set by the reload manager script.
+      fakeWebSocket.onmessage({data: JSON.stringify({
+        type: 'webExtReloadExtensions',
+        extensions: [
+          {extensionId: 'ext1', name: 'b', version: '1'},
+          {extensionId: 'other-id', name: 'b', version: '1'},
+          {extensionId: 'ambiguous-id', name: 'c', version: '1'},
+        ],
+      })});
+
+      assert.deepEqual(JSON.parse(await onceResponse), {
+        type: 'webExtReloadExtensionComplete',
+        results: [
+          {extensionId: 'ext1'},
+          {extensionId: 'other-id', reloadedId: 'ext2'},
+          {
+            extensionId: 'ambiguous-id',
+            error: 'No development extension found with id ambiguous-id',
+          },
+        ],
+      });
+      assert.deepEqual(
+        fakeChrome.management.setEnabled.getCalls().map((call) => {
+          return call.args.slice(0, 2);
+        }),
+        [['ext1', false], ['ext2', false], ['ext1', true], ['ext2', true]]
+      );
+    });
+
+    describe('Manifest V3 service worker', () => {
+
+      class FakeWebSocket {
+        static CONNECTING = 0;
+        static OPEN = 1;
+        static instances: Array<FakeWebSocket> = [];
+        url: string;
+        readyState: number;
+        onopen: ?Function;
+        onmessage: ?Function;
+        onclose: ?Function;
+        send: Function;
+
+        constructor(url) {
+          this.url = url;
+          this.readyState = FakeWebSocket.CONNECTING;
+          this.send = sinon.spy(() => {});
+          FakeWebSocket.instances.push(this);
+        }
+
+        open() {
+          this.readyState = FakeWebSocket.OPEN;
+          this.onopen?.();
+        }
+
+        close() {
+          this.readyState = 3;
+          this.onclose?.();
+        }
+      }
+
+      async function runServiceWorker() {
+        const {params} = prepareExtensionRunnerParams({
+          params: {getChromiumVersion: sinon.spy(async () => 120)},
+        });
+        const runnerInstance = new ChromiumExtensionRunner(params);
+        await runnerInstance.run();
+        const bgScript = await fs.readFile(
+          path.join(runnerInstance.reloadManagerExtension, 'bg.js'), 'utf-8'
+        );
+        // $FlowIgnore: allow to call addess even wss property can be undefined.
+        const wssInfo = runnerInstance.wss.address();
+        await runnerInstance.exit();
+
+        FakeWebSocket.instances = [];
+        const clock = sinon.useFakeTimers();
+        const fakeChrome = {
+          runtime: {id: 'reload-manager'},
+          alarms: {
+            create: sinon.spy(() => {}),
+            onAlarm: {addListener: sinon.spy(() => {})},
+          },
+          management: {
+            getAll: (callback) => callback([
+              {id: 'ext1', installType: 'development'},
+            ]),
+            setEnabled: sinon.spy((id, value, callback) => callback()),
+          },
+        };
+        vm.runInNewContext(bgScript, {
+          chrome: fakeChrome,
+          WebSocket: FakeWebSocket,
+          setInterval,
+          clearInterval,
+          setTimeout,
+        });
+
+        return {
+          clock,
+          fakeChrome,
+          wsURL: `ws://${wssInfo.address}:${wssInfo.port}`,
+        };
+      }
+
+      it('connects to the runner and reloads the extensions', async () => {
+        const {clock, wsURL} = await runServiceWorker();
+        try {
+          assert.equal(FakeWebSocket.instances.length, 1);
+          const [ws] = FakeWebSocket.instances;
+          assert.equal(ws.url, wsURL);
+          ws.open();
+
+          const onceResponse = new Promise((resolve) => {
+            ws.send = resolve;
+          });
+          ws.onmessage?.({data: JSON.stringify({
+            type: 'webExtReloadExtensions',
+            extensions: [{extensionId: 'ext1'}],
+          })});
+          assert.deepEqual(JSON.parse(await onceResponse), {
+            type: 'webExtReloadExtensionComplete',
+            results: [{extensionId: 'ext1'}],
+          });
+        } finally {
+          clock.restore();
+        }
+      });
+
+      it('keeps the WebSocket connection alive', async () => {
+        const {clock, fakeChrome} = await runServiceWorker();
+        try {
+          const [ws] = FakeWebSocket.instances;
+          ws.open();
+
+          clock.tick(20000);
+          sinon.assert.calledWith(
+            ws.send, JSON.stringify({type: 'webExtKeepAlive'})
+          );
+          sinon.assert.calledWith(
+            fakeChrome.alarms.create, 'webExtKeepAlive', {
+              periodInMinutes: 0.5,
+            }
+          );
+        } finally {
+          clock.restore();
+        }
+      });
+
+      it('reconnects when the WebSocket is closed', async () => {
+        const {clock, fakeChrome} = await runServiceWorker();
+        try {
+          const [ws] = FakeWebSocket.instances;
+          ws.open();
+          ws.close();
+
+          clock.tick(1000);
+          assert.equal(FakeWebSocket.instances.length, 2);
+
+          // The alarms do not reconnect an open WebSocket.
+          FakeWebSocket.instances[1].open();
+          const {addListener} = fakeChrome.alarms.onAlarm;
+          addListener.firstCall.args[0]();
+          assert.equal(FakeWebSocket.instances.length, 2);
+        } finally {
+          clock.restore();
+        }
+      });
+
+    });
+
   });
 });
@@ -11,6 +11,9 @@ import {
   defaultReloadStrategy,
   MultiExtensionRunner,
 } from '../../../src/extension-runners';
+import {
+  consoleStream, // instance is imported to inspect logged messages
+} from '../../../src/util/logger';
 import {
   createFakeStdin,
   FakeExtensionRunner,
@@ -27,7 +30,13 @@ function createFakeExtensionRunner(
   const runner = new FakeExtensionRunner(params);
 
   for (const [fnName, fn] of Object.entries(overriddenMethods)) {
-    sinon.stub(runner, fnName).callsFake(fn);
+    if (fnName in runner) {
+      sinon.stub(runner, fnName).callsFake(fn);
+    } else {
+      // Optional IExtensionRunner methods.
+      // $FlowIgnore: allow to add methods for testing purpose.
+      runner[fnName] = sinon.spy(fn);
+    }
   }
 
   return runner;
@@ -159,6 +168,84 @@ describe('util/extension-runners', () => {
       sinon.assert.calledOnce(anotherFakeExtensionRunner.exit);
     });
 
+    it('takes screenshots on the runners which support it', async () => {
+      const params = prepareExtensionRunnerParams();
+      const [fakeExtensionRunner, anotherFakeExtensionRunner] = params.runners;
+
+      const runnerInstance = new MultiExtensionRunner(params);
+      assert.equal(runnerInstance.canTakeScreenshots(), false);
+
+      const takeScreenshots = sinon.spy(
+        () => Promise.resolve(['/fake/screenshot.png'])
+      );
+      const failingTakeScreenshots = sinon.spy(
+        () => Promise.reject(new Error('fake screenshot error'))
+      );
+      // $FlowIgnore: add the optional method to the fake runners.
+      fakeExtensionRunner.takeScreenshots = takeScreenshots;
+      // $FlowIgnore: add the optional method to the fake runners.
+      anotherFakeExtensionRunner.takeScreenshots = failingTakeScreenshots;
+      assert.equal(runnerInstance.canTakeScreenshots(), true);
+
+      const files = await runnerInstance.takeScreenshots();
+
+      assert.deepEqual(files, ['/fake/screenshot.png']);
+      sinon.assert.calledOnce(takeScreenshots);
+      sinon.assert.calledOnce(failingTakeScreenshots);
+    });
+
+    it('reinstalls or reloads the extensions on all the runners',
+       async () => {
+         const params = prepareExtensionRunnerParams();
+         const [
+           fakeExtensionRunner, anotherFakeExtensionRunner,
+         ] = params.runners;
+
+         const reinstallAllExtensions = sinon.spy(() => Promise.resolve([]));
+         // $FlowIgnore: add the optional method to the fake runners.
+         fakeExtensionRunner.reinstallAllExtensions = reinstallAllExtensions;
+         sinon.spy(fakeExtensionRunner, 'reloadAllExtensions');
+         sinon.spy(anotherFakeExtensionRunner, 'reloadAllExtensions');
+
+         const runnerInstance = new MultiExtensionRunner(params);
+         const onReloadSuccess = sinon.spy();
+         runnerInstance.on('reload-success', onReloadSuccess);
+
+         const results = await runnerInstance.reinstallAllExtensions();
+
+         assert.equal(results.length, 2);
+         sinon.assert.calledOnce(reinstallAllExtensions);
+         sinon.assert.notCalled(fakeExtensionRunner.reloadAllExtensions);
+         sinon.assert.calledOnce(
+           anotherFakeExtensionRunner.reloadAllExtensions
+         );
+         sinon.assert.calledTwice(onReloadSuccess);
+       });
+
+    it('opens the start URLs on the runners which support it', async () => {
+      const params = prepareExtensionRunnerParams();
+      const [fakeExtensionRunner, anotherFakeExtensionRunner] = params.runners;
+
+      const openStartUrls = sinon.spy(() => Promise.resolve());
+      const failingOpenStartUrls = sinon.spy(
+        () => Promise.reject(new Error('fake open error'))
+      );
+      // $FlowIgnore: add the optional method to the fake runners.
+      fakeExtensionRunner.openStartUrls = openStartUrls;
+      // $FlowIgnore: add the optional method to the fake runners.
+      anotherFakeExtensionRunner.openStartUrls = failingOpenStartUrls;
+
+      const runnerInstance = new MultiExtensionRunner(params);
+      await runnerInstance.openStartUrls();
+
+      sinon.assert.calledOnce(openStartUrls);
+      sinon.assert.calledOnce(failingOpenStartUrls);
+      assert.ok(consoleStream.capturedMessages.find((message) =>
+        message.includes('Unable to open the start URLs on ' +
+                         '"Fake Extension Runner": Error: fake open error')
+      ));
+    });
+
     it('shows a desktop notification on errors while reloading all extensions',
        async () => {
          const params = prepareExtensionRunnerParams();
@@ -246,6 +333,149 @@ describe('util/extension-runners', () => {
          );
        });
 
+    describe('events', () => {
+
+      function createNamedRunner(runnerName, overriddenMethods = {}) {
+        return createFakeExtensionRunner({
+          overriddenMethods: {getName: () => runnerName, ...overriddenMethods},
+        });
+      }
+
+      it('emits installed and browser-exit for each runner', async () => {
+        const runner = createNamedRunner('runner1', {
+          registerCleanup: () => {},
+        });
+        const anotherRunner = createNamedRunner('runner2');
+        const runnerInstance = new MultiExtensionRunner(
+          prepareExtensionRunnerParams({runners: [runner, anotherRunner]})
+        );
+        const onInstalled = sinon.spy();
+        const onBrowserExit = sinon.spy();
+        runnerInstance.on('installed', onInstalled);
+        runnerInstance.on('browser-exit', onBrowserExit);
+
+        await runnerInstance.run();
+
+        sinon.assert.calledTwice(onInstalled);
+        sinon.assert.calledWith(onInstalled, {runnerName: 'runner1'});
+        sinon.assert.calledWith(onInstalled, {runnerName: 'runner2'});
+        sinon.assert.notCalled(onBrowserExit);
+
+        runner.registerCleanup.firstCall.args[0]();
+        sinon.assert.calledOnce(onBrowserExit);
+        sinon.assert.calledWith(onBrowserExit, {runnerName: 'runner1'});
+      });
+
+      it('emits the reload events of all extensions', async () => {
+        const reloadError = new Error('reload error');
+        const runnerInstance = new MultiExtensionRunner(
+          prepareExtensionRunnerParams({
+            runners: [
+              createNamedRunner('runner1'),
+              createNamedRunner('runner2', {
+                reloadAllExtensions: () => Promise.reject(reloadError),
+              }),
+            ],
+          })
+        );
+        const onReloadStart = sinon.spy();
+        const onReloadSuccess = sinon.spy();
+        const onReloadError = sinon.spy();
+        runnerInstance.on('reload-start', onReloadStart);
+        runnerInstance.on('reload-success', onReloadSuccess);
+        runnerInstance.on('reload-error', onReloadError);
+
+        await runnerInstance.reloadAllExtensions();
+
+        sinon.assert.calledTwice(onReloadStart);
+        sinon.assert.calledWith(onReloadStart, {runnerName: 'runner1'});
+        sinon.assert.calledWith(onReloadStart, {runnerName: 'runner2'});
+        sinon.assert.calledOnce(onReloadSuccess);
+        sinon.assert.calledWith(onReloadSuccess, {runnerName: 'runner1'});
+        sinon.assert.calledOnce(onReloadError);
+        sinon.assert.calledWith(
+          onReloadError, {runnerName: 'runner2', reloadError}
+        );
+      });
+
+      it('emits the reload errors reported in the runner results',
+         async () => {
+           const sourceDir = '/fake/sourceDir';
+           const reloadError = new Error('reload error');
+           const runnerInstance = new MultiExtensionRunner(
+             prepareExtensionRunnerParams({
+               runners: [
+                 createNamedRunner('runner1', {
+                   reloadAllExtensions: () => Promise.resolve([
+                     {runnerName: 'runner1', reloadError},
+                   ]),
+                   reloadExtensionBySourceDir: () => Promise.resolve([
+                     {runnerName: 'runner1', reloadError, sourceDir},
+                   ]),
+                 }),
+                 createNamedRunner('runner2', {
+                   reloadAllExtensions: () => Promise.resolve([
+                     {runnerName: 'runner2'},
+                   ]),
+                 }),
+               ],
+             })
+           );
+           const onReloadSuccess = sinon.spy();
+           const onReloadError = sinon.spy();
+           runnerInstance.on('reload-success', onReloadSuccess);
+           runnerInstance.on('reload-error', onReloadError);
+
+           const results = await runnerInstance.reloadAllExtensions();
+
+           assert.deepEqual(results, [
+             {runnerName: 'runner1', reloadError},
+             {runnerName: 'runner2'},
+           ]);
+           sinon.assert.calledOnce(onReloadError);
+           sinon.assert.calledWith(
+             onReloadError, {runnerName: 'runner1', reloadError}
+           );
+           sinon.assert.calledOnce(onReloadSuccess);
+           sinon.assert.calledWith(onReloadSuccess, {runnerName: 'runner2'});
+
+           const sourceDirResults = await runnerInstance
+             .reloadExtensionBySourceDir(sourceDir);
+
+           assert.deepEqual(sourceDirResults, [
+             {runnerName: 'runner1', reloadError, sourceDir},
+             {runnerName: 'runner2', sourceDir},
+           ]);
+           sinon.assert.calledTwice(onReloadError);
+           sinon.assert.calledWith(
+             onReloadError, {runnerName: 'runner1', reloadError, sourceDir}
+           );
+         });
+
+      it('emits the reload events of a single extension', async () => {
+        const sourceDir = '/fake/sourceDir';
+        const runnerInstance = new MultiExtensionRunner(
+          prepareExtensionRunnerParams({
+            runners: [createNamedRunner('runner1')],
+          })
+        );
+        const onReloadStart = sinon.spy();
+        const onReloadSuccess = sinon.spy();
+        runnerInstance.on('reload-start', onReloadStart);
+        runnerInstance.on('reload-success', onReloadSuccess);
+
+        await runnerInstance.reloadExtensionBySourceDir(sourceDir);
+
+        sinon.assert.calledWith(
+          onReloadStart, {runnerName: 'runner1', sourceDir}
+        );
+        sinon.assert.calledWith(
+          onReloadSuccess, {runnerName: 'runner1', sourceDir}
+        );
+      });
+
+    });
+
     describe('registerCleanup', () => {
 
       it('calls its callbacks once all the runner callbacks have been called',
@@ -462,6 +692,37 @@ describe('util/extension-runners', () => {
       );
     });
 
+    it('configures a watcher for each extension source dir', () => {
+      const {
+        extensionRunner, createWatcher, reloadStrategy, watcher,
+      } = prepare({
+        stubExtensionRunner: {
+          reloadExtensionBySourceDir() {},
+          registerCleanup() {},
+        },
+      });
+
+      const sourceDirs = ['/fake/first/sourceDir', '/fake/second/sourceDir'];
+      reloadStrategy({sourceDir: sourceDirs});
+
+      sinon.assert.calledTwice(createWatcher);
+      assert.deepEqual(
+        createWatcher.getCalls().map((call) => call.args[0].sourceDir),
+        sourceDirs
+      );
+
+      const {reloadExtension} = createWatcher.secondCall.args[0];
+      reloadExtension(sourceDirs[1]);
+      sinon.assert.calledOnce(extensionRunner.reloadExtensionBySourceDir);
+      sinon.assert.calledWith(
+        extensionRunner.reloadExtensionBySourceDir, sourceDirs[1]
+      );
+
+      const registeredCb = extensionRunner.registerCleanup.firstCall.args[0];
+      registeredCb();
+      sinon.assert.calledTwice(watcher.close);
+    });
+
     it('cleans up when the extension runner closes', () => {
       const {
         extensionRunner, watcher, reloadStrategy, stdin,
@@ -510,6 +771,182 @@ describe('util/extension-runners', () => {
       }
     });
 
+    it('takes a screenshot when user presses S in shell console',
+       async () => {
+         const {extensionRunner, reloadStrategy} = prepare({
+           stubExtensionRunner: {
+             canTakeScreenshots: () => true,
+             takeScreenshots: () => Promise.resolve([]),
+           },
+         });
+
+         const fakeStdin = createFakeStdin();
+
+         try {
+           await reloadStrategy({}, {stdin: fakeStdin});
+           fakeStdin.emit('keypress', 's', {name: 's', ctrl: false});
+
+           // Wait for one tick.
+           await Promise.resolve();
+
+           sinon.assert.calledOnce(extensionRunner.takeScreenshots);
+         } finally {
+           exitKeypressLoop(fakeStdin);
+         }
+       });
+
+    describe('keypress commands', () => {
+
+      function waitForKeypressLoop() {
+        return new Promise((resolve) => setImmediate(resolve));
+      }
+
+      async function pressKeys(
+        {
+          stubExtensionRunner, keypressCommands, stdout,
+        }: {
+          stubExtensionRunner?: Object, keypressCommands?: Object,
+          stdout?: stream$Writable,
+        },
+        keys: Array<string>
+      ) {
+        const prepared = prepare({stubExtensionRunner});
+        const fakeStdin = createFakeStdin();
+
+        try {
+          await prepared.reloadStrategy(
+            {keypressCommands}, {stdin: fakeStdin, stdout}
+          );
+          for (const key of keys) {
+            await waitForKeypressLoop();
+            fakeStdin.emit('keypress', key, {name: key, ctrl: false});
+          }
+          await waitForKeypressLoop();
+        } finally {
+          exitKeypressLoop(fakeStdin);
+        }
+
+        return prepared;
+      }
+
+      it('lists the commands when user presses H', async () => {
+        await pressKeys({}, ['h']);
+
+        const help = consoleStream.capturedMessages.find(
+          (message) => message.includes('Available commands:')
+        );
+        assert.ok(help);
+        for (const key of ['H', 'R', 'B', 'O', 'C', 'P', 'Q', 'Ctrl-C']) {
+          assert.match(help || '', new RegExp(`^  ${key} +\\w`, 'm'));
+        }
+        assert.notMatch(help || '', /^ {2}S /m);
+      });
+
+      it('reinstalls the extensions when user presses B', async () => {
+        const {extensionRunner} = await pressKeys({
+          stubExtensionRunner: {
+            reinstallAllExtensions: () => Promise.resolve([]),
+          },
+        }, ['b']);
+
+        sinon.assert.calledOnce(extensionRunner.reinstallAllExtensions);
+      });
+
+      it('reloads the extensions on B if they can not be reinstalled',
+         async () => {
+           const {extensionRunner} = await pressKeys({
+             stubExtensionRunner: {
+               reloadAllExtensions: () => Promise.resolve([]),
+             },
+           }, ['b']);
+
+           sinon.assert.calledOnce(extensionRunner.reloadAllExtensions);
+         });
+
+      it('opens the start URLs when user presses O', async () => {
+        const {extensionRunner} = await pressKeys({
+          stubExtensionRunner: {
+            openStartUrls: () => Promise.resolve(),
+          },
+        }, ['o']);
+
+        sinon.assert.calledOnce(extensionRunner.openStartUrls);
+      });
+
+      it('clears the screen when user presses C', async () => {
+        const stdout = new stream.PassThrough();
+        await pressKeys({stdout}, ['c']);
+
+        assert.equal(String(stdout.read()), '\x1b[1;1H\x1b[0J');
+      });
+
+      it('pauses the watchers when user presses P', async () => {
+        const {
+          createWatcher, extensionRunner,
+        } = await pressKeys({
+          stubExtensionRunner: {
+            reloadExtensionBySourceDir() {},
+          },
+        }, ['p']);
+
+        const {reloadExtension} = createWatcher.firstCall.args[0];
+        reloadExtension('/fake/sourceDir');
+        sinon.assert.notCalled(extensionRunner.reloadExtensionBySourceDir);
+      });
+
+      it('resumes the watchers when user presses P again', async () => {
+        const {
+          createWatcher, extensionRunner,
+        } = await pressKeys({
+          stubExtensionRunner: {
+            reloadExtensionBySourceDir() {},
+          },
+        }, ['p', 'p']);
+
+        const {reloadExtension} = createWatcher.firstCall.args[0];
+        reloadExtension('/fake/sourceDir');
+        sinon.assert.calledOnce(extensionRunner.reloadExtensionBySourceDir);
+      });
+
+      it('exits when user presses Q', async () => {
+        const {extensionRunner} = await pressKeys({
+          stubExtensionRunner: {
+            async exit() {},
+          },
+        }, ['q']);
+
+        sinon.assert.calledOnce(extensionRunner.exit);
+      });
+
+      it('runs the custom commands', async () => {
+        const customCommand = {
+          description: 'Custom command',
+          run: sinon.spy(() => {}),
+        };
+        const failingCommand = {
+          description: 'Failing command',
+          run: sinon.spy(() => Promise.reject(new Error('fake error'))),
+        };
+        const {extensionRunner} = await pressKeys({
+          stubExtensionRunner: {
+            reloadAllExtensions: () => Promise.resolve([]),
+          },
+          keypressCommands: {x: customCommand, r: failingCommand},
+        }, ['x', 'r', 'h']);
+
+        sinon.assert.calledOnce(customCommand.run);
+        sinon.assert.calledOnce(failingCommand.run);
+        sinon.assert.notCalled(extensionRunner.reloadAllExtensions);
+        assert.ok(consoleStream.capturedMessages.find((message) =>
+          message.includes('Error running the R command: Error: fake error')
+        ));
+        assert.ok(consoleStream.capturedMessages.find((message) =>
+          /^ {2}X +Custom command$/m.test(message)
+        ));
+      });
+
+    });
+
     it('allows you to disable input', async function() {
       const {extensionRunner, reloadStrategy} = prepare();
       sinon.spy(extensionRunner, 'registerCleanup');
@@ -1,13 +1,16 @@
 /* @flow */
 
 import EventEmitter from 'events';
+import path from 'path';
 
 import {assert} from 'chai';
 import {describe, it} from 'mocha';
 import deepcopy from 'deepcopy';
+import {fs} from 'mz';
 import sinon from 'sinon';
 
 import {consoleStream} from '../../../src/util/logger';
+import {withTempDir} from '../../../src/util/temp-dir';
 import {
   FirefoxAndroidExtensionRunner,
 } from '../../../src/extension-runners/firefox-android';
@@ -106,6 +109,12 @@ function prepareExtensionRunnerParams({
   };
 }
 
+function createFakeLogcatReader() {
+  const logcatReader: any = new EventEmitter();
+  logcatReader.end = sinon.spy(() => {});
+  return logcatReader;
+}
+
 function prepareSelectedDeviceAndAPKParams(
   overriddenProperties = {}, adbOverrides = {}) {
   const fakeADBUtils = {
@@ -122,6 +131,9 @@ function prepareSelectedDeviceAndAPKParams(
     discoverRDPUnixSocket: sinon.spy(
       () => Promise.resolve(fakeRDPUnixSocketFile)
     ),
+    findRDPUnixSocket: sinon.spy(
+      () => Promise.resolve(fakeRDPUnixSocketFile)
+    ),
     getOrCreateArtifactsDir: sinon.spy(
       () => Promise.resolve('/fake/artifacts-dir/')
     ),
@@ -133,6 +145,19 @@ function prepareSelectedDeviceAndAPKParams(
     detectOrRemoveOldArtifacts: sinon.spy(() => Promise.resolve(true)),
     setUserAbortDiscovery: sinon.spy(() => {}),
     ensureRequiredAPKRuntimePermissions: sinon.spy(() => Promise.resolve()),
+    startAndroidEmulator: sinon.spy(() => Promise.resolve('emulator-2')),
+    installAPK: sinon.spy(() => Promise.resolve()),
+    getLastUpdatedPackage: sinon.spy(() => Promise.resolve()),
+    stopAndroidEmulator: sinon.spy(() => Promise.resolve()),
+    getPackagePids: sinon.spy(() => Promise.resolve([1234])),
+    openLogcat: sinon.spy(() => Promise.resolve(createFakeLogcatReader())),
+    pairDevice: sinon.spy(() => Promise.resolve()),
+    connectDevice: sinon.spy(() => Promise.resolve('192.168.1.2:5555')),
+    disconnectDevice: sinon.spy(() => Promise.resolve()),
+    screencap: sinon.spy(() => Promise.resolve()),
+    pullFile: sinon.spy(() => Promise.resolve()),
+    screenrecord: sinon.spy(() => Promise.resolve('')),
+    stopScreenRecording: sinon.spy(() => Promise.resolve()),
     ...adbOverrides,
   };
 
@@ -1031,4 +1056,604 @@ describe('util/extension-runners/firefox-android', () => {
 
   });
 
+  describe('--android-attach', () => {
+
+    it('installs the extensions in the running Firefox instance',
+       async () => {
+         const {
+           params, fakeADBUtils,
+         } = prepareSelectedDeviceAndAPKParams({
+           params: {
+             adbDevice: 'emulator-1',
+             firefoxApk: 'org.mozilla.firefox',
+             androidAttach: true,
+             buildSourceDir: sinon.spy(() => Promise.resolve({
+               extensionPath: fakeBuiltExtensionPath,
+             })),
+           },
+         });
+
+         const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+         await runnerInstance.run();
+
+         assert.equal(runnerInstance.attachedToRunningPackage, true);
+         sinon.assert.calledOnce(fakeADBUtils.findRDPUnixSocket);
+         sinon.assert.calledWithMatch(
+           fakeADBUtils.findRDPUnixSocket, 'emulator-1', 'org.mozilla.firefox'
+         );
+         sinon.assert.notCalled(fakeADBUtils.discoverRDPUnixSocket);
+         sinon.assert.notCalled(fakeADBUtils.amForceStopAPK);
+         sinon.assert.notCalled(fakeADBUtils.startFirefoxAPK);
+         sinon.assert.notCalled(params.firefoxApp.createProfile);
+
+         sinon.assert.calledWithMatch(
+           fakeADBUtils.pushFile, 'emulator-1', fakeBuiltExtensionPath,
+           `/fake/artifacts-dir//${builtFileName}.xpi`
+         );
+         sinon.assert.calledWithMatch(
+           fakeADBUtils.setupForward, 'emulator-1',
+           `localfilesystem:${fakeRDPUnixSocketFile}`
+         );
+         assert.equal(
+           runnerInstance.reloadableExtensions.get('/fake/sourceDir'),
+           tempInstallResult.addon.id
+         );
+
+         // The running instance is not stopped on exit.
+         await runnerInstance.exit();
+         sinon.assert.notCalled(fakeADBUtils.amForceStopAPK);
+         sinon.assert.calledWithMatch(
+           fakeADBUtils.clearArtifactsDir, 'emulator-1'
+         );
+       });
+
+    it('starts a new Firefox instance when none is running',
+       async () => {
+         const findRDPUnixSocket = sinon.spy(() => Promise.resolve());
+         const {
+           params, fakeADBUtils,
+         } = prepareSelectedDeviceAndAPKParams({
+           params: {
+             adbDevice: 'emulator-1',
+             firefoxApk: 'org.mozilla.firefox',
+             androidAttach: true,
+             buildSourceDir: sinon.spy(() => Promise.resolve({
+               extensionPath: fakeBuiltExtensionPath,
+             })),
+           },
+         }, {findRDPUnixSocket});
+
+         const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+         await runnerInstance.run();
+
+         assert.equal(runnerInstance.attachedToRunningPackage, false);
+         sinon.assert.calledOnce(findRDPUnixSocket);
+         sinon.assert.calledOnce(fakeADBUtils.discoverRDPUnixSocket);
+         sinon.assert.callOrder(
+           fakeADBUtils.amForceStopAPK,
+           fakeADBUtils.startFirefoxAPK
+         );
+         sinon.assert.calledOnce(params.firefoxApp.createProfile);
+       });
+
+  });
+
+  describe('--android-emulator-avd', () => {
+
+    it('boots the emulator, installs the APK file and shuts it down on exit',
+       async () => {
+         const {
+           params, fakeADBUtils,
+         } = prepareSelectedDeviceAndAPKParams({
+           params: {
+             firefoxApk: 'org.mozilla.firefox',
+             androidEmulatorAvd: 'Pixel_API_30',
+             androidApkFile: '/fake/firefox.apk',
+             buildSourceDir: sinon.spy(() => Promise.resolve({
+               extensionPath: fakeBuiltExtensionPath,
+             })),
+           },
+         });
+
+         const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+         await runnerInstance.run();
+
+         sinon.assert.calledOnce(fakeADBUtils.startAndroidEmulator);
+         sinon.assert.calledWithMatch(
+           fakeADBUtils.startAndroidEmulator, 'Pixel_API_30', {
+             maxDiscoveryTime:
+               FirefoxAndroidExtensionRunner.emulatorBootMaxTime,
+           }
+         );
+         assert.equal(runnerInstance.selectedAdbDevice, 'emulator-2');
+         sinon.assert.calledWithMatch(
+           fakeADBUtils.installAPK, 'emulator-2', '/fake/firefox.apk'
+         );
+         sinon.assert.callOrder(
+           fakeADBUtils.startAndroidEmulator,
+           fakeADBUtils.installAPK,
+           fakeADBUtils.discoverInstalledFirefoxAPKs
+         );
+         sinon.assert.notCalled(fakeADBUtils.stopAndroidEmulator);
+
+         await runnerInstance.exit();
+
+         sinon.assert.calledOnce(fakeADBUtils.stopAndroidEmulator);
+         sinon.assert.calledWith(
+           fakeADBUtils.stopAndroidEmulator, 'emulator-2'
+         );
+         sinon.assert.callOrder(
+           fakeADBUtils.amForceStopAPK,
+           fakeADBUtils.stopAndroidEmulator
+         );
+       });
+
+    it('does not shut down the devices it has not started', async () => {
+      const {
+        params, fakeADBUtils,
+      } = prepareSelectedDeviceAndAPKParams();
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+      await runnerInstance.exit();
+
+      sinon.assert.notCalled(fakeADBUtils.stopAndroidEmulator);
+    });
+
+  });
+
+  describe('--firefox-apk-file', () => {
+
+    function prepareAPKFileParams(
+      {packageName, adbOverrides}: {
+        packageName?: string, adbOverrides?: Object,
+      } = {}
+    ) {
+      return prepareSelectedDeviceAndAPKParams({
+        params: {
+          adbDevice: 'emulator-1',
+          firefoxApkFile: '/fake/fenix.apk',
+          getAPKPackageName: sinon.spy(() => Promise.resolve(packageName)),
+          buildSourceDir: sinon.spy(() => Promise.resolve({
+            extensionPath: fakeBuiltExtensionPath,
+          })),
+        },
+      }, adbOverrides);
+    }
+
+    it('installs the APK file and selects its package', async () => {
+      const {params, fakeADBUtils} = prepareAPKFileParams({
+        packageName: 'org.mozilla.fenix.nightly',
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.calledWith(params.getAPKPackageName, '/fake/fenix.apk');
+      sinon.assert.calledWith(
+        fakeADBUtils.installAPK, 'emulator-1', '/fake/fenix.apk'
+      );
+      sinon.assert.notCalled(fakeADBUtils.getLastUpdatedPackage);
+      assert.equal(
+        runnerInstance.selectedFirefoxApk, 'org.mozilla.fenix.nightly'
+      );
+      sinon.assert.calledWithMatch(
+        fakeADBUtils.startFirefoxAPK, 'emulator-1', 'org.mozilla.fenix.nightly'
+      );
+    });
+
+    it('selects the last updated Firefox package without aapt', async () => {
+      const {params, fakeADBUtils} = prepareAPKFileParams({
+        adbOverrides: {
+          getLastUpdatedPackage: sinon.spy(
+            () => Promise.resolve('org.mozilla.fenix')
+          ),
+        },
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.callOrder(
+        fakeADBUtils.installAPK,
+        fakeADBUtils.getLastUpdatedPackage
+      );
+      assert.equal(runnerInstance.selectedFirefoxApk, 'org.mozilla.fenix');
+    });
+
+    it('raises an UsageError if the package name is unknown', async () => {
+      const {params} = prepareAPKFileParams();
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      const promise = runnerInstance.run();
+
+      await assert.isRejected(promise, UsageError);
+      await assert.isRejected(
+        promise, /Unable to detect the package name of \/fake\/fenix.apk/
+      );
+    });
+
+  });
+
+  describe('Logcat', () => {
+
+    const logcatEntry = {
+      date: new Date('2020-11-23T10:12:31.000Z'),
+      pid: 1234,
+      tid: 1250,
+      priority: 6,
+      tag: 'GeckoConsole',
+      message: '[JavaScript Error: "boom" {file: "moz-extension://id/bg.js"}]',
+    };
+
+    it('streams the extension entries and saves the Logcat on exit',
+       () => withTempDir(async (tmpDir) => {
+         const logcatReader = createFakeLogcatReader();
+         const {params, fakeADBUtils} = prepareSelectedDeviceAndAPKParams({
+           params: {
+             adbDevice: '192.168.1.2:5555',
+             firefoxApk: 'org.mozilla.firefox',
+             artifactsDir: tmpDir.path(),
+             buildSourceDir: sinon.spy(() => Promise.resolve({
+               extensionPath: fakeBuiltExtensionPath,
+             })),
+           },
+         }, {
+           discoverDevices: sinon.spy(
+             () => Promise.resolve(['192.168.1.2:5555'])
+           ),
+           openLogcat: sinon.spy(() => Promise.resolve(logcatReader)),
+         });
+
+         const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+         await runnerInstance.run();
+
+         sinon.assert.calledWith(
+           fakeADBUtils.getPackagePids,
+           '192.168.1.2:5555', 'org.mozilla.firefox'
+         );
+         sinon.assert.calledWith(fakeADBUtils.openLogcat, '192.168.1.2:5555');
+
+         logcatReader.emit('entry', logcatEntry);
+         // Entries of other processes and unrelated tags are only saved.
+         logcatReader.emit('entry', {...logcatEntry, pid: 42});
+         logcatReader.emit('entry', {
+           ...logcatEntry, tag: 'ActivityManager', message: 'unrelated',
+         });
+
+         const printed = consoleStream.capturedMessages.filter(
+           (message) => message.includes('[android]')
+         );
+         assert.equal(printed.length, 1);
+         assert.include(printed[0], '[error] [android] GeckoConsole: ');
+
+         await runnerInstance.exit();
+
+         sinon.assert.calledOnce(logcatReader.end);
+         const {logcatFile} = runnerInstance;
+         assert.equal(path.dirname(logcatFile || ''), tmpDir.path());
+         assert.match(
+           path.basename(logcatFile || ''), /^logcat-192.168.1.2_5555-\d+\.log$/
+         );
+         const lines = (await fs.readFile(logcatFile, 'utf-8')).trim()
+           .split('\n');
+         assert.equal(lines.length, 3);
+         assert.equal(
+           lines[0],
+           `2020-11-23T10:12:31.000Z 1234 1250 E GeckoConsole: ${
+             logcatEntry.message
+           }`
+         );
+       }));
+
+    it('does not fail when the Logcat can not be saved',
+       () => withTempDir(async (tmpDir) => {
+         const logcatReader = createFakeLogcatReader();
+         const {params} = prepareSelectedDeviceAndAPKParams({
+           params: {
+             adbDevice: 'emulator-1',
+             firefoxApk: 'org.mozilla.firefox',
+             artifactsDir: tmpDir.path(),
+             buildSourceDir: sinon.spy(() => Promise.resolve({
+               extensionPath: fakeBuiltExtensionPath,
+             })),
+           },
+         }, {
+           openLogcat: sinon.spy(() => Promise.resolve(logcatReader)),
+         });
+
+         const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+         const logcatFile = path.join(tmpDir.path(), 'missing', 'logcat.log');
+         // $FlowIgnore: allow overwriting the method for testing purpose.
+         runnerInstance.getArtifactFilePath = sinon.spy(
+           () => Promise.resolve(logcatFile)
+         );
+         await runnerInstance.run();
+
+         const {logcatFileStream} = runnerInstance;
+         await new Promise((resolve) => {
+           logcatFileStream && logcatFileStream.once('error', resolve);
+         });
+         logcatReader.emit('entry', logcatEntry);
+         await runnerInstance.exit();
+
+         assert.equal(runnerInstance.logcatFile, undefined);
+         assert.ok(consoleStream.capturedMessages.find((message) =>
+           message.includes(`Unable to save the Logcat to ${logcatFile}`)
+         ));
+       }));
+
+    it('does not fail when the Logcat can not be read', async () => {
+      const {params} = prepareSelectedDeviceAndAPKParams({}, {
+        openLogcat: sinon.spy(
+          () => Promise.reject(new Error('fake logcat error'))
+        ),
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+      await runnerInstance.exit();
+
+      assert.ok(consoleStream.capturedMessages.find((message) =>
+        message.includes('Unable to read the Logcat of emulator-1')
+      ));
+    });
+
+  });
+
+  describe('screenshots and --android-record', () => {
+
+    it('saves a screenshot of the device in the artifacts dir',
+       () => withTempDir(async (tmpDir) => {
+         const {params, fakeADBUtils} = prepareSelectedDeviceAndAPKParams({
+           params: {
+             adbDevice: 'emulator-1',
+             firefoxApk: 'org.mozilla.firefox',
+             artifactsDir: tmpDir.path(),
+             buildSourceDir: sinon.spy(() => Promise.resolve({
+               extensionPath: fakeBuiltExtensionPath,
+             })),
+           },
+         });
+
+         const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+         await runnerInstance.run();
+
+         const files = await runnerInstance.takeScreenshots();
+
+         assert.equal(files.length, 1);
+         assert.equal(path.dirname(files[0]), tmpDir.path());
+         assert.match(
+           path.basename(files[0]), /^screenshot-emulator-1-\d+\.png$/
+         );
+         sinon.assert.calledWith(
+           fakeADBUtils.screencap,
+           'emulator-1', '/fake/artifacts-dir//screenshot.png'
+         );
+         sinon.assert.calledWith(
+           fakeADBUtils.pullFile,
+           'emulator-1', '/fake/artifacts-dir//screenshot.png', files[0]
+         );
+
+         await runnerInstance.exit();
+       }));
+
+    it('can not take a screenshot before the device is ready', async () => {
+      const {params} = prepareSelectedDeviceAndAPKParams();
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+
+      await assert.isRejected(
+        runnerInstance.takeScreenshots(),
+        /is not ready to take a screenshot/
+      );
+    });
+
+    it('records the screen until exit', () => withTempDir(async (tmpDir) => {
+      let stopRecording;
+      const {params, fakeADBUtils} = prepareSelectedDeviceAndAPKParams({
+        params: {
+          adbDevice: 'emulator-1',
+          firefoxApk: 'org.mozilla.firefox',
+          artifactsDir: tmpDir.path(),
+          androidRecord: true,
+          buildSourceDir: sinon.spy(() => Promise.resolve({
+            extensionPath: fakeBuiltExtensionPath,
+          })),
+        },
+      }, {
+        screenrecord: sinon.spy(() => new Promise((resolve) => {
+          stopRecording = resolve;
+        })),
+        stopScreenRecording: sinon.spy(async () => {
+          if (stopRecording) {
+            stopRecording('');
+          }
+        }),
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.calledOnce(fakeADBUtils.screenrecord);
+      sinon.assert.calledWith(
+        fakeADBUtils.screenrecord,
+        'emulator-1', '/fake/artifacts-dir//recording-1.mp4'
+      );
+
+      await runnerInstance.exit();
+
+      sinon.assert.calledOnce(fakeADBUtils.stopScreenRecording);
+      sinon.assert.calledOnce(fakeADBUtils.pullFile);
+      const [, devicePath, localPath] = fakeADBUtils.pullFile.firstCall.args;
+      assert.equal(devicePath, '/fake/artifacts-dir//recording-1.mp4');
+      assert.equal(path.dirname(localPath), tmpDir.path());
+      assert.match(
+        path.basename(localPath), /^recording-1-emulator-1-\d+\.mp4$/
+      );
+    }));
+
+    it('warns when the screen can not be recorded', async () => {
+      const {params, fakeADBUtils} = prepareSelectedDeviceAndAPKParams({
+        params: {
+          adbDevice: 'emulator-1',
+          firefoxApk: 'org.mozilla.firefox',
+          androidRecord: true,
+          buildSourceDir: sinon.spy(() => Promise.resolve({
+            extensionPath: fakeBuiltExtensionPath,
+          })),
+        },
+      }, {
+        screenrecord: sinon.spy(
+          () => Promise.resolve('screenrecord: not found\n')
+        ),
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+      await runnerInstance.exit();
+
+      sinon.assert.calledOnce(fakeADBUtils.screenrecord);
+      sinon.assert.notCalled(fakeADBUtils.pullFile);
+      assert.ok(consoleStream.capturedMessages.find((message) =>
+        message.includes('Unable to record the screen of emulator-1: ' +
+                         'WebExtError: screenrecord: not found')
+      ));
+    });
+
+  });
+
+  describe('--adb-pair and --adb-connect', () => {
+
+    function prepareWirelessParams(params: Object) {
+      return prepareSelectedDeviceAndAPKParams({
+        params: {
+          firefoxApk: 'org.mozilla.firefox',
+          buildSourceDir: sinon.spy(() => Promise.resolve({
+            extensionPath: fakeBuiltExtensionPath,
+          })),
+          ...params,
+        },
+      }, {
+        discoverDevices: sinon.spy(() => Promise.resolve([
+          'emulator-1', '192.168.1.2:5555',
+        ])),
+      });
+    }
+
+    it('pairs and connects to the device before the discovery', async () => {
+      const {params, fakeADBUtils} = prepareWirelessParams({
+        adbPair: '192.168.1.2:37123',
+        adbPairCode: '012345',
+        adbConnect: '192.168.1.2:5555',
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.calledWith(
+        fakeADBUtils.pairDevice, '192.168.1.2:37123', '012345'
+      );
+      sinon.assert.calledWith(fakeADBUtils.connectDevice, '192.168.1.2:5555');
+      sinon.assert.callOrder(
+        fakeADBUtils.pairDevice,
+        fakeADBUtils.connectDevice,
+        fakeADBUtils.discoverDevices
+      );
+      // The connected device is selected by default.
+      assert.equal(runnerInstance.selectedAdbDevice, '192.168.1.2:5555');
+      sinon.assert.notCalled(fakeADBUtils.disconnectDevice);
+
+      await runnerInstance.exit();
+
+      sinon.assert.calledOnce(fakeADBUtils.disconnectDevice);
+      sinon.assert.calledWith(
+        fakeADBUtils.disconnectDevice, '192.168.1.2:5555'
+      );
+    });
+
+    it('selects the device specified by --android-device', async () => {
+      const {params, fakeADBUtils} = prepareWirelessParams({
+        adbDevice: 'emulator-1',
+        adbConnect: '192.168.1.2:5555',
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.notCalled(fakeADBUtils.pairDevice);
+      assert.equal(runnerInstance.selectedAdbDevice, 'emulator-1');
+    });
+
+    it('raises an UsageError on missing pairing code', async () => {
+      const {params, fakeADBUtils} = prepareWirelessParams({
+        adbPair: '192.168.1.2:37123',
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      const promise = runnerInstance.run();
+
+      await assert.isRejected(promise, UsageError);
+      await assert.isRejected(promise, '--adb-pair requires --adb-pair-code');
+      sinon.assert.notCalled(fakeADBUtils.pairDevice);
+    });
+
+    it('accepts the IPv6 addresses', async () => {
+      const {params, fakeADBUtils} = prepareWirelessParams({
+        adbDevice: 'emulator-1',
+        adbPair: '[fe80::1]:37123',
+        adbPairCode: '012345',
+        adbConnect: '[fe80::1]:5555',
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      await runnerInstance.run();
+
+      sinon.assert.calledWith(
+        fakeADBUtils.pairDevice, '[fe80::1]:37123', '012345'
+      );
+      sinon.assert.calledWith(fakeADBUtils.connectDevice, '[fe80::1]:5555');
+    });
+
+    it('raises an UsageError on invalid host:port values', async () => {
+      const {params, fakeADBUtils} = prepareWirelessParams({
+        adbConnect: '192.168.1.2',
+      });
+
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+      const promise = runnerInstance.run();
+
+      await assert.isRejected(promise, UsageError);
+      await assert.isRejected(
+        promise,
+        'Invalid --adb-connect value "192.168.1.2", expected host:port'
+      );
+      sinon.assert.notCalled(fakeADBUtils.connectDevice);
+    });
+
+  });
+
+  describe('getName', () => {
+
+    it('labels the runner name with the device id', async () => {
+      const {params} = prepareSelectedDeviceAndAPKParams();
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+
+      assert.equal(runnerInstance.getName(), 'Firefox Android (emulator-1)');
+
+      await runnerInstance.run();
+      const [result] = await runnerInstance.reloadAllExtensions();
+      assert.equal(result.runnerName, 'Firefox Android (emulator-1)');
+    });
+
+    it('is not labelled when no device has been selected', () => {
+      const {params} = prepareSelectedDeviceAndAPKParams({
+        params: {adbDevice: undefined},
+      });
+      const runnerInstance = new FirefoxAndroidExtensionRunner(params);
+
+      assert.equal(runnerInstance.getName(), 'Firefox Android');
+    });
+
+  });
+
 });
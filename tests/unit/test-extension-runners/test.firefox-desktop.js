@@ -186,6 +186,62 @@ describe('util/extension-runners/firefox-desktop', () => {
     ]);
   });
 
+  it('listens for the extension console messages when requested',
+     async () => {
+       const onExtensionConsoleMessage = sinon.spy(() => {});
+       const {params, remoteFirefox} = prepareExtensionRunnerParams({
+         fakeRemoteFirefox: {
+           listenForConsoleMessages: sinon.spy(() => Promise.resolve()),
+         },
+         params: {onExtensionConsoleMessage},
+       });
+
+       const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+       await runnerInstance.run();
+
+       sinon.assert.calledOnce(remoteFirefox.listenForConsoleMessages);
+       sinon.assert.calledWith(
+         remoteFirefox.listenForConsoleMessages,
+         tempInstallResult.addon.id, onExtensionConsoleMessage
+       );
+     });
+
+  it('does not listen for the extension console messages by default',
+     async () => {
+       const {params, remoteFirefox} = prepareExtensionRunnerParams({
+         fakeRemoteFirefox: {
+           listenForConsoleMessages: sinon.spy(() => Promise.resolve()),
+         },
+       });
+
+       const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+       await runnerInstance.run();
+
+       sinon.assert.notCalled(remoteFirefox.listenForConsoleMessages);
+     });
+
+  it('keeps running when the console messages can not be listened to',
+     async () => {
+       const {params, remoteFirefox} = prepareExtensionRunnerParams({
+         fakeRemoteFirefox: {
+           listenForConsoleMessages: sinon.spy(() => Promise.reject(
+             new WebExtError('console actor not found')
+           )),
+         },
+         params: {onExtensionConsoleMessage: () => {}},
+       });
+
+       const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+       await runnerInstance.run();
+
+       sinon.assert.calledOnce(remoteFirefox.listenForConsoleMessages);
+       const {sourceDir} = params.extensions[0];
+       assert.equal(
+         runnerInstance.reloadableExtensions.get(sourceDir),
+         tempInstallResult.addon.id
+       );
+     });
+
   it('passes single url parameter to Firefox when specified', async () => {
     await testBinaryArgs({
       startUrl: 'url1',
@@ -453,4 +509,109 @@ describe('util/extension-runners/firefox-desktop', () => {
        sinon.assert.called(remoteFirefox.reloadAddon);
      });
 
+
+  it('reinstalls all the extensions as temporary add-ons', async () => {
+    const onExtensionConsoleMessage = sinon.spy(() => {});
+    const {params, remoteFirefox} = prepareExtensionRunnerParams({
+      fakeRemoteFirefox: {
+        listenForConsoleMessages: sinon.spy(() => Promise.resolve()),
+      },
+      params: {onExtensionConsoleMessage},
+    });
+
+    const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+    await runnerInstance.run();
+
+    remoteFirefox.installTemporaryAddon = sinon.spy(() => Promise.resolve({
+      addon: {id: 'new-id@temporary-addon'},
+    }));
+    const results = await runnerInstance.reinstallAllExtensions();
+
+    assert.deepEqual(results, [{runnerName: runnerInstance.getName()}]);
+    sinon.assert.calledWith(
+      remoteFirefox.installTemporaryAddon, '/fake/sourceDir'
+    );
+    assert.equal(
+      runnerInstance.reloadableExtensions.get('/fake/sourceDir'),
+      'new-id@temporary-addon'
+    );
+    // The console messages are listened again for the new add-on id.
+    sinon.assert.calledTwice(remoteFirefox.listenForConsoleMessages);
+    sinon.assert.calledWith(
+      remoteFirefox.listenForConsoleMessages, 'new-id@temporary-addon'
+    );
+  });
+
+  it('resolves to a reload error if an extension fails to reinstall',
+     async () => {
+       const {params, remoteFirefox} = prepareExtensionRunnerParams();
+
+       const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+       await runnerInstance.run();
+
+       remoteFirefox.installTemporaryAddon = sinon.spy(
+         () => Promise.reject(new Error('Install failure'))
+       );
+       const [{reloadError}] = await runnerInstance.reinstallAllExtensions();
+
+       assert.instanceOf(reloadError, WebExtError);
+       assert.match(reloadError ? reloadError.message : '', /Install failure/);
+     });
+
+  it('does not fail the reinstall when the console can not be listened to',
+     async () => {
+       const {params, remoteFirefox} = prepareExtensionRunnerParams({
+         fakeRemoteFirefox: {
+           listenForConsoleMessages: sinon.spy(() => Promise.resolve()),
+         },
+         params: {onExtensionConsoleMessage: sinon.spy(() => {})},
+       });
+
+       const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+       await runnerInstance.run();
+
+       remoteFirefox.installTemporaryAddon = sinon.spy(() => Promise.resolve({
+         addon: {id: 'new-id@temporary-addon'},
+       }));
+       remoteFirefox.listenForConsoleMessages = sinon.spy(
+         () => Promise.reject(new Error('Console failure'))
+       );
+       const results = await runnerInstance.reinstallAllExtensions();
+
+       assert.deepEqual(results, [{runnerName: runnerInstance.getName()}]);
+       assert.equal(
+         runnerInstance.reloadableExtensions.get('/fake/sourceDir'),
+         'new-id@temporary-addon'
+       );
+     });
+
+  it('opens the start URLs in new tabs', async () => {
+    const {params, remoteFirefox} = prepareExtensionRunnerParams({
+      fakeRemoteFirefox: {
+        openTabs: sinon.spy(() => Promise.resolve()),
+      },
+      params: {startUrl: ['url1', 'url2']},
+    });
+
+    const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+    await runnerInstance.run();
+    await runnerInstance.openStartUrls();
+
+    sinon.assert.calledWith(remoteFirefox.openTabs, ['url1', 'url2']);
+  });
+
+  it('does not open any tab without start URLs', async () => {
+    const {params, remoteFirefox} = prepareExtensionRunnerParams({
+      fakeRemoteFirefox: {
+        openTabs: sinon.spy(() => Promise.resolve()),
+      },
+    });
+
+    const runnerInstance = new FirefoxDesktopExtensionRunner(params);
+    await runnerInstance.run();
+    await runnerInstance.openStartUrls();
+
+    sinon.assert.notCalled(remoteFirefox.openTabs);
+  });
+
 });
@@ -1,9 +1,11 @@
 /* @flow */
+import EventEmitter from 'events';
 import net from 'net';
 
 import {describe, it} from 'mocha';
 import {assert} from 'chai';
 import sinon from 'sinon';
+import FirefoxClientConnection from '@cliqz-oss/firefox-client/lib/client';
 
 import {
   onlyInstancesOf,
@@ -14,6 +16,7 @@ import {
 import {
   connect as defaultConnector,
   connectWithMaxRetries,
+  formatConsoleArgument,
   RemoteFirefox,
   findFreeTcpPort,
 } from '../../../src/firefox/remote';
@@ -391,7 +394,389 @@ describe('firefox.remote', () => {
         assert.deepEqual(conn.checkForAddonReloading.firstCall.args[0],
                          addon);
       });
+    });
+
+    describe('listenForConsoleMessages', () => {
+
+      const addonId = 'some-id';
+      const baseURL = 'moz-extension://1234-abcd/';
+
+      function makeConsoleInstance({getProcessResponse} = {}) {
+        const client = fakeFirefoxClient();
+        const connection: any = new EventEmitter();
+        connection.makeRequest = sinon.spy((request, callback) => {
+          if (request.type === 'getProcess') {
+            callback(getProcessResponse || {
+              processDescriptor: {actor: 'process1'},
+            });
+          } else if (request.type === 'getTarget') {
+            callback({process: {consoleActor: 'console1'}});
+          } else {
+            callback({});
+          }
+        });
+        client.client = connection;
+
+        const conn = makeInstance(client);
+        // $FlowIgnore: allow overwrite not writable property for testing purpose.
+        conn.getInstalledAddon = sinon.spy(() => Promise.resolve({
+          ...fakeAddon(), manifestURL: `${baseURL}manifest.json`,
+        }));
+
+        return {conn, connection};
+      }
+
+      it('starts the parent process console listeners', async () => {
+        const {conn, connection} = makeConsoleInstance();
+        await conn.listenForConsoleMessages(addonId, () => {});
+
+        sinon.assert.calledWith(conn.getInstalledAddon, addonId);
+        sinon.assert.calledWithMatch(
+          connection.makeRequest, {to: 'process1', type: 'getTarget'}
+        );
+        sinon.assert.calledWithMatch(connection.makeRequest, {
+          to: 'console1',
+          type: 'startListeners',
+          listeners: ['ConsoleAPI', 'PageError', 'ContentProcessMessages'],
+        });
+      });
+
+      it('supports the console actor of older Firefox versions', async () => {
+        const {conn, connection} = makeConsoleInstance({
+          getProcessResponse: {form: {consoleActor: 'oldConsole1'}},
+        });
+        await conn.listenForConsoleMessages(addonId, () => {});
+
+        sinon.assert.calledWithMatch(
+          connection.makeRequest, {to: 'oldConsole1', type: 'startListeners'}
+        );
+      });
+
+      it('throws when the console actor is missing', async () => {
+        const {conn} = makeConsoleInstance({getProcessResponse: {}});
+        await assert.isRejected(
+          conn.listenForConsoleMessages(addonId, () => {}),
+          /unable to find the parent process console actor/
+        );
+      });
+
+      it('passes on the console messages of the add-on', async () => {
+        const {conn, connection} = makeConsoleInstance();
+        const onConsoleMessage = sinon.spy(() => {});
+        await conn.listenForConsoleMessages(addonId, onConsoleMessage);
+
+        connection.emit('message', {
+          from: 'console1',
+          type: 'consoleAPICall',
+          message: {
+            addonId,
+            level: 'warn',
+            arguments: ['some message', 42, {type: 'undefined'}],
+            filename: `${baseURL}background.js`,
+            lineNumber: 12,
+            timeStamp: 1600000000000,
+          },
+        });
+        connection.emit('message', {
+          from: 'console1',
+          type: 'pageError',
+          pageError: {
+            errorMessage: 'ReferenceError: foo is not defined',
+            sourceName: `${baseURL}content.js`,
+            lineNumber: 3,
+            timeStamp: 1600000000001,
+          },
+        });
+
+        sinon.assert.calledTwice(onConsoleMessage);
+        assert.deepEqual(onConsoleMessage.firstCall.args[0], {
+          addonId,
+          level: 'warn',
+          message: 'some message 42 undefined',
+          filename: `${baseURL}background.js`,
+          lineNumber: 12,
+          timeStamp: 1600000000000,
+        });
+        assert.deepEqual(onConsoleMessage.secondCall.args[0], {
+          addonId,
+          level: 'error',
+          message: 'ReferenceError: foo is not defined',
+          filename: `${baseURL}content.js`,
+          lineNumber: 3,
+          timeStamp: 1600000000001,
+        });
+      });
+
+      it('ignores the console messages of other sources', async () => {
+        const {conn, connection} = makeConsoleInstance();
+        const onConsoleMessage = sinon.spy(() => {});
+        await conn.listenForConsoleMessages(addonId, onConsoleMessage);
+
+        connection.emit('message', {
+          from: 'console1',
+          type: 'consoleAPICall',
+          message: {
+            addonId: 'other-id',
+            level: 'log',
+            arguments: ['other add-on'],
+            filename: 'moz-extension://5678-efgh/background.js',
+          },
+        });
+        connection.emit('message', {
+          from: 'console1',
+          type: 'pageError',
+          pageError: {
+            errorMessage: 'some web page error',
+            sourceName: 'https://example.com/script.js',
+          },
+        });
+        connection.emit('message', {
+          from: 'console2',
+          type: 'consoleAPICall',
+          message: {addonId, level: 'log', arguments: ['other actor']},
+        });
+
+        sinon.assert.notCalled(onConsoleMessage);
+      });
+
+      it('starts the console listeners once for all add-ons', async () => {
+        const {conn, connection} = makeConsoleInstance();
+        const listenerCount = connection.listenerCount('message');
+        const onConsoleMessage = sinon.spy(() => {});
+        const onOtherConsoleMessage = sinon.spy(() => {});
+        await conn.listenForConsoleMessages(addonId, onConsoleMessage);
+        // $FlowIgnore: allow overwrite not writable property for testing purpose.
+        conn.getInstalledAddon = sinon.spy(() => Promise.resolve({
+          id: 'other-id',
+          actor: 'serv2.localhost',
+          manifestURL: 'moz-extension://5678-efgh/manifest.json',
+        }));
+        await conn.listenForConsoleMessages('other-id', onOtherConsoleMessage);
+
+        sinon.assert.calledOnce(
+          connection.makeRequest.withArgs(sinon.match({type: 'startListeners'}))
+        );
+        assert.equal(connection.listenerCount('message'), listenerCount + 1);
+
+        connection.emit('message', {
+          from: 'console1',
+          type: 'consoleAPICall',
+          message: {addonId: 'other-id', arguments: ['other add-on']},
+        });
+        connection.emit('message', {
+          from: 'console1',
+          type: 'pageError',
+          pageError: {
+            errorMessage: 'some error',
+            sourceName: `${baseURL}background.js`,
+          },
+        });
+
+        sinon.assert.calledOnce(onOtherConsoleMessage);
+        sinon.assert.calledWithMatch(onOtherConsoleMessage, {
+          addonId: 'other-id', message: 'other add-on',
+        });
+        sinon.assert.calledOnce(onConsoleMessage);
+        sinon.assert.calledWithMatch(onConsoleMessage, {
+          addonId, level: 'error', message: 'some error',
+        });
+      });
+
+      it('starts the console listeners again after a failure', async () => {
+        const {conn, connection} = makeConsoleInstance({
+          getProcessResponse: {},
+        });
+        await assert.isRejected(
+          conn.listenForConsoleMessages(addonId, () => {})
+        );
+        assert.equal(conn.consoleMessageListeners.has(addonId), false);
+
+        connection.makeRequest.resetHistory();
+        await assert.isRejected(
+          conn.listenForConsoleMessages(addonId, () => {})
+        );
+        sinon.assert.calledWithMatch(
+          connection.makeRequest, {to: 'root', type: 'getProcess'}
+        );
+      });
+
+      it('receives the console messages while a request is pending',
+         async () => {
+           const connection = new FirefoxClientConnection();
+           connection.sendMessage = sinon.spy(() => {});
+           const client = fakeFirefoxClient();
+           client.client = connection;
+           const conn = makeInstance(client);
+           // $FlowIgnore: allow overwrite not writable property for testing purpose.
+           conn.getInstalledAddon = sinon.spy(() => Promise.resolve(
+             fakeAddon()
+           ));
+           const onConsoleMessage = sinon.spy(() => {});
+
+           const promise = conn.listenForConsoleMessages(
+             addonId, onConsoleMessage
+           );
+           const replyTo = async (type, reply) => {
+             // Wait for the request to be sent.
+             while (!connection.sendMessage.calledWithMatch({type})) {
+               await new Promise((resolve) => setImmediate(resolve));
+             }
+             connection.handleMessage(reply);
+           };
+           await replyTo('getProcess', {
+             from: 'root', form: {consoleActor: 'console1'},
+           });
+           await replyTo('startListeners', {
+             from: 'console1',
+             type: 'consoleAPICall',
+             message: {addonId, arguments: ['before the reply']},
+           });
+           connection.handleMessage({
+             from: 'console1', startedListeners: ['ConsoleAPI'],
+           });
+           await promise;
+
+           sinon.assert.calledOnce(onConsoleMessage);
+           sinon.assert.calledWithMatch(onConsoleMessage, {
+             addonId, message: 'before the reply',
+           });
+         });
+
+    });
+
+    describe('openTabs', () => {
+
+      function fakeConsoleConnection(evaluationResult) {
+        const connection: any = new EventEmitter();
+        connection.makeRequest = sinon.spy((request, callback) => {
+          if (request.type === 'getProcess') {
+            callback({processDescriptor: {actor: 'process1'}});
+          } else if (request.type === 'getTarget') {
+            callback({process: {consoleActor: 'console1'}});
+          } else {
+            callback({from: 'console1', resultID: 'result1'});
+            // Other evaluation results are ignored.
+            connection.emit('message', {
+              from: 'console1',
+              type: 'evaluationResult',
+              resultID: 'other',
+              exceptionMessage: 'unrelated error',
+            });
+            connection.emit('message', {
+              from: 'console1',
+              type: 'evaluationResult',
+              resultID: 'result1',
+              ...evaluationResult,
+            });
+          }
+        });
+        return connection;
+      }
+
+      it('opens the URLs from the parent process console', async () => {
+        const client = fakeFirefoxClient();
+        const connection = fakeConsoleConnection();
+        client.client = connection;
+        const conn = makeInstance(client);
+        const listenerCount = connection.listenerCount('message');
+
+        await conn.openTabs(['https://example.com/', 'about:debugging']);
+
+        sinon.assert.calledWithMatch(connection.makeRequest, {
+          to: 'console1', type: 'evaluateJSAsync',
+        });
+        const {text} = connection.makeRequest.lastCall.args[0];
+        assert.include(
+          text, 'for (const url of ["https://example.com/","about:debugging"])'
+        );
+        assert.include(text, 'openTrustedLinkIn(url, "tab")');
+        assert.equal(connection.listenerCount('message'), listenerCount);
+      });
+
+      it('waits for the evaluation result', async () => {
+        const client = fakeFirefoxClient();
+        const connection: any = new EventEmitter();
+        connection.makeRequest = sinon.spy((request, callback) => {
+          if (request.type === 'getProcess') {
+            callback({processDescriptor: {actor: 'process1'}});
+          } else if (request.type === 'getTarget') {
+            callback({process: {consoleActor: 'console1'}});
+          } else {
+            callback({from: 'console1', resultID: 'result1'});
+          }
+        });
+        client.client = connection;
+        const conn = makeInstance(client);
+
+        let resolved = false;
+        const promise = conn.openTabs(['https://example.com/']).then(() => {
+          resolved = true;
+        });
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        assert.equal(resolved, false);
+
+        connection.emit('message', {
+          from: 'console1', type: 'evaluationResult', resultID: 'result1',
+        });
+        await promise;
+        assert.equal(resolved, true);
+      });
+
+      it('rejects on exceptions raised while opening the URLs', async () => {
+        const client = fakeFirefoxClient();
+        const connection = fakeConsoleConnection({
+          exception: {type: 'object', class: 'TypeError'},
+          exceptionMessage: 'TypeError: win is null',
+        });
+        client.client = connection;
+        const conn = makeInstance(client);
+        const listenerCount = connection.listenerCount('message');
+
+        await assert.isRejected(
+          conn.openTabs(['https://example.com/']),
+          /Remote Firefox: unable to open the tabs: TypeError: win is null/
+        );
+        assert.equal(connection.listenerCount('message'), listenerCount);
+      });
+
+    });
+
+
+  });
+
+  describe('formatConsoleArgument', () => {
+
+    it('formats the primitive values', () => {
+      assert.equal(formatConsoleArgument('some string'), 'some string');
+      assert.equal(formatConsoleArgument(42), '42');
+      assert.equal(formatConsoleArgument(false), 'false');
+      assert.equal(formatConsoleArgument({type: 'null'}), 'null');
+      assert.equal(formatConsoleArgument({type: 'NaN'}), 'NaN');
+      assert.equal(
+        formatConsoleArgument({type: 'symbol', name: 'foo'}), 'Symbol(foo)'
+      );
+    });
+
+    it('formats the long strings', () => {
+      assert.equal(
+        formatConsoleArgument({type: 'longString', initial: 'some long'}),
+        'some long'
+      );
+    });
 
+    it('formats the objects', () => {
+      assert.equal(
+        formatConsoleArgument({type: 'object', class: 'Array'}),
+        '[object Array]'
+      );
+      assert.equal(
+        formatConsoleArgument({
+          type: 'object',
+          class: 'Error',
+          preview: {name: 'TypeError', message: 'some error'},
+        }),
+        'TypeError: some error'
+      );
     });
 
   });
@@ -1,9 +1,12 @@
 /* @flow */
 
 import EventEmitter from 'events';
+import path from 'path';
+import {PassThrough} from 'stream';
 
 import chai from 'chai';
 import {afterEach, describe, it} from 'mocha';
+import {fs} from 'mz';
 import sinon from 'sinon';
 
 import {
@@ -13,10 +16,16 @@ import {
 import ADBUtils, {
   ARTIFACTS_DIR_PREFIX,
   DEVICE_DIR_BASE,
+  formatLogcatEntry,
+  getAaptBin,
+  getAPKPackageName,
+  getEmulatorBin,
+  isExtensionLogcatEntry,
 } from '../../../src/util/adb';
 import {
   consoleStream, // instance is imported to inspect logged messages
 } from '../../../src/util/logger';
+import {withTempDir} from '../../../src/util/temp-dir';
 
 const fakeADBPackageList = `
 package:org.mozilla.fennec
@@ -107,6 +116,16 @@ function createSpawnADBErrorSpy() {
   });
 }
 
+function createFakeEmulatorProcess() {
+  const emulatorProcess: any = new EventEmitter();
+  emulatorProcess.stdout = new EventEmitter();
+  emulatorProcess.stderr = new EventEmitter();
+  emulatorProcess.kill = sinon.spy(() => {
+    process.nextTick(() => emulatorProcess.emit('exit', null));
+  });
+  return emulatorProcess;
+}
+
 async function testSpawnADBUsageError(
   {
     testFn, adbClient, adbkitUtil,
@@ -1088,6 +1107,69 @@ describe('utils/adb', () => {
     });
   });
 
+  describe('findRDPUnixSocket', () => {
+    function getFakeADBUtils(unixSocketFiles) {
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(() => Promise.resolve()),
+        },
+        adbkitUtil: {
+          readAll: sinon.spy(() => {
+            return Promise.resolve(Buffer.from(unixSocketFiles));
+          }),
+        },
+      });
+      return {adb, adbUtils: new ADBUtils({adb})};
+    }
+
+    it('resolves the android RDP unix socket path', async () => {
+      const {adb, adbUtils} = getFakeADBUtils(fakeUnixSocketFiles);
+
+      const result = await adbUtils.findRDPUnixSocket(
+        'device1', 'org.mozilla.firefox'
+      );
+
+      assert.equal(result, fakeRDPUnixSocketFile);
+      sinon.assert.calledOnce(adb.fakeADBClient.shell);
+      sinon.assert.calledWithMatch(
+        adb.fakeADBClient.shell, 'device1', ['cat', '/proc/net/unix']
+      );
+    });
+
+    it('resolves undefined without waiting when no socket is found',
+       async () => {
+         const {adb, adbUtils} = getFakeADBUtils('');
+
+         consoleStream.flushCapturedLogs();
+         consoleStream.makeVerbose();
+         consoleStream.startCapturing();
+
+         const result = await adbUtils.findRDPUnixSocket(
+           'device1', 'org.mozilla.firefox'
+         );
+
+         const {capturedMessages} = consoleStream;
+         consoleStream.stopCapturing();
+
+         assert.equal(result, undefined);
+         sinon.assert.calledOnce(adb.fakeADBClient.shell);
+         assert.notOk(capturedMessages.find((message) =>
+           message.includes('Remote Debugging Server')));
+       });
+
+    it('rejects a WebExtError if more than one RDP socket have been found',
+       async () => {
+         const {adbUtils} = getFakeADBUtils(
+           `${fakeUnixSocketFiles}${fakeUnixSocketFiles}`
+         );
+
+         await assert.isRejected(
+           adbUtils.findRDPUnixSocket('device1', 'org.mozilla.firefox'),
+           /Unexpected multiple RDP sockets/
+         );
+       });
+  });
+
   describe('discoverRDPUnixSocket', () => {
     it('rejects an UsageError on adb binary not found', async () => {
       const adb = await testSpawnADBUsageError({
@@ -1310,4 +1392,724 @@ describe('utils/adb', () => {
     });
   });
 
+  describe('installAPK', () => {
+    it('rejects an UsageError on adb binary not found', async () => {
+      const adb = await testSpawnADBUsageError({
+        adbClient: {
+          install: createSpawnADBErrorSpy(),
+        },
+        testFn: (adbUtils) => {
+          return adbUtils.installAPK('device1', '/fake/firefox.apk');
+        },
+      });
+
+      sinon.assert.calledOnce(adb.fakeADBClient.install);
+    });
+
+    it('installs the APK file on the given device', async () => {
+      const adb = getFakeADBKit({
+        adbClient: {
+          install: sinon.spy(() => Promise.resolve(true)),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      await adbUtils.installAPK('device1', '/fake/firefox.apk');
+
+      sinon.assert.calledOnce(adb.fakeADBClient.install);
+      sinon.assert.calledWith(
+        adb.fakeADBClient.install, 'device1', '/fake/firefox.apk'
+      );
+    });
+  });
+
+  describe('waitForBootCompleted', () => {
+    it('waits for the sys.boot_completed property', async () => {
+      const readAll = sinon.stub();
+      readAll.onCall(0).rejects(new Error("device 'device1' not found"));
+      readAll.onCall(1).resolves(Buffer.from('\n'));
+      readAll.resolves(Buffer.from('1\n'));
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(() => Promise.resolve()),
+        },
+        adbkitUtil: {readAll},
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      await adbUtils.waitForBootCompleted('device1', {
+        maxDiscoveryTime: 5000, retryInterval: 0,
+      });
+
+      sinon.assert.calledThrice(adb.fakeADBClient.shell);
+      sinon.assert.alwaysCalledWithMatch(
+        adb.fakeADBClient.shell, 'device1', ['getprop', 'sys.boot_completed']
+      );
+    });
+
+    it('rejects a WebExtError on timeouts', async () => {
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(() => Promise.resolve()),
+        },
+        adbkitUtil: {
+          readAll: sinon.spy(() => Promise.resolve(Buffer.from(''))),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      const promise = adbUtils.waitForBootCompleted('device1', {
+        maxDiscoveryTime: 50, retryInterval: 10,
+      });
+
+      await assert.isRejected(promise, WebExtError);
+      await assert.isRejected(
+        promise, 'Timeout while waiting for device1 to complete its boot'
+      );
+    });
+  });
+
+  describe('startAndroidEmulator', () => {
+    const discoveryParams = {maxDiscoveryTime: 5000, retryInterval: 0};
+
+    function prepareEmulator({
+      devices = [], bootCompleted = '1', onSpawn, onADBCommand,
+    }: {
+      devices?: Array<string>,
+      bootCompleted?: string,
+      onSpawn?: (emulatorProcess: Object) => void,
+      onADBCommand?: (emulatorProcess: Object) => void,
+    } = {}) {
+      const emulatorProcess = createFakeEmulatorProcess();
+      const adb = getFakeADBKit({
+        adbClient: {
+          listDevices: sinon.spy(() => devices.map((id) => ({id}))),
+          shell: sinon.spy(() => Promise.resolve()),
+        },
+        adbkitUtil: {
+          readAll: sinon.spy(
+            () => Promise.resolve(Buffer.from(bootCompleted))
+          ),
+        },
+      });
+      const spawn = sinon.spy(() => {
+        if (onSpawn) {
+          process.nextTick(() => onSpawn && onSpawn(emulatorProcess));
+        }
+        return emulatorProcess;
+      });
+      const execFile = sinon.spy((file, args, options, callback) => {
+        if (onADBCommand) {
+          onADBCommand(emulatorProcess);
+        }
+        callback(null, 'OK');
+      });
+      const adbUtils = new ADBUtils({
+        adb,
+        spawn,
+        execFile,
+        emulatorBin: '/fake/sdk/emulator/emulator',
+        emulatorStopTimeout: 10,
+      });
+
+      return {adb, adbUtils, emulatorProcess, execFile, spawn};
+    }
+
+    it('starts a headless emulator and waits for its boot', async () => {
+      const {adbUtils, spawn} = prepareEmulator({
+        devices: ['emulator-5554', 'device1'],
+      });
+
+      const deviceId = await adbUtils.startAndroidEmulator(
+        'Pixel_API_30', discoveryParams
+      );
+
+      assert.equal(deviceId, 'emulator-5556');
+      sinon.assert.calledOnce(spawn);
+      sinon.assert.calledWithMatch(
+        spawn, '/fake/sdk/emulator/emulator', [
+          '-avd', 'Pixel_API_30', '-port', '5556', '-no-window', '-no-audio',
+          '-no-boot-anim', '-no-snapshot-save',
+        ]
+      );
+      assert.ok(adbUtils.emulatorProcesses.has('emulator-5556'));
+    });
+
+    it('shuts down the started emulator', async () => {
+      const {adbUtils, emulatorProcess, execFile} = prepareEmulator({
+        onADBCommand: (fakeProcess) => {
+          process.nextTick(() => fakeProcess.emit('exit', 0));
+        },
+      });
+
+      const deviceId = await adbUtils.startAndroidEmulator(
+        'Pixel_API_30', discoveryParams
+      );
+      await adbUtils.stopAndroidEmulator(deviceId);
+
+      sinon.assert.calledOnce(execFile);
+      sinon.assert.calledWithMatch(
+        execFile, 'adb', ['-s', 'emulator-5554', 'emu', 'kill']
+      );
+      sinon.assert.notCalled(emulatorProcess.kill);
+      assert.equal(adbUtils.emulatorProcesses.size, 0);
+
+      // Does nothing once the emulator has been shut down.
+      await adbUtils.stopAndroidEmulator(deviceId);
+      sinon.assert.calledOnce(execFile);
+    });
+
+    it('kills the emulator if it does not shut down in time', async () => {
+      const {adbUtils, emulatorProcess, execFile} = prepareEmulator();
+
+      const deviceId = await adbUtils.startAndroidEmulator(
+        'Pixel_API_30', discoveryParams
+      );
+      await adbUtils.stopAndroidEmulator(deviceId);
+
+      sinon.assert.calledOnce(execFile);
+      sinon.assert.calledOnce(emulatorProcess.kill);
+      assert.equal(adbUtils.emulatorProcesses.size, 0);
+    });
+
+    it('rejects a WebExtError if the emulator exits during its boot',
+       async () => {
+         const {adb, adbUtils, emulatorProcess} = prepareEmulator({
+           bootCompleted: '',
+           onSpawn: (fakeProcess) => fakeProcess.emit('exit', 1),
+         });
+
+         const promise = adbUtils.startAndroidEmulator(
+           'Unknown_AVD', discoveryParams
+         );
+
+         await assert.isRejected(promise, WebExtError);
+         await assert.isRejected(
+           promise, 'Android emulator Unknown_AVD exited unexpectedly (code: 1)'
+         );
+         sinon.assert.notCalled(emulatorProcess.kill);
+
+         // Stops waiting for the boot of the exited emulator.
+         const shellCallCount = adb.fakeADBClient.shell.callCount;
+         await new Promise((resolve) => setTimeout(resolve, 10));
+         assert.equal(adb.fakeADBClient.shell.callCount, shellCallCount);
+       });
+
+    it('rejects an UsageError on emulator binary not found', async () => {
+      const error = new Error('spawn emulator ENOENT');
+      // $FlowFixMe: reuse ErrorWithCode from other tests
+      error.code = 'ENOENT';
+      const {adbUtils} = prepareEmulator({
+        bootCompleted: '',
+        onSpawn: (fakeProcess) => fakeProcess.emit('error', error),
+      });
+
+      const promise = adbUtils.startAndroidEmulator(
+        'Pixel_API_30', discoveryParams
+      );
+
+      await assert.isRejected(promise, UsageError);
+      await assert.isRejected(
+        promise, /No Android emulator executable has been found/
+      );
+    });
+
+    it('shuts down the emulator on boot timeouts', async () => {
+      const {adbUtils, emulatorProcess} = prepareEmulator({
+        bootCompleted: '',
+      });
+
+      const promise = adbUtils.startAndroidEmulator('Pixel_API_30', {
+        maxDiscoveryTime: 50, retryInterval: 10,
+      });
+
+      await assert.isRejected(promise, WebExtError);
+      await assert.isRejected(promise, /Timeout while waiting for emulator/);
+      sinon.assert.calledOnce(emulatorProcess.kill);
+    });
+  });
+
+  describe('getEmulatorBin', () => {
+    it('uses the emulator of the Android SDK if configured', () => {
+      assert.equal(
+        getEmulatorBin({ANDROID_SDK_ROOT: '/fake/sdk'}),
+        '/fake/sdk/emulator/emulator'
+      );
+      assert.equal(
+        getEmulatorBin({ANDROID_HOME: '/fake/sdk'}),
+        '/fake/sdk/emulator/emulator'
+      );
+      assert.equal(getEmulatorBin({}), 'emulator');
+    });
+  });
+
+  describe('getLastUpdatedPackage', () => {
+    it('resolves the most recently updated package', async () => {
+      const dumpsysOutputs = {
+        'org.mozilla.fenix': 'lastUpdateTime=2020-11-20 10:00:00\n',
+        'org.mozilla.fenix.nightly': 'lastUpdateTime=2020-11-23 10:12:31\n',
+        'org.mozilla.firefox': 'firstInstallTime=2020-11-24 10:00:00\n',
+      };
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(
+            (deviceId, cmd) => Promise.resolve(dumpsysOutputs[cmd[2]])
+          ),
+        },
+        adbkitUtil: {
+          readAll: sinon.spy((output) => Promise.resolve(Buffer.from(output))),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      const pkg = await adbUtils.getLastUpdatedPackage(
+        'device1', Object.keys(dumpsysOutputs)
+      );
+
+      assert.equal(pkg, 'org.mozilla.fenix.nightly');
+      sinon.assert.calledWithMatch(
+        adb.fakeADBClient.shell, 'device1',
+        ['dumpsys', 'package', 'org.mozilla.fenix']
+      );
+    });
+  });
+
+  describe('getAaptBin', () => {
+    it('uses the most recent Android SDK build tools', () => withTempDir(
+      async (tmpDir) => {
+        const sdkDir = tmpDir.path();
+        for (const version of ['9.0.0', '30.0.2', '29.0.3']) {
+          await fs.mkdir(path.join(sdkDir, 'build-tools', version), {
+            recursive: true,
+          });
+        }
+
+        assert.equal(
+          await getAaptBin({ANDROID_SDK_ROOT: sdkDir}),
+          path.join(sdkDir, 'build-tools', '30.0.2', 'aapt')
+        );
+      }
+    ));
+
+    it('uses the aapt binary found in the PATH', async () => {
+      assert.equal(await getAaptBin({}), 'aapt');
+      assert.equal(
+        await getAaptBin({ANDROID_HOME: '/non/existent/sdk'}), 'aapt'
+      );
+    });
+  });
+
+  describe('getAPKPackageName', () => {
+    it('reads the package name using aapt', async () => {
+      const execFile = sinon.spy((file, args, options, callback) => {
+        callback(null, "package: name='org.mozilla.fenix.nightly' " +
+                       "versionCode='2015000000'\nsdkVersion:'21'\n");
+      });
+
+      const packageName = await getAPKPackageName('/fake/fenix.apk', {
+        execFile, env: {},
+      });
+
+      assert.equal(packageName, 'org.mozilla.fenix.nightly');
+      sinon.assert.calledWithMatch(
+        execFile, 'aapt', ['dump', 'badging', '/fake/fenix.apk']
+      );
+    });
+
+    it('resolves undefined when aapt fails', async () => {
+      const execFile = sinon.spy((file, args, options, callback) => {
+        callback(new Error('spawn aapt ENOENT'));
+      });
+
+      assert.equal(
+        await getAPKPackageName('/fake/fenix.apk', {execFile, env: {}}),
+        undefined
+      );
+    });
+  });
+
+  describe('getPackagePids', () => {
+    it('resolves the pids of the given package and its child processes',
+       async () => {
+         const adb = getFakeADBKit({
+           adbClient: {
+             shell: sinon.spy(() => Promise.resolve()),
+           },
+           adbkitUtil: {
+             readAll: sinon.spy(() => Promise.resolve(Buffer.from([
+               '  PID NAME',
+               '  567 zygote64',
+               ' 1234 org.mozilla.firefox',
+               ' 1240 org.mozilla.firefox:tab12',
+               ' 1241 org.mozilla.firefox:gpu',
+               ' 5678 org.mozilla.firefox_beta',
+               ' 5679 org.mozilla.firefox_beta:tab1',
+               '',
+             ].join('\n')))),
+           },
+         });
+         const adbUtils = new ADBUtils({adb});
+
+         const pids = await adbUtils.getPackagePids(
+           'device1', 'org.mozilla.firefox'
+         );
+
+         assert.deepEqual(pids, [1234, 1240, 1241]);
+         sinon.assert.calledWithMatch(
+           adb.fakeADBClient.shell, 'device1', ['ps', '-A', '-o', 'PID,NAME']
+         );
+       });
+
+    it('resolves an empty array if the package is not running', async () => {
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(() => Promise.resolve()),
+        },
+        adbkitUtil: {
+          readAll: sinon.spy(() => Promise.resolve(Buffer.from(
+            '  PID NAME\n  567 zygote64\n'
+          ))),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      assert.deepEqual(
+        await adbUtils.getPackagePids('device1', 'org.mozilla.firefox'), []
+      );
+    });
+  });
+
+  describe('openLogcat', () => {
+    it('rejects an UsageError on adb binary not found', async () => {
+      const adb = await testSpawnADBUsageError({
+        adbClient: {
+          openLogcat: createSpawnADBErrorSpy(),
+        },
+        testFn: (adbUtils) => adbUtils.openLogcat('device1'),
+      });
+
+      sinon.assert.calledOnce(adb.fakeADBClient.openLogcat);
+    });
+
+    it('resolves the Logcat reader of the given device', async () => {
+      const fakeReader = new EventEmitter();
+      const adb = getFakeADBKit({
+        adbClient: {
+          openLogcat: sinon.spy(() => Promise.resolve(fakeReader)),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      assert.equal(await adbUtils.openLogcat('device1'), fakeReader);
+      sinon.assert.calledWith(adb.fakeADBClient.openLogcat, 'device1');
+    });
+  });
+
+  describe('pullFile', () => {
+    it('rejects an UsageError on adb binary not found', async () => {
+      const adb = await testSpawnADBUsageError({
+        adbClient: {
+          pull: createSpawnADBErrorSpy(),
+        },
+        testFn: (adbUtils) => adbUtils.pullFile(
+          'device1', '/fake/remote/path', '/fake/local/path'
+        ),
+      });
+
+      sinon.assert.calledOnce(adb.fakeADBClient.pull);
+    });
+
+    it('writes the transferred file to the given path', async () => {
+      await withTempDir(async (tmpDir) => {
+        const fakeTransfer = new PassThrough();
+        const adb = getFakeADBKit({
+          adbClient: {
+            pull: sinon.spy(() => Promise.resolve(fakeTransfer)),
+          },
+        });
+        const adbUtils = new ADBUtils({adb});
+        const localPath = path.join(tmpDir.path(), 'screenshot.png');
+
+        const promise = adbUtils.pullFile(
+          'device1', '/fake/remote/screenshot.png', localPath
+        );
+        fakeTransfer.end('fake png data');
+        await promise;
+
+        sinon.assert.calledWith(
+          adb.fakeADBClient.pull, 'device1', '/fake/remote/screenshot.png'
+        );
+        assert.equal(await fs.readFile(localPath, 'utf8'), 'fake png data');
+      });
+    });
+  });
+
+  describe('screencap', () => {
+    it('saves a screenshot to the given device path', async () => {
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(() => Promise.resolve()),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      await adbUtils.screencap('device1', '/fake/dir/screenshot.png');
+
+      sinon.assert.calledWithMatch(
+        adb.fakeADBClient.shell, 'device1',
+        ['screencap', '-p', '/fake/dir/screenshot.png']
+      );
+    });
+  });
+
+  describe('screenrecord', () => {
+    it('resolves to the screenrecord output without the pid', async () => {
+      const fakeStream = new PassThrough();
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(() => Promise.resolve(fakeStream)),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      const promise = adbUtils.screenrecord(
+        'device1', '/fake/dir/screenrecord.mp4'
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+      fakeStream.end('4321\nfake screenrecord output');
+
+      assert.equal(await promise, 'fake screenrecord output');
+      sinon.assert.calledWithMatch(
+        adb.fakeADBClient.shell, 'device1',
+        "echo $$; exec screenrecord '/fake/dir/screenrecord.mp4'"
+      );
+      assert.equal(adbUtils.screenRecordingPids.has('device1'), false);
+    });
+  });
+
+  describe('stopScreenRecording', () => {
+    it('interrupts the screenrecord process it started', async () => {
+      const fakeStream = new PassThrough();
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy((deviceId, cmd) => {
+            return Promise.resolve(
+              typeof cmd === 'string' ? fakeStream : undefined
+            );
+          }),
+        },
+        adbkitUtil: {
+          readAll: sinon.spy(() => {
+            fakeStream.end();
+            return Promise.resolve(Buffer.from(''));
+          }),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      const promise = adbUtils.screenrecord(
+        'device1', '/fake/dir/screenrecord.mp4'
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+      fakeStream.write('4321\n');
+
+      await adbUtils.stopScreenRecording('device1');
+      await promise;
+
+      sinon.assert.calledTwice(adb.fakeADBClient.shell);
+      sinon.assert.calledWithMatch(
+        adb.fakeADBClient.shell, 'device1', ['kill', '-INT', '4321']
+      );
+    });
+
+    it('does not kill anything when no recording is running', async () => {
+      const adb = getFakeADBKit({
+        adbClient: {
+          shell: sinon.spy(() => Promise.resolve()),
+        },
+      });
+      const adbUtils = new ADBUtils({adb});
+
+      await adbUtils.stopScreenRecording('device1');
+
+      sinon.assert.notCalled(adb.fakeADBClient.shell);
+    });
+  });
+
+  describe('Logcat entries', () => {
+    const logcatEntry = {
+      date: new Date('2020-11-23T10:12:31.000Z'),
+      pid: 1234,
+      tid: 1250,
+      priority: 5,
+      tag: 'GeckoConsole',
+      message: 'some message',
+    };
+
+    it('formats the entries as the adb logcat output', () => {
+      assert.equal(
+        formatLogcatEntry(logcatEntry),
+        '2020-11-23T10:12:31.000Z 1234 1250 W GeckoConsole: some message'
+      );
+    });
+
+    it('detects the extension related entries', () => {
+      assert.ok(isExtensionLogcatEntry(logcatEntry, [1234]));
+      assert.ok(isExtensionLogcatEntry(logcatEntry, []));
+      assert.ok(isExtensionLogcatEntry({
+        ...logcatEntry, tag: 'GeckoWebExtension',
+      }, [1234]));
+      assert.ok(isExtensionLogcatEntry({
+        ...logcatEntry, tag: 'Gecko', message: 'moz-extension://uuid/bg.js',
+      }, [1234]));
+
+      assert.notOk(isExtensionLogcatEntry(logcatEntry, [42]));
+      assert.notOk(isExtensionLogcatEntry({
+        ...logcatEntry, tag: 'ActivityManager',
+      }, [1234]));
+    });
+  });
+
+  describe('pairDevice', () => {
+    function prepareExecFile(stdout: string) {
+      return sinon.spy((file, args, options, callback) => {
+        callback(null, stdout);
+      });
+    }
+
+    it('pairs with the device using the pairing code', async () => {
+      const execFile = prepareExecFile(
+        'Successfully paired to 192.168.1.2:37123 [guid=adb-1234]\n'
+      );
+      const adb = getFakeADBKit({});
+      const adbUtils = new ADBUtils({
+        adb,
+        execFile,
+        adbBin: '/fake/adb',
+        adbHost: 'localhost',
+        adbPort: '5038',
+      });
+
+      await adbUtils.pairDevice('192.168.1.2:37123', '123456');
+
+      sinon.assert.calledOnce(execFile);
+      sinon.assert.calledWithMatch(execFile, '/fake/adb', [
+        '-H', 'localhost', '-P', '5038',
+        'pair', '192.168.1.2:37123', '123456',
+      ]);
+    });
+
+    it('rejects a WebExtError when the pairing fails', async () => {
+      const execFile = prepareExecFile(
+        'Failed: Wrong password or connection was dropped.\n'
+      );
+      const adbUtils = new ADBUtils({adb: getFakeADBKit({}), execFile});
+
+      const promise = adbUtils.pairDevice('192.168.1.2:37123', '000000');
+
+      await assert.isRejected(promise, WebExtError);
+      await assert.isRejected(
+        promise,
+        'Unable to pair with 192.168.1.2:37123: ' +
+          'Failed: Wrong password or connection was dropped.'
+      );
+      sinon.assert.calledWithMatch(
+        execFile, 'adb', ['pair', '192.168.1.2:37123', '000000']
+      );
+    });
+
+    it('rejects an UsageError on adb binary not found', async () => {
+      const execFile = sinon.spy((file, args, options, callback) => {
+        const error = new Error('spawn adb ENOENT');
+        // $FlowFixMe: reuse ErrorWithCode from other tests
+        error.code = 'ENOENT';
+        callback(error);
+      });
+      const adbUtils = new ADBUtils({adb: getFakeADBKit({}), execFile});
+
+      await assert.isRejected(
+        adbUtils.pairDevice('192.168.1.2:37123', '123456'), UsageError
+      );
+    });
+  });
+
+  describe('connectDevice', () => {
+    function prepareExecFile(stdout: string) {
+      return sinon.spy((file, args, options, callback) => {
+        callback(null, stdout);
+      });
+    }
+
+    it('rejects an UsageError on adb binary not found', async () => {
+      const execFile = sinon.spy((file, args, options, callback) => {
+        const error = new Error('spawn adb ENOENT');
+        // $FlowFixMe: reuse ErrorWithCode from other tests
+        error.code = 'ENOENT';
+        callback(error);
+      });
+      const adbUtils = new ADBUtils({adb: getFakeADBKit({}), execFile});
+
+      await assert.isRejected(
+        adbUtils.connectDevice('192.168.1.2:5555'), UsageError
+      );
+    });
+
+    it('resolves the connected device id', async () => {
+      const execFile = prepareExecFile('connected to 192.168.1.2:5555\n');
+      const adbUtils = new ADBUtils({adb: getFakeADBKit({}), execFile});
+
+      assert.equal(
+        await adbUtils.connectDevice('192.168.1.2:5555'), '192.168.1.2:5555'
+      );
+      sinon.assert.calledWithMatch(
+        execFile, 'adb', ['connect', '192.168.1.2:5555']
+      );
+    });
+
+    it('connects to the devices with an IPv6 address', async () => {
+      const execFile = prepareExecFile(
+        'already connected to [fe80::1]:37000\n'
+      );
+      const adbUtils = new ADBUtils({adb: getFakeADBKit({}), execFile});
+
+      assert.equal(
+        await adbUtils.connectDevice('[fe80::1]:37000'), '[fe80::1]:37000'
+      );
+      sinon.assert.calledWithMatch(
+        execFile, 'adb', ['connect', '[fe80::1]:37000']
+      );
+    });
+
+    it('rejects a WebExtError when the connection fails', async () => {
+      const execFile = prepareExecFile(
+        'failed to connect to 192.168.1.2:5555\n'
+      );
+      const adbUtils = new ADBUtils({adb: getFakeADBKit({}), execFile});
+
+      const promise = adbUtils.connectDevice('192.168.1.2:5555');
+
+      await assert.isRejected(promise, WebExtError);
+      await assert.isRejected(
+        promise,
+        'Unable to connect to 192.168.1.2:5555: ' +
+          'failed to connect to 192.168.1.2:5555'
+      );
+    });
+  });
+
+  describe('disconnectDevice', () => {
+    it('disconnects from the given device', async () => {
+      const execFile = sinon.spy((file, args, options, callback) => {
+        callback(null, 'disconnected 192.168.1.2:5555\n');
+      });
+      const adbUtils = new ADBUtils({adb: getFakeADBKit({}), execFile});
+
+      await adbUtils.disconnectDevice('192.168.1.2:5555');
+
+      sinon.assert.calledWithMatch(
+        execFile, 'adb', ['disconnect', '192.168.1.2:5555']
+      );
+    });
+  });
+
 });
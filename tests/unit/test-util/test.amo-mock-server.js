@@ -0,0 +1,152 @@
+/* @flow */
+import {promisify} from 'util';
+
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import request from 'request';
+
+import {
+  AmoMockServer,
+  isAmoMockUrlPrefix,
+  parseMultipartFormData,
+} from '../../../src/util/amo-mock-server';
+
+const asyncRequest = promisify(request);
+
+describe('util/amo-mock-server', () => {
+
+  async function withAmoMockServer(callback) {
+    const amoMockServer = new AmoMockServer();
+    const apiUrlPrefix = await amoMockServer.start();
+    try {
+      await callback(amoMockServer, apiUrlPrefix);
+    } finally {
+      await amoMockServer.stop();
+    }
+  }
+
+  function amoRequest(options) {
+    return asyncRequest({
+      headers: {Authorization: 'JWT fake-token'},
+      ...options,
+    });
+  }
+
+  it('recognizes the mock API URL prefix', () => {
+    assert.isTrue(isAmoMockUrlPrefix('mock:'));
+    assert.isFalse(isAmoMockUrlPrefix('https://addons.mozilla.org/api/v4'));
+  });
+
+  it('parses multipart form data', () => {
+    const body = Buffer.from([
+      '--boundary',
+      'Content-Disposition: form-data; name="version"',
+      '',
+      '1.0',
+      '--boundary',
+      'Content-Disposition: form-data; name="upload"; filename="a.xpi"',
+      'Content-Type: application/x-xpinstall',
+      '',
+      'xpi\r\ncontent',
+      '--boundary--',
+      '',
+    ].join('\r\n'));
+
+    const fields = parseMultipartFormData(
+      body, 'multipart/form-data; boundary=boundary'
+    );
+
+    assert.deepEqual(Array.from(fields.keys()), ['version', 'upload']);
+    assert.equal(String(fields.get('version')), '1.0');
+    assert.equal(String(fields.get('upload')), 'xpi\r\ncontent');
+  });
+
+  it('signs an uploaded add-on', () => withAmoMockServer(
+    async (amoMockServer, apiUrlPrefix) => {
+      const uploadResponse = await amoRequest({
+        method: 'PUT',
+        url: `${apiUrlPrefix}/addons/some-id%40test/versions/1.0/`,
+        formData: {upload: Buffer.from('xpi content')},
+        json: true,
+      });
+      assert.equal(uploadResponse.statusCode, 202);
+
+      const statusResponse = await amoRequest({
+        url: uploadResponse.body.url, json: true,
+      });
+      const status = statusResponse.body;
+      assert.equal(status.guid, 'some-id@test');
+      assert.isTrue(status.processed);
+      assert.isTrue(status.valid);
+      assert.isTrue(status.files[0].signed);
+
+      const downloadResponse = await amoRequest({
+        url: status.files[0].download_url,
+      });
+      assert.equal(downloadResponse.statusCode, 200);
+      assert.equal(downloadResponse.body, 'xpi content');
+    }
+  ));
+
+  it('generates an ID for new add-ons', () => withAmoMockServer(
+    async (amoMockServer, apiUrlPrefix) => {
+      const uploadResponse = await amoRequest({
+        method: 'POST',
+        url: `${apiUrlPrefix}/addons/`,
+        formData: {upload: Buffer.from('xpi content'), version: '1.0'},
+        json: true,
+      });
+
+      assert.equal(uploadResponse.statusCode, 202);
+      assert.match(
+        uploadResponse.body.guid,
+        /^\{[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}$/
+      );
+    }
+  ));
+
+  it('accepts the source code uploads', () => withAmoMockServer(
+    async (amoMockServer, apiUrlPrefix) => {
+      const response = await amoRequest({
+        method: 'PATCH',
+        url: `${apiUrlPrefix}/addons/addon/some-id%40test/versions/v1.0/`,
+        formData: {source: Buffer.from('source content')},
+      });
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(
+        String(amoMockServer.sourceCodeUploads.get('some-id@test/1.0')),
+        'source content'
+      );
+    }
+  ));
+
+  it('rejects requests without credentials', () => withAmoMockServer(
+    async (amoMockServer, apiUrlPrefix) => {
+      const response = await asyncRequest({url: `${apiUrlPrefix}/addons/`});
+      assert.equal(response.statusCode, 401);
+    }
+  ));
+
+  it('responds 400 to malformed URLs', () => withAmoMockServer(
+    async (amoMockServer, apiUrlPrefix) => {
+      const response = await amoRequest({
+        method: 'PUT',
+        url: `${apiUrlPrefix}/addons/%E0/versions/1/`,
+        formData: {upload: Buffer.from('xpi content')},
+      });
+      assert.equal(response.statusCode, 400);
+      assert.equal(amoMockServer.uploads.size, 0);
+    }
+  ));
+
+  it('responds 404 to unknown requests', () => withAmoMockServer(
+    async (amoMockServer, apiUrlPrefix) => {
+      const response = await amoRequest({
+        url: `${apiUrlPrefix}/uploads/unknown-upload/`,
+      });
+      assert.equal(response.statusCode, 404);
+    }
+  ));
+
+});
@@ -0,0 +1,110 @@
+/* @flow */
+import path from 'path';
+
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import {fs} from 'mz';
+
+import {
+  ExtensionConsoleLogger,
+  formatExtensionConsoleMessage,
+} from '../../../src/util/extension-console';
+import {consoleStream} from '../../../src/util/logger';
+import {withTempDir} from '../../../src/util/temp-dir';
+
+describe('util/extension-console', () => {
+
+  const consoleMessage = {
+    addonId: 'some-addon@test-suite',
+    level: 'warn',
+    message: 'some message 42',
+    filename: 'moz-extension://1234-abcd/lib/background.js',
+    lineNumber: 12,
+    timeStamp: 1600000000000,
+  };
+
+  describe('formatExtensionConsoleMessage', () => {
+
+    it('includes the level, the source file and line', () => {
+      assert.equal(
+        formatExtensionConsoleMessage(consoleMessage),
+        '[console.warn] lib/background.js:12 some message 42'
+      );
+    });
+
+    it('omits the missing source information', () => {
+      assert.equal(
+        formatExtensionConsoleMessage({
+          addonId: 'some-addon@test-suite',
+          level: 'log',
+          message: 'some message',
+        }),
+        '[console.log] some message'
+      );
+    });
+
+  });
+
+  describe('ExtensionConsoleLogger', () => {
+
+    it('prints the console messages', async () => {
+      const logger = new ExtensionConsoleLogger();
+      logger.logMessage(consoleMessage);
+      await logger.close();
+
+      assert.ok(consoleStream.capturedMessages.find((message) =>
+        message.includes(
+          '[warn] [console.warn] lib/background.js:12 some message 42'
+        )
+      ));
+    });
+
+    it('appends the console messages to a JSONL file', () => withTempDir(
+      async (tmpDir) => {
+        const logFile = path.join(tmpDir.path(), 'console.jsonl');
+        await fs.writeFile(logFile, '{"previous": "message"}\n');
+
+        const logger = new ExtensionConsoleLogger({logFile});
+        logger.logMessage(consoleMessage);
+        logger.logMessage({...consoleMessage, level: 'error'});
+        await logger.close();
+
+        const lines = (await fs.readFile(logFile, 'utf-8')).trim().split('\n');
+        assert.deepEqual(lines.map((line) => JSON.parse(line)), [
+          {previous: 'message'},
+          consoleMessage,
+          {...consoleMessage, level: 'error'},
+        ]);
+      }
+    ));
+
+    it('keeps printing the messages when the file can not be written',
+       () => withTempDir(
+         async (tmpDir) => {
+           const logFile = path.join(tmpDir.path(), 'missing', 'console.jsonl');
+
+           const logger = new ExtensionConsoleLogger({logFile});
+           logger.logMessage(consoleMessage);
+           const {logFileStream} = logger;
+           await new Promise((resolve) => {
+             logFileStream && logFileStream.once('error', resolve);
+           });
+           logger.logMessage({...consoleMessage, message: 'second message'});
+           await logger.close();
+
+           assert.equal(logger.logFile, undefined);
+           assert.ok(consoleStream.capturedMessages.find((message) =>
+             message.includes(
+               '[warn] Unable to write the extension console messages to ' +
+               `${logFile}`
+             )
+           ));
+           assert.ok(consoleStream.capturedMessages.find((message) =>
+             message.includes('second message')
+           ));
+         }
+       ));
+
+  });
+
+});
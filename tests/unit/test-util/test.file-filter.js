@@ -3,6 +3,7 @@ import {describe, it} from 'mocha';
 import {assert} from 'chai';
 
 import {FileFilter, isSubPath} from '../../../src/util/file-filter';
+import {logFileStream} from '../../../src/util/logger';
 
 describe('util/file-filter', () => {
 
@@ -86,6 +87,37 @@ describe('util/file-filter', () => {
       assert.equal(filter.wantFile('artifacts/some.js'), false);
     });
 
+    it('ignores the log file and its rotated files', () => {
+      const filter = newFileFilter({
+        sourceDir: '/src',
+        logFile: '/src/web-ext.log',
+      });
+      assert.equal(filter.wantFile('/src/web-ext.log'), false);
+      assert.equal(filter.wantFile('/src/web-ext.log.1'), false);
+      assert.equal(filter.wantFile('/src/web-ext.log.12'), false);
+      assert.equal(filter.wantFile('/src/other.log'), true);
+    });
+
+    it('ignores the opened --log-file by default', () => {
+      const {filePath} = logFileStream;
+      logFileStream.filePath = '/src/web-ext.log';
+      try {
+        const filter = newFileFilter({sourceDir: '/src'});
+        assert.equal(filter.wantFile('/src/web-ext.log'), false);
+      } finally {
+        logFileStream.filePath = filePath;
+      }
+    });
+
+    it('does not ignore the files matching a log file outside of sourceDir',
+       () => {
+         const filter = newFileFilter({
+           sourceDir: '/src',
+           logFile: '/web-ext.log',
+         });
+         assert.equal(filter.wantFile('/src/web-ext.log'), true);
+       });
+
     it('does not ignore an artifactsDir outside of sourceDir', () => {
       const filter = newFileFilter({
         artifactsDir: '.',
@@ -1,13 +1,23 @@
 /* @flow */
+import path from 'path';
 import {Writable as WritableStream} from 'stream';
 
 import bunyan from 'bunyan';
 import sinon from 'sinon';
 import {it, describe} from 'mocha';
 import {assert} from 'chai';
+import {fs} from 'mz';
 
 
-import {createLogger, ConsoleStream} from '../../../src/util/logger';
+import {
+  createLogger,
+  ConsoleStream,
+  LogFileStream,
+  logFileStream,
+  logStdoutLines,
+} from '../../../src/util/logger';
+import fileExists from '../../../src/util/file-exists';
+import {withTempDir} from '../../../src/util/temp-dir';
 
 
 describe('logger', () => {
@@ -22,6 +32,13 @@ describe('logger', () => {
       );
     });
 
+    it('records the log entries in the log file stream', () => {
+      const createBunyanLog = sinon.spy(() => {});
+      createLogger('src/some-file.js', {createBunyanLog});
+      const {streams} = createBunyanLog.firstCall.args[0];
+      assert.ok(streams.some(({stream}) => stream === logFileStream));
+    });
+
   });
 
   describe('ConsoleStream', () => {
@@ -75,6 +92,59 @@ describe('logger', () => {
         'some message\n');
     });
 
+    it('formats the packets as JSON in JSON mode', () => {
+      const log = new ConsoleStream();
+      log.makeJSON();
+      const time = new Date('2020-11-23T10:12:31.000Z');
+      assert.deepEqual(
+        JSON.parse(log.format(packet({
+          name: 'foo', msg: 'some message', level: bunyan.WARN, time,
+        }))),
+        {
+          type: 'log',
+          level: 'warn',
+          name: 'foo',
+          message: 'some message',
+          timestamp: '2020-11-23T10:12:31.000Z',
+        }
+      );
+    });
+
+    it('writes the status lines in text mode only', () => {
+      const log = new ConsoleStream();
+      const localProcess = fakeProcess();
+      // $FlowIgnore: fake process for testing reasons.
+      log.writeStatus('Last extension reload: now', {localProcess});
+      sinon.assert.calledWith(
+        localProcess.stdout.write, '\rLast extension reload: now'
+      );
+
+      log.makeJSON();
+      // $FlowIgnore: fake process for testing reasons.
+      log.writeStatus('Last extension reload: now', {localProcess});
+      sinon.assert.calledOnce(localProcess.stdout.write);
+    });
+
+    it('writes the command results in JSON mode only', () => {
+      const log = new ConsoleStream();
+      const localProcess = fakeProcess();
+      // $FlowIgnore: fake process for testing reasons.
+      log.writeResult('build', {extensionPath: 'ext.zip'}, {localProcess});
+      sinon.assert.notCalled(localProcess.stdout.write);
+
+      log.makeJSON();
+      // $FlowIgnore: fake process for testing reasons.
+      log.writeResult('build', {extensionPath: 'ext.zip'}, {localProcess});
+      sinon.assert.calledOnce(localProcess.stdout.write);
+      const output = localProcess.stdout.write.firstCall.args[0];
+      assert.match(output, /\n$/);
+      assert.deepInclude(JSON.parse(output), {
+        type: 'result',
+        command: 'build',
+        result: {extensionPath: 'ext.zip'},
+      });
+    });
+
     it('does not log debug packets unless verbose', () => {
       const log = new ConsoleStream({verbose: false});
       const localProcess = fakeProcess();
@@ -174,4 +244,156 @@ describe('logger', () => {
 
   });
 
+  describe('logStdoutLines', () => {
+
+    it('logs the lines written on stdout', () => {
+      const write = sinon.spy(() => true);
+      const localProcess = {stdout: {write}};
+      const logger = {
+        debug: sinon.spy(),
+        error: sinon.spy(),
+        info: sinon.spy((msg) => localProcess.stdout.write(`${msg}\n`)),
+        warn: sinon.spy(),
+      };
+
+      // $FlowIgnore: fake process for testing reasons.
+      const stopLogging = logStdoutLines(logger, {localProcess});
+      localProcess.stdout.write('\rProgress [.  ]');
+      localProcess.stdout.write('\rProgress [...]\n\nDownloaded:\n');
+      localProcess.stdout.write('    ./file.xpi');
+      stopLogging();
+
+      assert.deepEqual(
+        logger.info.getCalls().map((call) => call.args[0]),
+        ['Progress [...]', 'Downloaded:', './file.xpi']
+      );
+      // Only the messages written by the logger reached stdout.
+      assert.deepEqual(
+        write.getCalls().map((call) => call.args[0]),
+        ['Progress [...]\n', 'Downloaded:\n', './file.xpi\n']
+      );
+      assert.equal(localProcess.stdout.write, write);
+    });
+
+  });
+
+  describe('LogFileStream', () => {
+
+    function packet(overrides) {
+      return {
+        name: 'some name',
+        msg: 'some message',
+        level: bunyan.TRACE,
+        time: new Date('2020-11-23T10:12:31.000Z'),
+        ...overrides,
+      };
+    }
+
+    it('does not write anything until opened', () => withTempDir(
+      async (tmpDir) => {
+        const logFile = path.join(tmpDir.path(), 'web-ext.log');
+        const stream = new LogFileStream();
+        stream.write(packet());
+        assert.equal(await fileExists(logFile), false);
+      }
+    ));
+
+    it('records the entries of all the levels', () => withTempDir(
+      async (tmpDir) => {
+        const logFile = path.join(tmpDir.path(), 'web-ext.log');
+        const stream = new LogFileStream();
+        stream.open({filePath: logFile});
+        stream.write(packet({name: 'foo', msg: 'trace message'}));
+        stream.write(packet({level: bunyan.ERROR, msg: 'error message'}));
+        stream.close();
+
+        assert.equal(
+          await fs.readFile(logFile, 'utf-8'),
+          '2020-11-23T10:12:31.000Z [foo][trace] trace message\n' +
+          '2020-11-23T10:12:31.000Z [some name][error] error message\n'
+        );
+      }
+    ));
+
+    it('starts a new log file when it has been deleted', () => withTempDir(
+      async (tmpDir) => {
+        const logFile = path.join(tmpDir.path(), 'web-ext.log');
+        const stream = new LogFileStream();
+        stream.open({filePath: logFile, maxSize: 60});
+        stream.write(packet({msg: 'first message'}));
+        await fs.unlink(logFile);
+
+        // This entry rotates the deleted log file.
+        stream.write(packet({msg: 'second message'}));
+        stream.close();
+
+        assert.equal(
+          await fs.readFile(logFile, 'utf-8'),
+          '2020-11-23T10:12:31.000Z [some name][trace] second message\n'
+        );
+      }
+    ));
+
+    it('stops recording when the log file can not be reopened',
+       () => withTempDir(
+         async (tmpDir) => {
+           const logDir = path.join(tmpDir.path(), 'logs');
+           await fs.mkdir(logDir);
+           const logFile = path.join(logDir, 'web-ext.log');
+           const stream = new LogFileStream();
+           stream.open({filePath: logFile, maxSize: 60});
+           stream.write(packet({msg: 'first message'}));
+           await fs.unlink(logFile);
+           await fs.rmdir(logDir);
+
+           stream.write(packet({msg: 'second message'}));
+           stream.write(packet({msg: 'third message'}));
+
+           assert.equal(stream.fd, undefined);
+           assert.equal(await fileExists(logFile), false);
+         }
+       ));
+
+    it('rotates the log file once it reaches the max size', () => withTempDir(
+      async (tmpDir) => {
+        const logFile = path.join(tmpDir.path(), 'web-ext.log');
+        const stream = new LogFileStream();
+        // Each entry is 54 bytes long.
+        stream.open({filePath: logFile, maxSize: 120, maxFiles: 2});
+        for (let index = 1; index <= 7; index++) {
+          stream.write(packet({msg: `message ${index}`}));
+        }
+        stream.close();
+
+        const readLog = (fileName) => fs.readFile(
+          path.join(tmpDir.path(), fileName), 'utf-8'
+        ).then((data) => data.trim().split('\n').map(
+          (line) => line.replace(/^.* /, '')
+        ));
+        assert.deepEqual(await readLog('web-ext.log'), ['7']);
+        assert.deepEqual(await readLog('web-ext.log.1'), ['5', '6']);
+        assert.deepEqual(await readLog('web-ext.log.2'), ['3', '4']);
+        assert.equal(
+          await fileExists(path.join(tmpDir.path(), 'web-ext.log.3')), false
+        );
+      }
+    ));
+
+    it('appends to an existing log file', () => withTempDir(
+      async (tmpDir) => {
+        const logFile = path.join(tmpDir.path(), 'web-ext.log');
+        await fs.writeFile(logFile, 'previous session\n');
+        const stream = new LogFileStream();
+        stream.open({filePath: logFile});
+        stream.write(packet({msg: 'new session'}));
+        stream.close();
+
+        const lines = (await fs.readFile(logFile, 'utf-8')).split('\n');
+        assert.equal(lines[0], 'previous session');
+        assert.match(lines[1], /new session$/);
+      }
+    ));
+
+  });
+
 });
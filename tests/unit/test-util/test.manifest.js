@@ -7,7 +7,13 @@ import deepcopy from 'deepcopy';
 import {fs} from 'mz';
 
 import {onlyInstancesOf, InvalidManifest} from '../../../src/errors';
-import getValidatedManifest, {getManifestId} from '../../../src/util/manifest';
+import getValidatedManifest, {
+  getManifestId,
+  getTargetManifest,
+  isManifestOverlay,
+  mergeManifestOverlay,
+  transformManifestForTarget,
+} from '../../../src/util/manifest';
 import {withTempDir} from '../../../src/util/temp-dir';
 import {
   basicManifest,
@@ -277,6 +283,169 @@ describe('util/manifest', () => {
 
   });
 
+  describe('mergeManifestOverlay', () => {
+
+    it('merges the overlay objects recursively', () => {
+      assert.deepEqual(mergeManifestOverlay({
+        name: 'base',
+        background: {scripts: ['a.js', 'b.js'], persistent: false},
+        permissions: ['tabs', 'storage'],
+      }, {
+        background: {scripts: ['c.js']},
+        permissions: ['alarms'],
+      }), {
+        name: 'base',
+        background: {scripts: ['c.js'], persistent: false},
+        permissions: ['alarms'],
+      });
+    });
+
+    it('removes the properties set to null', () => {
+      assert.deepEqual(
+        mergeManifestOverlay(
+          {name: 'base', options_ui: {page: 'options.html'}},
+          {options_ui: null}
+        ),
+        {name: 'base'}
+      );
+    });
+
+    it('does not change the base manifest', () => {
+      const base = deepcopy(basicManifest);
+      mergeManifestOverlay(base, {applications: {gecko: {id: 'other'}}});
+      assert.deepEqual(base, basicManifest);
+    });
+
+  });
+
+  describe('transformManifestForTarget', () => {
+
+    it('removes the Firefox specific keys for chromium', () => {
+      assert.deepEqual(
+        transformManifestForTarget({
+          ...basicManifest,
+          browser_specific_settings: {gecko: {strict_min_version: '68.0'}},
+        }, 'chromium'),
+        manifestWithoutApps
+      );
+    });
+
+    it('moves applications into browser_specific_settings', () => {
+      const manifestData = {
+        ...basicManifest,
+        browser_specific_settings: {gecko: {strict_min_version: '68.0'}},
+      };
+
+      for (const target of ['firefox-desktop', 'firefox-android']) {
+        assert.deepEqual(transformManifestForTarget(manifestData, target), {
+          ...manifestWithoutApps,
+          browser_specific_settings: {
+            gecko: {
+              id: 'basic-manifest@web-ext-test-suite',
+              strict_min_version: '68.0',
+            },
+          },
+        });
+      }
+    });
+
+    it('converts a background service worker for Firefox', () => {
+      const manifestData = {
+        ...manifestWithoutApps,
+        background: {service_worker: 'worker.js', type: 'module'},
+      };
+
+      assert.deepEqual(
+        transformManifestForTarget(manifestData, 'firefox-desktop').background,
+        {scripts: ['worker.js'], type: 'module'}
+      );
+      assert.deepEqual(
+        transformManifestForTarget(manifestData, 'chromium').background,
+        manifestData.background
+      );
+    });
+
+  });
+
+  describe('getTargetManifest', () => {
+
+    it('merges the target manifest overlay', () => withTempDir(
+      async (tmpDir) => {
+        await fs.writeFile(
+          path.join(tmpDir.path(), 'manifest.firefox-desktop.json'),
+          JSON.stringify({
+            browser_specific_settings: {gecko: {strict_min_version: '78.0'}},
+          })
+        );
+
+        const targetManifest = await getTargetManifest({
+          sourceDir: tmpDir.path(),
+          target: 'firefox-desktop',
+          manifestData: basicManifest,
+        });
+
+        assert.deepEqual(targetManifest, {
+          ...manifestWithoutApps,
+          browser_specific_settings: {
+            gecko: {
+              id: 'basic-manifest@web-ext-test-suite',
+              strict_min_version: '78.0',
+            },
+          },
+        });
+      }
+    ));
+
+    it('only transforms the manifest without an overlay', () => withTempDir(
+      async (tmpDir) => {
+        const targetManifest = await getTargetManifest({
+          sourceDir: tmpDir.path(),
+          target: 'chromium',
+          manifestData: basicManifest,
+        });
+
+        assert.deepEqual(targetManifest, manifestWithoutApps);
+      }
+    ));
+
+    it('reports an error on an invalid overlay', () => withTempDir(
+      async (tmpDir) => {
+        const overlayFile = path.join(tmpDir.path(), 'manifest.chromium.json');
+        await fs.writeFile(overlayFile, '{"name": }');
+
+        const promise = getTargetManifest({
+          sourceDir: tmpDir.path(),
+          target: 'chromium',
+          manifestData: basicManifest,
+        });
+
+        await assert.isRejected(
+          promise, InvalidManifest,
+          /Error parsing manifest\.chromium\.json file at /
+        );
+      }
+    ));
+
+  });
+
+  describe('isManifestOverlay', () => {
+
+    it('matches the overlays in the source directory', () => {
+      const sourceDir = path.join('path', 'to', 'extension');
+
+      assert.isTrue(isManifestOverlay(
+        sourceDir, path.join(sourceDir, 'manifest.chromium.json')
+      ));
+      assert.isFalse(isManifestOverlay(
+        sourceDir, path.join(sourceDir, 'manifest.json')
+      ));
+      assert.isFalse(isManifestOverlay(
+        sourceDir, path.join(sourceDir, 'lib', 'manifest.chromium.json')
+      ));
+    });
+
+  });
+
 });
 
 
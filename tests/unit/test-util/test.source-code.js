@@ -0,0 +1,227 @@
+/* @flow */
+import path from 'path';
+
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import {fs} from 'mz';
+import sinon from 'sinon';
+
+import {UsageError, WebExtError} from '../../../src/errors';
+import {
+  createSourceCodeArchive,
+  findRepositoryRoot,
+  getSourceCodeApiUrlPrefix,
+  parseGitignore,
+  uploadSourceCode,
+} from '../../../src/util/source-code';
+import {withTempDir} from '../../../src/util/temp-dir';
+import {readZipEntries} from '../helpers';
+
+describe('util/source-code', () => {
+
+  async function prepareRepository(tmpDir) {
+    const repositoryRoot = tmpDir.path();
+    for (const dirName of ['.git', 'src', 'dist', 'node_modules']) {
+      await fs.mkdir(path.join(repositoryRoot, dirName));
+    }
+    await fs.writeFile(path.join(repositoryRoot, '.git', 'HEAD'), 'head');
+    await fs.writeFile(path.join(repositoryRoot, '.gitignore'), [
+      '# Build output',
+      '/dist/',
+      '*.log',
+      '!keep.log',
+    ].join('\n'));
+    await fs.writeFile(path.join(repositoryRoot, '.babelrc'), '{}');
+    await fs.writeFile(path.join(repositoryRoot, 'package.json'), '{}');
+    await fs.writeFile(path.join(repositoryRoot, 'debug.log'), 'log');
+    await fs.writeFile(path.join(repositoryRoot, 'keep.log'), 'log');
+    await fs.writeFile(path.join(repositoryRoot, 'src', 'index.js'), 'i();');
+    await fs.writeFile(path.join(repositoryRoot, 'src', 'secret.js'), 's();');
+    await fs.writeFile(path.join(repositoryRoot, 'dist', 'bundle.js'), 'b();');
+    await fs.writeFile(path.join(repositoryRoot, 'node_modules', 'm.js'), '');
+    return repositoryRoot;
+  }
+
+  describe('findRepositoryRoot', () => {
+
+    it('finds the parent directory of a repository', () => withTempDir(
+      async (tmpDir) => {
+        const repositoryRoot = await prepareRepository(tmpDir);
+        assert.equal(
+          await findRepositoryRoot(path.join(repositoryRoot, 'dist')),
+          repositoryRoot
+        );
+      }
+    ));
+
+    it('falls back to the source directory', () => withTempDir(
+      async (tmpDir) => {
+        const sourceDir = path.join(tmpDir.path(), 'extension');
+        await fs.mkdir(sourceDir);
+        // The temporary directory is not expected to be in a repository.
+        assert.equal(await findRepositoryRoot(sourceDir), sourceDir);
+      }
+    ));
+
+  });
+
+  describe('parseGitignore', () => {
+
+    it('converts the .gitignore patterns', () => {
+      assert.deepEqual(parseGitignore([
+        '# A comment',
+        '',
+        '/dist/',
+        'lib/generated',
+        '*.log',
+        '!keep.log',
+      ].join('\n')), [
+        'dist', 'dist/**/*',
+        'lib/generated', 'lib/generated/**/*',
+        '**/*.log', '**/*.log/**/*',
+        '!**/keep.log', '!**/keep.log/**/*',
+      ]);
+    });
+
+  });
+
+  describe('createSourceCodeArchive', () => {
+
+    it('zips the repository without the ignored files', () => withTempDir(
+      async (tmpDir) => {
+        const repositoryRoot = await prepareRepository(tmpDir);
+        const destPath = path.join(tmpDir.path(), 'source.zip');
+
+        const result = await createSourceCodeArchive({
+          sourceDir: path.join(repositoryRoot, 'dist'),
+          artifactsDir: path.join(repositoryRoot, 'web-ext-artifacts'),
+          ignoreFiles: ['../src/secret.js'],
+          destPath,
+        });
+
+        assert.equal(result, destPath);
+        const entries = await readZipEntries(await fs.readFile(destPath));
+        assert.deepEqual(entries.map(({entry}) => entry.fileName), [
+          '.babelrc',
+          '.gitignore',
+          'keep.log',
+          'package.json',
+          'src/index.js',
+        ]);
+      }
+    ));
+
+  });
+
+  describe('getSourceCodeApiUrlPrefix', () => {
+
+    it('returns the AMO API v5 URL prefix', () => {
+      for (const apiUrlPrefix of [
+        'https://addons.mozilla.org/api/v3',
+        'https://addons.mozilla.org/api/v4/',
+        'https://addons.mozilla.org/api/v5',
+      ]) {
+        assert.equal(
+          getSourceCodeApiUrlPrefix(apiUrlPrefix),
+          'https://addons.mozilla.org/api/v5'
+        );
+      }
+    });
+
+    it('throws an UsageError on an unexpected URL prefix', () => {
+      assert.throws(
+        () => getSourceCodeApiUrlPrefix('https://amo.test/signing'),
+        UsageError, /expected to end with \/api\/v5/
+      );
+    });
+
+  });
+
+  describe('uploadSourceCode', () => {
+
+    function createFakeRequest(statusCode, body = '') {
+      return {
+        patch: sinon.spy((options, callback) => {
+          callback(null, {statusCode}, body);
+        }),
+      };
+    }
+
+    const uploadParams = {
+      apiKey: 'api-key',
+      apiSecret: 'api-secret',
+      apiUrlPrefix: 'https://amo.test/api/v5',
+      apiProxy: 'http://proxy.test:6000',
+      id: '{some-id}',
+      version: '1.0',
+    };
+
+    it('uploads the source code to the version', () => withTempDir(
+      async (tmpDir) => {
+        const sourceCodePath = path.join(tmpDir.path(), 'source.zip');
+        await fs.writeFile(sourceCodePath, 'zip');
+        const request = createFakeRequest(202);
+        const jwt = {sign: sinon.spy(() => 'signed-token')};
+
+        await uploadSourceCode(
+          {...uploadParams, sourceCodePath}, {request, jwt}
+        );
+
+        sinon.assert.calledWithMatch(
+          jwt.sign, {iss: 'api-key'}, 'api-secret', {algorithm: 'HS256'}
+        );
+        sinon.assert.calledOnce(request.patch);
+        const options = request.patch.firstCall.args[0];
+        assert.equal(
+          options.url,
+          'https://amo.test/api/v5/addons/addon/%7Bsome-id%7D/versions/v1.0/'
+        );
+        assert.equal(options.proxy, 'http://proxy.test:6000');
+        assert.equal(options.headers.Authorization, 'JWT signed-token');
+        assert.equal(options.formData.source.path, sourceCodePath);
+        options.formData.source.destroy();
+      }
+    ));
+
+    it('uploads the source code using the AMO API v5', () => withTempDir(
+      async (tmpDir) => {
+        const sourceCodePath = path.join(tmpDir.path(), 'source.zip');
+        await fs.writeFile(sourceCodePath, 'zip');
+        const request = createFakeRequest(200);
+        const jwt = {sign: () => 'signed-token'};
+
+        await uploadSourceCode({
+          ...uploadParams,
+          apiUrlPrefix: 'https://amo.test/api/v3',
+          sourceCodePath,
+        }, {request, jwt});
+
+        const options = request.patch.firstCall.args[0];
+        assert.equal(
+          options.url,
+          'https://amo.test/api/v5/addons/addon/%7Bsome-id%7D/versions/v1.0/'
+        );
+        options.formData.source.destroy();
+      }
+    ));
+
+    it('throws on an unexpected response status', () => withTempDir(
+      async (tmpDir) => {
+        const sourceCodePath = path.join(tmpDir.path(), 'source.zip');
+        await fs.writeFile(sourceCodePath, 'zip');
+        const request = createFakeRequest(403, 'forbidden');
+        const jwt = {sign: () => 'signed-token'};
+
+        const promise = uploadSourceCode(
+          {...uploadParams, sourceCodePath}, {request, jwt}
+        );
+
+        await assert.isRejected(promise, WebExtError);
+        await assert.isRejected(promise, /\(status: 403\): forbidden/);
+        request.patch.firstCall.args[0].formData.source.destroy();
+      }
+    ));
+
+  });
+
+});
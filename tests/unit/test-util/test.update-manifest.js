@@ -0,0 +1,157 @@
+/* @flow */
+import path from 'path';
+import {createHash} from 'crypto';
+
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import {fs} from 'mz';
+
+import {UsageError} from '../../../src/errors';
+import {
+  getStrictMinVersion,
+  getUpdateLink,
+  updateUpdateManifest,
+} from '../../../src/util/update-manifest';
+import {withTempDir} from '../../../src/util/temp-dir';
+import {basicManifest, manifestWithoutApps} from '../helpers';
+
+describe('util/update-manifest', () => {
+
+  describe('getUpdateLink', () => {
+
+    it('replaces the template placeholders', () => {
+      assert.equal(
+        getUpdateLink(
+          'https://example.com/{id}/{version}/{filename}',
+          {id: '{some-id}', version: '1.0', filename: 'ext-1.0.xpi'}
+        ),
+        'https://example.com/%7Bsome-id%7D/1.0/ext-1.0.xpi'
+      );
+    });
+
+  });
+
+  describe('getStrictMinVersion', () => {
+
+    it('prefers browser_specific_settings', () => {
+      assert.equal(getStrictMinVersion({
+        ...basicManifest,
+        applications: {gecko: {strict_min_version: '60.0'}},
+        browser_specific_settings: {gecko: {strict_min_version: '78.0'}},
+      }), '78.0');
+    });
+
+    it('returns undefined without a strict_min_version', () => {
+      assert.strictEqual(getStrictMinVersion(basicManifest), undefined);
+      assert.strictEqual(getStrictMinVersion(manifestWithoutApps), undefined);
+    });
+
+  });
+
+  describe('updateUpdateManifest', () => {
+
+    async function writeXpi(tmpDir, content = 'signed xpi') {
+      const xpiPath = path.join(tmpDir.path(), 'ext-0.0.1.xpi');
+      await fs.writeFile(xpiPath, content);
+      return xpiPath;
+    }
+
+    function sha256(content) {
+      return createHash('sha256').update(content).digest('hex');
+    }
+
+    it('creates a new update manifest', () => withTempDir(
+      async (tmpDir) => {
+        const updateManifestPath = path.join(tmpDir.path(), 'updates.json');
+
+        const result = await updateUpdateManifest({
+          updateManifestPath,
+          updateLinkTemplate: 'https://example.com/{filename}',
+          id: 'some-id@test',
+          xpiPath: await writeXpi(tmpDir),
+          manifestData: {
+            ...manifestWithoutApps,
+            browser_specific_settings: {gecko: {strict_min_version: '78.0'}},
+          },
+        });
+
+        assert.equal(result, updateManifestPath);
+        assert.deepEqual(
+          JSON.parse(await fs.readFile(updateManifestPath)),
+          {
+            addons: {
+              'some-id@test': {
+                updates: [{
+                  version: '0.0.1',
+                  update_link: 'https://example.com/ext-0.0.1.xpi',
+                  update_hash: `sha256:${sha256('signed xpi')}`,
+                  applications: {gecko: {strict_min_version: '78.0'}},
+                }],
+              },
+            },
+          }
+        );
+      }
+    ));
+
+    it('appends to an existing update manifest', () => withTempDir(
+      async (tmpDir) => {
+        const updateManifestPath = path.join(tmpDir.path(), 'updates.json');
+        const previousUpdate = {
+          version: '0.0.0',
+          update_link: 'https://example.com/ext-0.0.0.xpi',
+        };
+        await fs.writeFile(updateManifestPath, JSON.stringify({
+          addons: {
+            'some-id@test': {
+              updates: [
+                previousUpdate,
+                {version: '0.0.1', update_link: 'https://example.com/old'},
+              ],
+            },
+          },
+        }));
+
+        await updateUpdateManifest({
+          updateManifestPath,
+          updateLinkTemplate: 'https://example.com/{filename}',
+          id: 'some-id@test',
+          xpiPath: await writeXpi(tmpDir, 'new signed xpi'),
+          manifestData: basicManifest,
+        });
+
+        const {updates} = JSON.parse(
+          await fs.readFile(updateManifestPath)
+        ).addons['some-id@test'];
+        assert.deepEqual(updates, [
+          previousUpdate,
+          {
+            version: '0.0.1',
+            update_link: 'https://example.com/ext-0.0.1.xpi',
+            update_hash: `sha256:${sha256('new signed xpi')}`,
+          },
+        ]);
+      }
+    ));
+
+    it('throws on an invalid update manifest', () => withTempDir(
+      async (tmpDir) => {
+        const updateManifestPath = path.join(tmpDir.path(), 'updates.json');
+        await fs.writeFile(updateManifestPath, '{"addons": ');
+
+        const promise = updateUpdateManifest({
+          updateManifestPath,
+          updateLinkTemplate: 'https://example.com/{filename}',
+          id: 'some-id@test',
+          xpiPath: await writeXpi(tmpDir),
+          manifestData: basicManifest,
+        });
+
+        await assert.isRejected(promise, UsageError);
+        await assert.isRejected(promise, /Error parsing update manifest/);
+      }
+    ));
+
+  });
+
+});
@@ -0,0 +1,135 @@
+/* @flow */
+import path from 'path';
+
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+import {fs} from 'mz';
+import sinon from 'sinon';
+
+import {ZipDirIndex} from '../../../src/util/zip-dir';
+import * as zipWriter from '../../../src/util/zip-writer';
+import {withTempDir} from '../../../src/util/temp-dir';
+import {readZipEntries} from '../helpers';
+
+describe('util/zip-dir', () => {
+  describe('ZipDirIndex', () => {
+    async function prepareSourceDir(tmpDir) {
+      const sourceDir = tmpDir.path();
+      await fs.mkdir(path.join(sourceDir, 'lib'));
+      await fs.mkdir(path.join(sourceDir, 'ignored'));
+      await fs.writeFile(path.join(sourceDir, 'manifest.json'), '{}');
+      await fs.writeFile(path.join(sourceDir, 'lib', 'a.js'), 'a();');
+      await fs.writeFile(path.join(sourceDir, 'lib', 'b.js'), 'b();');
+      await fs.writeFile(path.join(sourceDir, 'ignored', 'c.js'), 'c();');
+      return sourceDir;
+    }
+
+    function createZipDirIndex(sourceDir) {
+      return new ZipDirIndex({
+        sourceDir,
+        filter: (filePath) => !filePath.includes('ignored'),
+      });
+    }
+
+    it('zips the wanted files in a sorted order', () => withTempDir(
+      async (tmpDir) => {
+        const sourceDir = await prepareSourceDir(tmpDir);
+        const zipDirIndex = createZipDirIndex(sourceDir);
+
+        const entries = await readZipEntries(await zipDirIndex.zip());
+
+        assert.deepEqual(
+          entries.map(({entry}) => entry.fileName),
+          ['lib/a.js', 'lib/b.js', 'manifest.json']
+        );
+        assert.equal(entries[0].data.toString(), 'a();');
+      }
+    ));
+
+    it('only compresses the changed files again', () => withTempDir(
+      async (tmpDir) => {
+        const sourceDir = await prepareSourceDir(tmpDir);
+        const zipDirIndex = createZipDirIndex(sourceDir);
+        await zipDirIndex.zip();
+
+        const createZipEntry = sinon.spy(zipWriter, 'createZipEntry');
+        try {
+          const changedFile = path.join(sourceDir, 'lib', 'b.js');
+          await fs.writeFile(changedFile, 'b();');
+
+          const entries = await readZipEntries(
+            await zipDirIndex.zip([changedFile])
+          );
+
+          sinon.assert.calledOnce(createZipEntry);
+          sinon.assert.calledWithMatch(createZipEntry, {name: 'lib/b.js'});
+          assert.equal(entries.length, 3);
+        } finally {
+          createZipEntry.restore();
+        }
+      }
+    ));
+
+    it('compresses new and modified files again', () => withTempDir(
+      async (tmpDir) => {
+        const sourceDir = await prepareSourceDir(tmpDir);
+        const zipDirIndex = createZipDirIndex(sourceDir);
+        await zipDirIndex.zip();
+
+        await fs.writeFile(
+          path.join(sourceDir, 'lib', 'a.js'), 'a(); // modified'
+        );
+        await fs.writeFile(path.join(sourceDir, 'new.js'), 'n();');
+
+        const entries = await readZipEntries(await zipDirIndex.zip());
+
+        assert.deepEqual(
+          entries.map(({entry}) => entry.fileName),
+          ['lib/a.js', 'lib/b.js', 'manifest.json', 'new.js']
+        );
+        assert.equal(entries[0].data.toString(), 'a(); // modified');
+      }
+    ));
+
+    it('drops the removed files from the index', () => withTempDir(
+      async (tmpDir) => {
+        const sourceDir = await prepareSourceDir(tmpDir);
+        const zipDirIndex = createZipDirIndex(sourceDir);
+        await zipDirIndex.zip();
+
+        await fs.unlink(path.join(sourceDir, 'lib', 'a.js'));
+
+        const entries = await readZipEntries(await zipDirIndex.zip());
+
+        assert.deepEqual(
+          entries.map(({entry}) => entry.fileName),
+          ['lib/b.js', 'manifest.json']
+        );
+        assert.equal(zipDirIndex.indexedFiles.size, 2);
+      }
+    ));
+
+    it('adds the replaced files without indexing them', () => withTempDir(
+      async (tmpDir) => {
+        const sourceDir = await prepareSourceDir(tmpDir);
+        const zipDirIndex = createZipDirIndex(sourceDir);
+
+        const replacedFiles = new Map([
+          ['manifest.json', Buffer.from('{"name": "replaced"}')],
+        ]);
+        const entries = await readZipEntries(
+          await zipDirIndex.zip([], replacedFiles)
+        );
+
+        assert.equal(entries[2].entry.fileName, 'manifest.json');
+        assert.equal(entries[2].data.toString(), '{"name": "replaced"}');
+        assert.isFalse(
+          zipDirIndex.indexedFiles.has(path.join(sourceDir, 'manifest.json'))
+        );
+
+        const nextEntries = await readZipEntries(await zipDirIndex.zip());
+        assert.equal(nextEntries[2].data.toString(), '{}');
+      }
+    ));
+  });
+});
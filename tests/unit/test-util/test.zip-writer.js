@@ -0,0 +1,105 @@
+/* @flow */
+import {describe, it} from 'mocha';
+import {assert} from 'chai';
+
+import {
+  COMPRESSION_DEFLATE,
+  COMPRESSION_STORE,
+  createZipBuffer,
+  createZipEntry,
+  toDosDateTime,
+} from '../../../src/util/zip-writer';
+import {readZipEntries} from '../helpers';
+
+describe('util/zip-writer', () => {
+  const date = new Date(Date.UTC(2020, 10, 20, 10, 30, 42));
+
+  describe('createZipEntry', () => {
+    it('deflates the file data', async () => {
+      const data = Buffer.from('compressible content '.repeat(100));
+      const entry = await createZipEntry({
+        name: 'file.txt', data, date, mode: 0o100644,
+      });
+
+      assert.equal(entry.compressionMethod, COMPRESSION_DEFLATE);
+      assert.equal(entry.size, data.length);
+      assert.isBelow(entry.compressedData.length, data.length);
+    });
+
+    it('stores data that cannot be compressed', async () => {
+      const data = Buffer.from([0x01]);
+      const entry = await createZipEntry({
+        name: 'file.bin', data, date, mode: 0o100644,
+      });
+
+      assert.equal(entry.compressionMethod, COMPRESSION_STORE);
+      assert.deepEqual(entry.compressedData, data);
+    });
+  });
+
+  describe('toDosDateTime', () => {
+    it('converts a date into the MS-DOS format', () => {
+      assert.deepEqual(toDosDateTime(date), {
+        time: 10 * 2048 + 30 * 32 + 21,
+        date: 40 * 512 + 11 * 32 + 20,
+      });
+    });
+
+    it('clamps dates before 1980', () => {
+      assert.deepEqual(toDosDateTime(new Date(0)), {
+        time: 0,
+        date: 1 * 32 + 1,
+      });
+    });
+
+    it('clamps dates after 2107', () => {
+      assert.deepEqual(toDosDateTime(new Date(Date.UTC(2200, 5, 1))), {
+        time: 23 * 2048 + 59 * 32 + 29,
+        date: 127 * 512 + 12 * 32 + 31,
+      });
+    });
+  });
+
+  describe('createZipBuffer', () => {
+    it('creates a zip archive from the given entries', async () => {
+      const entries = [
+        await createZipEntry({
+          name: 'manifest.json',
+          data: Buffer.from('{"name": "extension"}'),
+          date,
+          mode: 0o100644,
+        }),
+        await createZipEntry({
+          name: 'dir/file.txt',
+          data: Buffer.from('some content '.repeat(50)),
+          date,
+          mode: 0o100755,
+        }),
+      ];
+
+      const zipEntries = await readZipEntries(createZipBuffer(entries));
+
+      assert.deepEqual(
+        zipEntries.map(({entry}) => entry.fileName),
+        ['manifest.json', 'dir/file.txt']
+      );
+      assert.equal(zipEntries[0].data.toString(), '{"name": "extension"}');
+      assert.equal(
+        zipEntries[1].data.toString(), 'some content '.repeat(50)
+      );
+      assert.equal(
+        zipEntries[1].entry.externalFileAttributes / 65536, 0o100755
+      );
+      assert.equal(
+        zipEntries[0].entry.getLastModDate().getTime(),
+        // yauzl converts the MS-DOS date and time as a local date.
+        date.getTime() + date.getTimezoneOffset() * 60000
+      );
+    });
+
+    it('creates an empty zip archive', async () => {
+      const zipEntries = await readZipEntries(createZipBuffer([]));
+      assert.deepEqual(zipEntries, []);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 /* @flow */
+import os from 'os';
 import path from 'path';
 
 import {assert} from 'chai';
@@ -10,9 +11,11 @@ import {Program} from '../../src/program';
 import {
   applyConfigToArgv,
   discoverConfigFiles,
+  hasConfigProfile,
   loadJSConfigFile,
 } from '../../src/config';
 import {withTempDir} from '../../src/util/temp-dir';
+import {consoleStream} from '../../src/util/logger';
 import {UsageError, WebExtError} from '../../src/errors';
 
 type MakeArgvParams = {|
@@ -317,6 +320,186 @@ describe('config', () => {
          assert.strictEqual(resultArgv.pref, configObject.pref);
        });
 
+    it('accepts an array config value for a multiple string option', () => {
+      const params = makeArgv({
+        userCmd: ['fakecommand'],
+        globalOpt: {
+          'source-dir': {
+            demandOption: false,
+            type: 'string',
+            multiple: true,
+          },
+        },
+      });
+
+      const configObject = {
+        sourceDir: ['path/to/first', 'path/to/second'],
+      };
+
+      const argv = applyConf({...params, configObject});
+      assert.deepEqual(argv.sourceDir, configObject.sourceDir);
+    });
+
+    it('resolves the path options relative to the config file', () => {
+      const params = makeArgv({
+        userCmd: ['fakecommand'],
+        globalOpt: {
+          'source-dir': {
+            demandOption: false,
+            type: 'string',
+            isPath: true,
+          },
+          'artifacts-dir': {
+            demandOption: false,
+            type: 'string',
+            isPath: true,
+          },
+          'ignore-files': {
+            demandOption: false,
+            type: 'array',
+            isPath: true,
+          },
+        },
+      });
+
+      const configObject = {
+        sourceDir: 'src',
+        artifactsDir: '/absolute/artifacts/dir',
+        ignoreFiles: ['**/*.log', '!src/keep.log'],
+      };
+
+      const argv = applyConf({
+        ...params,
+        configObject,
+        configFileName: '/path/to/project/web-ext-config.js',
+      });
+      assert.equal(argv.sourceDir, path.resolve('/path/to/project/src'));
+      assert.equal(argv.artifactsDir, path.resolve('/absolute/artifacts/dir'));
+      assert.deepEqual(argv.ignoreFiles, [
+        path.resolve('/path/to/project/**/*.log'),
+        `!${path.resolve('/path/to/project/src/keep.log')}`,
+      ]);
+    });
+
+    it('keeps the ignoreFiles patterns which are relative to the source dir',
+       () => {
+         const params = makeArgv({
+           userCmd: ['fakecommand'],
+           globalOpt: {
+             'source-dir': {
+               demandOption: false,
+               type: 'string',
+               isPath: true,
+             },
+             'ignore-files': {
+               demandOption: false,
+               type: 'array',
+               isPath: true,
+             },
+           },
+         });
+
+         consoleStream.flushCapturedLogs();
+         consoleStream.startCapturing();
+         const argv = applyConf({
+           ...params,
+           configObject: {
+             ignoreFiles: ['tests/*', 'ext/*.log', '**/*.map'],
+             sourceDir: 'ext',
+           },
+           configFileName: '/path/to/project/web-ext-config.js',
+         });
+         const {capturedMessages} = consoleStream;
+         consoleStream.stopCapturing();
+
+         assert.deepEqual(argv.ignoreFiles, [
+           'tests/*',
+           path.resolve('/path/to/project/ext/*.log'),
+           path.resolve('/path/to/project/**/*.map'),
+         ]);
+         assert.equal(capturedMessages.length, 1);
+         assert.include(
+           capturedMessages[0],
+           'The ignoreFiles pattern "tests/*" of ' +
+           '/path/to/project/web-ext-config.js is resolved relative to the ' +
+           'source directory. This is deprecated'
+         );
+       });
+
+    it('does not resolve the paths of the home directory config file', () => {
+      const params = makeArgv({
+        userCmd: ['fakecommand'],
+        globalOpt: {
+          'artifacts-dir': {
+            demandOption: false,
+            type: 'string',
+            isPath: true,
+          },
+          'ignore-files': {
+            demandOption: false,
+            type: 'array',
+            isPath: true,
+          },
+        },
+      });
+
+      const configObject = {
+        artifactsDir: 'artifacts',
+        ignoreFiles: ['*.log'],
+      };
+
+      const argv = applyConf({
+        ...params,
+        configObject,
+        configFileName: path.join(os.homedir(), '.web-ext-config.js'),
+      });
+      assert.equal(argv.artifactsDir, 'artifacts');
+      assert.deepEqual(argv.ignoreFiles, ['*.log']);
+    });
+
+    it('does not resolve the path options set on the command line', () => {
+      const params = makeArgv({
+        userCmd: ['fakecommand', '--source-dir', 'cli/src'],
+        globalOpt: {
+          'source-dir': {
+            demandOption: false,
+            type: 'string',
+            isPath: true,
+          },
+        },
+      });
+
+      const argv = applyConf({
+        ...params,
+        configObject: {sourceDir: 'src'},
+        configFileName: '/path/to/project/web-ext-config.js',
+      });
+      assert.equal(argv.sourceDir, 'cli/src');
+    });
+
+    it('throws an error on an array config value for a string option', () => {
+      const params = makeArgv({
+        userCmd: ['fakecommand'],
+        globalOpt: {
+          'source-dir': {
+            demandOption: false,
+            type: 'string',
+          },
+        },
+      });
+
+      const configObject = {
+        sourceDir: ['path/to/first', 'path/to/second'],
+      };
+
+      assert.throws(
+        () => applyConf({...params, configObject}),
+        UsageError,
+        'The config file at some/path/to/config.js specified the ' +
+        'type of "sourceDir" incorrectly as "array" (expected type "string")'
+      );
+    });
+
     it('uses CLI option over undefined configured option and default', () => {
       const cmdLineSrcDir = '/user/specified/source/dir/';
       const params = makeArgv({
@@ -865,20 +1048,154 @@ describe('config', () => {
 
   });
 
+  describe('profiles', () => {
+    function makeProfileArgv(userCmd = ['run']) {
+      return makeArgv({
+        userCmd,
+        command: 'run',
+        globalOpt: {
+          verbose: {
+            type: 'boolean',
+            demandOption: false,
+          },
+        },
+        commandOpt: {
+          target: {
+            type: 'string',
+            demandOption: false,
+            default: 'firefox-desktop',
+          },
+          firefox: {
+            type: 'string',
+            demandOption: false,
+          },
+        },
+      });
+    }
+
+    const configObject = {
+      run: {
+        firefox: 'firefox',
+      },
+      profiles: {
+        android: {
+          verbose: true,
+          run: {
+            target: 'firefox-android',
+            firefox: 'nightly',
+          },
+        },
+        chrome: {
+          run: {
+            target: 'chromium',
+          },
+        },
+      },
+    };
+
+    it('applies the selected profile on top of the config', () => {
+      const argv = applyConf({
+        ...makeProfileArgv(),
+        configObject,
+        configProfile: 'android',
+      });
+      assert.equal(argv.verbose, true);
+      assert.equal(argv.target, 'firefox-android');
+      assert.equal(argv.firefox, 'nightly');
+    });
+
+    it('ignores the profiles which are not selected', () => {
+      const argv = applyConf({...makeProfileArgv(), configObject});
+      assert.equal(argv.target, 'firefox-desktop');
+      assert.equal(argv.firefox, 'firefox');
+      assert.notProperty(argv, 'profiles');
+
+      const chromeArgv = applyConf({
+        ...makeProfileArgv(),
+        configObject,
+        configProfile: 'chrome',
+      });
+      assert.equal(chromeArgv.target, 'chromium');
+      assert.equal(chromeArgv.firefox, 'firefox');
+      assert.notEqual(chromeArgv.verbose, true);
+    });
+
+    it('preserves the CLI values over the profile values', () => {
+      const argv = applyConf({
+        ...makeProfileArgv(['run', '--target', 'chromium']),
+        configObject,
+        configProfile: 'android',
+      });
+      assert.equal(argv.target, 'chromium');
+      assert.equal(argv.firefox, 'nightly');
+    });
+
+    it('validates the options of the selected profile', () => {
+      assert.throws(() => {
+        applyConf({
+          ...makeProfileArgv(),
+          configObject: {profiles: {android: {'no-reload': true}}},
+          configProfile: 'android',
+        });
+      }, UsageError, 'The config option "no-reload" must be specified in ' +
+        'camel case: "noReload"');
+
+      assert.throws(() => {
+        applyConf({
+          ...makeProfileArgv(),
+          configObject: {profiles: {android: {run: {target: 42}}}},
+          configProfile: 'android',
+        });
+      }, UsageError, 'The config file at some/path/to/config.js specified ' +
+        'the type of "target" incorrectly as "number" ' +
+        '(expected type "string")');
+    });
+
+    it('throws an error if the profiles are not an object', () => {
+      assert.throws(() => {
+        applyConf({
+          ...makeProfileArgv(),
+          configObject: {profiles: ['android']},
+        });
+      }, UsageError, 'The config file at some/path/to/config.js specified ' +
+        'the type of "profiles" incorrectly as "array" ' +
+        '(expected type "object")');
+    });
+
+    it('throws an error if the selected profile is not an object', () => {
+      assert.throws(() => {
+        applyConf({
+          ...makeProfileArgv(),
+          configObject: {profiles: {android: 'nightly'}},
+          configProfile: 'android',
+        });
+      }, UsageError, 'The config file at some/path/to/config.js specified ' +
+        'the type of the "android" profile incorrectly as "string" ' +
+        '(expected type "object")');
+    });
+
+    it('checks if a config defines a profile', () => {
+      assert.equal(hasConfigProfile(configObject, 'android'), true);
+      assert.equal(hasConfigProfile(configObject, 'toString'), false);
+      assert.equal(hasConfigProfile({}, 'android'), false);
+    });
+  });
+
   describe('loadJSConfigFile', () => {
     it('throws an error if the config file does not exist', () => {
       return withTempDir (
-        (tmpDir) => {
-          assert.throws(() => {
+        async (tmpDir) => {
+          await assert.isRejected(
             loadJSConfigFile((path.join(tmpDir.path(),
-                                        'non-existant-config.js')));
-          }, UsageError, /Cannot read config file/);
+                                        'non-existant-config.js'))),
+            UsageError, /Cannot read config file/
+          );
         });
     });
 
     it('throws an error if the config file has syntax errors', () => {
       return withTempDir (
-        (tmpDir) => {
+        async (tmpDir) => {
           const configFilePath = path.join(tmpDir.path(), 'config.js');
           fs.writeFileSync(
             configFilePath,
@@ -887,15 +1204,13 @@ describe('config', () => {
                 sourceDir 'path/to/fake/source/dir',
               };`
           );
-          assert.throws(() => {
-            loadJSConfigFile(configFilePath);
-          }, UsageError);
+          await assert.isRejected(loadJSConfigFile(configFilePath), UsageError);
         });
     });
 
     it('parses the configuration file correctly', () => {
       return withTempDir(
-        (tmpDir) => {
+        async (tmpDir) => {
           const configFilePath = path.join(tmpDir.path(), 'config.js');
           fs.writeFileSync(
             configFilePath,
@@ -903,14 +1218,95 @@ describe('config', () => {
               sourceDir: 'path/to/fake/source/dir',
             };`
           );
-          const configObj = loadJSConfigFile(configFilePath);
+          const configObj = await loadJSConfigFile(configFilePath);
+          assert.equal(configObj.sourceDir, 'path/to/fake/source/dir');
+        });
+    });
+
+    it('parses a .cjs configuration file', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const configFilePath = path.join(tmpDir.path(), 'config.cjs');
+          fs.writeFileSync(
+            configFilePath,
+            "module.exports = {sourceDir: 'path/to/fake/source/dir'};"
+          );
+          const configObj = await loadJSConfigFile(configFilePath);
           assert.equal(configObj.sourceDir, 'path/to/fake/source/dir');
         });
     });
 
+    it('parses a .mjs configuration file', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const configFilePath = path.join(tmpDir.path(), 'config.mjs');
+          fs.writeFileSync(
+            configFilePath,
+            "export default {sourceDir: 'path/to/fake/source/dir'};"
+          );
+          const configObj = await loadJSConfigFile(configFilePath);
+          assert.deepEqual(configObj, {sourceDir: 'path/to/fake/source/dir'});
+        });
+    });
+
+    it('parses a .js ES module configuration file', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          fs.writeFileSync(
+            path.join(tmpDir.path(), 'package.json'), '{"type": "module"}'
+          );
+          const configFilePath = path.join(tmpDir.path(), 'config.js');
+          fs.writeFileSync(
+            configFilePath,
+            "export default {sourceDir: 'path/to/fake/source/dir'};"
+          );
+          const configObj = await loadJSConfigFile(configFilePath);
+          assert.deepEqual(configObj, {sourceDir: 'path/to/fake/source/dir'});
+        });
+    });
+
+    it('imports the .mjs configuration files again', async () => {
+      const importModule = sinon.spy(async () => ({}));
+      const configFilePath = path.resolve('config.mjs');
+
+      await loadJSConfigFile(configFilePath, {importModule});
+      await loadJSConfigFile(configFilePath, {importModule});
+
+      sinon.assert.calledTwice(importModule);
+      const [firstURL, secondURL] = importModule.getCalls().map(
+        (call) => call.args[0]
+      );
+      assert.match(firstURL, /^file:\/\/.*\/config\.mjs\?t=\d+$/);
+      assert.notEqual(firstURL, secondURL);
+    });
+
+    it('parses a .json configuration file', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const configFilePath = path.join(tmpDir.path(), 'config.json');
+          fs.writeFileSync(
+            configFilePath, '{"sourceDir": "path/to/fake/source/dir"}'
+          );
+          const configObj = await loadJSConfigFile(configFilePath);
+          assert.deepEqual(configObj, {sourceDir: 'path/to/fake/source/dir'});
+        });
+    });
+
+    it('throws an error if the .json config file is invalid', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const configFilePath = path.join(tmpDir.path(), 'config.json');
+          fs.writeFileSync(configFilePath, '{"sourceDir": }');
+          await assert.isRejected(
+            loadJSConfigFile(configFilePath),
+            UsageError, /Cannot read config file: .*config\.json/
+          );
+        });
+    });
+
     it('parses package.json file correctly', () => {
       return withTempDir(
-        (tmpDir) => {
+        async (tmpDir) => {
           const configFilePath = path.join(tmpDir.path(), 'package.json');
           fs.writeFileSync(
             configFilePath,
@@ -922,23 +1318,23 @@ describe('config', () => {
                 }
             }`
           );
-          const configObj = loadJSConfigFile(configFilePath);
+          const configObj = await loadJSConfigFile(configFilePath);
           assert.equal(configObj.sourceDir, 'path/to/fake/source/dir');
         });
     });
 
     it('does not throw an error for an empty config', () => {
       return withTempDir(
-        (tmpDir) => {
+        async (tmpDir) => {
           const configFilePath = path.join(tmpDir.path(), 'config.js');
           fs.writeFileSync(configFilePath, 'module.exports = {};');
-          loadJSConfigFile(configFilePath);
+          await loadJSConfigFile(configFilePath);
         });
     });
 
     it('returns an empty object when webExt key is not in package.json', () => {
       return withTempDir(
-        (tmpDir) => {
+        async (tmpDir) => {
           const configFilePath = path.join(tmpDir.path(), 'package.json');
           fs.writeFileSync(
             configFilePath,
@@ -947,7 +1343,7 @@ describe('config', () => {
               "version": "1.0.0"
             }`
           );
-          const configObj = loadJSConfigFile(configFilePath);
+          const configObj = await loadJSConfigFile(configFilePath);
           assert.deepEqual(configObj, {});
         });
     });
@@ -1047,5 +1443,157 @@ describe('config', () => {
           }
         });
     });
+
+    it('finds the config files of any supported format', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const lastDir = process.cwd();
+          process.chdir(tmpDir.path());
+          try {
+            const fakeHomeDir = path.join(tmpDir.path(), 'home-dir');
+            await fs.mkdir(fakeHomeDir);
+            const globalConfig = path.resolve(
+              path.join(fakeHomeDir, '.web-ext-config.json')
+            );
+            await fs.writeFile(globalConfig, '{}');
+
+            const projectConfig = path.resolve(
+              path.join(process.cwd(), 'web-ext-config.mjs')
+            );
+            await fs.writeFile(projectConfig, 'export default {}');
+
+            assert.deepEqual(
+              await _discoverConfigFiles({
+                getHomeDir: () => fakeHomeDir,
+              }),
+              [globalConfig, projectConfig]
+            );
+          } finally {
+            process.chdir(lastDir);
+          }
+        });
+    });
+
+    it('discovers the configs of the parent directories', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const lastDir = process.cwd();
+          // This config is outside of the repository.
+          await fs.writeFile(
+            path.join(tmpDir.path(), 'web-ext-config.js'), 'module.exports = {}'
+          );
+          const repoDir = path.join(tmpDir.path(), 'repo');
+          const packageDir = path.join(repoDir, 'packages', 'addon');
+          const workDir = path.join(packageDir, 'src', 'lib');
+          await fs.mkdir(workDir, {recursive: true});
+          await fs.mkdir(path.join(repoDir, '.git'));
+
+          const repoConfig = path.join(repoDir, 'web-ext-config.json');
+          await fs.writeFile(repoConfig, '{}');
+          const packageJSONConfig = path.join(packageDir, 'package.json');
+          await fs.writeFile(packageJSONConfig, '{"webExt": {}}');
+          const packageConfig = path.join(packageDir, 'web-ext-config.mjs');
+          await fs.writeFile(packageConfig, 'export default {}');
+
+          process.chdir(workDir);
+          try {
+            assert.deepEqual(
+              await _discoverConfigFiles(),
+              [repoConfig, packageJSONConfig, packageConfig].map(
+                (f) => path.resolve(f)
+              )
+            );
+          } finally {
+            process.chdir(lastDir);
+          }
+        });
+    });
+
+    it('does not discover the configs above the home directory', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const lastDir = process.cwd();
+          // This config is outside of the home directory.
+          await fs.writeFile(
+            path.join(tmpDir.path(), 'web-ext-config.js'), 'module.exports = {}'
+          );
+          const fakeHomeDir = path.join(tmpDir.path(), 'home-dir');
+          const projectDir = path.join(fakeHomeDir, 'project');
+          const workDir = path.join(projectDir, 'src');
+          await fs.mkdir(workDir, {recursive: true});
+
+          const homeConfig = path.join(fakeHomeDir, 'package.json');
+          await fs.writeFile(homeConfig, '{"webExt": {}}');
+          const projectConfig = path.join(projectDir, 'web-ext-config.js');
+          await fs.writeFile(projectConfig, 'module.exports = {}');
+
+          process.chdir(workDir);
+          try {
+            assert.deepEqual(
+              await _discoverConfigFiles({
+                getHomeDir: () => fakeHomeDir,
+              }),
+              [homeConfig, projectConfig].map((f) => path.resolve(f))
+            );
+          } finally {
+            process.chdir(lastDir);
+          }
+        });
+    });
+
+    it('discovers the configs of the source directories', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const lastDir = process.cwd();
+          const repoDir = path.join(tmpDir.path(), 'repo');
+          const firstSourceDir = path.join(repoDir, 'first');
+          const secondSourceDir = path.join(repoDir, 'nested', 'second');
+          await fs.mkdir(firstSourceDir, {recursive: true});
+          await fs.mkdir(secondSourceDir, {recursive: true});
+          await fs.writeFile(path.join(repoDir, '.hg'), '');
+
+          const repoConfig = path.join(repoDir, 'web-ext-config.js');
+          await fs.writeFile(repoConfig, 'module.exports = {}');
+          const firstConfig = path.join(firstSourceDir, 'web-ext-config.js');
+          await fs.writeFile(firstConfig, 'module.exports = {}');
+          const secondConfig = path.join(secondSourceDir, 'web-ext-config.js');
+          await fs.writeFile(secondConfig, 'module.exports = {}');
+
+          process.chdir(repoDir);
+          try {
+            assert.deepEqual(
+              await _discoverConfigFiles({
+                sourceDirs: [secondSourceDir, firstSourceDir],
+              }),
+              [repoConfig, firstConfig, secondConfig].map(
+                (f) => path.resolve(f)
+              )
+            );
+          } finally {
+            process.chdir(lastDir);
+          }
+        });
+    });
+
+    it('throws when a directory has more than one config file', () => {
+      return withTempDir(
+        async (tmpDir) => {
+          const lastDir = process.cwd();
+          process.chdir(tmpDir.path());
+          try {
+            await fs.writeFile('web-ext-config.js', 'module.exports = {}');
+            await fs.writeFile('web-ext-config.cjs', 'module.exports = {}');
+
+            await assert.isRejected(
+              _discoverConfigFiles(),
+              UsageError,
+              new RegExp('Found more than one config file in .*: ' +
+                         'web-ext-config.cjs, web-ext-config.js')
+            );
+          } finally {
+            process.chdir(lastDir);
+          }
+        });
+    });
   });
 });
@@ -28,6 +28,7 @@ import {
 import {
   consoleStream, // instance is imported to inspect logged messages
   ConsoleStream,
+  LogFileStream,
 } from '../../src/util/logger';
 
 describe('program.Program', () => {
@@ -217,6 +218,96 @@ describe('program.Program', () => {
       });
   });
 
+  it('configures the logger for the JSON output', async () => {
+    const logStream = fake(new ConsoleStream());
+    const buildResult = {extensionPath: '/fake/extension.zip'};
+
+    const program = new Program(['--output', 'json', 'build']);
+    program.setGlobalOptions({
+      output: {
+        type: 'string',
+      },
+    });
+    program.command('build', 'builds', () => Promise.resolve(buildResult));
+
+    await execProgram(program, {logStream});
+
+    sinon.assert.called(logStream.makeJSON);
+    sinon.assert.calledWith(logStream.writeResult, 'build', buildResult);
+  });
+
+  it('only writes the result of the build and sign commands', async () => {
+    const logStream = fake(new ConsoleStream());
+
+    const program = new Program(['--output', 'json', 'thing']);
+    program.setGlobalOptions({
+      output: {
+        type: 'string',
+      },
+    });
+    program.command('thing', 'does a thing', () => Promise.resolve({}));
+
+    await execProgram(program, {logStream});
+
+    sinon.assert.called(logStream.makeJSON);
+    sinon.assert.notCalled(logStream.writeResult);
+  });
+
+  it('records the log messages in the --log-file', async () => {
+    const logFileStream = fake(new LogFileStream());
+    const program = new Program([
+      '--log-file', 'web-ext.log', '--log-file-max-size', '1000', 'thing',
+    ]);
+    program.setGlobalOptions({
+      'log-file': {type: 'string'},
+      'log-file-max-size': {type: 'number'},
+    });
+    program.command('thing', 'does a thing', () => {});
+
+    await execProgram(program, {logFileStream});
+
+    sinon.assert.calledOnce(logFileStream.open);
+    sinon.assert.calledWith(logFileStream.open, {
+      filePath: path.resolve('web-ext.log'),
+      maxSize: 1000,
+      maxFiles: undefined,
+    });
+  });
+
+  it('throws an UsageError on invalid --log-file-max-size', async () => {
+    const logFileStream = fake(new LogFileStream());
+    const program = new Program([
+      '--log-file', 'web-ext.log', '--log-file-max-size', 'big', 'thing',
+    ]);
+    program.setGlobalOptions({
+      'log-file': {type: 'string'},
+      'log-file-max-size': {type: 'number'},
+    });
+    program.command('thing', 'does a thing', () => {});
+
+    await assert.isRejected(
+      execProgram(program, {logFileStream}),
+      /Invalid --log-file-max-size value: NaN/
+    );
+    sinon.assert.notCalled(logFileStream.open);
+  });
+
+  it('throws an UsageError when the --log-file can not be opened',
+     async () => {
+       const logFileStream = fake(new LogFileStream(), {
+         open: () => {
+           throw new Error('ENOENT: no such file or directory');
+         },
+       });
+       const program = new Program(['--log-file', 'web-ext.log', 'thing']);
+       program.setGlobalOptions({'log-file': {type: 'string'}});
+       program.command('thing', 'does a thing', () => {});
+
+       const promise = execProgram(program, {logFileStream});
+       await assert.isRejected(promise, UsageError);
+       await assert.isRejected(promise, /Unable to open the log file/);
+     });
+
   it('does not configure the logger unless verbose', () => {
     const logStream = fake(new ConsoleStream());
     const program = new Program(['thing']).command('thing', '', () => {});
@@ -376,6 +467,24 @@ describe('program.Program', () => {
          WEB_EXT_VERBOSE: 'true',
        });
      });
+
+  it('keeps the environment vars of the hyphenated commands', () => {
+    const program = new Program(['serve-amo-mock']);
+    const fakeEnv = {
+      WEB_EXT_PORT: '9000',
+      WEB_EXT_RUN_OPTION: 'from-env',
+    };
+    program.command('serve-amo-mock', 'some command', spy(), {
+      port: {
+        demandOption: false,
+        type: 'number',
+      },
+    });
+
+    // $FlowIgnore: override systemProcess for testing purpose.
+    program.cleanupProcessEnvConfigs({env: fakeEnv});
+    assert.deepEqual(fakeEnv, {WEB_EXT_PORT: '9000'});
+  });
 });
 
 
@@ -471,6 +580,76 @@ describe('program.main', () => {
       });
   });
 
+  it('accepts multiple --source-dir options on run', async () => {
+    const fakeCommands = fake(commands, {
+      run: () => Promise.resolve(),
+    });
+    await execProgram(
+      ['run', '--source-dir', 'first', '--source-dir', 'second'],
+      {commands: fakeCommands}
+    );
+
+    sinon.assert.calledWithMatch(
+      fakeCommands.run,
+      {sourceDir: [path.resolve('first'), path.resolve('second')]}
+    );
+  });
+
+  it('rejects multiple --source-dir options on other commands', async () => {
+    const fakeCommands = fake(commands, {
+      build: () => Promise.resolve(),
+    });
+    const promise = execProgram(
+      ['build', '--source-dir', 'first', '--source-dir', 'second'],
+      {commands: fakeCommands}
+    );
+
+    await assert.isRejected(promise, UsageError);
+    await assert.isRejected(
+      promise, /Multiple --source-dir\/-s options are not allowed/
+    );
+    sinon.assert.notCalled(fakeCommands.build);
+  });
+
+  it('passes the build target', async () => {
+    const fakeCommands = fake(commands, {
+      build: () => Promise.resolve(),
+    });
+    await execProgram(
+      ['build', '--target', 'chromium'], {commands: fakeCommands}
+    );
+
+    sinon.assert.calledWithMatch(fakeCommands.build, {target: 'chromium'});
+  });
+
+  it('rejects multiple build targets', async () => {
+    const fakeCommands = fake(commands, {
+      build: () => Promise.resolve(),
+    });
+    const promise = execProgram(
+      ['build', '-t', 'chromium', '-t', 'firefox-desktop'],
+      {commands: fakeCommands}
+    );
+
+    await assert.isRejected(
+      promise, /Multiple --target\/-t options are not allowed/
+    );
+    sinon.assert.notCalled(fakeCommands.build);
+  });
+
+  it('passes the AMO mock server options', async () => {
+    const fakeCommands = fake(commands, {
+      'serve-amo-mock': () => Promise.resolve(),
+    });
+    await execProgram(
+      ['serve-amo-mock', '--port', '9000'], {commands: fakeCommands}
+    );
+
+    sinon.assert.calledWithMatch(
+      fakeCommands['serve-amo-mock'], {port: 9000, host: '127.0.0.1'}
+    );
+  });
+
   it('normalizes the artifactsDir path', () => {
     const fakeCommands = fake(commands, {
       build: () => Promise.resolve(),
@@ -543,6 +722,130 @@ describe('program.main', () => {
       });
   });
 
+  it('passes the extension console logging options', async () => {
+    const fakeCommands = fake(commands, {
+      run: () => Promise.resolve(),
+    });
+    await execProgram(
+      [
+        'run', '--log-extension-console',
+        '--log-extension-console-file', 'console.jsonl',
+      ],
+      {commands: fakeCommands}
+    );
+    sinon.assert.calledWithMatch(fakeCommands.run, {
+      logExtensionConsole: true,
+      logExtensionConsoleFile: 'console.jsonl',
+    });
+  });
+
+  it('passes the --android-attach option', async () => {
+    const fakeCommands = fake(commands, {
+      run: () => Promise.resolve(),
+    });
+    await execProgram(
+      ['run', '--target', 'firefox-android', '--android-attach'],
+      {commands: fakeCommands}
+    );
+    sinon.assert.calledWithMatch(fakeCommands.run, {androidAttach: true});
+  });
+
+  it('passes the --android-record option', async () => {
+    const fakeCommands = fake(commands, {
+      run: () => Promise.resolve(),
+    });
+    await execProgram(
+      ['run', '--target', 'firefox-android', '--android-record'],
+      {commands: fakeCommands}
+    );
+    sinon.assert.calledWithMatch(fakeCommands.run, {androidRecord: true});
+  });
+
+  it('keeps the lint --output option for the linter report', async () => {
+    for (const args of [['lint', '-o', 'json'], ['lint', '--output=json']]) {
+      const logStream = fake(new ConsoleStream());
+      const fakeCommands = fake(commands, {
+        lint: () => Promise.resolve(),
+      });
+      await execProgram(
+        args, {commands: fakeCommands, runOptions: {logStream}}
+      );
+      sinon.assert.calledWithMatch(fakeCommands.lint, {output: 'json'});
+      sinon.assert.notCalled(logStream.makeJSON);
+    }
+  });
+
+  it('passes the global --output option', async () => {
+    const logStream = fake(new ConsoleStream());
+    const fakeCommands = fake(commands, {
+      build: () => Promise.resolve({extensionPath: '/fake/extension.zip'}),
+    });
+    await execProgram(
+      ['build', '--output', 'json'],
+      {commands: fakeCommands, runOptions: {logStream}}
+    );
+    sinon.assert.calledWithMatch(fakeCommands.build, {output: 'json'});
+    sinon.assert.called(logStream.makeJSON);
+    sinon.assert.calledWith(logStream.writeResult, 'build', {
+      extensionPath: '/fake/extension.zip',
+    });
+  });
+
+  it('accepts multiple --adb-device options', async () => {
+    const fakeCommands = fake(commands, {
+      run: () => Promise.resolve(),
+    });
+    await execProgram(
+      [
+        'run', '--target', 'firefox-android',
+        '--adb-device', 'emulator-1', '--android-device', 'device2',
+      ],
+      {commands: fakeCommands}
+    );
+    sinon.assert.calledWithMatch(fakeCommands.run, {
+      adbDevice: ['emulator-1', 'device2'],
+    });
+  });
+
+  it('passes the wireless adb options', async () => {
+    const fakeCommands = fake(commands, {
+      run: () => Promise.resolve(),
+    });
+    await execProgram(
+      [
+        'run', '--target', 'firefox-android',
+        '--adb-pair', '192.168.1.2:37123', '--adb-pair-code', '012345',
+        '--adb-connect', '192.168.1.2:5555',
+      ],
+      {commands: fakeCommands}
+    );
+    sinon.assert.calledWithMatch(fakeCommands.run, {
+      adbPair: '192.168.1.2:37123',
+      adbPairCode: '012345',
+      adbConnect: '192.168.1.2:5555',
+    });
+  });
+
+  it('passes the Android emulator and APK file options', async () => {
+    const fakeCommands = fake(commands, {
+      run: () => Promise.resolve(),
+    });
+    await execProgram(
+      [
+        'run', '--target', 'firefox-android',
+        '--android-emulator-avd', 'Pixel_API_30',
+        '--android-apk-file', '/path/to/firefox.apk',
+        '--firefox-apk-file', '/path/to/fenix.apk',
+      ],
+      {commands: fakeCommands}
+    );
+    sinon.assert.calledWithMatch(fakeCommands.run, {
+      androidEmulatorAvd: 'Pixel_API_30',
+      androidApkFile: '/path/to/firefox.apk',
+      firefoxApkFile: '/path/to/fenix.apk',
+    });
+  });
+
   it('calls run with a watched file', () => {
     const watchFile = 'path/to/fake/file.txt';
 
@@ -652,6 +955,25 @@ describe('program.main', () => {
     sinon.assert.calledWith(fakeLoadJSConfigFile, discoveredFile);
   });
 
+  it('discovers the config files of the source directories', async () => {
+    const fakeCommands = fake(commands, {
+      lint: () => Promise.resolve(),
+    });
+    const discoverConfigFiles = sinon.spy(async () => []);
+
+    await execProgram(
+      ['lint', '--source-dir', 'path/to/addon'],
+      {
+        commands: fakeCommands,
+        runOptions: {discoverConfigFiles},
+      }
+    );
+
+    sinon.assert.calledWith(discoverConfigFiles, {
+      sourceDirs: [path.resolve('path/to/addon')],
+    });
+  });
+
   it('lets you disable config discovery', async () => {
     const fakeCommands = fake(commands, {
       lint: () => Promise.resolve(),
@@ -767,6 +1089,115 @@ describe('program.main', () => {
     assert.equal(options.sourceDir, finalSourceDir);
   });
 
+  it('applies the --config-profile of the config files', async () => {
+    const fakeCommands = fake(commands, {
+      lint: () => Promise.resolve(),
+    });
+
+    const customConfig = path.resolve('custom/web-ext-config.js');
+
+    const loadJSConfigFile = makeConfigLoader({
+      configObjects: {
+        [customConfig]: {
+          lint: {
+            selfHosted: false,
+          },
+          profiles: {
+            'self-hosted': {
+              lint: {
+                selfHosted: true,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    await execProgram(
+      ['lint', '--config', customConfig, '--config-profile', 'self-hosted'],
+      {
+        commands: fakeCommands,
+        runOptions: {
+          discoverConfigFiles: async () => [],
+          loadJSConfigFile,
+        },
+      }
+    );
+
+    const options = fakeCommands.lint.firstCall.args[0];
+    assert.equal(options.selfHosted, true);
+  });
+
+  it('throws an UsageError on an undefined --config-profile', async () => {
+    const fakeCommands = fake(commands, {
+      lint: () => Promise.resolve(),
+    });
+
+    const customConfig = path.resolve('custom/web-ext-config.js');
+
+    const loadJSConfigFile = makeConfigLoader({
+      configObjects: {
+        [customConfig]: {
+          profiles: {android: {}},
+        },
+      },
+    });
+
+    await assert.isRejected(
+      execProgram(
+        ['lint', '--config', customConfig, '--config-profile', 'chrome'],
+        {
+          commands: fakeCommands,
+          runOptions: {
+            discoverConfigFiles: async () => [],
+            loadJSConfigFile,
+          },
+        }
+      ),
+      UsageError,
+      'The config profile "chrome" is not defined in any config file'
+    );
+    sinon.assert.notCalled(fakeCommands.lint);
+  });
+
+  it('applies the configured log file options to the --log-file',
+     async () => {
+       const logFileStream = fake(new LogFileStream());
+       const fakeCommands = fake(commands, {
+         lint: () => Promise.resolve(),
+       });
+
+       const customConfig = path.resolve('custom/web-ext-config.js');
+
+       const loadJSConfigFile = makeConfigLoader({
+         configObjects: {
+           [customConfig]: {
+             logFileMaxSize: 2000,
+             logFileMaxFiles: 3,
+           },
+         },
+       });
+
+       await execProgram(
+         ['lint', '--config', customConfig, '--log-file', 'web-ext.log'],
+         {
+           commands: fakeCommands,
+           runOptions: {
+             discoverConfigFiles: async () => [],
+             loadJSConfigFile,
+             logFileStream,
+           },
+         }
+       );
+
+       sinon.assert.calledOnce(logFileStream.open);
+       sinon.assert.calledWith(logFileStream.open, {
+         filePath: path.resolve('web-ext.log'),
+         maxSize: 2000,
+         maxFiles: 3,
+       });
+     });
+
   it('enables verbose more from config file', async () => {
     const logStream = fake(new ConsoleStream());
     const fakeCommands = fake(commands, {
@@ -103,6 +103,7 @@ describe('watcher', () => {
     });
 
     sinon.assert.calledOnce(onChange);
+    sinon.assert.calledWith(onChange, [path.join(tmpDirPath, 'foo.txt')]);
     assert.equal(watchedDirPath, tmpDirPath);
     assert.isUndefined(watchedFilePath);
   });